@@ -3,25 +3,48 @@
  * The default map pack containing the base Advance Wars games.
  */
 
+import * as Commanders from "./src/types/commanderTypes.mjs";
 import * as Environments from "./src/types/environmentTypes.mjs";
 import * as Factions from "./src/types/factionTypes.mjs";
 import * as Movements from "./src/types/movementTypes.mjs";
+import * as Structures from "./src/types/structureTypes.mjs";
 import * as Terrains from "./src/types/terrainTypes.mjs";
+import * as Tiles from "./src/types/tileTypes.mjs";
+import * as Units from "./src/types/unitTypes.mjs";
+import * as Weapons from "./src/types/weaponTypes.mjs";
 import * as Weathers from "./src/types/weatherTypes.mjs";
 
+import AwbwMapping from "./src/awbwMapping.mjs";
 import PlayableMaps from "./src/playableMaps.mjs";
 
-export const commanders = [];
+export const commanders = Object.values(Commanders);
 export const environments = Object.values(Environments);
 export const factions = Object.values(Factions);
 export const movements = Object.values(Movements);
-export const structures = [];
+export const structures = Object.values(Structures);
 export const terrains = Object.values(Terrains);
-export const tiles = [];
-export const units = [];
-export const weapons = [];
+export const tiles = Object.values(Tiles);
+export const units = Object.values(Units);
+export const weapons = Object.values(Weapons);
 export const weathers = Object.values(Weathers);
-export function overrides(objectTypeName, objectType, context) {}
+
+/**
+ * Translates Advance Wars By Web's IDs into this map pack's object types when importing maps from it.
+ */
+export const awbwMapping = AwbwMapping;
+
+/**
+ * Applies game-wide rules that affect many object types at once.
+ * @param {String} objectTypeName The category of the object type being resolved, e.g. "Weapon".
+ * @param {Object} objectType The resolved object type, which can be amended in place.
+ * @param {import("#src/types/objectType.mjs").Context} context The context the object type was resolved within.
+ */
+export function overrides(objectTypeName, objectType, context) {
+    // Sandstorms reduce the maximum range of indirect weapons by 1.
+    if (objectTypeName === "Weapon" && objectType.range.max > 2 && context.weathers.includes("SandstormWeather")) {
+        --objectType.range.max;
+    }
+}
 
 /**
  * The models that this map pack is dynamically importing.
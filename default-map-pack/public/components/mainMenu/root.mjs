@@ -5,17 +5,18 @@
 
 import controller from "/controller.mjs";
 
-let selectedMapFile = "";
-
 export default function MainMenu() {
     const { t, i18n } = ReactI18next.useTranslation();
     const [mapList, setMapList] = React.useState(controller.getModel("MapManager").mapFiles ?? []);
+    const [maps, setMaps] = React.useState(controller.getModel("MapManager").maps ?? {});
+    const [selectedMapID, setSelectedMapID] = React.useState("");
 
     React.useEffect(() => {
         // When the main menu component is mounted, set up our event handlers.
         controller.updateComponentWhen(["MapsFolderScanned"], () => {
             // Need to copy the array. React will not re-render the list otherwise.
             setMapList([...controller.getModel("MapManager").mapFiles]);
+            setMaps({ ...controller.getModel("MapManager").maps });
         });
     }, []);
 
@@ -24,10 +25,30 @@ export default function MainMenu() {
         null,
         React.createElement(
             "select",
-            { size: 10, onInput: ev => (selectedMapFile = ev.target.value) },
-            ...mapList.map(mapFile => React.createElement("option", null, mapFile))
+            { size: 10, onInput: ev => setSelectedMapID(ev.target.value) },
+            ...mapList.map(mapID => {
+                // Maps with errors can't be loaded, so grey them out, and list the problems with them when hovered
+                // over.
+                const map = maps[mapID];
+                const errors = map?.report.errors ?? [];
+                const warnings = map?.report.warnings ?? [];
+                const name = map?.name || mapID;
+                return React.createElement(
+                    "option",
+                    {
+                        value: mapID,
+                        disabled: errors.length > 0,
+                        title: [
+                            ...errors.map(error => `${t("mapError")}: ${error.message}`),
+                            ...warnings.map(warning => `${t("mapWarning")}: ${warning.message}`),
+                        ].join("\n"),
+                    },
+                    errors.length > 0 ? `${name} (${t("brokenMap")})` : name
+                );
+            })
         ),
-        React.createElement("button", { onClick: () => controller.command("LoadMap", selectedMapFile) }, t("loadMap")),
+        maps[selectedMapID] && React.createElement(MapDetails, { map: maps[selectedMapID] }),
+        React.createElement("button", { onClick: () => controller.command("LoadMap", selectedMapID) }, t("loadMap")),
         React.createElement(
             "button",
             { onClick: () => controller.command("SetLanguage", i18n.language == "en" ? "de" : "en") },
@@ -35,3 +56,26 @@ export default function MainMenu() {
         )
     );
 }
+
+/**
+ * Describes the selected map.
+ * @param {Object} props The component's properties.
+ * @param {Object} props.map The selected map's metadata, as published by the MapManager model.
+ */
+function MapDetails({ map }) {
+    const { t } = ReactI18next.useTranslation();
+    return React.createElement(
+        "div",
+        null,
+        map.author && React.createElement("p", null, t("mapAuthor", { author: map.author })),
+        map.description && React.createElement("p", null, map.description),
+        map.width !== undefined &&
+            React.createElement(
+                "p",
+                null,
+                t("mapSize", { width: map.width, height: map.height, count: map.armyCount })
+            ),
+        map.modified !== undefined &&
+            React.createElement("p", null, t("mapModified", { date: new Date(map.modified).toLocaleString() }))
+    );
+}
@@ -0,0 +1,104 @@
+/**
+ * @file awbwMapping.mjs
+ * Translates the IDs used by Advance Wars By Web (AWBW) into the object types of the default map pack.
+ * Only the armies of the original Advance Wars games are mapped, so maps that use any of AWBW's other armies will have
+ * them reported as unmapped when they are imported.
+ */
+
+/**
+ * The AWBW country IDs of the armies that can own tiles and units.
+ */
+const OS = 1;
+const BM = 2;
+const GE = 3;
+const YC = 4;
+const BH = 5;
+
+/**
+ * Maps the properties that each army can own to their AWBW terrain IDs.
+ * @param {Number} country The AWBW country ID of the owning army.
+ * @param {Object<String, Number>} ids The AWBW terrain ID of each property, keyed on tile type name.
+ * @returns {Object<Number, import("#src/map/awbwImporter.mjs").AwbwTerrain>} The terrain table entries.
+ */
+function properties(country, ids) {
+    return Object.fromEntries(
+        Object.entries(ids).map(([tile, id]) => [id, country ? { tile: tile, country: country } : { tile: tile }])
+    );
+}
+
+/**
+ * Maps a run of AWBW terrain IDs to the direction variants of a tile type.
+ * AWBW gives each direction that rivers, roads, etc. can face its own ID, as does the default map pack, whose tile
+ * types are suffixed with the sides that they connect to or that face land.
+ * @param {String} tile The name of the tile type, without its direction suffix.
+ * @param {Number} first The first AWBW terrain ID in the run.
+ * @param {Array<String>} suffixes The direction suffix of each tile type in the run, in AWBW's ID order.
+ * @returns {Object<Number, import("#src/map/awbwImporter.mjs").AwbwTerrain>} The terrain table entries.
+ */
+function directions(tile, first, suffixes) {
+    return Object.fromEntries(suffixes.map((suffix, i) => [first + i, { tile: tile + suffix }]));
+}
+
+/**
+ * The order that AWBW lists the directions of rivers and roads in.
+ */
+const connections = ["EW", "NS", "NESW", "ES", "SW", "NW", "NE", "ESW", "NSW", "NEW", "NES"];
+
+/**
+ * @type {import("#src/map/awbwImporter.mjs").AwbwMapping}
+ */
+export default {
+    environment: "NormalEnvironment",
+    weathers: ["ClearWeather"],
+    countries: {
+        [OS]: "OrangeStar",
+        [BM]: "BlueMoon",
+        [GE]: "GreenEarth",
+        [YC]: "YellowComet",
+        [BH]: "BlackHole",
+    },
+    terrain: {
+        1: { tile: "Plains" },
+        2: { tile: "Mountain" },
+        3: { tile: "Woods" },
+        ...directions("River", 4, connections),
+        ...directions("Road", 15, connections),
+        ...directions("Bridge", 26, ["EW", "NS"]),
+        28: { tile: "Sea" },
+        ...directions("Shoal", 29, ["S", "N", "W", "E"]),
+        33: { tile: "Reef" },
+        ...properties(undefined, { City: 34, Base: 35, Airport: 36, Port: 37 }),
+        ...properties(OS, { City: 38, Base: 39, Airport: 40, Port: 41, HQ: 42 }),
+        ...properties(BM, { City: 43, Base: 44, Airport: 45, Port: 46, HQ: 47 }),
+        ...properties(GE, { City: 48, Base: 49, Airport: 50, Port: 51, HQ: 52 }),
+        ...properties(YC, { City: 53, Base: 54, Airport: 55, Port: 56, HQ: 57 }),
+        ...properties(BH, { City: 91, Base: 92, Airport: 93, Port: 94, HQ: 95 }),
+        // AWBW names pipe ends after the side they're on, rather than the side they connect to.
+        ...directions("Pipe", 101, ["NS", "EW", "NE", "ES", "SW", "NW", "S", "W", "N", "E"]),
+        111: { tile: "MissileSilo" },
+        112: { tile: "EmptyMissileSilo" },
+        ...directions("PipeSeam", 113, ["EW", "NS"]),
+        ...directions("BrokenPipeSeam", 115, ["EW", "NS"]),
+    },
+    units: {
+        1: "Infantry",
+        2: "Mech",
+        3: "MdTank",
+        4: "Tank",
+        5: "Recon",
+        6: "APC",
+        7: "Artillery",
+        8: "Rockets",
+        9: "AntiAir",
+        10: "Missiles",
+        11: "Fighter",
+        12: "Bomber",
+        13: "BattleCopter",
+        14: "TransportCopter",
+        15: "Battleship",
+        16: "Cruiser",
+        17: "Lander",
+        18: "Submarine",
+        19: "Neotank",
+    },
+};
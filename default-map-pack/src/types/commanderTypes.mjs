@@ -0,0 +1,912 @@
+/**
+ * @file commanderTypes.mjs
+ * Defines all the commanders of Advance Wars: Dual Strike, along with their powers.
+ * Stat modifiers are percentages, so "firepower +10" means that a unit deals 10% more damage. Every CO Power and Super
+ * CO Power also raises the firepower and defense of the army's units by 10, on top of what it does itself.
+ */
+
+import CommanderType from "#src/types/commanderType.mjs";
+
+/**
+ * The unit types that can only attack units that aren't next to them.
+ */
+const indirectUnits = ["Artillery", "Rockets", "Missiles", "Piperunner", "Battleship", "Carrier"];
+
+/**
+ * The indirect unit types that move across land.
+ */
+const groundIndirectUnits = ["Artillery", "Rockets", "Missiles", "Piperunner"];
+
+const footUnits = ["Infantry", "Mech"];
+
+/**
+ * The unit types that are left out when a commander's direct combat units are made stronger or weaker.
+ */
+const notDirectCombatUnits = [...indirectUnits, ...footUnits];
+
+const copterUnits = ["BattleCopter", "TransportCopter"];
+const transportUnits = ["APC", "TransportCopter", "Lander", "BlackBoat"];
+const vehicleMovements = ["Treads", "Tires"];
+const navalMovements = ["Ships", "Transport"];
+
+/**
+ * The terrain types of properties.
+ */
+const urbanTerrains = ["Property", "Factory", "Harbour", "Headquarters"];
+
+/**
+ * Builds a modifier that raises or lowers a stat of the army's units.
+ * @param {String} field The name of the unit type field to change, e.g. "firepower".
+ * @param {Number} add The amount to add to the field. Negative to lower it.
+ * @param {Object<String, Array<String>>} [where={}] Only changes units whose context lists these names.
+ * @param {Object<String, Array<String>>} [unless={}] Never changes units whose context lists any of these names.
+ * @returns {import("#src/types/commanderType.mjs").Modifier} The modifier.
+ */
+function stat(field, add, where = {}, unless = {}) {
+    return { category: "Unit", field: field, add: add, where: where, unless: unless };
+}
+
+/**
+ * Builds a modifier that changes the maximum range of the army's weapons.
+ * @param {Number} add The amount to add to the range. Negative to shorten it.
+ * @param {Object<String, Array<String>>} where Only changes weapons wielded by units whose context lists these names.
+ * @returns {import("#src/types/commanderType.mjs").Modifier} The modifier.
+ */
+function range(add, where) {
+    return { category: "Weapon", field: "range.max", add: add, where: where };
+}
+
+/**
+ * Builds a CO Power or Super CO Power.
+ * @param {String} key The prefix of the power's language keys.
+ * @param {Number} stars How many stars the power costs.
+ * @param {Array<import("#src/types/commanderType.mjs").Modifier>} modifiers What the power does for as long as it is
+ *        active, besides raising firepower and defense by 10.
+ * @param {import("#src/types/commanderType.mjs").PowerEffects} effects What the power does when it is activated.
+ * @returns {import("#src/types/commanderType.mjs").Power} The power.
+ */
+function createPower(key, stars, modifiers, effects) {
+    return {
+        stars: stars,
+        longName: [`${key}_longname`],
+        description: [`${key}_description`],
+        modifiers: [stat("firepower", 10), stat("defense", 10), ...modifiers],
+        effects: effects,
+    };
+}
+
+/**
+ * Finds out how many funds the army being resolved has.
+ * @param {import("#src/types/objectType.mjs").Context} context The context the commander is being accessed within.
+ * @returns {Number} The army's funds, or 0 if there's no army.
+ */
+function armyFunds(context) {
+    return context.map && context.army !== undefined ? context.map.getArmy(context.army).funds : 0;
+}
+
+/**
+ * Counts how many tiles the army being resolved owns.
+ * @param {import("#src/types/objectType.mjs").Context} context The context the commander is being accessed within.
+ * @returns {Number} The number of tiles the army owns, or 0 if there's no army.
+ */
+function ownedProperties(context) {
+    let count = 0;
+    if (context.map && context.army !== undefined) {
+        context.map.forEachTile(tile => (count += tile.owner === context.army ? 1 : 0));
+    }
+    return count;
+}
+
+/**
+ * The defaults shared by every commander of Dual Strike. It isn't exported, so it isn't a commander type itself.
+ */
+class DualStrikeCommander extends CommanderType {
+    eyes(context) {
+        return {};
+    }
+    faces(context) {
+        return {};
+    }
+    portraits(context) {
+        return {};
+    }
+    theme(context) {
+        return "";
+    }
+    power(context) {
+        return null;
+    }
+    superPower(context) {
+        return null;
+    }
+    modifiers(context) {
+        return [];
+    }
+}
+
+export class Andy extends DualStrikeCommander {
+    longName(context) {
+        return ["ANDY_COMMANDER_longname"];
+    }
+    shortName(context) {
+        return ["ANDY_COMMANDER_shortname"];
+    }
+    description(context) {
+        return ["ANDY_COMMANDER_description"];
+    }
+    powerMeter(context) {
+        return 6;
+    }
+    power(context) {
+        return createPower("ANDY_POWER", 3, [], { heal: 20 });
+    }
+    superPower(context) {
+        return createPower("ANDY_SUPER_POWER", 6, [stat("firepower", 10), stat("movementPoints", 1)], { heal: 50 });
+    }
+}
+
+export class Max extends DualStrikeCommander {
+    longName(context) {
+        return ["MAX_COMMANDER_longname"];
+    }
+    shortName(context) {
+        return ["MAX_COMMANDER_shortname"];
+    }
+    description(context) {
+        return ["MAX_COMMANDER_description"];
+    }
+    powerMeter(context) {
+        return 6;
+    }
+    power(context) {
+        return createPower(
+            "MAX_POWER",
+            3,
+            [
+                stat("firepower", 10, {}, { units: notDirectCombatUnits }),
+                stat("movementPoints", 1, {}, { units: notDirectCombatUnits }),
+            ],
+            {}
+        );
+    }
+    superPower(context) {
+        return createPower(
+            "MAX_SUPER_POWER",
+            6,
+            [
+                stat("firepower", 30, {}, { units: notDirectCombatUnits }),
+                stat("movementPoints", 2, {}, { units: notDirectCombatUnits }),
+            ],
+            {}
+        );
+    }
+    modifiers(context) {
+        return [
+            stat("firepower", 20, {}, { units: notDirectCombatUnits }),
+            stat("firepower", -10, { units: indirectUnits }),
+            range(-1, { units: indirectUnits }),
+        ];
+    }
+}
+
+export class Sami extends DualStrikeCommander {
+    longName(context) {
+        return ["SAMI_COMMANDER_longname"];
+    }
+    shortName(context) {
+        return ["SAMI_COMMANDER_shortname"];
+    }
+    description(context) {
+        return ["SAMI_COMMANDER_description"];
+    }
+    powerMeter(context) {
+        return 8;
+    }
+    power(context) {
+        return createPower(
+            "SAMI_POWER",
+            3,
+            [stat("firepower", 20, { units: footUnits }), stat("movementPoints", 1, { units: footUnits })],
+            {}
+        );
+    }
+    superPower(context) {
+        return createPower(
+            "SAMI_SUPER_POWER",
+            8,
+            [stat("firepower", 40, { units: footUnits }), stat("movementPoints", 2, { units: footUnits })],
+            {}
+        );
+    }
+    modifiers(context) {
+        return [
+            stat("firepower", 30, { units: footUnits }),
+            stat("firepower", -10, {}, { units: notDirectCombatUnits }),
+            stat("movementPoints", 1, { units: transportUnits }),
+        ];
+    }
+}
+
+export class Nell extends DualStrikeCommander {
+    longName(context) {
+        return ["NELL_COMMANDER_longname"];
+    }
+    shortName(context) {
+        return ["NELL_COMMANDER_shortname"];
+    }
+    description(context) {
+        return ["NELL_COMMANDER_description"];
+    }
+    powerMeter(context) {
+        return 6;
+    }
+    power(context) {
+        return createPower("NELL_POWER", 3, [stat("luck", 40)], {});
+    }
+    superPower(context) {
+        return createPower("NELL_SUPER_POWER", 6, [stat("luck", 80)], {});
+    }
+    modifiers(context) {
+        return [stat("luck", 10)];
+    }
+}
+
+export class Hachi extends DualStrikeCommander {
+    longName(context) {
+        return ["HACHI_COMMANDER_longname"];
+    }
+    shortName(context) {
+        return ["HACHI_COMMANDER_shortname"];
+    }
+    description(context) {
+        return ["HACHI_COMMANDER_description"];
+    }
+    powerMeter(context) {
+        return 5;
+    }
+    power(context) {
+        return createPower("HACHI_POWER", 3, [{ category: "Unit", field: "cost", multiply: 0.5 }], {});
+    }
+    superPower(context) {
+        return createPower("HACHI_SUPER_POWER", 5, [{ category: "Unit", field: "cost", multiply: 0.5 }], {});
+    }
+    modifiers(context) {
+        return [{ category: "Unit", field: "cost", multiply: 0.9 }];
+    }
+}
+
+export class Jake extends DualStrikeCommander {
+    longName(context) {
+        return ["JAKE_COMMANDER_longname"];
+    }
+    shortName(context) {
+        return ["JAKE_COMMANDER_shortname"];
+    }
+    description(context) {
+        return ["JAKE_COMMANDER_description"];
+    }
+    powerMeter(context) {
+        return 6;
+    }
+    power(context) {
+        return createPower(
+            "JAKE_POWER",
+            3,
+            [stat("firepower", 20, { terrains: ["Plains"] }), range(1, { units: groundIndirectUnits })],
+            {}
+        );
+    }
+    superPower(context) {
+        return createPower(
+            "JAKE_SUPER_POWER",
+            6,
+            [
+                stat("firepower", 40, { terrains: ["Plains"] }),
+                range(1, { units: groundIndirectUnits }),
+                stat("movementPoints", 2, { movements: vehicleMovements }),
+            ],
+            {}
+        );
+    }
+    modifiers(context) {
+        return [stat("firepower", 10, { terrains: ["Plains"] })];
+    }
+}
+
+export class Rachel extends DualStrikeCommander {
+    longName(context) {
+        return ["RACHEL_COMMANDER_longname"];
+    }
+    shortName(context) {
+        return ["RACHEL_COMMANDER_shortname"];
+    }
+    description(context) {
+        return ["RACHEL_COMMANDER_description"];
+    }
+    powerMeter(context) {
+        return 6;
+    }
+    power(context) {
+        return createPower("RACHEL_POWER", 3, [stat("luck", 30)], {});
+    }
+    superPower(context) {
+        return createPower("RACHEL_SUPER_POWER", 6, [], { damage: 30 });
+    }
+}
+
+export class Olaf extends DualStrikeCommander {
+    longName(context) {
+        return ["OLAF_COMMANDER_longname"];
+    }
+    shortName(context) {
+        return ["OLAF_COMMANDER_shortname"];
+    }
+    description(context) {
+        return ["OLAF_COMMANDER_description"];
+    }
+    powerMeter(context) {
+        return 7;
+    }
+    power(context) {
+        return createPower("OLAF_POWER", 3, [], { weather: "SnowWeather" });
+    }
+    superPower(context) {
+        return createPower("OLAF_SUPER_POWER", 7, [], { damage: 20, weather: "SnowWeather" });
+    }
+}
+
+export class Grit extends DualStrikeCommander {
+    longName(context) {
+        return ["GRIT_COMMANDER_longname"];
+    }
+    shortName(context) {
+        return ["GRIT_COMMANDER_shortname"];
+    }
+    description(context) {
+        return ["GRIT_COMMANDER_description"];
+    }
+    powerMeter(context) {
+        return 6;
+    }
+    power(context) {
+        return createPower(
+            "GRIT_POWER",
+            3,
+            [stat("firepower", 20, { units: indirectUnits }), range(1, { units: indirectUnits })],
+            {}
+        );
+    }
+    superPower(context) {
+        return createPower(
+            "GRIT_SUPER_POWER",
+            6,
+            [stat("firepower", 20, { units: indirectUnits }), range(2, { units: indirectUnits })],
+            {}
+        );
+    }
+    modifiers(context) {
+        return [
+            stat("firepower", 20, { units: indirectUnits }),
+            range(1, { units: indirectUnits }),
+            stat("firepower", -20, {}, { units: notDirectCombatUnits }),
+        ];
+    }
+}
+
+export class Colin extends DualStrikeCommander {
+    longName(context) {
+        return ["COLIN_COMMANDER_longname"];
+    }
+    shortName(context) {
+        return ["COLIN_COMMANDER_shortname"];
+    }
+    description(context) {
+        return ["COLIN_COMMANDER_description"];
+    }
+    powerMeter(context) {
+        return 6;
+    }
+    power(context) {
+        return createPower("COLIN_POWER", 2, [], { funds: 1.5 });
+    }
+    superPower(context) {
+        return createPower("COLIN_SUPER_POWER", 6, [stat("firepower", armyFunds(context) * 0.003)], {});
+    }
+    modifiers(context) {
+        return [{ category: "Unit", field: "cost", multiply: 0.8 }, stat("firepower", -10)];
+    }
+}
+
+export class Sasha extends DualStrikeCommander {
+    longName(context) {
+        return ["SASHA_COMMANDER_longname"];
+    }
+    shortName(context) {
+        return ["SASHA_COMMANDER_shortname"];
+    }
+    description(context) {
+        return ["SASHA_COMMANDER_description"];
+    }
+    powerMeter(context) {
+        return 6;
+    }
+    power(context) {
+        return createPower("SASHA_POWER", 2, [], {});
+    }
+    superPower(context) {
+        return createPower("SASHA_SUPER_POWER", 6, [], { funds: 1.5 });
+    }
+    modifiers(context) {
+        return [{ category: "Tile", field: "income", multiply: 1.1 }];
+    }
+}
+
+export class Eagle extends DualStrikeCommander {
+    longName(context) {
+        return ["EAGLE_COMMANDER_longname"];
+    }
+    shortName(context) {
+        return ["EAGLE_COMMANDER_shortname"];
+    }
+    description(context) {
+        return ["EAGLE_COMMANDER_description"];
+    }
+    powerMeter(context) {
+        return 9;
+    }
+    power(context) {
+        return createPower(
+            "EAGLE_POWER",
+            3,
+            [stat("firepower", 5, { movements: ["Air"] }), stat("defense", 10, { movements: ["Air"] })],
+            {}
+        );
+    }
+    superPower(context) {
+        return createPower(
+            "EAGLE_SUPER_POWER",
+            9,
+            [
+                stat("firepower", 15, { movements: ["Air"] }),
+                stat("defense", 20, { movements: ["Air"] }),
+                stat("movementPoints", 1, { movements: ["Air"] }),
+            ],
+            {}
+        );
+    }
+    modifiers(context) {
+        return [
+            stat("firepower", 15, { movements: ["Air"] }),
+            stat("defense", 10, { movements: ["Air"] }),
+            stat("firepower", -10, { movements: navalMovements }),
+        ];
+    }
+}
+
+export class Drake extends DualStrikeCommander {
+    longName(context) {
+        return ["DRAKE_COMMANDER_longname"];
+    }
+    shortName(context) {
+        return ["DRAKE_COMMANDER_shortname"];
+    }
+    description(context) {
+        return ["DRAKE_COMMANDER_description"];
+    }
+    powerMeter(context) {
+        return 7;
+    }
+    power(context) {
+        return createPower("DRAKE_POWER", 4, [], { damage: 10 });
+    }
+    superPower(context) {
+        return createPower("DRAKE_SUPER_POWER", 7, [], { damage: 20, weather: "RainWeather" });
+    }
+    modifiers(context) {
+        return [
+            stat("movementPoints", 1, { movements: navalMovements }),
+            stat("defense", 25, { movements: navalMovements }),
+            stat("firepower", -30, { movements: ["Air"] }),
+        ];
+    }
+}
+
+export class Jess extends DualStrikeCommander {
+    longName(context) {
+        return ["JESS_COMMANDER_longname"];
+    }
+    shortName(context) {
+        return ["JESS_COMMANDER_shortname"];
+    }
+    description(context) {
+        return ["JESS_COMMANDER_description"];
+    }
+    powerMeter(context) {
+        return 6;
+    }
+    power(context) {
+        return createPower(
+            "JESS_POWER",
+            3,
+            [
+                stat("firepower", 10, { movements: vehicleMovements }),
+                stat("movementPoints", 1, { movements: vehicleMovements }),
+            ],
+            {}
+        );
+    }
+    superPower(context) {
+        return createPower(
+            "JESS_SUPER_POWER",
+            6,
+            [
+                stat("firepower", 30, { movements: vehicleMovements }),
+                stat("movementPoints", 2, { movements: vehicleMovements }),
+            ],
+            {}
+        );
+    }
+    modifiers(context) {
+        return [
+            stat("firepower", 10, { movements: vehicleMovements }),
+            stat("firepower", -10, {}, { movements: vehicleMovements }),
+        ];
+    }
+}
+
+export class Javier extends DualStrikeCommander {
+    longName(context) {
+        return ["JAVIER_COMMANDER_longname"];
+    }
+    shortName(context) {
+        return ["JAVIER_COMMANDER_shortname"];
+    }
+    description(context) {
+        return ["JAVIER_COMMANDER_description"];
+    }
+    powerMeter(context) {
+        return 6;
+    }
+    power(context) {
+        return createPower("JAVIER_POWER", 3, [stat("defense", 10)], {});
+    }
+    superPower(context) {
+        return createPower("JAVIER_SUPER_POWER", 6, [stat("defense", 30)], {});
+    }
+    modifiers(context) {
+        return [stat("defense", 10)];
+    }
+}
+
+export class Kanbei extends DualStrikeCommander {
+    longName(context) {
+        return ["KANBEI_COMMANDER_longname"];
+    }
+    shortName(context) {
+        return ["KANBEI_COMMANDER_shortname"];
+    }
+    description(context) {
+        return ["KANBEI_COMMANDER_description"];
+    }
+    powerMeter(context) {
+        return 7;
+    }
+    power(context) {
+        return createPower("KANBEI_POWER", 4, [stat("firepower", 20)], {});
+    }
+    superPower(context) {
+        return createPower("KANBEI_SUPER_POWER", 7, [stat("firepower", 20), stat("defense", 30)], {});
+    }
+    modifiers(context) {
+        return [stat("firepower", 20), stat("defense", 20), { category: "Unit", field: "cost", multiply: 1.2 }];
+    }
+}
+
+export class Sonja extends DualStrikeCommander {
+    longName(context) {
+        return ["SONJA_COMMANDER_longname"];
+    }
+    shortName(context) {
+        return ["SONJA_COMMANDER_shortname"];
+    }
+    description(context) {
+        return ["SONJA_COMMANDER_description"];
+    }
+    powerMeter(context) {
+        return 5;
+    }
+    power(context) {
+        return createPower("SONJA_POWER", 3, [stat("vision", 1)], {});
+    }
+    superPower(context) {
+        return createPower("SONJA_SUPER_POWER", 5, [stat("vision", 2)], {});
+    }
+    modifiers(context) {
+        return [stat("vision", 1), stat("badLuck", 10)];
+    }
+}
+
+export class Sensei extends DualStrikeCommander {
+    longName(context) {
+        return ["SENSEI_COMMANDER_longname"];
+    }
+    shortName(context) {
+        return ["SENSEI_COMMANDER_shortname"];
+    }
+    description(context) {
+        return ["SENSEI_COMMANDER_description"];
+    }
+    powerMeter(context) {
+        return 6;
+    }
+    power(context) {
+        return createPower("SENSEI_POWER", 2, [stat("firepower", 15, { units: copterUnits })], {});
+    }
+    superPower(context) {
+        return createPower(
+            "SENSEI_SUPER_POWER",
+            6,
+            [stat("firepower", 15, { units: copterUnits }), stat("firepower", 15, { units: footUnits })],
+            {}
+        );
+    }
+    modifiers(context) {
+        return [
+            stat("firepower", 50, { units: copterUnits }),
+            stat("firepower", 40, { units: footUnits }),
+            stat("firepower", -10, {}, { units: [...copterUnits, ...footUnits] }),
+        ];
+    }
+}
+
+export class Grimm extends DualStrikeCommander {
+    longName(context) {
+        return ["GRIMM_COMMANDER_longname"];
+    }
+    shortName(context) {
+        return ["GRIMM_COMMANDER_shortname"];
+    }
+    description(context) {
+        return ["GRIMM_COMMANDER_description"];
+    }
+    powerMeter(context) {
+        return 6;
+    }
+    power(context) {
+        return createPower("GRIMM_POWER", 3, [stat("firepower", 30)], {});
+    }
+    superPower(context) {
+        return createPower("GRIMM_SUPER_POWER", 6, [stat("firepower", 60)], {});
+    }
+    modifiers(context) {
+        return [stat("firepower", 30), stat("defense", -20)];
+    }
+}
+
+export class Flak extends DualStrikeCommander {
+    longName(context) {
+        return ["FLAK_COMMANDER_longname"];
+    }
+    shortName(context) {
+        return ["FLAK_COMMANDER_shortname"];
+    }
+    description(context) {
+        return ["FLAK_COMMANDER_description"];
+    }
+    powerMeter(context) {
+        return 6;
+    }
+    power(context) {
+        return createPower("FLAK_POWER", 3, [stat("luck", 15), stat("badLuck", 10)], {});
+    }
+    superPower(context) {
+        return createPower("FLAK_SUPER_POWER", 6, [stat("luck", 40), stat("badLuck", 30)], {});
+    }
+    modifiers(context) {
+        return [stat("luck", 15), stat("badLuck", 10)];
+    }
+}
+
+export class Lash extends DualStrikeCommander {
+    longName(context) {
+        return ["LASH_COMMANDER_longname"];
+    }
+    shortName(context) {
+        return ["LASH_COMMANDER_shortname"];
+    }
+    description(context) {
+        return ["LASH_COMMANDER_description"];
+    }
+    powerMeter(context) {
+        return 7;
+    }
+    power(context) {
+        return createPower("LASH_POWER", 4, [stat("movementPoints", 1)], {});
+    }
+    superPower(context) {
+        return createPower("LASH_SUPER_POWER", 7, [stat("defense", 20)], {});
+    }
+    modifiers(context) {
+        return [
+            stat("firepower", 10, { terrains: ["Plains", "Reef"] }),
+            stat("firepower", 20, { terrains: ["Woods"] }),
+            stat("firepower", 30, { terrains: ["Property", "Factory", "Harbour"] }),
+            stat("firepower", 40, { terrains: ["Mountain", "Headquarters"] }),
+        ];
+    }
+}
+
+export class Adder extends DualStrikeCommander {
+    longName(context) {
+        return ["ADDER_COMMANDER_longname"];
+    }
+    shortName(context) {
+        return ["ADDER_COMMANDER_shortname"];
+    }
+    description(context) {
+        return ["ADDER_COMMANDER_description"];
+    }
+    powerMeter(context) {
+        return 5;
+    }
+    power(context) {
+        return createPower("ADDER_POWER", 2, [stat("movementPoints", 1)], {});
+    }
+    superPower(context) {
+        return createPower("ADDER_SUPER_POWER", 5, [stat("movementPoints", 2)], {});
+    }
+}
+
+export class Hawke extends DualStrikeCommander {
+    longName(context) {
+        return ["HAWKE_COMMANDER_longname"];
+    }
+    shortName(context) {
+        return ["HAWKE_COMMANDER_shortname"];
+    }
+    description(context) {
+        return ["HAWKE_COMMANDER_description"];
+    }
+    powerMeter(context) {
+        return 9;
+    }
+    power(context) {
+        return createPower("HAWKE_POWER", 5, [], { heal: 10, damage: 10 });
+    }
+    superPower(context) {
+        return createPower("HAWKE_SUPER_POWER", 9, [], { heal: 20, damage: 20 });
+    }
+    modifiers(context) {
+        return [stat("firepower", 10)];
+    }
+}
+
+export class Sturm extends DualStrikeCommander {
+    longName(context) {
+        return ["STURM_COMMANDER_longname"];
+    }
+    shortName(context) {
+        return ["STURM_COMMANDER_shortname"];
+    }
+    description(context) {
+        return ["STURM_COMMANDER_description"];
+    }
+    powerMeter(context) {
+        return 10;
+    }
+    power(context) {
+        return createPower("STURM_POWER", 6, [], { damage: 40 });
+    }
+    superPower(context) {
+        return createPower("STURM_SUPER_POWER", 10, [], { damage: 80 });
+    }
+    modifiers(context) {
+        return [stat("firepower", 20), stat("defense", 20)];
+    }
+}
+
+export class Jugger extends DualStrikeCommander {
+    longName(context) {
+        return ["JUGGER_COMMANDER_longname"];
+    }
+    shortName(context) {
+        return ["JUGGER_COMMANDER_shortname"];
+    }
+    description(context) {
+        return ["JUGGER_COMMANDER_description"];
+    }
+    powerMeter(context) {
+        return 7;
+    }
+    power(context) {
+        return createPower("JUGGER_POWER", 3, [stat("luck", 25), stat("badLuck", 10)], {});
+    }
+    superPower(context) {
+        return createPower("JUGGER_SUPER_POWER", 7, [stat("luck", 45), stat("badLuck", 20)], {});
+    }
+    modifiers(context) {
+        return [stat("luck", 20), stat("badLuck", 15)];
+    }
+}
+
+export class Koal extends DualStrikeCommander {
+    longName(context) {
+        return ["KOAL_COMMANDER_longname"];
+    }
+    shortName(context) {
+        return ["KOAL_COMMANDER_shortname"];
+    }
+    description(context) {
+        return ["KOAL_COMMANDER_description"];
+    }
+    powerMeter(context) {
+        return 5;
+    }
+    power(context) {
+        return createPower(
+            "KOAL_POWER",
+            3,
+            [stat("movementPoints", 1), stat("firepower", 10, { terrains: ["Road", "Bridge"] })],
+            {}
+        );
+    }
+    superPower(context) {
+        return createPower(
+            "KOAL_SUPER_POWER",
+            5,
+            [stat("movementPoints", 2), stat("firepower", 20, { terrains: ["Road", "Bridge"] })],
+            {}
+        );
+    }
+    modifiers(context) {
+        return [stat("firepower", 10, { terrains: ["Road", "Bridge"] })];
+    }
+}
+
+export class Kindle extends DualStrikeCommander {
+    longName(context) {
+        return ["KINDLE_COMMANDER_longname"];
+    }
+    shortName(context) {
+        return ["KINDLE_COMMANDER_shortname"];
+    }
+    description(context) {
+        return ["KINDLE_COMMANDER_description"];
+    }
+    powerMeter(context) {
+        return 6;
+    }
+    power(context) {
+        return createPower("KINDLE_POWER", 3, [stat("firepower", 40, { terrains: urbanTerrains })], {
+            damage: 30,
+            where: { terrains: urbanTerrains },
+        });
+    }
+    superPower(context) {
+        return createPower("KINDLE_SUPER_POWER", 6, [stat("firepower", 3 * ownedProperties(context))], {});
+    }
+    modifiers(context) {
+        return [stat("firepower", 40, { terrains: urbanTerrains })];
+    }
+}
+
+export class VonBolt extends DualStrikeCommander {
+    longName(context) {
+        return ["VON_BOLT_COMMANDER_longname"];
+    }
+    shortName(context) {
+        return ["VON_BOLT_COMMANDER_shortname"];
+    }
+    description(context) {
+        return ["VON_BOLT_COMMANDER_description"];
+    }
+    powerMeter(context) {
+        return 10;
+    }
+    superPower(context) {
+        return createPower("VON_BOLT_SUPER_POWER", 10, [], { damage: 30 });
+    }
+    modifiers(context) {
+        return [stat("firepower", 10), stat("defense", 10)];
+    }
+}
@@ -31,6 +31,9 @@ export class OrangeStar extends FactionType {
     defaultTurnOrder(context) {
         return 100;
     }
+    unitCap(context) {
+        return 50;
+    }
 }
 
 export class BlueMoon extends FactionType {
@@ -59,6 +62,9 @@ export class BlueMoon extends FactionType {
     defaultTurnOrder(context) {
         return 200;
     }
+    unitCap(context) {
+        return 50;
+    }
 }
 
 export class GreenEarth extends FactionType {
@@ -87,6 +93,9 @@ export class GreenEarth extends FactionType {
     defaultTurnOrder(context) {
         return 300;
     }
+    unitCap(context) {
+        return 50;
+    }
 }
 
 export class YellowComet extends FactionType {
@@ -115,6 +124,9 @@ export class YellowComet extends FactionType {
     defaultTurnOrder(context) {
         return 400;
     }
+    unitCap(context) {
+        return 50;
+    }
 }
 
 export class BlackHole extends FactionType {
@@ -143,6 +155,9 @@ export class BlackHole extends FactionType {
     defaultTurnOrder(context) {
         return 500;
     }
+    unitCap(context) {
+        return 50;
+    }
 }
 
 export class TwelfthBattalion extends FactionType {
@@ -171,6 +186,9 @@ export class TwelfthBattalion extends FactionType {
     defaultTurnOrder(context) {
         return 150;
     }
+    unitCap(context) {
+        return 50;
+    }
 }
 
 export class LazurianArmy extends FactionType {
@@ -199,17 +217,20 @@ export class LazurianArmy extends FactionType {
     defaultTurnOrder(context) {
         return 250;
     }
+    unitCap(context) {
+        return 50;
+    }
 }
 
 export class NewRubinelleArmy extends FactionType {
     longName(context) {
-        return ["NEW_RUBINELLE_ARMY_longname"];
+        return ["NEW_RUBINELLE_longname"];
     }
     shortName(context) {
-        return ["NEW_RUBINELLE_ARMY_shortname"];
+        return ["NEW_RUBINELLE_shortname"];
     }
     description(context) {
-        return ["NEW_RUBINELLE_ARMY_description"];
+        return ["NEW_RUBINELLE_description"];
     }
     icon(context) {
         return {};
@@ -227,6 +248,9 @@ export class NewRubinelleArmy extends FactionType {
     defaultTurnOrder(context) {
         return 350;
     }
+    unitCap(context) {
+        return 50;
+    }
 }
 
 export class IntelligentDefenseSystems extends FactionType {
@@ -255,6 +279,9 @@ export class IntelligentDefenseSystems extends FactionType {
     defaultTurnOrder(context) {
         return 450;
     }
+    unitCap(context) {
+        return 50;
+    }
 }
 
 export class BanditRaiders extends FactionType {
@@ -283,4 +310,7 @@ export class BanditRaiders extends FactionType {
     defaultTurnOrder(context) {
         return 550;
     }
+    unitCap(context) {
+        return 50;
+    }
 }
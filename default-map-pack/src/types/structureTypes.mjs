@@ -0,0 +1,380 @@
+/**
+ * @file structureTypes.mjs
+ * Defines all the structures of Advance Wars: Dual Strike.
+ */
+
+import StructureType from "#src/types/structureType.mjs";
+
+/**
+ * Builds the dependent tiles of a structure.
+ * @param {Array<import("#src/types/objectType.mjs").Coordinate>} offsets The offset of each dependent tile.
+ * @returns {Array<import("#src/types/structureType.mjs").DependentTile>} The dependent tiles.
+ */
+function parts(offsets) {
+    return offsets.map(offset => ({
+        offset: offset,
+        tile: "StructurePart",
+        destroyed: "StructureRubble",
+        deleted: "Plains",
+    }));
+}
+
+/**
+ * Lists every tile within a range of distances from a tile.
+ * @param {Number} min The closest tiles to include.
+ * @param {Number} max The furthest tiles to include.
+ * @returns {Array<import("#src/types/objectType.mjs").Coordinate>} The offset of each tile.
+ */
+function diamond(min, max) {
+    const offsets = [];
+    for (let y = -max; y <= max; ++y) {
+        for (let x = -max; x <= max; ++x) {
+            const distance = Math.abs(x) + Math.abs(y);
+            if (distance >= min && distance <= max) {
+                offsets.push({ x: x, y: y });
+            }
+        }
+    }
+    return offsets;
+}
+
+/**
+ * Lists every tile within a fan that widens by one tile to either side for each tile further away it gets.
+ * @param {import("#src/types/objectType.mjs").Coordinate} origin The tile the fan starts from, which isn't included.
+ * @param {import("#src/types/objectType.mjs").Coordinate} direction The direction the fan faces, e.g. { x: 0, y: -1 }
+ *        for north.
+ * @param {Number} reach How many tiles away from the origin the fan goes.
+ * @returns {Array<import("#src/types/objectType.mjs").Coordinate>} The offset of each tile.
+ */
+function fan(origin, direction, reach) {
+    const offsets = [];
+    for (let distance = 1; distance <= reach; ++distance) {
+        for (let side = 1 - distance; side < distance; ++side) {
+            offsets.push({
+                x: origin.x + direction.x * distance + direction.y * side,
+                y: origin.y + direction.y * distance + direction.x * side,
+            });
+        }
+    }
+    return offsets;
+}
+
+/**
+ * Lists every tile in a straight line to the north, east, south and west of a tile.
+ * @param {Number} reach How many tiles long each line is.
+ * @returns {Array<import("#src/types/objectType.mjs").Coordinate>} The offset of each tile.
+ */
+function lines(reach) {
+    const offsets = [];
+    for (let distance = 1; distance <= reach; ++distance) {
+        offsets.push({ x: 0, y: -distance }, { x: distance, y: 0 }, { x: 0, y: distance }, { x: -distance, y: 0 });
+    }
+    return offsets;
+}
+
+/**
+ * The defaults shared by every structure of Dual Strike. It isn't exported, so it isn't a structure type itself.
+ * Most structures can be attacked at their root tile, and are left as rubble when they are destroyed.
+ */
+class DualStrikeStructure extends StructureType {
+    icon(context) {
+        return {};
+    }
+    root(context) {
+        return { tile: "StructureCore", destroyed: "StructureRubble", deleted: "Plains" };
+    }
+    dependents(context) {
+        return [];
+    }
+    keepUnitsWhenPainted(context) {
+        return false;
+    }
+    destroyed(context) {
+        return {
+            longName: ["DESTROYED_STRUCTURE_longname"],
+            shortName: ["DESTROYED_STRUCTURE_shortname"],
+            description: ["DESTROYED_STRUCTURE_description"],
+            icon: {},
+        };
+    }
+    attack(context) {
+        return null;
+    }
+}
+
+/**
+ * The fields shared by both Black Cannons, whichever way they face.
+ * Each turn, a Black Cannon fires at the strongest enemy unit in front of it.
+ */
+class BlackCannon extends DualStrikeStructure {
+    longName(context) {
+        return ["BLACK_CANNON_STRUCTURE_longname"];
+    }
+    shortName(context) {
+        return ["BLACK_CANNON_STRUCTURE_shortname"];
+    }
+    description(context) {
+        return ["BLACK_CANNON_STRUCTURE_description"];
+    }
+}
+
+export class BlackCannonN extends BlackCannon {
+    dependents(context) {
+        return parts([
+            { x: -1, y: 0 },
+            { x: 1, y: 0 },
+            { x: -1, y: -1 },
+            { x: 0, y: -1 },
+            { x: 1, y: -1 },
+            { x: -1, y: -2 },
+            { x: 0, y: -2 },
+            { x: 1, y: -2 },
+        ]);
+    }
+    attack(context) {
+        return {
+            trigger: "turn",
+            targets: "enemies",
+            aim: "strongest",
+            damage: 30,
+            area: fan({ x: 0, y: -2 }, { x: 0, y: -1 }, 8),
+        };
+    }
+}
+
+export class BlackCannonS extends BlackCannon {
+    dependents(context) {
+        return parts([
+            { x: -1, y: 0 },
+            { x: 1, y: 0 },
+            { x: -1, y: 1 },
+            { x: 0, y: 1 },
+            { x: 1, y: 1 },
+            { x: -1, y: 2 },
+            { x: 0, y: 2 },
+            { x: 1, y: 2 },
+        ]);
+    }
+    attack(context) {
+        return {
+            trigger: "turn",
+            targets: "enemies",
+            aim: "strongest",
+            damage: 30,
+            area: fan({ x: 0, y: 2 }, { x: 0, y: 1 }, 8),
+        };
+    }
+}
+
+/**
+ * Each turn, the Giant Cannon fires at the strongest enemy unit around it, whichever way it is.
+ */
+export class GiantCannon extends DualStrikeStructure {
+    longName(context) {
+        return ["GIANT_CANNON_STRUCTURE_longname"];
+    }
+    shortName(context) {
+        return ["GIANT_CANNON_STRUCTURE_shortname"];
+    }
+    description(context) {
+        return ["GIANT_CANNON_STRUCTURE_description"];
+    }
+    dependents(context) {
+        return parts([
+            { x: -1, y: -1 },
+            { x: 0, y: -1 },
+            { x: 1, y: -1 },
+            { x: -1, y: 0 },
+            { x: 1, y: 0 },
+            { x: -1, y: 1 },
+            { x: 0, y: 1 },
+            { x: 1, y: 1 },
+        ]);
+    }
+    attack(context) {
+        return {
+            trigger: "turn",
+            targets: "enemies",
+            aim: "strongest",
+            damage: 50,
+            area: diamond(3, 10),
+        };
+    }
+}
+
+/**
+ * Each turn, the Laser fires in straight lines to the edges of the map, hitting every unit in its way.
+ */
+export class Laser extends DualStrikeStructure {
+    longName(context) {
+        return ["LASER_STRUCTURE_longname"];
+    }
+    shortName(context) {
+        return ["LASER_STRUCTURE_shortname"];
+    }
+    description(context) {
+        return ["LASER_STRUCTURE_description"];
+    }
+    attack(context) {
+        return {
+            trigger: "turn",
+            targets: "everyone",
+            aim: "all",
+            damage: 50,
+            area: lines(context.map ? Math.max(context.map.width, context.map.height) : 0),
+        };
+    }
+}
+
+/**
+ * The fields shared by every Minicannon, whichever way it faces.
+ * Each turn, a Minicannon fires at the strongest enemy unit in front of it.
+ */
+class Minicannon extends DualStrikeStructure {
+    longName(context) {
+        return ["MINICANNON_STRUCTURE_longname"];
+    }
+    shortName(context) {
+        return ["MINICANNON_STRUCTURE_shortname"];
+    }
+    description(context) {
+        return ["MINICANNON_STRUCTURE_description"];
+    }
+}
+
+export class MinicannonN extends Minicannon {
+    attack(context) {
+        return {
+            trigger: "turn",
+            targets: "enemies",
+            aim: "strongest",
+            damage: 10,
+            area: fan({ x: 0, y: 0 }, { x: 0, y: -1 }, 3),
+        };
+    }
+}
+
+export class MinicannonE extends Minicannon {
+    attack(context) {
+        return {
+            trigger: "turn",
+            targets: "enemies",
+            aim: "strongest",
+            damage: 10,
+            area: fan({ x: 0, y: 0 }, { x: 1, y: 0 }, 3),
+        };
+    }
+}
+
+export class MinicannonS extends Minicannon {
+    attack(context) {
+        return {
+            trigger: "turn",
+            targets: "enemies",
+            aim: "strongest",
+            damage: 10,
+            area: fan({ x: 0, y: 0 }, { x: 0, y: 1 }, 3),
+        };
+    }
+}
+
+export class MinicannonW extends Minicannon {
+    attack(context) {
+        return {
+            trigger: "turn",
+            targets: "enemies",
+            aim: "strongest",
+            damage: 10,
+            area: fan({ x: 0, y: 0 }, { x: -1, y: 0 }, 3),
+        };
+    }
+}
+
+/**
+ * Each turn, the Black Obelisk repairs every allied unit near it.
+ */
+export class BlackObelisk extends DualStrikeStructure {
+    longName(context) {
+        return ["BLACK_OBELISK_STRUCTURE_longname"];
+    }
+    shortName(context) {
+        return ["BLACK_OBELISK_STRUCTURE_shortname"];
+    }
+    description(context) {
+        return ["BLACK_OBELISK_STRUCTURE_description"];
+    }
+    attack(context) {
+        return { trigger: "turn", targets: "allies", aim: "all", damage: -20, area: diamond(1, 3) };
+    }
+}
+
+/**
+ * A Missile Silo can be launched once by any infantry unit standing on it, and is emptied rather than destroyed.
+ */
+export class MissileSilo extends DualStrikeStructure {
+    longName(context) {
+        return ["MISSILE_SILO_TILE_longname"];
+    }
+    shortName(context) {
+        return ["MISSILE_SILO_TILE_shortname"];
+    }
+    description(context) {
+        return ["MISSILE_SILO_TILE_description"];
+    }
+    root(context) {
+        return { tile: "MissileSilo", destroyed: "EmptyMissileSilo", deleted: "Plains" };
+    }
+    keepUnitsWhenPainted(context) {
+        return true;
+    }
+    destroyed(context) {
+        return {
+            longName: ["EMPTY_MISSILE_SILO_TILE_longname"],
+            shortName: ["EMPTY_MISSILE_SILO_TILE_shortname"],
+            description: ["EMPTY_MISSILE_SILO_TILE_description"],
+            icon: {},
+        };
+    }
+    attack(context) {
+        return { trigger: "unit", targets: "everyone", aim: "all", damage: 30, area: diamond(0, 2) };
+    }
+}
+
+/**
+ * Each turn, the Volcano erupts, raining fire down on every unit around it. It can't be destroyed.
+ */
+export class Volcano extends DualStrikeStructure {
+    longName(context) {
+        return ["VOLCANO_STRUCTURE_longname"];
+    }
+    shortName(context) {
+        return ["VOLCANO_STRUCTURE_shortname"];
+    }
+    description(context) {
+        return ["VOLCANO_STRUCTURE_description"];
+    }
+    root(context) {
+        return { tile: "StructurePart", destroyed: "StructurePart", deleted: "Plains" };
+    }
+    dependents(context) {
+        return parts([
+            { x: -1, y: -1 },
+            { x: 0, y: -1 },
+            { x: 1, y: -1 },
+            { x: -1, y: 0 },
+            { x: 1, y: 0 },
+            { x: -1, y: 1 },
+            { x: 0, y: 1 },
+            { x: 1, y: 1 },
+        ]).map(dependent => ({ ...dependent, destroyed: "StructurePart" }));
+    }
+    attack(context) {
+        return {
+            trigger: "turn",
+            targets: "everyone",
+            aim: "all",
+            damage: 30,
+            area: diamond(3, 5),
+        };
+    }
+}
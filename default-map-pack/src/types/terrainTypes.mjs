@@ -1,11 +1,23 @@
 /**
  * @file terrainTypes.mjs
- * Defines all the terrains of Advance Wars.
+ * Defines all the terrains of Advance Wars: Dual Strike.
  */
 
-import TerrainType from "#src/types/terrainType.mjs";
+import TerrainType, { impassable } from "#src/types/terrainType.mjs";
 
-export class Plains extends TerrainType {
+/**
+ * The defaults shared by every terrain of Dual Strike. It isn't exported, so it isn't a terrain type itself.
+ */
+class DualStrikeTerrain extends TerrainType {
+    visionBonus(context) {
+        return 0;
+    }
+    hidesUnits(context) {
+        return false;
+    }
+}
+
+export class Plains extends DualStrikeTerrain {
     longName(context) {
         return ["PLAINS_TERRAIN_longname"];
     }
@@ -15,9 +27,51 @@ export class Plains extends TerrainType {
     description(context) {
         return ["PLAINS_TERRAIN_description"];
     }
+    defense(context) {
+        return 1;
+    }
+    movementCost(context) {
+        if (context.weathers.includes("SnowWeather")) {
+            return {
+                InfantryFeet: 2,
+                MechFeet: 1,
+                Tires: 4,
+                Treads: 2,
+                Air: 2,
+                Pipeline: impassable,
+                Ships: impassable,
+                Transport: impassable,
+                Slime: 1,
+            };
+        }
+        if (context.weathers.includes("RainWeather")) {
+            return {
+                InfantryFeet: 1,
+                MechFeet: 1,
+                Tires: 3,
+                Treads: 2,
+                Air: 1,
+                Pipeline: impassable,
+                Ships: impassable,
+                Transport: impassable,
+                Slime: 1,
+            };
+        }
+        return {
+            InfantryFeet: 1,
+            MechFeet: 1,
+            Tires: 2,
+            Treads: 1,
+            Air: 1,
+            Pipeline: impassable,
+            Ships: impassable,
+            Transport: impassable,
+            Slime: 1,
+        };
+    }
 }
 
-export class Sea extends TerrainType {
+export class Sea extends DualStrikeTerrain {
     longName(context) {
         return ["SEA_TERRAIN_longname"];
     }
@@ -27,9 +81,38 @@ export class Sea extends TerrainType {
     description(context) {
         return ["SEA_TERRAIN_description"];
     }
+    defense(context) {
+        return 0;
+    }
+    movementCost(context) {
+        if (context.weathers.includes("SnowWeather")) {
+            return {
+                InfantryFeet: impassable,
+                MechFeet: impassable,
+                Tires: impassable,
+                Treads: impassable,
+                Air: 2,
+                Pipeline: impassable,
+                Ships: 2,
+                Transport: 2,
+                Slime: impassable,
+            };
+        }
+        return {
+            InfantryFeet: impassable,
+            MechFeet: impassable,
+            Tires: impassable,
+            Treads: impassable,
+            Air: 1,
+            Pipeline: impassable,
+            Ships: 1,
+            Transport: 1,
+            Slime: impassable,
+        };
+    }
 }
 
-export class Road extends TerrainType {
+export class Road extends DualStrikeTerrain {
     longName(context) {
         return ["ROAD_TERRAIN_longname"];
     }
@@ -39,9 +122,38 @@ export class Road extends TerrainType {
     description(context) {
         return ["ROAD_TERRAIN_description"];
     }
+    defense(context) {
+        return 0;
+    }
+    movementCost(context) {
+        if (context.weathers.includes("SnowWeather")) {
+            return {
+                InfantryFeet: 1,
+                MechFeet: 1,
+                Tires: 1,
+                Treads: 1,
+                Air: 2,
+                Pipeline: impassable,
+                Ships: impassable,
+                Transport: impassable,
+                Slime: 1,
+            };
+        }
+        return {
+            InfantryFeet: 1,
+            MechFeet: 1,
+            Tires: 1,
+            Treads: 1,
+            Air: 1,
+            Pipeline: impassable,
+            Ships: impassable,
+            Transport: impassable,
+            Slime: 1,
+        };
+    }
 }
 
-export class Bridge extends TerrainType {
+export class Bridge extends DualStrikeTerrain {
     longName(context) {
         return ["BRIDGE_TERRAIN_longname"];
     }
@@ -51,9 +163,38 @@ export class Bridge extends TerrainType {
     description(context) {
         return ["BRIDGE_TERRAIN_description"];
     }
+    defense(context) {
+        return 0;
+    }
+    movementCost(context) {
+        if (context.weathers.includes("SnowWeather")) {
+            return {
+                InfantryFeet: 1,
+                MechFeet: 1,
+                Tires: 1,
+                Treads: 1,
+                Air: 2,
+                Pipeline: impassable,
+                Ships: impassable,
+                Transport: impassable,
+                Slime: 1,
+            };
+        }
+        return {
+            InfantryFeet: 1,
+            MechFeet: 1,
+            Tires: 1,
+            Treads: 1,
+            Air: 1,
+            Pipeline: impassable,
+            Ships: impassable,
+            Transport: impassable,
+            Slime: 1,
+        };
+    }
 }
 
-export class Mountain extends TerrainType {
+export class Mountain extends DualStrikeTerrain {
     longName(context) {
         return ["MOUNTAIN_TERRAIN_longname"];
     }
@@ -63,9 +204,42 @@ export class Mountain extends TerrainType {
     description(context) {
         return ["MOUNTAIN_TERRAIN_description"];
     }
+    defense(context) {
+        return 4;
+    }
+    movementCost(context) {
+        if (context.weathers.includes("SnowWeather")) {
+            return {
+                InfantryFeet: 4,
+                MechFeet: 2,
+                Tires: impassable,
+                Treads: impassable,
+                Air: 2,
+                Pipeline: impassable,
+                Ships: impassable,
+                Transport: impassable,
+                Slime: 1,
+            };
+        }
+        return {
+            InfantryFeet: 2,
+            MechFeet: 1,
+            Tires: impassable,
+            Treads: impassable,
+            Air: 1,
+            Pipeline: impassable,
+            Ships: impassable,
+            Transport: impassable,
+            Slime: 1,
+        };
+    }
+    visionBonus(context) {
+        // Only the ground units on a mountain can see further.
+        return context.movements.includes("Air") ? 0 : 3;
+    }
 }
 
-export class Woods extends TerrainType {
+export class Woods extends DualStrikeTerrain {
     longName(context) {
         return ["WOODS_TERRAIN_longname"];
     }
@@ -75,9 +249,54 @@ export class Woods extends TerrainType {
     description(context) {
         return ["WOODS_TERRAIN_description"];
     }
+    defense(context) {
+        return 2;
+    }
+    movementCost(context) {
+        if (context.weathers.includes("SnowWeather")) {
+            return {
+                InfantryFeet: 2,
+                MechFeet: 1,
+                Tires: 3,
+                Treads: 2,
+                Air: 2,
+                Pipeline: impassable,
+                Ships: impassable,
+                Transport: impassable,
+                Slime: 1,
+            };
+        }
+        if (context.weathers.includes("RainWeather")) {
+            return {
+                InfantryFeet: 1,
+                MechFeet: 1,
+                Tires: 4,
+                Treads: 3,
+                Air: 1,
+                Pipeline: impassable,
+                Ships: impassable,
+                Transport: impassable,
+                Slime: 1,
+            };
+        }
+        return {
+            InfantryFeet: 1,
+            MechFeet: 1,
+            Tires: 3,
+            Treads: 2,
+            Air: 1,
+            Pipeline: impassable,
+            Ships: impassable,
+            Transport: impassable,
+            Slime: 1,
+        };
+    }
+    hidesUnits(context) {
+        return true;
+    }
 }
 
-export class River extends TerrainType {
+export class River extends DualStrikeTerrain {
     longName(context) {
         return ["RIVER_TERRAIN_longname"];
     }
@@ -87,9 +306,38 @@ export class River extends TerrainType {
     description(context) {
         return ["RIVER_TERRAIN_description"];
     }
+    defense(context) {
+        return 0;
+    }
+    movementCost(context) {
+        if (context.weathers.includes("SnowWeather")) {
+            return {
+                InfantryFeet: 2,
+                MechFeet: 1,
+                Tires: impassable,
+                Treads: impassable,
+                Air: 2,
+                Pipeline: impassable,
+                Ships: impassable,
+                Transport: impassable,
+                Slime: impassable,
+            };
+        }
+        return {
+            InfantryFeet: 2,
+            MechFeet: 1,
+            Tires: impassable,
+            Treads: impassable,
+            Air: 1,
+            Pipeline: impassable,
+            Ships: impassable,
+            Transport: impassable,
+            Slime: impassable,
+        };
+    }
 }
 
-export class Reef extends TerrainType {
+export class Reef extends DualStrikeTerrain {
     longName(context) {
         return ["REEF_TERRAIN_longname"];
     }
@@ -99,6 +347,297 @@ export class Reef extends TerrainType {
     description(context) {
         return ["REEF_TERRAIN_description"];
     }
+    defense(context) {
+        return 1;
+    }
+    movementCost(context) {
+        if (context.weathers.includes("SnowWeather")) {
+            return {
+                InfantryFeet: impassable,
+                MechFeet: impassable,
+                Tires: impassable,
+                Treads: impassable,
+                Air: 2,
+                Pipeline: impassable,
+                Ships: 2,
+                Transport: 2,
+                Slime: impassable,
+            };
+        }
+        return {
+            InfantryFeet: impassable,
+            MechFeet: impassable,
+            Tires: impassable,
+            Treads: impassable,
+            Air: 1,
+            Pipeline: impassable,
+            Ships: 2,
+            Transport: 2,
+            Slime: impassable,
+        };
+    }
+    hidesUnits(context) {
+        return true;
+    }
+}
+
+export class Shoal extends DualStrikeTerrain {
+    longName(context) {
+        return ["SHOAL_TERRAIN_longname"];
+    }
+    shortName(context) {
+        return ["SHOAL_TERRAIN_shortname"];
+    }
+    description(context) {
+        return ["SHOAL_TERRAIN_description"];
+    }
+    defense(context) {
+        return 0;
+    }
+    movementCost(context) {
+        if (context.weathers.includes("SnowWeather")) {
+            return {
+                InfantryFeet: 1,
+                MechFeet: 1,
+                Tires: 1,
+                Treads: 1,
+                Air: 2,
+                Pipeline: impassable,
+                Ships: impassable,
+                Transport: 1,
+                Slime: 1,
+            };
+        }
+        return {
+            InfantryFeet: 1,
+            MechFeet: 1,
+            Tires: 1,
+            Treads: 1,
+            Air: 1,
+            Pipeline: impassable,
+            Ships: impassable,
+            Transport: 1,
+            Slime: 1,
+        };
+    }
+}
+
+export class Pipe extends DualStrikeTerrain {
+    longName(context) {
+        return ["PIPE_TERRAIN_longname"];
+    }
+    shortName(context) {
+        return ["PIPE_TERRAIN_shortname"];
+    }
+    description(context) {
+        return ["PIPE_TERRAIN_description"];
+    }
+    defense(context) {
+        return 0;
+    }
+    movementCost(context) {
+        return {
+            InfantryFeet: impassable,
+            MechFeet: impassable,
+            Tires: impassable,
+            Treads: impassable,
+            Air: impassable,
+            Pipeline: 1,
+            Ships: impassable,
+            Transport: impassable,
+            Slime: impassable,
+        };
+    }
+}
+
+export class Property extends DualStrikeTerrain {
+    longName(context) {
+        return ["PROPERTY_TERRAIN_longname"];
+    }
+    shortName(context) {
+        return ["PROPERTY_TERRAIN_shortname"];
+    }
+    description(context) {
+        return ["PROPERTY_TERRAIN_description"];
+    }
+    defense(context) {
+        return 3;
+    }
+    movementCost(context) {
+        if (context.weathers.includes("SnowWeather")) {
+            return {
+                InfantryFeet: 1,
+                MechFeet: 1,
+                Tires: 1,
+                Treads: 1,
+                Air: 2,
+                Pipeline: impassable,
+                Ships: impassable,
+                Transport: impassable,
+                Slime: 1,
+            };
+        }
+        return {
+            InfantryFeet: 1,
+            MechFeet: 1,
+            Tires: 1,
+            Treads: 1,
+            Air: 1,
+            Pipeline: impassable,
+            Ships: impassable,
+            Transport: impassable,
+            Slime: 1,
+        };
+    }
+}
+
+export class Factory extends DualStrikeTerrain {
+    longName(context) {
+        return ["FACTORY_TERRAIN_longname"];
+    }
+    shortName(context) {
+        return ["FACTORY_TERRAIN_shortname"];
+    }
+    description(context) {
+        return ["FACTORY_TERRAIN_description"];
+    }
+    defense(context) {
+        return 3;
+    }
+    movementCost(context) {
+        if (context.weathers.includes("SnowWeather")) {
+            return {
+                InfantryFeet: 1,
+                MechFeet: 1,
+                Tires: 1,
+                Treads: 1,
+                Air: 2,
+                Pipeline: 1,
+                Ships: impassable,
+                Transport: impassable,
+                Slime: 1,
+            };
+        }
+        return {
+            InfantryFeet: 1,
+            MechFeet: 1,
+            Tires: 1,
+            Treads: 1,
+            Air: 1,
+            Pipeline: 1,
+            Ships: impassable,
+            Transport: impassable,
+            Slime: 1,
+        };
+    }
 }
 
-// TODO: I should really get Chat-GPT to do this.
+export class Harbour extends DualStrikeTerrain {
+    longName(context) {
+        return ["HARBOUR_TERRAIN_longname"];
+    }
+    shortName(context) {
+        return ["HARBOUR_TERRAIN_shortname"];
+    }
+    description(context) {
+        return ["HARBOUR_TERRAIN_description"];
+    }
+    defense(context) {
+        return 3;
+    }
+    movementCost(context) {
+        if (context.weathers.includes("SnowWeather")) {
+            return {
+                InfantryFeet: 1,
+                MechFeet: 1,
+                Tires: 1,
+                Treads: 1,
+                Air: 2,
+                Pipeline: impassable,
+                Ships: 2,
+                Transport: 2,
+                Slime: 1,
+            };
+        }
+        return {
+            InfantryFeet: 1,
+            MechFeet: 1,
+            Tires: 1,
+            Treads: 1,
+            Air: 1,
+            Pipeline: impassable,
+            Ships: 1,
+            Transport: 1,
+            Slime: 1,
+        };
+    }
+}
+
+export class Headquarters extends DualStrikeTerrain {
+    longName(context) {
+        return ["HEADQUARTERS_TERRAIN_longname"];
+    }
+    shortName(context) {
+        return ["HEADQUARTERS_TERRAIN_shortname"];
+    }
+    description(context) {
+        return ["HEADQUARTERS_TERRAIN_description"];
+    }
+    defense(context) {
+        return 4;
+    }
+    movementCost(context) {
+        if (context.weathers.includes("SnowWeather")) {
+            return {
+                InfantryFeet: 1,
+                MechFeet: 1,
+                Tires: 1,
+                Treads: 1,
+                Air: 2,
+                Pipeline: impassable,
+                Ships: impassable,
+                Transport: impassable,
+                Slime: 1,
+            };
+        }
+        return {
+            InfantryFeet: 1,
+            MechFeet: 1,
+            Tires: 1,
+            Treads: 1,
+            Air: 1,
+            Pipeline: impassable,
+            Ships: impassable,
+            Transport: impassable,
+            Slime: 1,
+        };
+    }
+}
+
+export class Structure extends DualStrikeTerrain {
+    longName(context) {
+        return ["STRUCTURE_TERRAIN_longname"];
+    }
+    shortName(context) {
+        return ["STRUCTURE_TERRAIN_shortname"];
+    }
+    description(context) {
+        return ["STRUCTURE_TERRAIN_description"];
+    }
+    defense(context) {
+        return 0;
+    }
+    movementCost(context) {
+        return {
+            InfantryFeet: impassable,
+            MechFeet: impassable,
+            Tires: impassable,
+            Treads: impassable,
+            Air: impassable,
+            Pipeline: impassable,
+            Ships: impassable,
+            Transport: impassable,
+            Slime: impassable,
+        };
+    }
+}
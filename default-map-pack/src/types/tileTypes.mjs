@@ -0,0 +1,891 @@
+/**
+ * @file tileTypes.mjs
+ * Defines all the tiles of Advance Wars: Dual Strike.
+ * Tiles that can face different directions have a tile type for each direction. Those that connect to their
+ * neighbours, such as roads, are suffixed with the sides they connect to, and those that border land, such as shoals,
+ * are suffixed with the sides that face land.
+ */
+
+import TileType from "#src/types/tileType.mjs";
+
+/**
+ * The defaults shared by every tile of Dual Strike. It isn't exported, so it isn't a tile type itself.
+ */
+class DualStrikeTile extends TileType {
+    capturingSprite(context) {
+        return {};
+    }
+    capturePoints(context) {
+        return 0;
+    }
+    income(context) {
+        return 0;
+    }
+    repairs(context) {
+        return { movements: [], units: [] };
+    }
+    produces(context) {
+        return [];
+    }
+    canBeOwned(context) {
+        return false;
+    }
+    isHQ(context) {
+        return false;
+    }
+    hp(context) {
+        return 0;
+    }
+}
+
+/**
+ * The defaults shared by every property of Dual Strike, i.e. every tile that can be captured. Properties are drawn in
+ * the colour of the faction that owns them. It isn't exported, so it isn't a tile type itself.
+ */
+class DualStrikeProperty extends DualStrikeTile {
+    capturePoints(context) {
+        return 20;
+    }
+    canBeOwned(context) {
+        return true;
+    }
+}
+
+export class Plains extends DualStrikeTile {
+    tile(context) {
+        return { frame: "Plains" };
+    }
+    longName(context) {
+        return ["PLAINS_TILE_longname"];
+    }
+    shortName(context) {
+        return ["PLAINS_TILE_shortname"];
+    }
+    description(context) {
+        return ["PLAINS_TILE_description"];
+    }
+    terrain(context) {
+        return "Plains";
+    }
+}
+
+export class Mountain extends DualStrikeTile {
+    tile(context) {
+        return { frame: "Mountain" };
+    }
+    longName(context) {
+        return ["MOUNTAIN_TILE_longname"];
+    }
+    shortName(context) {
+        return ["MOUNTAIN_TILE_shortname"];
+    }
+    description(context) {
+        return ["MOUNTAIN_TILE_description"];
+    }
+    terrain(context) {
+        return "Mountain";
+    }
+}
+
+export class Woods extends DualStrikeTile {
+    tile(context) {
+        return { frame: "Woods" };
+    }
+    longName(context) {
+        return ["WOODS_TILE_longname"];
+    }
+    shortName(context) {
+        return ["WOODS_TILE_shortname"];
+    }
+    description(context) {
+        return ["WOODS_TILE_description"];
+    }
+    terrain(context) {
+        return "Woods";
+    }
+}
+
+export class Reef extends DualStrikeTile {
+    tile(context) {
+        return { frame: "Reef" };
+    }
+    longName(context) {
+        return ["REEF_TILE_longname"];
+    }
+    shortName(context) {
+        return ["REEF_TILE_shortname"];
+    }
+    description(context) {
+        return ["REEF_TILE_description"];
+    }
+    terrain(context) {
+        return "Reef";
+    }
+}
+
+/**
+ * The fields shared by every river tile, whichever way it faces.
+ */
+class River extends DualStrikeTile {
+    longName(context) {
+        return ["RIVER_TILE_longname"];
+    }
+    shortName(context) {
+        return ["RIVER_TILE_shortname"];
+    }
+    description(context) {
+        return ["RIVER_TILE_description"];
+    }
+    terrain(context) {
+        return "River";
+    }
+}
+
+export class RiverEW extends River {
+    tile(context) {
+        return { frame: "RiverEW" };
+    }
+}
+
+export class RiverNS extends River {
+    tile(context) {
+        return { frame: "RiverNS" };
+    }
+}
+
+export class RiverNE extends River {
+    tile(context) {
+        return { frame: "RiverNE" };
+    }
+}
+
+export class RiverES extends River {
+    tile(context) {
+        return { frame: "RiverES" };
+    }
+}
+
+export class RiverSW extends River {
+    tile(context) {
+        return { frame: "RiverSW" };
+    }
+}
+
+export class RiverNW extends River {
+    tile(context) {
+        return { frame: "RiverNW" };
+    }
+}
+
+export class RiverNES extends River {
+    tile(context) {
+        return { frame: "RiverNES" };
+    }
+}
+
+export class RiverESW extends River {
+    tile(context) {
+        return { frame: "RiverESW" };
+    }
+}
+
+export class RiverNSW extends River {
+    tile(context) {
+        return { frame: "RiverNSW" };
+    }
+}
+
+export class RiverNEW extends River {
+    tile(context) {
+        return { frame: "RiverNEW" };
+    }
+}
+
+export class RiverNESW extends River {
+    tile(context) {
+        return { frame: "RiverNESW" };
+    }
+}
+
+/**
+ * The fields shared by every road tile, whichever way it faces.
+ */
+class Road extends DualStrikeTile {
+    longName(context) {
+        return ["ROAD_TILE_longname"];
+    }
+    shortName(context) {
+        return ["ROAD_TILE_shortname"];
+    }
+    description(context) {
+        return ["ROAD_TILE_description"];
+    }
+    terrain(context) {
+        return "Road";
+    }
+}
+
+export class RoadEW extends Road {
+    tile(context) {
+        return { frame: "RoadEW" };
+    }
+}
+
+export class RoadNS extends Road {
+    tile(context) {
+        return { frame: "RoadNS" };
+    }
+}
+
+export class RoadNE extends Road {
+    tile(context) {
+        return { frame: "RoadNE" };
+    }
+}
+
+export class RoadES extends Road {
+    tile(context) {
+        return { frame: "RoadES" };
+    }
+}
+
+export class RoadSW extends Road {
+    tile(context) {
+        return { frame: "RoadSW" };
+    }
+}
+
+export class RoadNW extends Road {
+    tile(context) {
+        return { frame: "RoadNW" };
+    }
+}
+
+export class RoadNES extends Road {
+    tile(context) {
+        return { frame: "RoadNES" };
+    }
+}
+
+export class RoadESW extends Road {
+    tile(context) {
+        return { frame: "RoadESW" };
+    }
+}
+
+export class RoadNSW extends Road {
+    tile(context) {
+        return { frame: "RoadNSW" };
+    }
+}
+
+export class RoadNEW extends Road {
+    tile(context) {
+        return { frame: "RoadNEW" };
+    }
+}
+
+export class RoadNESW extends Road {
+    tile(context) {
+        return { frame: "RoadNESW" };
+    }
+}
+
+/**
+ * The fields shared by every bridge tile, whichever way it faces.
+ */
+class Bridge extends DualStrikeTile {
+    longName(context) {
+        return ["BRIDGE_TILE_longname"];
+    }
+    shortName(context) {
+        return ["BRIDGE_TILE_shortname"];
+    }
+    description(context) {
+        return ["BRIDGE_TILE_description"];
+    }
+    terrain(context) {
+        return "Bridge";
+    }
+}
+
+export class BridgeEW extends Bridge {
+    tile(context) {
+        return { frame: "BridgeEW" };
+    }
+}
+
+export class BridgeNS extends Bridge {
+    tile(context) {
+        return { frame: "BridgeNS" };
+    }
+}
+
+export class Sea extends DualStrikeTile {
+    tile(context) {
+        return { frame: "Sea" };
+    }
+    longName(context) {
+        return ["SEA_TILE_longname"];
+    }
+    shortName(context) {
+        return ["SEA_TILE_shortname"];
+    }
+    description(context) {
+        return ["SEA_TILE_description"];
+    }
+    terrain(context) {
+        return "Sea";
+    }
+}
+
+export class SeaN extends Sea {
+    tile(context) {
+        return { frame: "SeaN" };
+    }
+}
+
+export class SeaE extends Sea {
+    tile(context) {
+        return { frame: "SeaE" };
+    }
+}
+
+export class SeaS extends Sea {
+    tile(context) {
+        return { frame: "SeaS" };
+    }
+}
+
+export class SeaW extends Sea {
+    tile(context) {
+        return { frame: "SeaW" };
+    }
+}
+
+export class SeaNE extends Sea {
+    tile(context) {
+        return { frame: "SeaNE" };
+    }
+}
+
+export class SeaNS extends Sea {
+    tile(context) {
+        return { frame: "SeaNS" };
+    }
+}
+
+export class SeaNW extends Sea {
+    tile(context) {
+        return { frame: "SeaNW" };
+    }
+}
+
+export class SeaES extends Sea {
+    tile(context) {
+        return { frame: "SeaES" };
+    }
+}
+
+export class SeaEW extends Sea {
+    tile(context) {
+        return { frame: "SeaEW" };
+    }
+}
+
+export class SeaSW extends Sea {
+    tile(context) {
+        return { frame: "SeaSW" };
+    }
+}
+
+export class SeaNES extends Sea {
+    tile(context) {
+        return { frame: "SeaNES" };
+    }
+}
+
+export class SeaNEW extends Sea {
+    tile(context) {
+        return { frame: "SeaNEW" };
+    }
+}
+
+export class SeaNSW extends Sea {
+    tile(context) {
+        return { frame: "SeaNSW" };
+    }
+}
+
+export class SeaESW extends Sea {
+    tile(context) {
+        return { frame: "SeaESW" };
+    }
+}
+
+export class SeaNESW extends Sea {
+    tile(context) {
+        return { frame: "SeaNESW" };
+    }
+}
+
+/**
+ * The fields shared by every shoal tile, whichever way it faces.
+ */
+class Shoal extends DualStrikeTile {
+    longName(context) {
+        return ["SHOAL_TILE_longname"];
+    }
+    shortName(context) {
+        return ["SHOAL_TILE_shortname"];
+    }
+    description(context) {
+        return ["SHOAL_TILE_description"];
+    }
+    terrain(context) {
+        return "Shoal";
+    }
+}
+
+export class ShoalN extends Shoal {
+    tile(context) {
+        return { frame: "ShoalN" };
+    }
+}
+
+export class ShoalE extends Shoal {
+    tile(context) {
+        return { frame: "ShoalE" };
+    }
+}
+
+export class ShoalS extends Shoal {
+    tile(context) {
+        return { frame: "ShoalS" };
+    }
+}
+
+export class ShoalW extends Shoal {
+    tile(context) {
+        return { frame: "ShoalW" };
+    }
+}
+
+/**
+ * The fields shared by every pipe tile, whichever way it faces.
+ */
+class Pipe extends DualStrikeTile {
+    longName(context) {
+        return ["PIPE_TILE_longname"];
+    }
+    shortName(context) {
+        return ["PIPE_TILE_shortname"];
+    }
+    description(context) {
+        return ["PIPE_TILE_description"];
+    }
+    terrain(context) {
+        return "Pipe";
+    }
+}
+
+export class PipeNS extends Pipe {
+    tile(context) {
+        return { frame: "PipeNS" };
+    }
+}
+
+export class PipeEW extends Pipe {
+    tile(context) {
+        return { frame: "PipeEW" };
+    }
+}
+
+export class PipeNE extends Pipe {
+    tile(context) {
+        return { frame: "PipeNE" };
+    }
+}
+
+export class PipeES extends Pipe {
+    tile(context) {
+        return { frame: "PipeES" };
+    }
+}
+
+export class PipeSW extends Pipe {
+    tile(context) {
+        return { frame: "PipeSW" };
+    }
+}
+
+export class PipeNW extends Pipe {
+    tile(context) {
+        return { frame: "PipeNW" };
+    }
+}
+
+export class PipeN extends Pipe {
+    tile(context) {
+        return { frame: "PipeN" };
+    }
+}
+
+export class PipeE extends Pipe {
+    tile(context) {
+        return { frame: "PipeE" };
+    }
+}
+
+export class PipeS extends Pipe {
+    tile(context) {
+        return { frame: "PipeS" };
+    }
+}
+
+export class PipeW extends Pipe {
+    tile(context) {
+        return { frame: "PipeW" };
+    }
+}
+
+/**
+ * The fields shared by every pipe seam tile, whichever way it faces.
+ */
+class PipeSeam extends DualStrikeTile {
+    longName(context) {
+        return ["PIPE_SEAM_TILE_longname"];
+    }
+    shortName(context) {
+        return ["PIPE_SEAM_TILE_shortname"];
+    }
+    description(context) {
+        return ["PIPE_SEAM_TILE_description"];
+    }
+    terrain(context) {
+        return "Pipe";
+    }
+    hp(context) {
+        return 99;
+    }
+}
+
+export class PipeSeamEW extends PipeSeam {
+    tile(context) {
+        return { frame: "PipeSeamEW" };
+    }
+}
+
+export class PipeSeamNS extends PipeSeam {
+    tile(context) {
+        return { frame: "PipeSeamNS" };
+    }
+}
+
+/**
+ * The fields shared by every broken seam tile, whichever way it faces.
+ */
+class BrokenPipeSeam extends DualStrikeTile {
+    longName(context) {
+        return ["BROKEN_PIPE_SEAM_TILE_longname"];
+    }
+    shortName(context) {
+        return ["BROKEN_PIPE_SEAM_TILE_shortname"];
+    }
+    description(context) {
+        return ["BROKEN_PIPE_SEAM_TILE_description"];
+    }
+    terrain(context) {
+        return "Plains";
+    }
+}
+
+export class BrokenPipeSeamEW extends BrokenPipeSeam {
+    tile(context) {
+        return { frame: "BrokenPipeSeamEW" };
+    }
+}
+
+export class BrokenPipeSeamNS extends BrokenPipeSeam {
+    tile(context) {
+        return { frame: "BrokenPipeSeamNS" };
+    }
+}
+
+export class MissileSilo extends DualStrikeTile {
+    tile(context) {
+        return { frame: "MissileSilo" };
+    }
+    longName(context) {
+        return ["MISSILE_SILO_TILE_longname"];
+    }
+    shortName(context) {
+        return ["MISSILE_SILO_TILE_shortname"];
+    }
+    description(context) {
+        return ["MISSILE_SILO_TILE_description"];
+    }
+    terrain(context) {
+        return "Property";
+    }
+}
+
+export class EmptyMissileSilo extends DualStrikeTile {
+    tile(context) {
+        return { frame: "EmptyMissileSilo" };
+    }
+    longName(context) {
+        return ["EMPTY_MISSILE_SILO_TILE_longname"];
+    }
+    shortName(context) {
+        return ["EMPTY_MISSILE_SILO_TILE_shortname"];
+    }
+    description(context) {
+        return ["EMPTY_MISSILE_SILO_TILE_description"];
+    }
+    terrain(context) {
+        return "Property";
+    }
+}
+
+/**
+ * The tiles that structures are made of are drawn by the structure they form part of.
+ */
+export class StructureCore extends DualStrikeTile {
+    tile(context) {
+        return { frame: "StructureCore", structure: context.structures[0] };
+    }
+    longName(context) {
+        return ["STRUCTURE_CORE_TILE_longname"];
+    }
+    shortName(context) {
+        return ["STRUCTURE_CORE_TILE_shortname"];
+    }
+    description(context) {
+        return ["STRUCTURE_CORE_TILE_description"];
+    }
+    terrain(context) {
+        return "Structure";
+    }
+    hp(context) {
+        return 99;
+    }
+}
+
+export class StructurePart extends DualStrikeTile {
+    tile(context) {
+        return { frame: "StructurePart", structure: context.structures[0] };
+    }
+    longName(context) {
+        return ["STRUCTURE_PART_TILE_longname"];
+    }
+    shortName(context) {
+        return ["STRUCTURE_PART_TILE_shortname"];
+    }
+    description(context) {
+        return ["STRUCTURE_PART_TILE_description"];
+    }
+    terrain(context) {
+        return "Structure";
+    }
+}
+
+export class StructureRubble extends DualStrikeTile {
+    tile(context) {
+        return { frame: "StructureRubble", structure: context.structures[0] };
+    }
+    longName(context) {
+        return ["STRUCTURE_RUBBLE_TILE_longname"];
+    }
+    shortName(context) {
+        return ["STRUCTURE_RUBBLE_TILE_shortname"];
+    }
+    description(context) {
+        return ["STRUCTURE_RUBBLE_TILE_description"];
+    }
+    terrain(context) {
+        return "Plains";
+    }
+}
+
+export class City extends DualStrikeProperty {
+    tile(context) {
+        return { frame: "City", faction: context.factions[0] };
+    }
+    longName(context) {
+        return ["CITY_TILE_longname"];
+    }
+    shortName(context) {
+        return ["CITY_TILE_shortname"];
+    }
+    description(context) {
+        return ["CITY_TILE_description"];
+    }
+    terrain(context) {
+        return "Property";
+    }
+    income(context) {
+        return 1000;
+    }
+    repairs(context) {
+        return { movements: ["InfantryFeet", "MechFeet", "Tires", "Treads"], units: [] };
+    }
+}
+
+export class Base extends DualStrikeProperty {
+    tile(context) {
+        return { frame: "Base", faction: context.factions[0] };
+    }
+    longName(context) {
+        return ["BASE_TILE_longname"];
+    }
+    shortName(context) {
+        return ["BASE_TILE_shortname"];
+    }
+    description(context) {
+        return ["BASE_TILE_description"];
+    }
+    terrain(context) {
+        return "Factory";
+    }
+    income(context) {
+        return 1000;
+    }
+    repairs(context) {
+        return { movements: ["InfantryFeet", "MechFeet", "Tires", "Treads", "Pipeline"], units: [] };
+    }
+    produces(context) {
+        return [
+            "Infantry",
+            "Mech",
+            "Recon",
+            "Tank",
+            "MdTank",
+            "Neotank",
+            "Megatank",
+            "APC",
+            "Artillery",
+            "Rockets",
+            "AntiAir",
+            "Missiles",
+            "Piperunner",
+        ];
+    }
+}
+
+export class Airport extends DualStrikeProperty {
+    tile(context) {
+        return { frame: "Airport", faction: context.factions[0] };
+    }
+    longName(context) {
+        return ["AIRPORT_TILE_longname"];
+    }
+    shortName(context) {
+        return ["AIRPORT_TILE_shortname"];
+    }
+    description(context) {
+        return ["AIRPORT_TILE_description"];
+    }
+    terrain(context) {
+        return "Property";
+    }
+    income(context) {
+        return 1000;
+    }
+    repairs(context) {
+        return { movements: ["Air"], units: [] };
+    }
+    produces(context) {
+        return ["Fighter", "Bomber", "Stealth", "BattleCopter", "TransportCopter", "BlackBomb"];
+    }
+}
+
+export class Port extends DualStrikeProperty {
+    tile(context) {
+        return { frame: "Port", faction: context.factions[0] };
+    }
+    longName(context) {
+        return ["PORT_TILE_longname"];
+    }
+    shortName(context) {
+        return ["PORT_TILE_shortname"];
+    }
+    description(context) {
+        return ["PORT_TILE_description"];
+    }
+    terrain(context) {
+        return "Harbour";
+    }
+    income(context) {
+        return 1000;
+    }
+    repairs(context) {
+        return { movements: ["Ships", "Transport"], units: [] };
+    }
+    produces(context) {
+        return ["Battleship", "Cruiser", "Lander", "Submarine", "BlackBoat", "Carrier"];
+    }
+}
+
+export class HQ extends DualStrikeProperty {
+    tile(context) {
+        return { frame: "HQ", faction: context.factions[0] };
+    }
+    longName(context) {
+        return ["HQ_TILE_longname"];
+    }
+    shortName(context) {
+        return ["HQ_TILE_shortname"];
+    }
+    description(context) {
+        return ["HQ_TILE_description"];
+    }
+    terrain(context) {
+        return "Headquarters";
+    }
+    income(context) {
+        return 1000;
+    }
+    repairs(context) {
+        return { movements: ["InfantryFeet", "MechFeet", "Tires", "Treads"], units: [] };
+    }
+    isHQ(context) {
+        return true;
+    }
+}
+
+export class ComTower extends DualStrikeProperty {
+    tile(context) {
+        return { frame: "ComTower", faction: context.factions[0] };
+    }
+    longName(context) {
+        return ["COM_TOWER_TILE_longname"];
+    }
+    shortName(context) {
+        return ["COM_TOWER_TILE_shortname"];
+    }
+    description(context) {
+        return ["COM_TOWER_TILE_description"];
+    }
+    terrain(context) {
+        return "Property";
+    }
+}
+
+export class Lab extends DualStrikeProperty {
+    tile(context) {
+        return { frame: "Lab", faction: context.factions[0] };
+    }
+    longName(context) {
+        return ["LAB_TILE_longname"];
+    }
+    shortName(context) {
+        return ["LAB_TILE_shortname"];
+    }
+    description(context) {
+        return ["LAB_TILE_description"];
+    }
+    terrain(context) {
+        return "Property";
+    }
+}
@@ -0,0 +1,991 @@
+/**
+ * @file unitTypes.mjs
+ * Defines all the units of Advance Wars: Dual Strike.
+ */
+
+import UnitType from "#src/types/unitType.mjs";
+
+/**
+ * The defaults shared by every unit of Dual Strike. It isn't exported, so it isn't a unit type itself.
+ */
+class DualStrikeUnit extends UnitType {
+    icon(context) {
+        return {};
+    }
+    sprites(context) {
+        return {};
+    }
+    dailyFuelBurn(context) {
+        return 0;
+    }
+    hiddenDailyFuelBurn(context) {
+        return this.dailyFuelBurn(context);
+    }
+    weapons(context) {
+        return [];
+    }
+    maxAmmo(context) {
+        return [];
+    }
+    maxHP(context) {
+        return 100;
+    }
+    transportCapacity(context) {
+        return 0;
+    }
+    cargo(context) {
+        return [];
+    }
+    canCapture(context) {
+        return false;
+    }
+    canHide(context) {
+        return false;
+    }
+    canDive(context) {
+        return false;
+    }
+    firepower(context) {
+        return 100;
+    }
+    defense(context) {
+        return 100;
+    }
+    luck(context) {
+        return 9;
+    }
+    badLuck(context) {
+        return 0;
+    }
+}
+
+export class Infantry extends DualStrikeUnit {
+    longName(context) {
+        return ["INFANTRY_UNIT_longname"];
+    }
+    shortName(context) {
+        return ["INFANTRY_UNIT_shortname"];
+    }
+    description(context) {
+        return ["INFANTRY_UNIT_description"];
+    }
+    cost(context) {
+        return 1000;
+    }
+    movementPoints(context) {
+        return 3;
+    }
+    movementType(context) {
+        return "InfantryFeet";
+    }
+    vision(context) {
+        return 2;
+    }
+    maxFuel(context) {
+        return 99;
+    }
+    weapons(context) {
+        return ["MachineGun"];
+    }
+    maxAmmo(context) {
+        return [0];
+    }
+    canCapture(context) {
+        return true;
+    }
+}
+
+export class Mech extends DualStrikeUnit {
+    longName(context) {
+        return ["MECH_UNIT_longname"];
+    }
+    shortName(context) {
+        return ["MECH_UNIT_shortname"];
+    }
+    description(context) {
+        return ["MECH_UNIT_description"];
+    }
+    cost(context) {
+        return 3000;
+    }
+    movementPoints(context) {
+        return 2;
+    }
+    movementType(context) {
+        return "MechFeet";
+    }
+    vision(context) {
+        return 2;
+    }
+    maxFuel(context) {
+        return 70;
+    }
+    weapons(context) {
+        return ["Bazooka", "MachineGun"];
+    }
+    maxAmmo(context) {
+        return [3, 0];
+    }
+    canCapture(context) {
+        return true;
+    }
+}
+
+export class Recon extends DualStrikeUnit {
+    longName(context) {
+        return ["RECON_UNIT_longname"];
+    }
+    shortName(context) {
+        return ["RECON_UNIT_shortname"];
+    }
+    description(context) {
+        return ["RECON_UNIT_description"];
+    }
+    cost(context) {
+        return 4000;
+    }
+    movementPoints(context) {
+        return 8;
+    }
+    movementType(context) {
+        return "Tires";
+    }
+    vision(context) {
+        return 5;
+    }
+    maxFuel(context) {
+        return 80;
+    }
+    weapons(context) {
+        return ["MachineGun"];
+    }
+    maxAmmo(context) {
+        return [0];
+    }
+}
+
+export class Tank extends DualStrikeUnit {
+    longName(context) {
+        return ["TANK_UNIT_longname"];
+    }
+    shortName(context) {
+        return ["TANK_UNIT_shortname"];
+    }
+    description(context) {
+        return ["TANK_UNIT_description"];
+    }
+    cost(context) {
+        return 7000;
+    }
+    movementPoints(context) {
+        return 6;
+    }
+    movementType(context) {
+        return "Treads";
+    }
+    vision(context) {
+        return 3;
+    }
+    maxFuel(context) {
+        return 70;
+    }
+    weapons(context) {
+        return ["TankCannon", "MachineGun"];
+    }
+    maxAmmo(context) {
+        return [9, 0];
+    }
+}
+
+export class MdTank extends DualStrikeUnit {
+    longName(context) {
+        return ["MD_TANK_UNIT_longname"];
+    }
+    shortName(context) {
+        return ["MD_TANK_UNIT_shortname"];
+    }
+    description(context) {
+        return ["MD_TANK_UNIT_description"];
+    }
+    cost(context) {
+        return 16000;
+    }
+    movementPoints(context) {
+        return 5;
+    }
+    movementType(context) {
+        return "Treads";
+    }
+    vision(context) {
+        return 1;
+    }
+    maxFuel(context) {
+        return 50;
+    }
+    weapons(context) {
+        return ["MediumCannon", "MachineGun"];
+    }
+    maxAmmo(context) {
+        return [8, 0];
+    }
+}
+
+export class Neotank extends DualStrikeUnit {
+    longName(context) {
+        return ["NEOTANK_UNIT_longname"];
+    }
+    shortName(context) {
+        return ["NEOTANK_UNIT_shortname"];
+    }
+    description(context) {
+        return ["NEOTANK_UNIT_description"];
+    }
+    cost(context) {
+        return 22000;
+    }
+    movementPoints(context) {
+        return 6;
+    }
+    movementType(context) {
+        return "Treads";
+    }
+    vision(context) {
+        return 1;
+    }
+    maxFuel(context) {
+        return 99;
+    }
+    weapons(context) {
+        return ["NeoCannon", "MachineGun"];
+    }
+    maxAmmo(context) {
+        return [9, 0];
+    }
+}
+
+export class Megatank extends DualStrikeUnit {
+    longName(context) {
+        return ["MEGATANK_UNIT_longname"];
+    }
+    shortName(context) {
+        return ["MEGATANK_UNIT_shortname"];
+    }
+    description(context) {
+        return ["MEGATANK_UNIT_description"];
+    }
+    cost(context) {
+        return 28000;
+    }
+    movementPoints(context) {
+        return 4;
+    }
+    movementType(context) {
+        return "Treads";
+    }
+    vision(context) {
+        return 1;
+    }
+    maxFuel(context) {
+        return 50;
+    }
+    weapons(context) {
+        return ["MegaCannon", "MachineGun"];
+    }
+    maxAmmo(context) {
+        return [3, 0];
+    }
+}
+
+export class APC extends DualStrikeUnit {
+    longName(context) {
+        return ["APC_UNIT_longname"];
+    }
+    shortName(context) {
+        return ["APC_UNIT_shortname"];
+    }
+    description(context) {
+        return ["APC_UNIT_description"];
+    }
+    cost(context) {
+        return 5000;
+    }
+    movementPoints(context) {
+        return 6;
+    }
+    movementType(context) {
+        return "Treads";
+    }
+    vision(context) {
+        return 1;
+    }
+    maxFuel(context) {
+        return 70;
+    }
+    transportCapacity(context) {
+        return 1;
+    }
+    cargo(context) {
+        return ["Infantry", "Mech"];
+    }
+}
+
+export class Artillery extends DualStrikeUnit {
+    longName(context) {
+        return ["ARTILLERY_UNIT_longname"];
+    }
+    shortName(context) {
+        return ["ARTILLERY_UNIT_shortname"];
+    }
+    description(context) {
+        return ["ARTILLERY_UNIT_description"];
+    }
+    cost(context) {
+        return 6000;
+    }
+    movementPoints(context) {
+        return 5;
+    }
+    movementType(context) {
+        return "Treads";
+    }
+    vision(context) {
+        return 1;
+    }
+    maxFuel(context) {
+        return 50;
+    }
+    weapons(context) {
+        return ["ArtilleryCannon"];
+    }
+    maxAmmo(context) {
+        return [9];
+    }
+}
+
+export class Rockets extends DualStrikeUnit {
+    longName(context) {
+        return ["ROCKETS_UNIT_longname"];
+    }
+    shortName(context) {
+        return ["ROCKETS_UNIT_shortname"];
+    }
+    description(context) {
+        return ["ROCKETS_UNIT_description"];
+    }
+    cost(context) {
+        return 15000;
+    }
+    movementPoints(context) {
+        return 5;
+    }
+    movementType(context) {
+        return "Tires";
+    }
+    vision(context) {
+        return 1;
+    }
+    maxFuel(context) {
+        return 50;
+    }
+    weapons(context) {
+        return ["RocketLauncher"];
+    }
+    maxAmmo(context) {
+        return [6];
+    }
+}
+
+export class AntiAir extends DualStrikeUnit {
+    longName(context) {
+        return ["ANTI_AIR_UNIT_longname"];
+    }
+    shortName(context) {
+        return ["ANTI_AIR_UNIT_shortname"];
+    }
+    description(context) {
+        return ["ANTI_AIR_UNIT_description"];
+    }
+    cost(context) {
+        return 8000;
+    }
+    movementPoints(context) {
+        return 6;
+    }
+    movementType(context) {
+        return "Treads";
+    }
+    vision(context) {
+        return 2;
+    }
+    maxFuel(context) {
+        return 60;
+    }
+    weapons(context) {
+        return ["Vulcan"];
+    }
+    maxAmmo(context) {
+        return [9];
+    }
+}
+
+export class Missiles extends DualStrikeUnit {
+    longName(context) {
+        return ["MISSILES_UNIT_longname"];
+    }
+    shortName(context) {
+        return ["MISSILES_UNIT_shortname"];
+    }
+    description(context) {
+        return ["MISSILES_UNIT_description"];
+    }
+    cost(context) {
+        return 12000;
+    }
+    movementPoints(context) {
+        return 4;
+    }
+    movementType(context) {
+        return "Tires";
+    }
+    vision(context) {
+        return 5;
+    }
+    maxFuel(context) {
+        return 50;
+    }
+    weapons(context) {
+        return ["AntiAirMissiles"];
+    }
+    maxAmmo(context) {
+        return [6];
+    }
+}
+
+export class Piperunner extends DualStrikeUnit {
+    longName(context) {
+        return ["PIPERUNNER_UNIT_longname"];
+    }
+    shortName(context) {
+        return ["PIPERUNNER_UNIT_shortname"];
+    }
+    description(context) {
+        return ["PIPERUNNER_UNIT_description"];
+    }
+    cost(context) {
+        return 20000;
+    }
+    movementPoints(context) {
+        return 9;
+    }
+    movementType(context) {
+        return "Pipeline";
+    }
+    vision(context) {
+        return 4;
+    }
+    maxFuel(context) {
+        return 99;
+    }
+    weapons(context) {
+        return ["PipeCannon"];
+    }
+    maxAmmo(context) {
+        return [9];
+    }
+}
+
+export class Oozium extends DualStrikeUnit {
+    longName(context) {
+        return ["OOZIUM_UNIT_longname"];
+    }
+    shortName(context) {
+        return ["OOZIUM_UNIT_shortname"];
+    }
+    description(context) {
+        return ["OOZIUM_UNIT_description"];
+    }
+    cost(context) {
+        return 0;
+    }
+    movementPoints(context) {
+        return 1;
+    }
+    movementType(context) {
+        return "Slime";
+    }
+    vision(context) {
+        return 1;
+    }
+    maxFuel(context) {
+        return 99;
+    }
+    weapons(context) {
+        return ["OoziumGoo"];
+    }
+    maxAmmo(context) {
+        return [0];
+    }
+}
+
+export class Fighter extends DualStrikeUnit {
+    longName(context) {
+        return ["FIGHTER_UNIT_longname"];
+    }
+    shortName(context) {
+        return ["FIGHTER_UNIT_shortname"];
+    }
+    description(context) {
+        return ["FIGHTER_UNIT_description"];
+    }
+    cost(context) {
+        return 20000;
+    }
+    movementPoints(context) {
+        return 9;
+    }
+    movementType(context) {
+        return "Air";
+    }
+    vision(context) {
+        return 2;
+    }
+    maxFuel(context) {
+        return 99;
+    }
+    weapons(context) {
+        return ["AirToAirMissiles"];
+    }
+    maxAmmo(context) {
+        return [9];
+    }
+    dailyFuelBurn(context) {
+        return 5;
+    }
+}
+
+export class Bomber extends DualStrikeUnit {
+    longName(context) {
+        return ["BOMBER_UNIT_longname"];
+    }
+    shortName(context) {
+        return ["BOMBER_UNIT_shortname"];
+    }
+    description(context) {
+        return ["BOMBER_UNIT_description"];
+    }
+    cost(context) {
+        return 22000;
+    }
+    movementPoints(context) {
+        return 7;
+    }
+    movementType(context) {
+        return "Air";
+    }
+    vision(context) {
+        return 2;
+    }
+    maxFuel(context) {
+        return 99;
+    }
+    weapons(context) {
+        return ["Bombs"];
+    }
+    maxAmmo(context) {
+        return [9];
+    }
+    dailyFuelBurn(context) {
+        return 5;
+    }
+}
+
+export class Stealth extends DualStrikeUnit {
+    longName(context) {
+        return ["STEALTH_UNIT_longname"];
+    }
+    shortName(context) {
+        return ["STEALTH_UNIT_shortname"];
+    }
+    description(context) {
+        return ["STEALTH_UNIT_description"];
+    }
+    cost(context) {
+        return 24000;
+    }
+    movementPoints(context) {
+        return 6;
+    }
+    movementType(context) {
+        return "Air";
+    }
+    vision(context) {
+        return 4;
+    }
+    maxFuel(context) {
+        return 60;
+    }
+    weapons(context) {
+        return ["Omnimissiles"];
+    }
+    maxAmmo(context) {
+        return [6];
+    }
+    dailyFuelBurn(context) {
+        return 5;
+    }
+    hiddenDailyFuelBurn(context) {
+        return 8;
+    }
+    canHide(context) {
+        return true;
+    }
+}
+
+export class BattleCopter extends DualStrikeUnit {
+    longName(context) {
+        return ["BATTLE_COPTER_UNIT_longname"];
+    }
+    shortName(context) {
+        return ["BATTLE_COPTER_UNIT_shortname"];
+    }
+    description(context) {
+        return ["BATTLE_COPTER_UNIT_description"];
+    }
+    cost(context) {
+        return 9000;
+    }
+    movementPoints(context) {
+        return 6;
+    }
+    movementType(context) {
+        return "Air";
+    }
+    vision(context) {
+        return 3;
+    }
+    maxFuel(context) {
+        return 99;
+    }
+    weapons(context) {
+        return ["AirToGroundMissiles", "MachineGun"];
+    }
+    maxAmmo(context) {
+        return [6, 0];
+    }
+    dailyFuelBurn(context) {
+        return 2;
+    }
+}
+
+export class TransportCopter extends DualStrikeUnit {
+    longName(context) {
+        return ["TRANSPORT_COPTER_UNIT_longname"];
+    }
+    shortName(context) {
+        return ["TRANSPORT_COPTER_UNIT_shortname"];
+    }
+    description(context) {
+        return ["TRANSPORT_COPTER_UNIT_description"];
+    }
+    cost(context) {
+        return 5000;
+    }
+    movementPoints(context) {
+        return 6;
+    }
+    movementType(context) {
+        return "Air";
+    }
+    vision(context) {
+        return 2;
+    }
+    maxFuel(context) {
+        return 99;
+    }
+    dailyFuelBurn(context) {
+        return 2;
+    }
+    transportCapacity(context) {
+        return 1;
+    }
+    cargo(context) {
+        return ["Infantry", "Mech"];
+    }
+}
+
+export class BlackBomb extends DualStrikeUnit {
+    longName(context) {
+        return ["BLACK_BOMB_UNIT_longname"];
+    }
+    shortName(context) {
+        return ["BLACK_BOMB_UNIT_shortname"];
+    }
+    description(context) {
+        return ["BLACK_BOMB_UNIT_description"];
+    }
+    cost(context) {
+        return 25000;
+    }
+    movementPoints(context) {
+        return 9;
+    }
+    movementType(context) {
+        return "Air";
+    }
+    vision(context) {
+        return 1;
+    }
+    maxFuel(context) {
+        return 45;
+    }
+    dailyFuelBurn(context) {
+        return 5;
+    }
+}
+
+export class Battleship extends DualStrikeUnit {
+    longName(context) {
+        return ["BATTLESHIP_UNIT_longname"];
+    }
+    shortName(context) {
+        return ["BATTLESHIP_UNIT_shortname"];
+    }
+    description(context) {
+        return ["BATTLESHIP_UNIT_description"];
+    }
+    cost(context) {
+        return 28000;
+    }
+    movementPoints(context) {
+        return 5;
+    }
+    movementType(context) {
+        return "Ships";
+    }
+    vision(context) {
+        return 2;
+    }
+    maxFuel(context) {
+        return 99;
+    }
+    weapons(context) {
+        return ["BattleshipCannon"];
+    }
+    maxAmmo(context) {
+        return [9];
+    }
+    dailyFuelBurn(context) {
+        return 1;
+    }
+}
+
+export class Cruiser extends DualStrikeUnit {
+    longName(context) {
+        return ["CRUISER_UNIT_longname"];
+    }
+    shortName(context) {
+        return ["CRUISER_UNIT_shortname"];
+    }
+    description(context) {
+        return ["CRUISER_UNIT_description"];
+    }
+    cost(context) {
+        return 18000;
+    }
+    movementPoints(context) {
+        return 6;
+    }
+    movementType(context) {
+        return "Ships";
+    }
+    vision(context) {
+        return 3;
+    }
+    maxFuel(context) {
+        return 99;
+    }
+    weapons(context) {
+        return ["AntiShipMissiles", "AntiAirGun"];
+    }
+    maxAmmo(context) {
+        return [9, 0];
+    }
+    dailyFuelBurn(context) {
+        return 1;
+    }
+    transportCapacity(context) {
+        return 2;
+    }
+    cargo(context) {
+        return ["BattleCopter", "TransportCopter"];
+    }
+}
+
+export class Lander extends DualStrikeUnit {
+    longName(context) {
+        return ["LANDER_UNIT_longname"];
+    }
+    shortName(context) {
+        return ["LANDER_UNIT_shortname"];
+    }
+    description(context) {
+        return ["LANDER_UNIT_description"];
+    }
+    cost(context) {
+        return 12000;
+    }
+    movementPoints(context) {
+        return 6;
+    }
+    movementType(context) {
+        return "Transport";
+    }
+    vision(context) {
+        return 1;
+    }
+    maxFuel(context) {
+        return 99;
+    }
+    dailyFuelBurn(context) {
+        return 1;
+    }
+    transportCapacity(context) {
+        return 2;
+    }
+    cargo(context) {
+        return [
+            "Infantry",
+            "Mech",
+            "Recon",
+            "Tank",
+            "MdTank",
+            "Neotank",
+            "Megatank",
+            "APC",
+            "Artillery",
+            "Rockets",
+            "AntiAir",
+            "Missiles",
+        ];
+    }
+}
+
+export class Submarine extends DualStrikeUnit {
+    longName(context) {
+        return ["SUBMARINE_UNIT_longname"];
+    }
+    shortName(context) {
+        return ["SUBMARINE_UNIT_shortname"];
+    }
+    description(context) {
+        return ["SUBMARINE_UNIT_description"];
+    }
+    cost(context) {
+        return 20000;
+    }
+    movementPoints(context) {
+        return 5;
+    }
+    movementType(context) {
+        return "Ships";
+    }
+    vision(context) {
+        return 5;
+    }
+    maxFuel(context) {
+        return 60;
+    }
+    weapons(context) {
+        return ["Torpedoes"];
+    }
+    maxAmmo(context) {
+        return [6];
+    }
+    dailyFuelBurn(context) {
+        return 1;
+    }
+    hiddenDailyFuelBurn(context) {
+        return 5;
+    }
+    canDive(context) {
+        return true;
+    }
+}
+
+export class BlackBoat extends DualStrikeUnit {
+    longName(context) {
+        return ["BLACK_BOAT_UNIT_longname"];
+    }
+    shortName(context) {
+        return ["BLACK_BOAT_UNIT_shortname"];
+    }
+    description(context) {
+        return ["BLACK_BOAT_UNIT_description"];
+    }
+    cost(context) {
+        return 7500;
+    }
+    movementPoints(context) {
+        return 7;
+    }
+    movementType(context) {
+        return "Transport";
+    }
+    vision(context) {
+        return 1;
+    }
+    maxFuel(context) {
+        return 60;
+    }
+    dailyFuelBurn(context) {
+        return 1;
+    }
+    transportCapacity(context) {
+        return 2;
+    }
+    cargo(context) {
+        return ["Infantry", "Mech"];
+    }
+}
+
+export class Carrier extends DualStrikeUnit {
+    longName(context) {
+        return ["CARRIER_UNIT_longname"];
+    }
+    shortName(context) {
+        return ["CARRIER_UNIT_shortname"];
+    }
+    description(context) {
+        return ["CARRIER_UNIT_description"];
+    }
+    cost(context) {
+        return 30000;
+    }
+    movementPoints(context) {
+        return 5;
+    }
+    movementType(context) {
+        return "Ships";
+    }
+    vision(context) {
+        return 4;
+    }
+    maxFuel(context) {
+        return 99;
+    }
+    weapons(context) {
+        return ["CarrierMissiles"];
+    }
+    maxAmmo(context) {
+        return [9];
+    }
+    dailyFuelBurn(context) {
+        return 1;
+    }
+    transportCapacity(context) {
+        return 2;
+    }
+    cargo(context) {
+        return ["Fighter", "Bomber", "Stealth", "BattleCopter", "TransportCopter", "BlackBomb"];
+    }
+}
@@ -0,0 +1,844 @@
+/**
+ * @file weaponTypes.mjs
+ * Defines all the weapons of Advance Wars: Dual Strike, along with their base damage charts.
+ */
+
+import WeaponType from "#src/types/weaponType.mjs";
+
+/**
+ * The defaults shared by every weapon of Dual Strike. It isn't exported, so it isn't a weapon type itself.
+ * Direct weapons (those that can only attack adjacent units) can counterattack and fire after moving, whereas indirect
+ * weapons can do neither.
+ */
+class DualStrikeWeapon extends WeaponType {
+    range(context) {
+        return { min: 1, max: 1 };
+    }
+    ammoPerAttack(context) {
+        return 1;
+    }
+    canCounterattack(context) {
+        return this.range(context).max == 1;
+    }
+    canFireAfterMoving(context) {
+        return this.range(context).max == 1;
+    }
+}
+
+/**
+ * The base damage dealt by the machine gun of each unit type that has one, keyed on the unit type wielding it.
+ */
+const machineGunDamage = {
+    Infantry: {
+        Infantry: 55,
+        Mech: 45,
+        Recon: 12,
+        Tank: 5,
+        MdTank: 1,
+        Neotank: 1,
+        Megatank: 1,
+        APC: 14,
+        Artillery: 15,
+        Rockets: 25,
+        AntiAir: 5,
+        Missiles: 26,
+        Piperunner: 5,
+        Oozium: 20,
+        BattleCopter: 7,
+        TransportCopter: 30,
+    },
+    Mech: {
+        Infantry: 65,
+        Mech: 55,
+        Recon: 18,
+        Tank: 6,
+        MdTank: 1,
+        Neotank: 1,
+        Megatank: 1,
+        APC: 20,
+        Artillery: 32,
+        Rockets: 35,
+        AntiAir: 6,
+        Missiles: 35,
+        Piperunner: 6,
+        Oozium: 20,
+        BattleCopter: 9,
+        TransportCopter: 35,
+    },
+    Recon: {
+        Infantry: 70,
+        Mech: 65,
+        Recon: 35,
+        Tank: 6,
+        MdTank: 1,
+        Neotank: 1,
+        Megatank: 1,
+        APC: 45,
+        Artillery: 45,
+        Rockets: 55,
+        AntiAir: 4,
+        Missiles: 28,
+        Piperunner: 6,
+        Oozium: 20,
+        BattleCopter: 10,
+        TransportCopter: 35,
+    },
+    Tank: {
+        Infantry: 75,
+        Mech: 70,
+        Recon: 40,
+        Tank: 6,
+        MdTank: 1,
+        Neotank: 1,
+        Megatank: 1,
+        APC: 45,
+        Artillery: 45,
+        Rockets: 55,
+        AntiAir: 5,
+        Missiles: 30,
+        Piperunner: 6,
+        Oozium: 20,
+        BattleCopter: 10,
+        TransportCopter: 40,
+    },
+    MdTank: {
+        Infantry: 105,
+        Mech: 95,
+        Recon: 45,
+        Tank: 8,
+        MdTank: 1,
+        Neotank: 1,
+        Megatank: 1,
+        APC: 45,
+        Artillery: 45,
+        Rockets: 55,
+        AntiAir: 7,
+        Missiles: 35,
+        Piperunner: 8,
+        Oozium: 20,
+        BattleCopter: 12,
+        TransportCopter: 45,
+    },
+    Neotank: {
+        Infantry: 125,
+        Mech: 115,
+        Recon: 65,
+        Tank: 10,
+        MdTank: 1,
+        Neotank: 1,
+        Megatank: 1,
+        APC: 65,
+        Artillery: 65,
+        Rockets: 75,
+        AntiAir: 17,
+        Missiles: 55,
+        Piperunner: 10,
+        Oozium: 20,
+        BattleCopter: 22,
+        TransportCopter: 55,
+    },
+    Megatank: {
+        Infantry: 135,
+        Mech: 125,
+        Recon: 65,
+        Tank: 10,
+        MdTank: 1,
+        Neotank: 1,
+        Megatank: 1,
+        APC: 65,
+        Artillery: 65,
+        Rockets: 75,
+        AntiAir: 17,
+        Missiles: 55,
+        Piperunner: 10,
+        Oozium: 20,
+        BattleCopter: 22,
+        TransportCopter: 55,
+    },
+    BattleCopter: {
+        Infantry: 75,
+        Mech: 75,
+        Recon: 30,
+        Tank: 6,
+        MdTank: 1,
+        Neotank: 1,
+        Megatank: 1,
+        APC: 20,
+        Artillery: 25,
+        Rockets: 35,
+        AntiAir: 6,
+        Missiles: 35,
+        Piperunner: 6,
+        Oozium: 20,
+        BattleCopter: 65,
+        TransportCopter: 95,
+    },
+};
+
+export class MachineGun extends DualStrikeWeapon {
+    longName(context) {
+        return ["MACHINE_GUN_WEAPON_longname"];
+    }
+    shortName(context) {
+        return ["MACHINE_GUN_WEAPON_shortname"];
+    }
+    description(context) {
+        return ["MACHINE_GUN_WEAPON_description"];
+    }
+    damage(context) {
+        // Every unit's machine gun deals different amounts of damage, so use the chart of the unit wielding it. It's
+        // copied so that overrides changing one unit's damage don't change it for every unit sharing the chart.
+        return { ...(machineGunDamage[context.units[0]] ?? machineGunDamage.Infantry) };
+    }
+    ammoPerAttack(context) {
+        return 0;
+    }
+}
+
+export class Bazooka extends DualStrikeWeapon {
+    longName(context) {
+        return ["BAZOOKA_WEAPON_longname"];
+    }
+    shortName(context) {
+        return ["BAZOOKA_WEAPON_shortname"];
+    }
+    description(context) {
+        return ["BAZOOKA_WEAPON_description"];
+    }
+    damage(context) {
+        return {
+            Recon: 85,
+            Tank: 55,
+            MdTank: 15,
+            Neotank: 15,
+            Megatank: 5,
+            APC: 75,
+            Artillery: 70,
+            Rockets: 85,
+            AntiAir: 65,
+            Missiles: 85,
+            Piperunner: 55,
+            Oozium: 30,
+        };
+    }
+}
+
+export class TankCannon extends DualStrikeWeapon {
+    longName(context) {
+        return ["TANK_CANNON_WEAPON_longname"];
+    }
+    shortName(context) {
+        return ["TANK_CANNON_WEAPON_shortname"];
+    }
+    description(context) {
+        return ["TANK_CANNON_WEAPON_description"];
+    }
+    damage(context) {
+        return {
+            Recon: 85,
+            Tank: 55,
+            MdTank: 15,
+            Neotank: 15,
+            Megatank: 10,
+            APC: 75,
+            Artillery: 70,
+            Rockets: 85,
+            AntiAir: 65,
+            Missiles: 85,
+            Piperunner: 55,
+            Oozium: 20,
+            Battleship: 1,
+            Cruiser: 5,
+            Lander: 10,
+            Submarine: 1,
+            BlackBoat: 10,
+            Carrier: 1,
+        };
+    }
+}
+
+export class MediumCannon extends DualStrikeWeapon {
+    longName(context) {
+        return ["MEDIUM_CANNON_WEAPON_longname"];
+    }
+    shortName(context) {
+        return ["MEDIUM_CANNON_WEAPON_shortname"];
+    }
+    description(context) {
+        return ["MEDIUM_CANNON_WEAPON_description"];
+    }
+    damage(context) {
+        return {
+            Recon: 105,
+            Tank: 85,
+            MdTank: 55,
+            Neotank: 45,
+            Megatank: 25,
+            APC: 105,
+            Artillery: 105,
+            Rockets: 105,
+            AntiAir: 105,
+            Missiles: 105,
+            Piperunner: 85,
+            Oozium: 20,
+            Battleship: 10,
+            Cruiser: 30,
+            Lander: 35,
+            Submarine: 10,
+            BlackBoat: 35,
+            Carrier: 10,
+        };
+    }
+}
+
+export class NeoCannon extends DualStrikeWeapon {
+    longName(context) {
+        return ["NEO_CANNON_WEAPON_longname"];
+    }
+    shortName(context) {
+        return ["NEO_CANNON_WEAPON_shortname"];
+    }
+    description(context) {
+        return ["NEO_CANNON_WEAPON_description"];
+    }
+    damage(context) {
+        return {
+            Recon: 125,
+            Tank: 105,
+            MdTank: 75,
+            Neotank: 55,
+            Megatank: 35,
+            APC: 125,
+            Artillery: 115,
+            Rockets: 125,
+            AntiAir: 115,
+            Missiles: 125,
+            Piperunner: 105,
+            Oozium: 30,
+            Battleship: 15,
+            Cruiser: 30,
+            Lander: 40,
+            Submarine: 15,
+            BlackBoat: 40,
+            Carrier: 15,
+        };
+    }
+}
+
+export class MegaCannon extends DualStrikeWeapon {
+    longName(context) {
+        return ["MEGA_CANNON_WEAPON_longname"];
+    }
+    shortName(context) {
+        return ["MEGA_CANNON_WEAPON_shortname"];
+    }
+    description(context) {
+        return ["MEGA_CANNON_WEAPON_description"];
+    }
+    damage(context) {
+        return {
+            Recon: 195,
+            Tank: 180,
+            MdTank: 125,
+            Neotank: 115,
+            Megatank: 65,
+            APC: 195,
+            Artillery: 195,
+            Rockets: 195,
+            AntiAir: 195,
+            Missiles: 195,
+            Piperunner: 180,
+            Oozium: 35,
+            Battleship: 45,
+            Cruiser: 65,
+            Lander: 75,
+            Submarine: 45,
+            BlackBoat: 105,
+            Carrier: 45,
+        };
+    }
+}
+
+export class ArtilleryCannon extends DualStrikeWeapon {
+    longName(context) {
+        return ["ARTILLERY_CANNON_WEAPON_longname"];
+    }
+    shortName(context) {
+        return ["ARTILLERY_CANNON_WEAPON_shortname"];
+    }
+    description(context) {
+        return ["ARTILLERY_CANNON_WEAPON_description"];
+    }
+    damage(context) {
+        return {
+            Infantry: 90,
+            Mech: 85,
+            Recon: 80,
+            Tank: 70,
+            MdTank: 45,
+            Neotank: 40,
+            Megatank: 15,
+            APC: 70,
+            Artillery: 75,
+            Rockets: 80,
+            AntiAir: 75,
+            Missiles: 80,
+            Piperunner: 70,
+            Oozium: 15,
+            Battleship: 40,
+            Cruiser: 50,
+            Lander: 55,
+            Submarine: 60,
+            BlackBoat: 55,
+            Carrier: 45,
+        };
+    }
+    range(context) {
+        return { min: 2, max: 3 };
+    }
+}
+
+export class RocketLauncher extends DualStrikeWeapon {
+    longName(context) {
+        return ["ROCKET_LAUNCHER_WEAPON_longname"];
+    }
+    shortName(context) {
+        return ["ROCKET_LAUNCHER_WEAPON_shortname"];
+    }
+    description(context) {
+        return ["ROCKET_LAUNCHER_WEAPON_description"];
+    }
+    damage(context) {
+        return {
+            Infantry: 95,
+            Mech: 90,
+            Recon: 90,
+            Tank: 80,
+            MdTank: 55,
+            Neotank: 50,
+            Megatank: 25,
+            APC: 80,
+            Artillery: 80,
+            Rockets: 85,
+            AntiAir: 85,
+            Missiles: 90,
+            Piperunner: 80,
+            Oozium: 20,
+            Battleship: 55,
+            Cruiser: 60,
+            Lander: 60,
+            Submarine: 85,
+            BlackBoat: 60,
+            Carrier: 60,
+        };
+    }
+    range(context) {
+        return { min: 3, max: 5 };
+    }
+}
+
+export class Vulcan extends DualStrikeWeapon {
+    longName(context) {
+        return ["VULCAN_WEAPON_longname"];
+    }
+    shortName(context) {
+        return ["VULCAN_WEAPON_shortname"];
+    }
+    description(context) {
+        return ["VULCAN_WEAPON_description"];
+    }
+    damage(context) {
+        return {
+            Infantry: 105,
+            Mech: 105,
+            Recon: 60,
+            Tank: 25,
+            MdTank: 10,
+            Neotank: 5,
+            Megatank: 1,
+            APC: 50,
+            Artillery: 50,
+            Rockets: 55,
+            AntiAir: 45,
+            Missiles: 55,
+            Piperunner: 25,
+            Oozium: 10,
+            Fighter: 65,
+            Bomber: 75,
+            Stealth: 75,
+            BattleCopter: 120,
+            TransportCopter: 120,
+            BlackBomb: 120,
+        };
+    }
+}
+
+export class AntiAirMissiles extends DualStrikeWeapon {
+    longName(context) {
+        return ["ANTI_AIR_MISSILES_WEAPON_longname"];
+    }
+    shortName(context) {
+        return ["ANTI_AIR_MISSILES_WEAPON_shortname"];
+    }
+    description(context) {
+        return ["ANTI_AIR_MISSILES_WEAPON_description"];
+    }
+    damage(context) {
+        return {
+            Fighter: 100,
+            Bomber: 100,
+            Stealth: 100,
+            BattleCopter: 120,
+            TransportCopter: 120,
+            BlackBomb: 120,
+        };
+    }
+    range(context) {
+        return { min: 3, max: 5 };
+    }
+}
+
+export class PipeCannon extends DualStrikeWeapon {
+    longName(context) {
+        return ["PIPE_CANNON_WEAPON_longname"];
+    }
+    shortName(context) {
+        return ["PIPE_CANNON_WEAPON_shortname"];
+    }
+    description(context) {
+        return ["PIPE_CANNON_WEAPON_description"];
+    }
+    damage(context) {
+        return {
+            Infantry: 95,
+            Mech: 90,
+            Recon: 90,
+            Tank: 80,
+            MdTank: 55,
+            Neotank: 50,
+            Megatank: 25,
+            APC: 80,
+            Artillery: 80,
+            Rockets: 85,
+            AntiAir: 85,
+            Missiles: 90,
+            Piperunner: 80,
+            Oozium: 20,
+            Fighter: 65,
+            Bomber: 75,
+            Stealth: 75,
+            BattleCopter: 105,
+            TransportCopter: 105,
+            BlackBomb: 120,
+            Battleship: 55,
+            Cruiser: 60,
+            Lander: 60,
+            Submarine: 85,
+            BlackBoat: 60,
+            Carrier: 60,
+        };
+    }
+    range(context) {
+        return { min: 2, max: 5 };
+    }
+}
+
+export class OoziumGoo extends DualStrikeWeapon {
+    longName(context) {
+        return ["OOZIUM_GOO_WEAPON_longname"];
+    }
+    shortName(context) {
+        return ["OOZIUM_GOO_WEAPON_shortname"];
+    }
+    description(context) {
+        return ["OOZIUM_GOO_WEAPON_description"];
+    }
+    damage(context) {
+        return {
+            Infantry: 100,
+            Mech: 100,
+            Recon: 100,
+            Tank: 85,
+            MdTank: 55,
+            Neotank: 45,
+            Megatank: 20,
+            APC: 100,
+            Artillery: 100,
+            Rockets: 100,
+            AntiAir: 100,
+            Missiles: 100,
+            Piperunner: 85,
+            Oozium: 20,
+        };
+    }
+    ammoPerAttack(context) {
+        return 0;
+    }
+}
+
+export class AirToAirMissiles extends DualStrikeWeapon {
+    longName(context) {
+        return ["AIR_TO_AIR_MISSILES_WEAPON_longname"];
+    }
+    shortName(context) {
+        return ["AIR_TO_AIR_MISSILES_WEAPON_shortname"];
+    }
+    description(context) {
+        return ["AIR_TO_AIR_MISSILES_WEAPON_description"];
+    }
+    damage(context) {
+        return {
+            Fighter: 55,
+            Bomber: 100,
+            Stealth: 85,
+            BattleCopter: 100,
+            TransportCopter: 100,
+            BlackBomb: 120,
+        };
+    }
+}
+
+export class Bombs extends DualStrikeWeapon {
+    longName(context) {
+        return ["BOMBS_WEAPON_longname"];
+    }
+    shortName(context) {
+        return ["BOMBS_WEAPON_shortname"];
+    }
+    description(context) {
+        return ["BOMBS_WEAPON_description"];
+    }
+    damage(context) {
+        return {
+            Infantry: 110,
+            Mech: 110,
+            Recon: 105,
+            Tank: 105,
+            MdTank: 95,
+            Neotank: 90,
+            Megatank: 35,
+            APC: 105,
+            Artillery: 105,
+            Rockets: 105,
+            AntiAir: 95,
+            Missiles: 105,
+            Piperunner: 105,
+            Oozium: 35,
+            Battleship: 75,
+            Cruiser: 50,
+            Lander: 95,
+            Submarine: 95,
+            BlackBoat: 95,
+            Carrier: 75,
+        };
+    }
+}
+
+export class Omnimissiles extends DualStrikeWeapon {
+    longName(context) {
+        return ["OMNIMISSILES_WEAPON_longname"];
+    }
+    shortName(context) {
+        return ["OMNIMISSILES_WEAPON_shortname"];
+    }
+    description(context) {
+        return ["OMNIMISSILES_WEAPON_description"];
+    }
+    damage(context) {
+        return {
+            Infantry: 90,
+            Mech: 90,
+            Recon: 85,
+            Tank: 75,
+            MdTank: 70,
+            Neotank: 60,
+            Megatank: 15,
+            APC: 85,
+            Artillery: 75,
+            Rockets: 85,
+            AntiAir: 50,
+            Missiles: 85,
+            Piperunner: 80,
+            Oozium: 30,
+            Fighter: 45,
+            Bomber: 70,
+            Stealth: 55,
+            BattleCopter: 85,
+            TransportCopter: 95,
+            BlackBomb: 120,
+            Battleship: 45,
+            Cruiser: 35,
+            Lander: 65,
+            Submarine: 55,
+            BlackBoat: 65,
+            Carrier: 45,
+        };
+    }
+}
+
+export class AirToGroundMissiles extends DualStrikeWeapon {
+    longName(context) {
+        return ["AIR_TO_GROUND_MISSILES_WEAPON_longname"];
+    }
+    shortName(context) {
+        return ["AIR_TO_GROUND_MISSILES_WEAPON_shortname"];
+    }
+    description(context) {
+        return ["AIR_TO_GROUND_MISSILES_WEAPON_description"];
+    }
+    damage(context) {
+        return {
+            Recon: 55,
+            Tank: 55,
+            MdTank: 25,
+            Neotank: 20,
+            Megatank: 10,
+            APC: 60,
+            Artillery: 65,
+            Rockets: 65,
+            AntiAir: 25,
+            Missiles: 65,
+            Piperunner: 55,
+            Oozium: 25,
+            Battleship: 25,
+            Cruiser: 55,
+            Lander: 25,
+            Submarine: 25,
+            BlackBoat: 25,
+            Carrier: 25,
+        };
+    }
+}
+
+export class BattleshipCannon extends DualStrikeWeapon {
+    longName(context) {
+        return ["BATTLESHIP_CANNON_WEAPON_longname"];
+    }
+    shortName(context) {
+        return ["BATTLESHIP_CANNON_WEAPON_shortname"];
+    }
+    description(context) {
+        return ["BATTLESHIP_CANNON_WEAPON_description"];
+    }
+    damage(context) {
+        return {
+            Infantry: 95,
+            Mech: 90,
+            Recon: 90,
+            Tank: 80,
+            MdTank: 55,
+            Neotank: 50,
+            Megatank: 25,
+            APC: 80,
+            Artillery: 80,
+            Rockets: 85,
+            AntiAir: 85,
+            Missiles: 90,
+            Piperunner: 80,
+            Oozium: 20,
+            Battleship: 50,
+            Cruiser: 95,
+            Lander: 95,
+            Submarine: 95,
+            BlackBoat: 95,
+            Carrier: 60,
+        };
+    }
+    range(context) {
+        return { min: 2, max: 6 };
+    }
+}
+
+export class AntiShipMissiles extends DualStrikeWeapon {
+    longName(context) {
+        return ["ANTI_SHIP_MISSILES_WEAPON_longname"];
+    }
+    shortName(context) {
+        return ["ANTI_SHIP_MISSILES_WEAPON_shortname"];
+    }
+    description(context) {
+        return ["ANTI_SHIP_MISSILES_WEAPON_description"];
+    }
+    damage(context) {
+        return {
+            Battleship: 5,
+            Cruiser: 25,
+            Lander: 25,
+            Submarine: 90,
+            BlackBoat: 25,
+            Carrier: 5,
+        };
+    }
+}
+
+export class AntiAirGun extends DualStrikeWeapon {
+    longName(context) {
+        return ["ANTI_AIR_GUN_WEAPON_longname"];
+    }
+    shortName(context) {
+        return ["ANTI_AIR_GUN_WEAPON_shortname"];
+    }
+    description(context) {
+        return ["ANTI_AIR_GUN_WEAPON_description"];
+    }
+    damage(context) {
+        return {
+            Fighter: 55,
+            Bomber: 65,
+            Stealth: 100,
+            BattleCopter: 115,
+            TransportCopter: 115,
+            BlackBomb: 120,
+        };
+    }
+    ammoPerAttack(context) {
+        return 0;
+    }
+}
+
+export class Torpedoes extends DualStrikeWeapon {
+    longName(context) {
+        return ["TORPEDOES_WEAPON_longname"];
+    }
+    shortName(context) {
+        return ["TORPEDOES_WEAPON_shortname"];
+    }
+    description(context) {
+        return ["TORPEDOES_WEAPON_description"];
+    }
+    damage(context) {
+        return {
+            Battleship: 55,
+            Cruiser: 25,
+            Lander: 95,
+            Submarine: 55,
+            BlackBoat: 95,
+            Carrier: 75,
+        };
+    }
+}
+
+export class CarrierMissiles extends DualStrikeWeapon {
+    longName(context) {
+        return ["CARRIER_MISSILES_WEAPON_longname"];
+    }
+    shortName(context) {
+        return ["CARRIER_MISSILES_WEAPON_shortname"];
+    }
+    description(context) {
+        return ["CARRIER_MISSILES_WEAPON_description"];
+    }
+    damage(context) {
+        return {
+            Fighter: 100,
+            Bomber: 100,
+            Stealth: 100,
+            BattleCopter: 115,
+            TransportCopter: 115,
+            BlackBomb: 120,
+        };
+    }
+    range(context) {
+        return { min: 3, max: 8 };
+    }
+}
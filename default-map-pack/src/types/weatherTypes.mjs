@@ -3,7 +3,7 @@
  * Defines all the weathers of Advance Wars.
  */
 
-import WeatherType from "#src/types/weaponType.mjs";
+import WeatherType from "#src/types/weatherType.mjs";
 
 export class ClearWeather extends WeatherType {
     longName(context) {
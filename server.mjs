@@ -5,17 +5,24 @@
  */
 
 import { rmSync } from "node:fs";
-import { join } from "node:path";
+import { readFile, writeFile } from "node:fs/promises";
+import { basename, join } from "node:path";
+import { cwd } from "node:process";
 
 import commandLineArgs from "command-line-args";
 import commandLineUsage from "command-line-usage";
 import esMain from "es-main";
 
 import { logLevels, defaultLogLevel, setLogLevel, setLogFilepath } from "#src/logging/logger.mjs";
+import { importAwbwMap } from "#src/map/awbwImporter.mjs";
+import { isMapFile, readMapFile, writeMapFile } from "#src/map/mapFile.mjs";
+import { validateMapPack } from "#src/map/mapPackValidator.mjs";
+import { checkTranslations, readMapPackTranslations } from "#src/map/translationChecker.mjs";
 import Controller from "#src/mvc/controller.mjs";
 
 import FrontEndData from "#src/models/frontEndData.mjs";
 import MapManager from "#src/models/mapManager.mjs";
+import TurnManager from "#src/models/turnManager.mjs";
 
 export const optionDefinitions = [
     // MARK: Generic
@@ -115,6 +122,34 @@ export const optionDefinitions = [
         typeLabel: "{underline folder path}",
         lazyMultiple: true,
     },
+    // MARK: Tools
+    {
+        name: "import-awbw",
+        type: String,
+        multiple: true,
+        description:
+            "Converts a map exported from Advance Wars By Web into a .map file using the map pack's AWBW mapping " +
+            "table, then exits without starting the server",
+        typeLabel: "{underline AWBW file path} {underline map file path}",
+    },
+    {
+        name: "convert-map",
+        type: String,
+        multiple: true,
+        description:
+            "Converts a binary .map file into a JSON .map.json file, or vice versa, then exits without starting the " +
+            "server",
+        typeLabel: "{underline input map file path} {underline output map file path}",
+    },
+    {
+        name: "check-translations",
+        type: Boolean,
+        description:
+            "Checks that the map pack's locale files translate every language key its object types use, that every " +
+            "locale translates the same keys, and that every translated key is used, then exits without starting the " +
+            "server. Exits with a non-zero status code if any problems were found",
+        typeLabel: "",
+    },
 ];
 
 export const usageSections = [
@@ -151,40 +186,165 @@ export function getCommandLineArguments() {
     return options;
 }
 
+/**
+ * Converts a map exported from Advance Wars By Web into a binary map file, printing any problems to the console.
+ * @param {String} awbwFilePath Path to the AWBW map file to read.
+ * @param {String} mapFilePath Path to the binary map file to write.
+ * @param {String} mapPackPath Path to the map pack whose AWBW mapping table and object types should be used. It must be
+ *        relative to the current working directory.
+ * @returns {Promise} Resolves once the map file has been written, or rejects if the map couldn't be imported.
+ */
+export function importAwbwMapFile(awbwFilePath, mapFilePath, mapPackPath) {
+    return Promise.all([readFile(awbwFilePath, "utf8"), import(`file://${join(cwd(), mapPackPath, "exports.mjs")}`)])
+        .then(([text, mapPackModule]) => {
+            if (typeof mapPackModule.awbwMapping !== "object" || !mapPackModule.awbwMapping) {
+                throw new Error(`The map pack ${mapPackPath} doesn't export an AWBW mapping table`);
+            }
+            const { objectTypes } = validateMapPack(mapPackModule);
+            const mapData = importAwbwMap(
+                text,
+                mapPackModule.awbwMapping,
+                basename(mapFilePath).replace(/\.map(\.json)?$/, ""),
+                objectTypes
+            );
+            return writeFile(mapFilePath, writeMapFile(mapFilePath, mapData));
+        })
+        .then(() => console.log(`Imported ${awbwFilePath} into ${mapFilePath}`))
+        .catch(e => {
+            console.error(`Couldn't import ${awbwFilePath}: ${e.reason ?? e.message}`);
+            for (const { table, id, positions } of e.unmapped ?? []) {
+                console.error(
+                    `  Unmapped ${table} ID ${id} at ${positions.map(({ x, y }) => `(${x}, ${y})`).join(", ")}`
+                );
+            }
+            throw e;
+        });
+}
+
+/**
+ * Converts a map file from one format into another, printing any problems to the console.
+ * The format of each file is decided by its extension: .map for binary map files, and .map.json for JSON map files.
+ * @param {String} inputPath Path to the map file to read.
+ * @param {String} outputPath Path to the map file to write.
+ * @returns {Promise} Resolves once the map file has been written, or rejects if the map couldn't be converted.
+ */
+export function convertMapFile(inputPath, outputPath) {
+    return Promise.resolve()
+        .then(() => {
+            for (const path of [inputPath, outputPath]) {
+                if (!isMapFile(path)) {
+                    throw new Error(`${path} doesn't end in .map or .map.json`);
+                }
+            }
+            return readFile(inputPath);
+        })
+        .then(buffer => writeFile(outputPath, writeMapFile(outputPath, readMapFile(inputPath, buffer))))
+        .then(() => console.log(`Converted ${inputPath} into ${outputPath}`))
+        .catch(e => {
+            console.error(`Couldn't convert ${inputPath}: ${e.message}`);
+            throw e;
+        });
+}
+
+/**
+ * Checks a map pack's translations, printing any problems to the console.
+ * @param {String} mapPackPath Path to the map pack whose translations should be checked. It must be relative to the
+ *        current working directory.
+ * @returns {Promise} Resolves if the map pack's translations have no problems, or rejects if problems were found or
+ *          the map pack couldn't be read.
+ */
+export function checkMapPackTranslations(mapPackPath) {
+    const fullMapPackPath = join(cwd(), mapPackPath);
+    return Promise.all([
+        import(`file://${join(fullMapPackPath, "exports.mjs")}`),
+        readMapPackTranslations(fullMapPackPath),
+    ])
+        .then(([mapPackModule, translations]) => {
+            const { objectTypes } = validateMapPack(mapPackModule);
+            const overrides = typeof mapPackModule.overrides === "function" ? mapPackModule.overrides : null;
+            const report = checkTranslations(objectTypes, overrides, translations);
+            const issues = [...report.missing, ...report.partial, ...report.unused];
+            if (issues.length == 0) {
+                console.log(`The translations of ${mapPackPath} have no problems`);
+                return;
+            }
+            issues.forEach(issue => console.error(`  ${issue.message}`));
+            throw new Error(
+                `${issues.length} problem${issues.length == 1 ? " was" : "s were"} found: ${report.missing.length} ` +
+                    `missing, ${report.partial.length} partial, ${report.unused.length} unused`
+            );
+        })
+        .catch(e => {
+            console.error(`The translations of ${mapPackPath} didn't pass the check: ${e.message}`);
+            throw e;
+        });
+}
+
+/**
+ * Runs one of the command-line tools that exit without starting the server, if the user asked for one.
+ * @param {Object} options The options provided by the user.
+ * @returns {Boolean} True if a tool was run, false if the server should be started.
+ */
+function runTool(options) {
+    const tools = {
+        "import-awbw": (awbwFilePath, mapFilePath) =>
+            importAwbwMapFile(awbwFilePath, mapFilePath, options["map-pack"].at(-1)),
+        "convert-map": convertMapFile,
+        "check-translations": () => checkMapPackTranslations(options["map-pack"].at(-1)),
+    };
+    const tool = Object.keys(tools).find(name => options[name]);
+    if (!tool) {
+        return false;
+    }
+    const paths = Array.isArray(options[tool]) ? options[tool] : [];
+    if (paths.length != tools[tool].length) {
+        console.error(`--${tool} must be given exactly ${tools[tool].length} file paths`);
+        process.exit(1);
+    }
+    tools[tool](...paths).then(
+        () => process.exit(),
+        () => process.exit(1)
+    );
+    return true;
+}
+
 // Don't run the actual game if we're importing this module.
 if (esMain(import.meta)) {
     const options = getCommandLineArguments();
-    new Controller({
-        port: options["port"].at(-1),
-        files: [
-            {
-                path: "WebWars.html",
-                root: join(import.meta.dirname, "public"),
-                url: "/",
-            },
-        ],
-        folders: [
-            {
-                path: join(import.meta.dirname, "shared"),
-                url: "/",
-            },
-            {
-                path: join(import.meta.dirname, "public"),
-                url: "/",
-            },
-        ],
-        onServerUp: port => console.log(`Open http://localhost:${port} in your browser to open the game!`),
-        models: [
-            {
-                model: FrontEndData,
-                arguments: [
-                    options["no-client-sessions"] ? "" : options["client-sessions"].at(-1),
-                    !options["do-not-persist-client-sessions"],
-                ],
-            },
-            { model: MapManager },
-        ],
-        maxClientSessions: options["max-client-sessions"].at(-1),
-        mapPackPath: options["map-pack"].at(-1),
-    });
+    if (!runTool(options)) {
+        new Controller({
+            port: options["port"].at(-1),
+            files: [
+                {
+                    path: "WebWars.html",
+                    root: join(import.meta.dirname, "public"),
+                    url: "/",
+                },
+            ],
+            folders: [
+                {
+                    path: join(import.meta.dirname, "shared"),
+                    url: "/",
+                },
+                {
+                    path: join(import.meta.dirname, "public"),
+                    url: "/",
+                },
+            ],
+            onServerUp: port => console.log(`Open http://localhost:${port} in your browser to open the game!`),
+            models: [
+                {
+                    model: FrontEndData,
+                    arguments: [
+                        options["no-client-sessions"] ? "" : options["client-sessions"].at(-1),
+                        !options["do-not-persist-client-sessions"],
+                    ],
+                },
+                { model: MapManager },
+                { model: TurnManager },
+            ],
+            maxClientSessions: options["max-client-sessions"].at(-1),
+            mapPackPath: options["map-pack"].at(-1),
+        });
+    }
 }
@@ -10,8 +10,10 @@
  */
 export function deepFreeze(object) {
     if (typeof object === "object" && object) {
+        // Child objects are frozen in place, rather than being assigned back, as an object that appears more than once
+        // will already be frozen the second time it is reached.
         for (const key in object) {
-            object[key] = deepFreeze(object[key]);
+            deepFreeze(object[key]);
         }
     }
     return Object.freeze(object);
@@ -0,0 +1,171 @@
+/**
+ * @file awbwImporter.mjs
+ * Defines the function that converts maps exported from Advance Wars By Web (AWBW) into WebWars maps.
+ *
+ * AWBW exports a map's terrain as a comma-separated grid of numeric terrain IDs, one row per line. WebWars also accepts
+ * an optional units section after the grid, separated from it by an empty line. Each line of the units section
+ * describes a single unit as `unitID,x,y,countryID`, where the country ID identifies the AWBW army that owns the unit.
+ *
+ * AWBW's IDs mean nothing to WebWars by themselves, so each map pack that supports importing AWBW maps exports an
+ * `awbwMapping` object that translates them into the map pack's own object type names.
+ */
+
+import { maxUnitHP } from "#src/map/binaryMapFormat.mjs";
+import ObjectTypeResolver from "#src/map/objectTypeResolver.mjs";
+
+/**
+ * @typedef {Object} AwbwTerrain
+ * @property {String} tile The name of the tile type to use.
+ * @property {Number} [country] The AWBW country ID of the army that owns the tile, if it is owned.
+ */
+
+/**
+ * @typedef {Object} AwbwMapping
+ * Translates AWBW's IDs into a map pack's object type names. Every table is keyed on AWBW ID.
+ * @property {String} environment The name of the environment type to give to imported maps.
+ * @property {Array<String>} weathers The names of the weather types to give to imported maps.
+ * @property {Object<Number, String>} countries The name of the faction type to use for each AWBW country.
+ * @property {Object<Number, AwbwTerrain>} terrain The tile to use for each AWBW terrain.
+ * @property {Object<Number, String>} units The name of the unit type to use for each AWBW unit.
+ */
+
+/**
+ * @typedef {Object} UnmappedAwbwID
+ * @property {String} table The table of the mapping that the ID is missing from: "terrain", "units" or "countries".
+ * @property {Number} id The AWBW ID that has no mapping.
+ * @property {Array<import("#src/types/objectType.mjs").Coordinate>} positions Every location the ID was found at.
+ */
+
+/**
+ * Thrown when an AWBW map could not be converted.
+ */
+export class AwbwImportError extends Error {
+    /**
+     * Constructs a new AWBW import error.
+     * @param {String} reason A description of what went wrong.
+     * @param {Array<UnmappedAwbwID>} [unmapped=[]] The AWBW IDs that the mapping couldn't translate, if any.
+     */
+    constructor(reason, unmapped = []) {
+        super(reason);
+        this.name = "AwbwImportError";
+        this.reason = reason;
+        this.unmapped = unmapped;
+    }
+}
+
+/**
+ * Converts an AWBW map into a WebWars map.
+ * Each army is given its own team, and armies are ordered by AWBW country ID. Units are given full HP, fuel and ammo.
+ * @param {String} text The contents of the AWBW map file.
+ * @param {AwbwMapping} mapping Translates AWBW's IDs into the map pack's object type names.
+ * @param {String} name The name to give to the map.
+ * @param {Object<String, Object<String, Function>>} [objectTypes={}] The object types of the map pack, keyed on
+ *        category, then on type name. Used to look up how much fuel and ammo each unit starts with. Units whose type
+ *        can't be found start with none.
+ * @returns {import("#src/map/map.mjs").MapData} The converted map.
+ * @throws {AwbwImportError} If the map is malformed, or if any of its IDs aren't in the mapping. Every unmapped ID is
+ *         reported at once.
+ */
+export function importAwbwMap(text, mapping, name, objectTypes = {}) {
+    const [terrainSection, unitSection = ""] = text.trim().split(/\r?\n\s*\r?\n/, 2);
+    const parseLine = (line, lineNumber) =>
+        line.split(",").map(cell => {
+            const id = Number(cell.trim());
+            if (cell.trim().length == 0 || !Number.isInteger(id)) {
+                throw new AwbwImportError(`Line ${lineNumber} contains "${cell.trim()}", which isn't an ID`);
+            }
+            return id;
+        });
+    const grid = terrainSection.split(/\r?\n/).map((line, y) => parseLine(line, y + 1));
+    const width = grid[0].length;
+    if (grid.some(row => row.length != width)) {
+        throw new AwbwImportError(`The rows of the map's terrain don't all have ${width} terrain IDs`);
+    }
+    const unitLines = unitSection
+        .split(/\r?\n/)
+        .filter(line => line.trim().length > 0)
+        .map((line, i) => parseLine(line, grid.length + i + 2));
+    if (unitLines.some(line => line.length != 4)) {
+        throw new AwbwImportError("Each unit must be given as unitID,x,y,countryID");
+    }
+
+    // 1. Look up every ID, collecting those that aren't in the mapping.
+    const unmapped = {};
+    const lookUp = (table, id, position) => {
+        if (mapping[table]?.hasOwnProperty(id)) {
+            return mapping[table][id];
+        }
+        const key = `${table}:${id}`;
+        unmapped[key] ??= { table: table, id: id, positions: [] };
+        unmapped[key].positions.push(position);
+        return undefined;
+    };
+    const tiles = grid.map((row, y) =>
+        row.map((id, x) => {
+            const terrain = lookUp("terrain", id, { x: x, y: y });
+            if (terrain?.country !== undefined) {
+                lookUp("countries", terrain.country, { x: x, y: y });
+            }
+            return terrain;
+        })
+    );
+    const units = unitLines.map(([id, x, y, country]) => {
+        if (x < 0 || y < 0 || x >= width || y >= grid.length) {
+            throw new AwbwImportError(`The position (${x}, ${y}) of AWBW unit ${id} is out of bounds`);
+        }
+        lookUp("countries", country, { x: x, y: y });
+        return { type: lookUp("units", id, { x: x, y: y }), position: { x: x, y: y }, country: country };
+    });
+    if (Object.keys(unmapped).length > 0) {
+        const ids = Object.values(unmapped);
+        throw new AwbwImportError(
+            `The map contains ${ids.length} AWBW ID(s) that the map pack can't translate: ` +
+                ids.map(({ table, id }) => `${table} ${id}`).join(", "),
+            ids
+        );
+    }
+
+    // 2. Give each country that appears on the map its own army.
+    const countries = [
+        ...new Set([
+            ...tiles.flat().flatMap(terrain => (terrain.country === undefined ? [] : [terrain.country])),
+            ...units.map(unit => unit.country),
+        ]),
+    ].sort((a, b) => a - b);
+    const armyOf = country => (country === undefined ? undefined : countries.indexOf(country));
+    const resolver = new ObjectTypeResolver(objectTypes, null);
+    const supplies = type => {
+        try {
+            const unitType = resolver.resolve("units", type);
+            return { fuel: unitType.maxFuel ?? 0, ammo: unitType.maxAmmo ?? [] };
+        } catch (e) {
+            return { fuel: 0, ammo: [] };
+        }
+    };
+
+    return {
+        name: name,
+        author: "",
+        description: "",
+        width: width,
+        height: grid.length,
+        environment: mapping.environment,
+        weathers: [...mapping.weathers],
+        armies: countries.map((country, i) => ({
+            faction: mapping.countries[country],
+            team: i,
+            funds: 0,
+            commanders: [],
+        })),
+        tiles: tiles.map(row => row.map(terrain => ({ type: terrain.tile, owner: armyOf(terrain.country) }))),
+        structures: [],
+        units: units.map(unit => ({
+            type: unit.type,
+            position: unit.position,
+            owner: armyOf(unit.country),
+            hp: maxUnitHP,
+            ...supplies(unit.type),
+        })),
+        script: "",
+    };
+}
@@ -0,0 +1,643 @@
+/**
+ * @file binaryMapFormat.mjs
+ * Defines the binary .map file format and the functions that read and write it.
+ *
+ * All numbers are unsigned and little-endian. Strings are stored as a u16 byte length followed by that many bytes of
+ * UTF-8. Object type names are never stored inline: instead, each file contains a string table, and every reference to
+ * an object type is a u16 index into that table. A file is laid out as follows:
+ *
+ * | Field            | Encoding                                                                                   |
+ * | ---------------- | ------------------------------------------------------------------------------------------ |
+ * | Magic bytes      | The four ASCII characters "WWMP".                                                          |
+ * | Format version   | u16.                                                                                       |
+ * | Width            | u16, at least 1.                                                                           |
+ * | Height           | u16, at least 1.                                                                           |
+ * | Map name         | string.                                                                                    |
+ * | Map author       | string. Only present from version 3 onwards.                                               |
+ * | Map description  | string. Only present from version 3 onwards.                                               |
+ * | String table     | u16 count, followed by that many strings.                                                  |
+ * | Environment      | u16 environment type name index.                                                           |
+ * | Weathers         | u8 count, followed by that many u16 weather type name indices.                             |
+ * | Armies           | u8 count, followed by that many armies:                                                    |
+ * |                  | u16 faction type name index, u8 team, u32 funds, u8 commander count, followed by that many |
+ * |                  | u16 commander type name indices.                                                           |
+ * | Unit cap         | u16 limit on how many units each army can have at once, or 0 if each army uses its         |
+ * |                  | faction's unit cap. Only present from version 4 onwards.                                   |
+ * | Tiles            | Width * height tiles, row by row: u16 tile type name index, u8 owner.                      |
+ * | Structures       | u16 count, followed by that many structures:                                               |
+ * |                  | u16 structure type name index, u16 root X, u16 root Y, u8 destroyed (0 or 1).              |
+ * | Units            | u16 count, followed by that many units:                                                    |
+ * |                  | u16 unit type name index, u16 X, u16 Y, u8 owner, u8 HP (1-100), u16 fuel, u8 ammo count,  |
+ * |                  | followed by that many u8 ammo values.                                                      |
+ * | Script           | u32 byte length, followed by that many bytes of UTF-8 source code. A length of 0 means the |
+ * |                  | map has no embedded script. Only present from version 2 onwards.                           |
+ *
+ * Owners are indices into the army list, or 255 if the tile or unit is not owned by any army.
+ */
+
+/**
+ * Every binary map file must begin with these bytes.
+ */
+export const magicBytes = "WWMP";
+
+/**
+ * The version of the binary map format that this module writes.
+ */
+export const formatVersion = 4;
+
+/**
+ * The oldest version of the binary map format that this module can still read.
+ */
+export const oldestFormatVersion = 1;
+
+/**
+ * The value stored in an owner field when a tile or unit is not owned by any army.
+ */
+export const noOwner = 0xff;
+
+/**
+ * The highest internal HP a unit can have.
+ */
+export const maxUnitHP = 100;
+
+/**
+ * Thrown when a binary map file could not be read or written.
+ */
+export class MapFormatError extends Error {
+    /**
+     * Constructs a new map format error.
+     * @param {String} reason A description of what was wrong with the file or map.
+     * @param {Number} offset The byte offset into the file at which the problem was found.
+     */
+    constructor(reason, offset) {
+        super(`${reason} (at byte offset ${offset})`);
+        this.name = "MapFormatError";
+        this.reason = reason;
+        this.offset = offset;
+    }
+}
+
+/**
+ * @typedef {Object} MapHeader
+ * The information stored at the start of a binary map file, which is enough to describe the map to players without
+ * reading the whole file.
+ * @property {Number} version The format version of the file.
+ * @property {String} name The name of the map.
+ * @property {String} author The name of the map's author. Empty for files older than version 3.
+ * @property {String} description The map's description. Empty for files older than version 3.
+ * @property {Number} width The number of columns of tiles the map has.
+ * @property {Number} height The number of rows of tiles the map has.
+ * @property {String} environment The name of the map's environment type.
+ * @property {Array<String>} weathers The name/s of the map's weather type/s.
+ * @property {Number} armyCount The number of armies on the map.
+ */
+
+/**
+ * Reads the header of a binary map file, stopping after the army count.
+ * The rest of the file is never read, so this can succeed even if the rest of the file is malformed.
+ * @param {Buffer} buffer The contents of the map file, or at least its header.
+ * @returns {MapHeader} The map's header.
+ * @throws {MapFormatError} If the header is malformed or truncated.
+ */
+export function readBinaryMapHeader(buffer) {
+    const { typeName, ...header } = readHeader(new BinaryReader(buffer));
+    return header;
+}
+
+/**
+ * Reads a binary map file.
+ * @param {Buffer} buffer The contents of the map file.
+ * @param {Object<String, Object<String, Function>> | undefined} objectTypes The object types cached from the loaded
+ *        map pack, keyed on category, then on type name. Every object type name referenced by the file must be found
+ *        here under the correct category. If not given, object type names are not checked.
+ * @returns {import("#src/map/map.mjs").MapData} The map stored in the file.
+ * @throws {MapFormatError} If the file is malformed or truncated, or if it references unknown object types (when
+ *         given).
+ */
+export function readBinaryMap(buffer, objectTypes) {
+    const reader = new BinaryReader(buffer);
+
+    // 1-3. Header, string table, environment and weathers.
+    const { version, width, height, name, author, description, environment, weathers, armyCount, typeName } =
+        readHeader(reader, objectTypes);
+
+    // 4. Armies and unit cap.
+    const armies = [];
+    for (let i = 0; i < armyCount; ++i) {
+        const faction = typeName("factions", `army ${i}'s faction`);
+        const team = reader.u8(`army ${i}'s team`);
+        const funds = reader.u32(`army ${i}'s funds`);
+        const commanders = [];
+        const commanderCount = reader.u8(`army ${i}'s commander count`);
+        for (let j = 0; j < commanderCount; ++j) {
+            commanders.push(typeName("commanders", `army ${i}'s commander ${j}`));
+        }
+        armies.push({ faction: faction, team: team, funds: funds, commanders: commanders });
+    }
+    const unitCap = version >= 4 ? reader.u16("unit cap") : 0;
+    const owner = what => {
+        const offset = reader.offset;
+        const index = reader.u8(what);
+        if (index == noOwner) {
+            return undefined;
+        }
+        if (index >= armies.length) {
+            throw new MapFormatError(
+                `Army index ${index} of ${what} is out of range, the map has ${armies.length} arm` +
+                    `${armies.length == 1 ? "y" : "ies"}`,
+                offset
+            );
+        }
+        return index;
+    };
+    const position = what => {
+        const offset = reader.offset;
+        const x = reader.u16(`${what}'s X coordinate`);
+        const y = reader.u16(`${what}'s Y coordinate`);
+        if (x >= width || y >= height) {
+            throw new MapFormatError(
+                `The position (${x}, ${y}) of ${what} is outside of the map's bounds (${width}x${height})`,
+                offset
+            );
+        }
+        return { x: x, y: y };
+    };
+
+    // 5. Tiles.
+    const tiles = [];
+    for (let y = 0; y < height; ++y) {
+        const row = [];
+        for (let x = 0; x < width; ++x) {
+            const tile = `the tile at (${x}, ${y})`;
+            row.push({ type: typeName("tiles", tile), owner: owner(`${tile}'s owner`) });
+        }
+        tiles.push(row);
+    }
+
+    // 6. Structures.
+    const structures = [];
+    const structureCount = reader.u16("structure count");
+    for (let i = 0; i < structureCount; ++i) {
+        const structure = `structure ${i}`;
+        const type = typeName("structures", structure);
+        const root = position(structure);
+        const destroyedOffset = reader.offset;
+        const destroyed = reader.u8(`${structure}'s destroyed flag`);
+        if (destroyed > 1) {
+            throw new MapFormatError(
+                `The destroyed flag of ${structure} must be 0 or 1, but it was ${destroyed}`,
+                destroyedOffset
+            );
+        }
+        structures.push({ type: type, root: root, destroyed: destroyed == 1 });
+    }
+
+    // 7. Units.
+    const units = [];
+    const unitCount = reader.u16("unit count");
+    for (let i = 0; i < unitCount; ++i) {
+        const unit = `unit ${i}`;
+        const type = typeName("units", unit);
+        const unitPosition = position(unit);
+        const unitOwner = owner(`${unit}'s owner`);
+        const hpOffset = reader.offset;
+        const hp = reader.u8(`${unit}'s HP`);
+        if (hp < 1 || hp > maxUnitHP) {
+            throw new MapFormatError(
+                `The HP of ${unit} must be between 1 and ${maxUnitHP}, but it was ${hp}`,
+                hpOffset
+            );
+        }
+        const fuel = reader.u16(`${unit}'s fuel`);
+        const ammo = [];
+        const ammoCount = reader.u8(`${unit}'s ammo count`);
+        for (let j = 0; j < ammoCount; ++j) {
+            ammo.push(reader.u8(`${unit}'s ammo ${j}`));
+        }
+        units.push({ type: type, position: unitPosition, owner: unitOwner, hp: hp, fuel: fuel, ammo: ammo });
+    }
+
+    // 8. Script.
+    let script = "";
+    if (version >= 2) {
+        script = reader.bytes(reader.u32("script length"), "script").toString("utf8");
+    }
+
+    if (reader.remaining > 0) {
+        throw new MapFormatError(
+            `Found ${reader.remaining} unexpected byte${reader.remaining == 1 ? "" : "s"} after the end of the map`,
+            reader.offset
+        );
+    }
+    return {
+        name: name,
+        author: author,
+        description: description,
+        width: width,
+        height: height,
+        environment: environment,
+        weathers: weathers,
+        armies: armies,
+        unitCap: unitCap == 0 ? undefined : unitCap,
+        tiles: tiles,
+        structures: structures,
+        units: units,
+        script: script,
+    };
+}
+
+/**
+ * Writes a map in the binary map format.
+ * The string table will list each object type name in the order that it first appears in the file.
+ * @param {import("#src/map/map.mjs").MapData} map The map to write. Use Map.toData() to write a Map object.
+ * @returns {Buffer} The contents of the map file.
+ * @throws {MapFormatError} If the map holds a value that cannot be stored in the binary map format.
+ */
+export function writeBinaryMap(map) {
+    const writer = new BinaryWriter();
+
+    // 1. Header.
+    writer.bytes(Buffer.from(magicBytes, "latin1"));
+    writer.u16(formatVersion, "format version");
+    writer.nonZeroU16(map.width, "width");
+    writer.nonZeroU16(map.height, "height");
+    writer.string(map.name, "map name");
+    writer.string(map.author ?? "", "map author");
+    writer.string(map.description ?? "", "map description");
+
+    // 2. String table.
+    const stringTable = [];
+    const stringTableIndices = {};
+    const addTypeName = name => {
+        if (!stringTableIndices.hasOwnProperty(name)) {
+            stringTableIndices[name] = stringTable.length;
+            stringTable.push(name);
+        }
+    };
+    addTypeName(map.environment);
+    map.weathers.forEach(addTypeName);
+    map.armies.forEach(army => {
+        addTypeName(army.faction);
+        army.commanders.forEach(addTypeName);
+    });
+    map.tiles.forEach(row => row.forEach(tile => addTypeName(tile.type)));
+    map.structures.forEach(structure => addTypeName(structure.type));
+    map.units.forEach(unit => addTypeName(unit.type));
+    writer.u16(stringTable.length, "string table length");
+    stringTable.forEach((name, i) => writer.string(name, `string table entry ${i}`));
+    const typeName = (name, what) => writer.u16(stringTableIndices[name], what);
+    const owner = (index, what) => writer.u8(index === undefined ? noOwner : index, what);
+
+    // 3. Environment and weathers.
+    typeName(map.environment, "the environment");
+    writer.u8(map.weathers.length, "weather count");
+    map.weathers.forEach((weather, i) => typeName(weather, `weather ${i}`));
+
+    // 4. Armies and unit cap.
+    if (map.armies.length >= noOwner) {
+        throw new MapFormatError(`A map cannot have ${noOwner} or more armies`, writer.offset);
+    }
+    writer.u8(map.armies.length, "army count");
+    map.armies.forEach((army, i) => {
+        typeName(army.faction, `army ${i}'s faction`);
+        writer.u8(army.team, `army ${i}'s team`);
+        writer.u32(army.funds, `army ${i}'s funds`);
+        writer.u8(army.commanders.length, `army ${i}'s commander count`);
+        army.commanders.forEach((commander, j) => typeName(commander, `army ${i}'s commander ${j}`));
+    });
+    if (map.unitCap === undefined) {
+        writer.u16(0, "unit cap");
+    } else {
+        writer.nonZeroU16(map.unitCap, "unit cap");
+    }
+
+    // 5. Tiles.
+    map.tiles.forEach((row, y) =>
+        row.forEach((tile, x) => {
+            typeName(tile.type, `the tile at (${x}, ${y})`);
+            owner(tile.owner, `the tile at (${x}, ${y})'s owner`);
+        })
+    );
+
+    // 6. Structures.
+    writer.u16(map.structures.length, "structure count");
+    map.structures.forEach((structure, i) => {
+        typeName(structure.type, `structure ${i}`);
+        writer.u16(structure.root.x, `structure ${i}'s X coordinate`);
+        writer.u16(structure.root.y, `structure ${i}'s Y coordinate`);
+        writer.u8(structure.destroyed ? 1 : 0, `structure ${i}'s destroyed flag`);
+    });
+
+    // 7. Units.
+    writer.u16(map.units.length, "unit count");
+    map.units.forEach((unit, i) => {
+        typeName(unit.type, `unit ${i}`);
+        writer.u16(unit.position.x, `unit ${i}'s X coordinate`);
+        writer.u16(unit.position.y, `unit ${i}'s Y coordinate`);
+        owner(unit.owner, `unit ${i}'s owner`);
+        writer.u8(unit.hp, `unit ${i}'s HP`);
+        writer.u16(unit.fuel, `unit ${i}'s fuel`);
+        writer.u8(unit.ammo.length, `unit ${i}'s ammo count`);
+        unit.ammo.forEach((ammo, j) => writer.u8(ammo, `unit ${i}'s ammo ${j}`));
+    });
+
+    // 8. Script.
+    const script = Buffer.from(map.script ?? "", "utf8");
+    writer.u32(script.length, "script length");
+    writer.bytes(script);
+
+    return writer.buffer;
+}
+
+/**
+ * Reads a binary map file's header, from the magic bytes up to and including the army count.
+ * @param {BinaryReader} reader The reader, positioned at the start of the file.
+ * @param {Object<String, Object<String, Function>> | undefined} objectTypes If given, every object type name read must
+ *        be found here under the correct category.
+ * @returns {MapHeader} The map's header, along with a `typeName(category, what)` function that reads an object type
+ *          name index and returns the name it refers to.
+ * @throws {MapFormatError} If the header is malformed or truncated, or if it references unknown object types (when
+ *         given).
+ */
+function readHeader(reader, objectTypes = undefined) {
+    // 1. Header.
+    const magic = reader.bytes(magicBytes.length, "magic bytes").toString("latin1");
+    if (magic !== magicBytes) {
+        throw new MapFormatError(`Expected magic bytes "${magicBytes}" but found "${magic}"`, 0);
+    }
+    const versionOffset = reader.offset;
+    const version = reader.u16("format version");
+    if (version < oldestFormatVersion || version > formatVersion) {
+        throw new MapFormatError(
+            `Unsupported format version ${version}, only versions ${oldestFormatVersion} to ${formatVersion} are ` +
+                `supported`,
+            versionOffset
+        );
+    }
+    const width = reader.nonZeroU16("width");
+    const height = reader.nonZeroU16("height");
+    const name = reader.string("map name");
+    const author = version >= 3 ? reader.string("map author") : "";
+    const description = version >= 3 ? reader.string("map description") : "";
+
+    // 2. String table.
+    const stringTable = [];
+    const stringCount = reader.u16("string table length");
+    for (let i = 0; i < stringCount; ++i) {
+        stringTable.push(reader.string(`string table entry ${i}`));
+    }
+    const typeName = (category, what) => {
+        const offset = reader.offset;
+        const index = reader.u16(what);
+        if (index >= stringTable.length) {
+            throw new MapFormatError(
+                `String table index ${index} of ${what} is out of range, the string table has ${stringTable.length} ` +
+                    `entr${stringTable.length == 1 ? "y" : "ies"}`,
+                offset
+            );
+        }
+        const name = stringTable[index];
+        if (objectTypes && !objectTypes[category]?.hasOwnProperty(name)) {
+            throw new MapFormatError(`Unknown ${category} type "${name}" given for ${what}`, offset);
+        }
+        return name;
+    };
+
+    // 3. Environment, weathers and army count.
+    const environment = typeName("environments", "the environment");
+    const weathers = [];
+    const weatherCount = reader.u8("weather count");
+    for (let i = 0; i < weatherCount; ++i) {
+        weathers.push(typeName("weathers", `weather ${i}`));
+    }
+    const armyCountOffset = reader.offset;
+    const armyCount = reader.u8("army count");
+    if (armyCount == noOwner) {
+        throw new MapFormatError(`A map cannot have ${noOwner} or more armies`, armyCountOffset);
+    }
+
+    return {
+        version: version,
+        name: name,
+        author: author,
+        description: description,
+        width: width,
+        height: height,
+        environment: environment,
+        weathers: weathers,
+        armyCount: armyCount,
+        typeName: typeName,
+    };
+}
+
+/**
+ * Reads values from a buffer sequentially, keeping track of the current byte offset.
+ * Every read method throws a MapFormatError if there aren't enough bytes left to read the value.
+ */
+class BinaryReader {
+    /**
+     * @param {Buffer} buffer The buffer to read from.
+     */
+    constructor(buffer) {
+        this.#buffer = buffer;
+    }
+
+    /**
+     * @returns {Number} The byte offset of the next value to read.
+     */
+    get offset() {
+        return this.#offset;
+    }
+
+    /**
+     * @returns {Number} The number of bytes that haven't been read yet.
+     */
+    get remaining() {
+        return this.#buffer.length - this.#offset;
+    }
+
+    /**
+     * @param {String} what Describes the value being read, for error reporting.
+     * @returns {Number} The next unsigned 8-bit integer.
+     */
+    u8(what) {
+        this.#ensure(1, what);
+        return this.#buffer.readUInt8(this.#offset++);
+    }
+
+    /**
+     * @param {String} what Describes the value being read, for error reporting.
+     * @returns {Number} The next unsigned 16-bit integer.
+     */
+    u16(what) {
+        this.#ensure(2, what);
+        const value = this.#buffer.readUInt16LE(this.#offset);
+        this.#offset += 2;
+        return value;
+    }
+
+    /**
+     * @param {String} what Describes the value being read, for error reporting.
+     * @returns {Number} The next unsigned 16-bit integer, which must not be zero.
+     */
+    nonZeroU16(what) {
+        const offset = this.#offset;
+        const value = this.u16(what);
+        if (value == 0) {
+            throw new MapFormatError(`The ${what} must not be 0`, offset);
+        }
+        return value;
+    }
+
+    /**
+     * @param {String} what Describes the value being read, for error reporting.
+     * @returns {Number} The next unsigned 32-bit integer.
+     */
+    u32(what) {
+        this.#ensure(4, what);
+        const value = this.#buffer.readUInt32LE(this.#offset);
+        this.#offset += 4;
+        return value;
+    }
+
+    /**
+     * @param {Number} length The number of bytes to read.
+     * @param {String} what Describes the value being read, for error reporting.
+     * @returns {Buffer} The next given number of bytes.
+     */
+    bytes(length, what) {
+        this.#ensure(length, what);
+        const value = this.#buffer.subarray(this.#offset, this.#offset + length);
+        this.#offset += length;
+        return value;
+    }
+
+    /**
+     * @param {String} what Describes the value being read, for error reporting.
+     * @returns {String} The next length-prefixed UTF-8 string.
+     */
+    string(what) {
+        const length = this.u16(`${what}'s length`);
+        return this.bytes(length, what).toString("utf8");
+    }
+
+    /**
+     * Makes sure there are enough bytes left to read a value.
+     * @param {Number} byteCount The number of bytes the value needs.
+     * @param {String} what Describes the value being read, for error reporting.
+     * @throws {MapFormatError} If there aren't enough bytes left.
+     */
+    #ensure(byteCount, what) {
+        if (byteCount > this.remaining) {
+            throw new MapFormatError(
+                `Unexpected end of file whilst reading ${what}: needed ${byteCount} byte${byteCount == 1 ? "" : "s"} ` +
+                    `but only ${this.remaining} remain${this.remaining == 1 ? "s" : ""}`,
+                this.#offset
+            );
+        }
+    }
+
+    #buffer = null;
+    #offset = 0;
+}
+
+/**
+ * Writes values to a growing list of buffers, keeping track of the current byte offset.
+ * Every write method throws a MapFormatError if the given value can't be stored in the requested number of bytes.
+ */
+class BinaryWriter {
+    /**
+     * @returns {Number} The byte offset of the next value to write.
+     */
+    get offset() {
+        return this.#offset;
+    }
+
+    /**
+     * @returns {Buffer} Every value written so far.
+     */
+    get buffer() {
+        return Buffer.concat(this.#buffers);
+    }
+
+    /**
+     * @param {Number} value The unsigned 8-bit integer to write.
+     * @param {String} what Describes the value being written, for error reporting.
+     */
+    u8(value, what) {
+        this.#ensure(value, 0xff, what);
+        const buffer = Buffer.alloc(1);
+        buffer.writeUInt8(value);
+        this.bytes(buffer);
+    }
+
+    /**
+     * @param {Number} value The unsigned 16-bit integer to write.
+     * @param {String} what Describes the value being written, for error reporting.
+     */
+    u16(value, what) {
+        this.#ensure(value, 0xffff, what);
+        const buffer = Buffer.alloc(2);
+        buffer.writeUInt16LE(value);
+        this.bytes(buffer);
+    }
+
+    /**
+     * @param {Number} value The unsigned 16-bit integer to write, which must not be zero.
+     * @param {String} what Describes the value being written, for error reporting.
+     */
+    nonZeroU16(value, what) {
+        if (value === 0) {
+            throw new MapFormatError(`The ${what} must not be 0`, this.#offset);
+        }
+        this.u16(value, what);
+    }
+
+    /**
+     * @param {Number} value The unsigned 32-bit integer to write.
+     * @param {String} what Describes the value being written, for error reporting.
+     */
+    u32(value, what) {
+        this.#ensure(value, 0xffffffff, what);
+        const buffer = Buffer.alloc(4);
+        buffer.writeUInt32LE(value);
+        this.bytes(buffer);
+    }
+
+    /**
+     * @param {Buffer} buffer The bytes to write.
+     */
+    bytes(buffer) {
+        this.#buffers.push(buffer);
+        this.#offset += buffer.length;
+    }
+
+    /**
+     * @param {String} value The string to write, prefixed with its length in bytes.
+     * @param {String} what Describes the value being written, for error reporting.
+     */
+    string(value, what) {
+        const buffer = Buffer.from(value, "utf8");
+        this.u16(buffer.length, `${what}'s length`);
+        this.bytes(buffer);
+    }
+
+    /**
+     * Makes sure a value can be stored as an unsigned integer.
+     * @param {Number} value The value to write.
+     * @param {Number} max The largest value that can be stored.
+     * @param {String} what Describes the value being written, for error reporting.
+     * @throws {MapFormatError} If the value isn't an integer between 0 and max.
+     */
+    #ensure(value, max, what) {
+        if (!Number.isInteger(value) || value < 0 || value > max) {
+            throw new MapFormatError(
+                `The ${what} must be an integer between 0 and ${max}, but it was ${value}`,
+                this.#offset
+            );
+        }
+    }
+
+    #buffers = [];
+    #offset = 0;
+}
@@ -0,0 +1,97 @@
+/**
+ * @file capture.mjs
+ * Defines the functions that let units capture tiles, by following the capture points given by the tile types on the
+ * map and the capture abilities given by the unit types.
+ */
+
+import { visibleHP } from "#src/map/combat.mjs";
+
+/**
+ * Makes a unit take away capture points from the tile it is standing on, and gives the tile to the unit's army once it
+ * has no capture points left.
+ * The unit takes away as many capture points as it has visible HP. The caller keeps track of a capture in progress
+ * between turns, and should forget about it once the unit leaves the tile or is destroyed. If the captured tile is a
+ * headquarters, the army that owned it is eliminated by the unit's army: see eliminateArmy().
+ * Emits CaptureProgressed with the unit's ID, the tile's coordinate, the tile's capture points left, and then its
+ * capture points before the unit took any away. If the tile was captured, also emits the map's TileOwnerChanged event,
+ * and then PropertyCaptured with the tile's coordinate, its new owner, its old owner, and the unit's ID.
+ * @param {import("#src/map/map.mjs").default} map The map the unit is on.
+ * @param {import("#src/map/objectTypeResolver.mjs").default} resolver Resolves the map pack's object types.
+ * @param {Object} emitter Emits CaptureProgressed, PropertyCaptured, and any events emitted by eliminateArmy(). Must
+ *        contain an `event()` function with the same signature as Model.event().
+ * @param {import("#src/map/map.mjs").UnitID} unitID The ID of the unit capturing.
+ * @param {Number | undefined} [capturePoints] The tile's capture points left after the unit's previous turn of
+ *        capturing it. If undefined, the unit starts a new capture, and the tile starts with its type's capture points.
+ * @returns {Number} The tile's capture points left. 0 if the tile was captured.
+ * @throws {RangeError} If the unit or any of the types involved don't exist, if the unit isn't owned by an army, if the
+ *         unit can't capture, if the tile can't be captured, or if the tile is already owned by the unit's army or one
+ *         of its allies. Nothing is changed if an error is thrown.
+ */
+export function capture(map, resolver, emitter, unitID, capturePoints = undefined) {
+    const unit = map.getUnit(unitID);
+    const tile = map.getTile(unit.position);
+    const where = `(${tile.position.x}, ${tile.position.y})`;
+    const unitType = resolver.resolve("units", unit.type, { unit: unitID });
+    const tileType = resolver.resolve("tiles", tile.type, { tile: tile.position });
+    if (unit.owner === undefined) {
+        throw new RangeError(`Unit ${unitID} isn't owned by an army, so it can't capture`);
+    }
+    if (!unitType.canCapture) {
+        throw new RangeError(`Unit ${unitID} can't capture`);
+    }
+    if (!tileType.canBeOwned || tileType.capturePoints <= 0) {
+        throw new RangeError(`Tile ${where} can't be captured`);
+    }
+    if (tile.owner !== undefined && map.getArmy(tile.owner).team == map.getArmy(unit.owner).team) {
+        throw new RangeError(`Unit ${unitID} can't capture tile ${where}, as it is owned by its own or an allied army`);
+    }
+
+    const oldCapturePoints = Math.min(capturePoints ?? tileType.capturePoints, tileType.capturePoints);
+    const newCapturePoints = Math.max(oldCapturePoints - visibleHP(unit.hp, unitType.maxHP), 0);
+    emitter.event("CaptureProgressed", unitID, tile.position, newCapturePoints, oldCapturePoints);
+    if (newCapturePoints == 0) {
+        map.setOwner(tile.position, unit.owner);
+        emitter.event("PropertyCaptured", tile.position, unit.owner, tile.owner, unitID);
+        if (tile.owner !== undefined && tileType.isHQ) {
+            eliminateArmy(map, emitter, tile.owner, unit.owner);
+        }
+    }
+    return newCapturePoints;
+}
+
+/**
+ * Eliminates an army from a map. Every tile the army owns is given to the army that eliminated it, and every unit the
+ * army owns is destroyed.
+ * Emits the map's TileOwnerChanged event for each tile given away. For each unit destroyed, emits the map's UnitRemoved
+ * event, and then UnitDestroyed with a copy of the unit as it was before it was removed, and undefined, as no unit
+ * destroyed it. Then emits ArmyEliminated with the eliminated army's ID, and the ID of the army that eliminated it.
+ * @param {import("#src/map/map.mjs").default} map The map the armies are on.
+ * @param {Object} emitter Emits UnitDestroyed and ArmyEliminated. Must contain an `event()` function with the same
+ *        signature as Model.event().
+ * @param {import("#src/map/map.mjs").ArmyID} armyID The ID of the army being eliminated.
+ * @param {import("#src/map/map.mjs").ArmyID | undefined} conquerorID The ID of the army that eliminated it, if any. If
+ *        undefined, the eliminated army's tiles are left without an owner.
+ * @throws {RangeError} If either army doesn't exist. Nothing is changed if an error is thrown.
+ */
+export function eliminateArmy(map, emitter, armyID, conquerorID) {
+    map.getArmy(armyID);
+    if (conquerorID !== undefined) {
+        map.getArmy(conquerorID);
+    }
+    map.forEachTile(tile => {
+        if (tile.owner === armyID) {
+            map.setOwner(tile.position, conquerorID);
+        }
+    });
+    const units = [];
+    map.forEachUnit(unit => {
+        if (unit.owner === armyID) {
+            units.push(unit);
+        }
+    });
+    for (const unit of units) {
+        map.removeUnit(unit.id);
+        emitter.event("UnitDestroyed", unit, undefined);
+    }
+    emitter.event("ArmyEliminated", armyID, conquerorID);
+}
@@ -0,0 +1,198 @@
+/**
+ * @file combat.mjs
+ * Defines the functions that resolve attacks between units, by following the damage tables given by their weapon types
+ * and the defense given by the terrain types they stand on.
+ */
+
+import { chargePowerMeters } from "#src/map/commanders.mjs";
+
+/**
+ * The number of visible HP a unit with full HP has. Damage is scaled by visible HP rather than internal HP.
+ * @type {Number}
+ */
+export const visibleMaxHP = 10;
+
+/**
+ * @typedef {Object} Strike
+ * @property {import("#src/map/map.mjs").UnitID} attacker The ID of the unit that struck.
+ * @property {import("#src/map/map.mjs").UnitID} defender The ID of the unit that was struck.
+ * @property {String} weapon The name of the weapon type the attacker struck with.
+ * @property {Number} hpLost How much internal HP the defender lost.
+ * @property {Boolean} destroyed True if the strike destroyed the defender.
+ * @property {Boolean} counterattack True if the strike was a counterattack.
+ */
+
+/**
+ * Works out how much of a unit's HP is visible to players.
+ * @param {Number} hp The unit's internal HP.
+ * @param {Number} maxHP The unit's maximum internal HP.
+ * @returns {Number} The unit's visible HP, between 0 and visibleMaxHP. Any damage at all drops a unit's visible HP
+ *          below the maximum, but a unit is only shown as having 0 HP if it has none left.
+ */
+export function visibleHP(hp, maxHP) {
+    return Math.ceil((visibleMaxHP * Math.max(hp, 0)) / maxHP);
+}
+
+/**
+ * Finds the weapon a unit would use to strike another unit from where they both stand.
+ * A unit uses the first of its weapons that can damage the target's type, has enough ammo left, and can reach the
+ * target. Its primary weapon is always tried first.
+ * @param {import("#src/map/map.mjs").default} map The map the units are on.
+ * @param {import("#src/map/objectTypeResolver.mjs").default} resolver Resolves the map pack's object types.
+ * @param {import("#src/map/map.mjs").UnitID} attackerID The ID of the unit that would strike.
+ * @param {import("#src/map/map.mjs").UnitID} defenderID The ID of the unit that would be struck.
+ * @param {Boolean} [counterattack=false] If true, only weapons that can counterattack are considered.
+ * @returns {Number | undefined} The index of the weapon the attacker would use, or undefined if none of its weapons can
+ *          strike the defender.
+ * @throws {RangeError} If either unit or any of their types don't exist.
+ */
+export function chooseWeapon(map, resolver, attackerID, defenderID, counterattack = false) {
+    const attacker = map.getUnit(attackerID);
+    const defender = map.getUnit(defenderID);
+    const distance =
+        Math.abs(attacker.position.x - defender.position.x) + Math.abs(attacker.position.y - defender.position.y);
+    const weapons = resolver.fixedField("units", attacker.type, "weapons") ?? [];
+    for (const [index, name] of weapons.entries()) {
+        const weapon = resolver.resolve("weapons", name, { unit: attackerID });
+        if (
+            weapon.damage?.[defender.type] > 0 &&
+            (weapon.ammoPerAttack == 0 || attacker.ammo[index] >= weapon.ammoPerAttack) &&
+            weapon.range.min <= distance &&
+            distance <= weapon.range.max &&
+            (!counterattack || weapon.canCounterattack)
+        ) {
+            return index;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Works out how much HP a single strike would take away from a unit.
+ * The weapon's base damage against the defender's type is scaled by the attacker's firepower, then luck is added to it.
+ * Luck is a random amount between 0 and the attacker's luck, less a random amount between 0 and its bad luck. This is
+ * then scaled by the attacker's visible HP, and reduced by the defender's defense, and by the defense of the terrain it
+ * stands on, which counts for more the more visible HP the defender has. Every field involved is resolved for the unit
+ * or tile it belongs to, so commanders' modifiers and the weather are taken into account.
+ * @param {import("#src/map/map.mjs").default} map The map the units are on.
+ * @param {import("#src/map/objectTypeResolver.mjs").default} resolver Resolves the map pack's object types.
+ * @param {import("#src/map/map.mjs").UnitID} attackerID The ID of the unit striking.
+ * @param {import("#src/map/map.mjs").UnitID} defenderID The ID of the unit being struck.
+ * @param {Number} weaponIndex The index of the attacker's weapon being used.
+ * @param {Function} random Returns a random number that is at least 0 and less than 1, like Math.random() does. It is
+ *        called twice: once to roll for luck, then once to roll for bad luck.
+ * @returns {Number} How much internal HP the defender would lose. Never more than it has left.
+ * @throws {RangeError} If either unit, the weapon, or any of their types don't exist.
+ */
+export function calculateDamage(map, resolver, attackerID, defenderID, weaponIndex, random) {
+    const attacker = map.getUnit(attackerID);
+    const defender = map.getUnit(defenderID);
+    const attackerType = resolver.resolve("units", attacker.type, { unit: attackerID });
+    const defenderType = resolver.resolve("units", defender.type, { unit: defenderID });
+    const name = resolver.fixedField("units", attacker.type, "weapons")?.[weaponIndex];
+    if (name === undefined) {
+        throw new RangeError(`Unit ${attackerID} has no weapon ${weaponIndex}`);
+    }
+    const weapon = resolver.resolve("weapons", name, { unit: attackerID });
+    const terrain = resolver.fixedField("tiles", map.getTile(defender.position).type, "terrain");
+    const terrainDefense = resolver.resolve("terrains", terrain, { tile: defender.position }).defense;
+
+    const luck = Math.floor(random() * (attackerType.luck + 1)) - Math.floor(random() * (attackerType.badLuck + 1));
+    const defenderHP = visibleHP(defender.hp, defenderType.maxHP);
+    // Everything is multiplied out before dividing once, so that damage that should be a whole number isn't rounded
+    // down by floating point error.
+    const damage =
+        ((weapon.damage?.[defender.type] ?? 0) * attackerType.firepower + luck * 100) *
+        visibleHP(attacker.hp, attackerType.maxHP) *
+        (200 - (defenderType.defense + terrainDefense * defenderHP)) *
+        defenderType.maxHP;
+    const hpLost = Math.floor(Math.max(damage, 0) / (100 * visibleMaxHP * 100 * 100));
+    return Math.min(hpLost, defender.hp);
+}
+
+/**
+ * Resolves an attack made by one unit against another.
+ * The attacker strikes first, using up its weapon's ammo. If the defender survives, and it has a weapon that can
+ * counterattack at that range, it then strikes back. Each strike charges the power meters of both units' armies, and
+ * each unit that is destroyed is removed from the map.
+ * For each strike, emits the map's UnitAmmoChanged, UnitHPChanged and PowerMeterChanged events, and then UnitAttacked
+ * with the striking unit's ID, the struck unit's ID, the name of the weapon used, the HP lost, and whether or not the
+ * strike was a counterattack. If the struck unit was destroyed, also emits the map's UnitRemoved event, and then
+ * UnitDestroyed with a copy of the unit as it was before it was removed, and the ID of the unit that destroyed it.
+ * @param {import("#src/map/map.mjs").default} map The map the units are on.
+ * @param {import("#src/map/objectTypeResolver.mjs").default} resolver Resolves the map pack's object types.
+ * @param {Object} emitter Emits UnitAttacked and UnitDestroyed. Must contain an `event()` function with the same
+ *        signature as Model.event().
+ * @param {import("#src/map/map.mjs").UnitID} attackerID The ID of the unit attacking.
+ * @param {import("#src/map/map.mjs").UnitID} defenderID The ID of the unit being attacked.
+ * @param {Function} [random=Math.random] Rolls for luck. See calculateDamage().
+ * @returns {Array<Strike>} The attack, followed by the counterattack if there was one.
+ * @throws {RangeError} If either unit or any of their types don't exist, if the units are allies, or if none of the
+ *         attacker's weapons can strike the defender. Nothing is changed if an error is thrown.
+ */
+export function attack(map, resolver, emitter, attackerID, defenderID, random = Math.random) {
+    const attacker = map.getUnit(attackerID);
+    const defender = map.getUnit(defenderID);
+    if (
+        attackerID === defenderID ||
+        (attacker.owner !== undefined &&
+            defender.owner !== undefined &&
+            map.getArmy(attacker.owner).team == map.getArmy(defender.owner).team)
+    ) {
+        throw new RangeError(`Unit ${attackerID} can't attack its ally, unit ${defenderID}`);
+    }
+    const weapon = chooseWeapon(map, resolver, attackerID, defenderID);
+    if (weapon === undefined) {
+        throw new RangeError(`Unit ${attackerID} has no weapon that can strike unit ${defenderID}`);
+    }
+
+    const strikes = [strike(map, resolver, emitter, attackerID, defenderID, weapon, random, false)];
+    if (!strikes[0].destroyed) {
+        const counterWeapon = chooseWeapon(map, resolver, defenderID, attackerID, true);
+        if (counterWeapon !== undefined) {
+            strikes.push(strike(map, resolver, emitter, defenderID, attackerID, counterWeapon, random, true));
+        }
+    }
+    return strikes;
+}
+
+/**
+ * Makes a single strike, and applies its outcome to the map.
+ * @param {import("#src/map/map.mjs").default} map The map the units are on.
+ * @param {import("#src/map/objectTypeResolver.mjs").default} resolver Resolves the map pack's object types.
+ * @param {Object} emitter Emits UnitAttacked and UnitDestroyed.
+ * @param {import("#src/map/map.mjs").UnitID} attackerID The ID of the unit striking.
+ * @param {import("#src/map/map.mjs").UnitID} defenderID The ID of the unit being struck.
+ * @param {Number} weaponIndex The index of the attacker's weapon being used.
+ * @param {Function} random Rolls for luck.
+ * @param {Boolean} counterattack True if the strike is a counterattack.
+ * @returns {Strike} The outcome of the strike.
+ */
+function strike(map, resolver, emitter, attackerID, defenderID, weaponIndex, random, counterattack) {
+    const name = resolver.fixedField("units", map.getUnit(attackerID).type, "weapons")[weaponIndex];
+    const ammoPerAttack = resolver.resolve("weapons", name, { unit: attackerID }).ammoPerAttack;
+    const hpLost = calculateDamage(map, resolver, attackerID, defenderID, weaponIndex, random);
+    if (ammoPerAttack > 0) {
+        map.setUnitAmmo(attackerID, weaponIndex, map.getUnit(attackerID).ammo[weaponIndex] - ammoPerAttack);
+    }
+    const defender = map.getUnit(defenderID);
+    if (hpLost > 0) {
+        map.setUnitHP(defenderID, defender.hp - hpLost);
+        chargePowerMeters(map, resolver, defenderID, hpLost, map.getUnit(attackerID).owner);
+    }
+    const destroyed = hpLost >= defender.hp;
+    emitter.event("UnitAttacked", attackerID, defenderID, name, hpLost, counterattack);
+    if (destroyed) {
+        const destroyedUnit = map.getUnit(defenderID);
+        map.removeUnit(defenderID);
+        emitter.event("UnitDestroyed", destroyedUnit, attackerID);
+    }
+    return {
+        attacker: attackerID,
+        defender: defenderID,
+        weapon: name,
+        hpLost: hpLost,
+        destroyed: destroyed,
+        counterattack: counterattack,
+    };
+}
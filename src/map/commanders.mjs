@@ -0,0 +1,123 @@
+/**
+ * @file commanders.mjs
+ * Defines the functions that charge armies' power meters and activate their commanders' powers, by following the power
+ * meters and powers given by their commander types.
+ */
+
+import { modifierApplies } from "#src/map/objectTypeResolver.mjs";
+
+/**
+ * How much damage, in funds, it takes to charge a single star of a power meter.
+ * @type {Number}
+ */
+export const starValue = 9000;
+
+/**
+ * Works out how much an army's power meter can hold.
+ * @param {import("#src/map/map.mjs").default} map The map the army is on.
+ * @param {import("#src/map/objectTypeResolver.mjs").default} resolver Resolves the map pack's object types.
+ * @param {import("#src/map/map.mjs").ArmyID} id The ID of the army.
+ * @returns {Number} The most the army's power meter can be charged, in funds. 0 if the army has no commander.
+ * @throws {RangeError} If the army or its primary commander's type doesn't exist.
+ */
+export function powerMeterCapacity(map, resolver, id) {
+    const commanders = map.getArmy(id).commanders;
+    if (commanders.length == 0) {
+        return 0;
+    }
+    return resolver.resolve("commanders", commanders[0], { army: id }).powerMeter * starValue;
+}
+
+/**
+ * Charges power meters after a unit has been damaged.
+ * The army that owns the damaged unit is charged the full value of the HP it lost, and the attacking army is charged
+ * half of it. The value of the HP lost is worked out from the damaged unit's cost. Armies that have a power active
+ * aren't charged, and no power meter is charged beyond its capacity.
+ * Emits PowerMeterChanged for each army that was charged.
+ * @param {import("#src/map/map.mjs").default} map The map the unit is on.
+ * @param {import("#src/map/objectTypeResolver.mjs").default} resolver Resolves the map pack's object types.
+ * @param {import("#src/map/map.mjs").UnitID} unitID The ID of the damaged unit. It must still be on the map, even if it
+ *        has been destroyed.
+ * @param {Number} hpLost How much HP the unit lost.
+ * @param {import("#src/map/map.mjs").ArmyID | undefined} attacker The army that dealt the damage, if any.
+ * @throws {RangeError} If the unit, the armies, or their types don't exist.
+ */
+export function chargePowerMeters(map, resolver, unitID, hpLost, attacker) {
+    const unit = resolver.resolve("units", map.getUnit(unitID).type, { unit: unitID });
+    const value = (unit.cost * hpLost) / unit.maxHP;
+    const defender = map.getUnit(unitID).owner;
+    for (const [id, charge] of [
+        [defender, value],
+        [attacker, value / 2],
+    ]) {
+        if (id === undefined || map.getArmy(id).activePower !== undefined) {
+            continue;
+        }
+        const powerMeter = Math.min(map.getArmy(id).powerMeter + charge, powerMeterCapacity(map, resolver, id));
+        if (powerMeter != map.getArmy(id).powerMeter) {
+            map.setPowerMeter(id, powerMeter);
+        }
+    }
+}
+
+/**
+ * Activates one of an army's primary commander's powers.
+ * Activating either power empties the army's power meter. The power then stays active until it is deactivated, which
+ * usually happens when the army's next turn starts.
+ * Emits PowerMeterChanged, ActivePowerChanged, and then any events caused by the power's effects: UnitHPChanged for
+ * each healed or damaged unit, WeatherChanged, and FundsChanged. Only units that match the effects' `where` and
+ * `unless` filters, as of the moment the power is activated, are healed or damaged.
+ * @param {import("#src/map/map.mjs").default} map The map the army is on.
+ * @param {import("#src/map/objectTypeResolver.mjs").default} resolver Resolves the map pack's object types.
+ * @param {import("#src/map/map.mjs").ArmyID} id The ID of the army.
+ * @param {import("#src/map/map.mjs").ActivePower} activePower The power to activate.
+ * @throws {RangeError} If the army doesn't exist, has no commander, already has a power active, or its commander
+ *         doesn't have the given power, or if the army's power meter isn't charged enough to activate it.
+ */
+export function activatePower(map, resolver, id, activePower) {
+    const army = map.getArmy(id);
+    if (army.commanders.length == 0) {
+        throw new RangeError(`Army ${id} has no commander`);
+    }
+    if (army.activePower !== undefined) {
+        throw new RangeError(`Army ${id} already has a power active`);
+    }
+    if (activePower !== "power" && activePower !== "superPower") {
+        throw new RangeError(`Unrecognised power "${activePower}"`);
+    }
+    const power = resolver.resolve("commanders", army.commanders[0], { army: id })[activePower];
+    if (!power) {
+        throw new RangeError(`Commander ${army.commanders[0]} has no ${activePower}`);
+    }
+    if (army.powerMeter < power.stars * starValue) {
+        throw new RangeError(`Army ${id}'s power meter isn't charged enough to activate its ${activePower}`);
+    }
+    map.setPowerMeter(id, 0);
+    map.setActivePower(id, activePower);
+
+    const effects = power.effects ?? {};
+    const affected = [];
+    map.forEachUnit(unit => {
+        if (modifierApplies(effects, resolver.buildContext("units", { unit: unit.id }))) {
+            affected.push(unit);
+        }
+    });
+    affected.forEach(unit => {
+        if (unit.owner === id && effects.heal > 0) {
+            const maxHP = resolver.resolve("units", unit.type, { unit: unit.id }).maxHP;
+            if (unit.hp < maxHP) {
+                map.setUnitHP(unit.id, Math.min(unit.hp + effects.heal, maxHP));
+            }
+        } else if (unit.owner !== undefined && map.getArmy(unit.owner).team != army.team && effects.damage > 0) {
+            if (unit.hp > 1) {
+                map.setUnitHP(unit.id, Math.max(unit.hp - effects.damage, 1));
+            }
+        }
+    });
+    if (effects.weather !== undefined) {
+        map.setWeathers([effects.weather]);
+    }
+    if (effects.funds !== undefined && effects.funds != 1) {
+        map.setFunds(id, Math.floor(army.funds * effects.funds));
+    }
+}
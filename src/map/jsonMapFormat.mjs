@@ -0,0 +1,387 @@
+/**
+ * @file jsonMapFormat.mjs
+ * Defines the human-readable .map.json file format and the functions that read and write it.
+ *
+ * The JSON map format stores exactly the same information as the binary map format (see `binaryMapFormat.mjs`), and
+ * is subject to the same limits, but it can be reviewed and diffed in version control. Map packs can keep their maps
+ * as .map.json files and convert them into .map files when they are shipped, or simply ship them as they are. A file
+ * holds a single object with these properties:
+ *
+ * | Property      | Value                                                                                             |
+ * | ------------- | ------------------------------------------------------------------------------------------------- |
+ * | `format`      | The string "WebWars map".                                                                         |
+ * | `version`     | The version of the JSON map format, currently 1.                                                  |
+ * | `name`        | The map's name.                                                                                   |
+ * | `author`      | The map's author. May be empty.                                                                   |
+ * | `description` | The map's description. May be empty.                                                              |
+ * | `width`       | The number of columns of tiles, between 1 and 65535.                                              |
+ * | `height`      | The number of rows of tiles, between 1 and 65535.                                                 |
+ * | `environment` | The name of the map's environment type.                                                           |
+ * | `weathers`    | An array of weather type names, holding at most 255 names.                                        |
+ * | `armies`      | An array of at most 254 armies. Each army is an object holding its `faction` type name, `team`    |
+ * |               | (0-255), `funds` (0-4294967295) and an array of at most 255 `commanders` type names.              |
+ * | `unitCap`     | Optional. How many units each army can have at once (1-65535). If it's omitted, each army uses    |
+ * |               | its faction's unit cap.                                                                           |
+ * | `tiles`       | An array of `height` rows, each holding `width` tiles. Each tile is an object holding its `type`  |
+ * |               | name, and an `owner` army index if the tile is owned by an army.                                  |
+ * | `structures`  | An array of at most 65535 structures. Each structure is an object holding its `type` name, `root` |
+ * |               | position (an object holding `x` and `y`) and `destroyed` flag.                                    |
+ * | `units`       | An array of at most 65535 units. Each unit is an object holding its `type` name, `position`, an   |
+ * |               | `owner` army index if the unit is owned by an army, `hp` (1-100), `fuel` (0-65535) and an array   |
+ * |               | of at most 255 `ammo` values (0-255), one per weapon.                                             |
+ * | `script`      | The map's embedded script, as an array of lines. An empty array means the map has no script.      |
+ *
+ * Object type names are only checked against a map pack's object types if they're given to `readJsonMap()`.
+ * `writeJsonMap()` writes each army, tile row, structure and unit on its own line so that diffs stay readable.
+ */
+
+import { maxUnitHP, noOwner } from "#src/map/binaryMapFormat.mjs";
+
+/**
+ * Every JSON map file's `format` property must hold this string.
+ */
+export const formatName = "WebWars map";
+
+/**
+ * The version of the JSON map format that this module reads and writes.
+ */
+export const formatVersion = 1;
+
+/**
+ * The file extension given to JSON map files.
+ */
+export const jsonMapFileExtension = ".map.json";
+
+/**
+ * Thrown when a JSON map file could not be read or written.
+ */
+export class JsonMapFormatError extends Error {
+    /**
+     * Constructs a new JSON map format error.
+     * @param {String} reason A description of what was wrong with the file or map.
+     * @param {String} path The path to the property at which the problem was found, e.g. "units[2].hp".
+     */
+    constructor(reason, path) {
+        super(`${reason} (at ${path})`);
+        this.name = "JsonMapFormatError";
+        this.reason = reason;
+        this.path = path;
+    }
+}
+
+/**
+ * Reads the header of a JSON map file, which includes everything up to and including the number of armies.
+ * Unlike with binary map files, the whole file has to be parsed, but the rest of it isn't checked.
+ * @param {String} text The contents of the map file.
+ * @returns {import("#src/map/binaryMapFormat.mjs").MapHeader} The map's header.
+ * @throws {JsonMapFormatError} If the file isn't valid JSON, or if its header is malformed.
+ */
+export function readJsonMapHeader(text) {
+    return readHeader(new JsonReader(parse(text)));
+}
+
+/**
+ * Reads a JSON map file.
+ * @param {String} text The contents of the map file.
+ * @param {Object<String, Object<String, Function>> | undefined} objectTypes The object types cached from the loaded
+ *        map pack, keyed on category, then on type name. Every object type name referenced by the file must be found
+ *        here under the correct category. If not given, object type names are not checked.
+ * @returns {import("#src/map/map.mjs").MapData} The map stored in the file.
+ * @throws {JsonMapFormatError} If the file isn't valid JSON, if it doesn't follow the format, or if it references
+ *         unknown object types (when given).
+ */
+export function readJsonMap(text, objectTypes) {
+    const reader = new JsonReader(parse(text), objectTypes);
+
+    // 1-3. Header, environment and weathers.
+    const { width, height, name, author, description, environment, weathers } = readHeader(reader);
+
+    // 4. Armies and unit cap.
+    const armies = reader.array("armies", noOwner - 1).map((_, i) => ({
+        faction: reader.typeName(`armies[${i}].faction`, "factions"),
+        team: reader.integer(`armies[${i}].team`, 0, 0xff),
+        funds: reader.integer(`armies[${i}].funds`, 0, 0xffffffff),
+        commanders: reader
+            .array(`armies[${i}].commanders`, 0xff)
+            .map((_, j) => reader.typeName(`armies[${i}].commanders[${j}]`, "commanders")),
+    }));
+    const unitCap = reader.has("unitCap") ? reader.integer("unitCap", 1, 0xffff) : undefined;
+    const owner = path => (reader.has(path) ? reader.integer(path, 0, armies.length - 1) : undefined);
+    const position = path => ({
+        x: reader.integer(`${path}.x`, 0, width - 1),
+        y: reader.integer(`${path}.y`, 0, height - 1),
+    });
+
+    // 5. Tiles.
+    const tiles = reader.array("tiles", height, height).map((_, y) =>
+        reader.array(`tiles[${y}]`, width, width).map((_, x) => ({
+            type: reader.typeName(`tiles[${y}][${x}].type`, "tiles"),
+            owner: owner(`tiles[${y}][${x}].owner`),
+        }))
+    );
+
+    // 6. Structures.
+    const structures = reader.array("structures", 0xffff).map((_, i) => ({
+        type: reader.typeName(`structures[${i}].type`, "structures"),
+        root: position(`structures[${i}].root`),
+        destroyed: reader.boolean(`structures[${i}].destroyed`),
+    }));
+
+    // 7. Units.
+    const units = reader.array("units", 0xffff).map((_, i) => ({
+        type: reader.typeName(`units[${i}].type`, "units"),
+        position: position(`units[${i}].position`),
+        owner: owner(`units[${i}].owner`),
+        hp: reader.integer(`units[${i}].hp`, 1, maxUnitHP),
+        fuel: reader.integer(`units[${i}].fuel`, 0, 0xffff),
+        ammo: reader.array(`units[${i}].ammo`, 0xff).map((_, j) => reader.integer(`units[${i}].ammo[${j}]`, 0, 0xff)),
+    }));
+
+    // 8. Script.
+    const script = reader
+        .array("script", Infinity)
+        .map((_, i) => reader.string(`script[${i}]`))
+        .join("\n");
+
+    return {
+        name: name,
+        author: author,
+        description: description,
+        width: width,
+        height: height,
+        environment: environment,
+        weathers: weathers,
+        armies: armies,
+        unitCap: unitCap,
+        tiles: tiles,
+        structures: structures,
+        units: units,
+        script: script,
+    };
+}
+
+/**
+ * Writes a map in the JSON map format.
+ * @param {import("#src/map/map.mjs").MapData} map The map to write. Use Map.toData() to write a Map object.
+ * @returns {String} The contents of the map file.
+ * @throws {JsonMapFormatError} If the map holds a value that cannot be stored in the JSON map format.
+ */
+export function writeJsonMap(map) {
+    const file = {
+        format: formatName,
+        version: formatVersion,
+        name: map.name,
+        author: map.author ?? "",
+        description: map.description ?? "",
+        width: map.width,
+        height: map.height,
+        environment: map.environment,
+        weathers: map.weathers,
+        armies: map.armies.map(army => ({
+            faction: army.faction,
+            team: army.team,
+            funds: army.funds,
+            commanders: army.commanders,
+        })),
+        ...(map.unitCap === undefined ? {} : { unitCap: map.unitCap }),
+        tiles: map.tiles.map(row =>
+            row.map(tile => (tile.owner === undefined ? { type: tile.type } : { type: tile.type, owner: tile.owner }))
+        ),
+        structures: map.structures.map(structure => ({
+            type: structure.type,
+            root: { x: structure.root.x, y: structure.root.y },
+            destroyed: structure.destroyed,
+        })),
+        units: map.units.map(unit => ({
+            type: unit.type,
+            position: { x: unit.position.x, y: unit.position.y },
+            ...(unit.owner === undefined ? {} : { owner: unit.owner }),
+            hp: unit.hp,
+            fuel: unit.fuel,
+            ammo: unit.ammo,
+        })),
+        script: map.script ? map.script.split("\n") : [],
+    };
+
+    const text = `{\n${Object.entries(file)
+        .map(([key, value]) => {
+            if (!Array.isArray(value) || value.length == 0) {
+                return `    ${JSON.stringify(key)}: ${JSON.stringify(value)}`;
+            }
+            const elements = value.map(element => `        ${JSON.stringify(element)}`).join(",\n");
+            return `    ${JSON.stringify(key)}: [\n${elements}\n    ]`;
+        })
+        .join(",\n")}\n}\n`;
+    // Make sure the file can be read back in, so that invalid maps are never written.
+    readJsonMap(text);
+    return text;
+}
+
+/**
+ * Parses the contents of a JSON map file.
+ * @param {String} text The contents of the map file.
+ * @returns {any} The parsed JSON.
+ * @throws {JsonMapFormatError} If the file isn't valid JSON.
+ */
+function parse(text) {
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        throw new JsonMapFormatError(`The file isn't valid JSON: ${e.message}`, "the root");
+    }
+}
+
+/**
+ * Reads a JSON map file's header, from the format up to and including the armies.
+ * @param {JsonReader} reader The reader wrapping the parsed file.
+ * @returns {import("#src/map/binaryMapFormat.mjs").MapHeader} The map's header.
+ * @throws {JsonMapFormatError} If the header is malformed, or if it references unknown object types (when the reader
+ *         was given them).
+ */
+function readHeader(reader) {
+    if (reader.get("format") !== formatName) {
+        throw new JsonMapFormatError(`Expected the format to be "${formatName}"`, "format");
+    }
+    const version = reader.integer("version", formatVersion, formatVersion);
+    return {
+        version: version,
+        name: reader.string("name"),
+        author: reader.string("author"),
+        description: reader.string("description"),
+        width: reader.integer("width", 1, 0xffff),
+        height: reader.integer("height", 1, 0xffff),
+        environment: reader.typeName("environment", "environments"),
+        weathers: reader.array("weathers", 0xff).map((_, i) => reader.typeName(`weathers[${i}]`, "weathers")),
+        armyCount: reader.array("armies", noOwner - 1).length,
+    };
+}
+
+/**
+ * Reads values out of a parsed JSON map file, throwing errors that describe where any problems were found.
+ */
+class JsonReader {
+    /**
+     * Wraps a parsed JSON map file.
+     * @param {any} root The parsed file.
+     * @param {Object<String, Object<String, Function>> | undefined} objectTypes If given, every object type name read
+     *        must be found here under the correct category.
+     */
+    constructor(root, objectTypes = undefined) {
+        if (typeof root !== "object" || root === null || Array.isArray(root)) {
+            throw new JsonMapFormatError("Expected an object", "the root");
+        }
+        this.#root = root;
+        this.#objectTypes = objectTypes;
+    }
+
+    /**
+     * Finds out if a property has been given.
+     * @param {String} path The path to the property, e.g. "units[2].owner".
+     * @returns {Boolean} True if the property exists and isn't null, false otherwise.
+     */
+    has(path) {
+        return this.get(path) !== undefined && this.get(path) !== null;
+    }
+
+    /**
+     * Reads a property of any type.
+     * @param {String} path The path to the property, e.g. "units[2].owner".
+     * @returns {any} The property's value, or undefined if it or any of its parents don't exist.
+     */
+    get(path) {
+        return path
+            .split(/[.[\]]+/)
+            .filter(key => key.length > 0)
+            .reduce((value, key) => (typeof value === "object" && value !== null ? value[key] : undefined), this.#root);
+    }
+
+    /**
+     * Reads a string property.
+     * @param {String} path The path to the property.
+     * @returns {String} The property's value.
+     * @throws {JsonMapFormatError} If the property isn't a string.
+     */
+    string(path) {
+        const value = this.get(path);
+        if (typeof value !== "string") {
+            throw new JsonMapFormatError("Expected a string", path);
+        }
+        return value;
+    }
+
+    /**
+     * Reads a boolean property.
+     * @param {String} path The path to the property.
+     * @returns {Boolean} The property's value.
+     * @throws {JsonMapFormatError} If the property isn't a boolean.
+     */
+    boolean(path) {
+        const value = this.get(path);
+        if (typeof value !== "boolean") {
+            throw new JsonMapFormatError("Expected true or false", path);
+        }
+        return value;
+    }
+
+    /**
+     * Reads an integer property.
+     * @param {String} path The path to the property.
+     * @param {Number} min The smallest value the property can have.
+     * @param {Number} max The largest value the property can have.
+     * @returns {Number} The property's value.
+     * @throws {JsonMapFormatError} If the property isn't an integer, or if it is out of range.
+     */
+    integer(path, min, max) {
+        const value = this.get(path);
+        if (!Number.isInteger(value) || value < min || value > max) {
+            throw new JsonMapFormatError(
+                min == max ? `Expected ${min}` : `Expected an integer between ${min} and ${max}`,
+                path
+            );
+        }
+        return value;
+    }
+
+    /**
+     * Reads an array property.
+     * @param {String} path The path to the property.
+     * @param {Number} maxLength The most elements the array can have.
+     * @param {Number} [minLength=0] The fewest elements the array can have.
+     * @returns {Array} The property's value.
+     * @throws {JsonMapFormatError} If the property isn't an array, or if it has too many or too few elements.
+     */
+    array(path, maxLength, minLength = 0) {
+        const value = this.get(path);
+        if (!Array.isArray(value)) {
+            throw new JsonMapFormatError("Expected an array", path);
+        }
+        if (value.length < minLength || value.length > maxLength) {
+            throw new JsonMapFormatError(
+                minLength == maxLength
+                    ? `Expected ${minLength} element${minLength == 1 ? "" : "s"}, but found ${value.length}`
+                    : `Expected at most ${maxLength} elements, but found ${value.length}`,
+                path
+            );
+        }
+        return value;
+    }
+
+    /**
+     * Reads an object type name property.
+     * @param {String} path The path to the property.
+     * @param {String} category The category of object type that the name must refer to.
+     * @returns {String} The property's value.
+     * @throws {JsonMapFormatError} If the property isn't a string, or if it isn't the name of a known object type (when
+     *         the reader was given the map pack's object types).
+     */
+    typeName(path, category) {
+        const name = this.string(path);
+        if (this.#objectTypes && !this.#objectTypes[category]?.hasOwnProperty(name)) {
+            throw new JsonMapFormatError(`Unknown ${category} type "${name}"`, path);
+        }
+        return name;
+    }
+
+    #root;
+    #objectTypes;
+}
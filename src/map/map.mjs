@@ -3,7 +3,876 @@
  * Defines the class that represents a single map made of tiles, with units on them, etc.
  */
 
+import { deepFreeze } from "#shared/utils.mjs";
+
+/**
+ * @typedef {Number} ArmyID
+ * Identifies an army on a map. An army's ID is its index within the map's list of armies.
+ */
+
+/**
+ * @typedef {Number} UnitID
+ * Identifies a unit on a map. Unit IDs are assigned when units are added to a map, and they never change or get reused
+ * for as long as the map exists.
+ */
+
+/**
+ * @typedef {Number} StructureID
+ * Identifies a structure on a map. Like unit IDs, structure IDs are never reused.
+ */
+
+/**
+ * @typedef {Object} ArmyData
+ * @property {String} faction The name of the faction type the army plays as.
+ * @property {Number} team The team the army belongs to. Armies on the same team are allies.
+ * @property {Number} funds The amount of funds the army has.
+ * @property {Array<String>} commanders The names of the commander types leading the army. The primary commander is
+ *           always listed first.
+ */
+
+/**
+ * @typedef {Object} TileData
+ * @property {String} type The name of the tile's type.
+ * @property {ArmyID | undefined} owner The army that owns the tile, if any.
+ */
+
+/**
+ * @typedef {Object} StructureData
+ * @property {String} type The name of the structure's type.
+ * @property {import("#src/types/objectType.mjs").Coordinate} root The location of the structure's root tile.
+ * @property {Boolean} destroyed True if the structure is in its destroyed state.
+ */
+
+/**
+ * @typedef {Object} UnitData
+ * @property {String} type The name of the unit's type.
+ * @property {import("#src/types/objectType.mjs").Coordinate} position The tile the unit occupies.
+ * @property {ArmyID | undefined} owner The army that owns the unit, if any.
+ * @property {Number} hp The unit's internal HP, between 1 and 100.
+ * @property {Number} fuel The unit's remaining fuel.
+ * @property {Array<Number>} ammo The unit's remaining ammo, one entry per weapon.
+ */
+
+/**
+ * @typedef {Object} MapData
+ * The format-agnostic representation of a map, as it is read from and written to map files.
+ * @property {String} name The name of the map.
+ * @property {String} author The name of the map's author, if known.
+ * @property {String} description A description of the map, if it has one.
+ * @property {Number} width The number of columns of tiles the map has.
+ * @property {Number} height The number of rows of tiles the map has.
+ * @property {String} environment The name of the map's environment type.
+ * @property {Array<String>} weathers The name/s of the weather type/s currently in play.
+ * @property {Array<ArmyData>} armies The armies playing on the map.
+ * @property {Number | undefined} unitCap The most units each army can have on the map at once, or undefined if each
+ *           army uses its faction's unit cap instead.
+ * @property {Array<Array<TileData>>} tiles The map's tiles, indexed by row (Y) and then by column (X).
+ * @property {Array<StructureData>} structures The structures on the map.
+ * @property {Array<UnitData>} units The units on the map.
+ * @property {String} script The source code of the map's embedded script, or an empty string if it doesn't have one.
+ *           See `src/map/mapScript.mjs`.
+ */
+
+/**
+ * @typedef {String} ActivePower
+ * Identifies which of an army's powers is active: either "power" for its commander's CO Power, or "superPower" for its
+ * commander's Super CO Power.
+ */
+
+/**
+ * @typedef {Object} Army
+ * @extends ArmyData
+ * @property {ArmyID} id The army's ID.
+ * @property {Number} powerMeter How much the army's power meter has been charged, in funds. Map files don't store
+ *           this, so it always starts at 0 when a map is loaded.
+ * @property {ActivePower | undefined} activePower The power the army's primary commander has activated, if any. Map
+ *           files don't store this either.
+ */
+
+/**
+ * @typedef {Object} Tile
+ * @extends TileData
+ * @property {import("#src/types/objectType.mjs").Coordinate} position The location of the tile.
+ * @property {StructureID | undefined} structure The structure the tile forms part of, if any.
+ * @property {Array<UnitID>} units The occupancy list of the tile, in the order that the units arrived.
+ */
+
+/**
+ * @typedef {Object} Structure
+ * @extends StructureData
+ * @property {StructureID} id The structure's ID.
+ * @property {Array<import("#src/types/objectType.mjs").Coordinate>} dependents The offsets of the structure's
+ *           dependent tiles relative to its root tile.
+ */
+
+/**
+ * @typedef {Object} Unit
+ * @extends UnitData
+ * @property {UnitID} id The unit's ID.
+ */
+
 /**
  * A single map of tiles, with faction information, units, a weather state, and much more.
+ * The map only stores the names of object types and never interprets them, so it places no game rules on its contents.
+ * For example, a tile can be occupied by any number of units, and any unit can be placed on any tile.
+ * Every query returns a read-only copy of the map's state, which can only be changed through the map's mutation
+ * methods. Each mutation emits an event describing the change.
  */
-export default class Map {}
+export default class Map {
+    /**
+     * Constructs a new map.
+     * Map objects should be created via Model.newObjectWithEmitter(), or be given an emitter that passes events on to
+     * Model.event(), so that they can emit events.
+     * @param {Object} emitter Allows the map to emit events. Must contain an `event()` function with the same signature
+     *        as Model.event().
+     * @param {MapData} data The map's initial state, usually read from a map file.
+     * @param {Function<String>} [dependentsOf] Given the name of a structure type, returns the offsets of its dependent
+     *        tiles relative to its root tile. Map files don't store these, and maps never interpret object types, so
+     *        whoever creates the map has to look them up, e.g. using structureDependents() from
+     *        `src/map/structures.mjs`. By default, structures are given no dependent tiles.
+     */
+    constructor(emitter, data, dependentsOf = type => []) {
+        this.#emitter = emitter;
+        this.#name = data.name;
+        this.#author = data.author ?? "";
+        this.#description = data.description ?? "";
+        this.#width = data.width;
+        this.#height = data.height;
+        this.#environment = data.environment;
+        this.#weathers = [...data.weathers];
+        this.#armies = data.armies.map((army, id) => ({
+            id: id,
+            faction: army.faction,
+            team: army.team,
+            funds: army.funds,
+            commanders: [...army.commanders],
+            powerMeter: 0,
+            activePower: undefined,
+        }));
+        this.#unitCap = data.unitCap;
+        this.#tiles = [];
+        for (let y = 0; y < this.#height; ++y) {
+            const row = [];
+            for (let x = 0; x < this.#width; ++x) {
+                row.push({
+                    type: data.tiles[y][x].type,
+                    owner: data.tiles[y][x].owner,
+                    structure: undefined,
+                    units: [],
+                });
+            }
+            this.#tiles.push(row);
+        }
+        for (const structure of data.structures) {
+            this.#addStructure(structure.type, structure.root, dependentsOf(structure.type), structure.destroyed);
+        }
+        for (const unit of data.units) {
+            this.#addUnit(unit);
+        }
+        this.#script = data.script ?? "";
+    }
+
+    /**
+     * Converts the map back into its format-agnostic representation, so that it can be written to a map file.
+     * Units are listed tile by tile, row by row, and in the order they appear in each tile's occupancy list, so that the
+     * order of units sharing a tile survives being loaded again. Structure dependents are not included, since they're
+     * defined by each structure's type. Power meters and active powers are not included either.
+     * @returns {MapData} The map's current state.
+     */
+    toData() {
+        return {
+            name: this.#name,
+            author: this.#author,
+            description: this.#description,
+            width: this.#width,
+            height: this.#height,
+            environment: this.#environment,
+            weathers: [...this.#weathers],
+            armies: this.#armies.map(army => ({
+                faction: army.faction,
+                team: army.team,
+                funds: army.funds,
+                commanders: [...army.commanders],
+            })),
+            unitCap: this.#unitCap,
+            tiles: this.#tiles.map(row => row.map(tile => ({ type: tile.type, owner: tile.owner }))),
+            structures: Object.values(this.#structures).map(structure => ({
+                type: structure.type,
+                root: { ...structure.root },
+                destroyed: structure.destroyed,
+            })),
+            units: this.#tiles.flat().flatMap(tile =>
+                tile.units.map(id => ({
+                    type: this.#units[id].type,
+                    position: { ...this.#units[id].position },
+                    owner: this.#units[id].owner,
+                    hp: this.#units[id].hp,
+                    fuel: this.#units[id].fuel,
+                    ammo: [...this.#units[id].ammo],
+                }))
+            ),
+            script: this.#script,
+        };
+    }
+
+    // MARK: Map
+
+    /**
+     * @returns {String} The name of the map.
+     */
+    get name() {
+        return this.#name;
+    }
+
+    /**
+     * @returns {String} The name of the map's author, if known.
+     */
+    get author() {
+        return this.#author;
+    }
+
+    /**
+     * @returns {String} A description of the map, if it has one.
+     */
+    get description() {
+        return this.#description;
+    }
+
+    /**
+     * @returns {Number} The number of columns of tiles the map has.
+     */
+    get width() {
+        return this.#width;
+    }
+
+    /**
+     * @returns {Number} The number of rows of tiles the map has.
+     */
+    get height() {
+        return this.#height;
+    }
+
+    /**
+     * @returns {String} The name of the map's environment type.
+     */
+    get environment() {
+        return this.#environment;
+    }
+
+    /**
+     * @returns {Array<String>} The name/s of the weather type/s currently in play.
+     */
+    get weathers() {
+        return Object.freeze([...this.#weathers]);
+    }
+
+    /**
+     * @returns {Number | undefined} The most units each army can have on the map at once, or undefined if each army
+     *          uses its faction's unit cap instead.
+     */
+    get unitCap() {
+        return this.#unitCap;
+    }
+
+    /**
+     * @returns {String} The source code of the map's embedded script, or an empty string if it doesn't have one.
+     */
+    get script() {
+        return this.#script;
+    }
+
+    /**
+     * Changes the name of the map.
+     * Emits MapRenamed with the new name and then the old name.
+     * @param {String} name The new name of the map.
+     */
+    setName(name) {
+        const oldName = this.#name;
+        this.#name = name;
+        this.#emitter.event("MapRenamed", name, oldName);
+    }
+
+    /**
+     * Changes the name of the map's author.
+     * Emits MapAuthorChanged with the new author and then the old author.
+     * @param {String} author The name of the map's new author.
+     */
+    setAuthor(author) {
+        const oldAuthor = this.#author;
+        this.#author = author;
+        this.#emitter.event("MapAuthorChanged", author, oldAuthor);
+    }
+
+    /**
+     * Changes the description of the map.
+     * Emits MapDescriptionChanged with the new description and then the old description.
+     * @param {String} description The new description of the map.
+     */
+    setDescription(description) {
+        const oldDescription = this.#description;
+        this.#description = description;
+        this.#emitter.event("MapDescriptionChanged", description, oldDescription);
+    }
+
+    /**
+     * Changes the map's environment.
+     * Emits EnvironmentChanged with the new environment and then the old environment.
+     * @param {String} environment The name of the new environment type.
+     */
+    setEnvironment(environment) {
+        const oldEnvironment = this.#environment;
+        this.#environment = environment;
+        this.#emitter.event("EnvironmentChanged", environment, oldEnvironment);
+    }
+
+    /**
+     * Changes the weathers currently in play.
+     * Emits WeatherChanged with the new weathers and then the old weathers.
+     * @param {Array<String>} weathers The name/s of the new weather type/s.
+     */
+    setWeathers(weathers) {
+        const oldWeathers = this.#weathers;
+        this.#weathers = [...weathers];
+        this.#emitter.event("WeatherChanged", this.weathers, Object.freeze(oldWeathers));
+    }
+
+    // MARK: Tiles
+
+    /**
+     * Finds out if a coordinate lies within the map.
+     * @param {import("#src/types/objectType.mjs").Coordinate} position The coordinate to test.
+     * @returns {Boolean} True if there is a tile at the given coordinate, false if not.
+     */
+    isInBounds(position) {
+        return (
+            Number.isInteger(position?.x) &&
+            Number.isInteger(position?.y) &&
+            position.x >= 0 &&
+            position.y >= 0 &&
+            position.x < this.#width &&
+            position.y < this.#height
+        );
+    }
+
+    /**
+     * Retrieves a tile.
+     * @param {import("#src/types/objectType.mjs").Coordinate} position The location of the tile.
+     * @returns {Tile} A read-only copy of the tile.
+     * @throws {RangeError} If the coordinate is out of bounds.
+     */
+    getTile(position) {
+        return this.#copyTile(this.#tile(position), position);
+    }
+
+    /**
+     * Invokes a callback for every tile, row by row.
+     * @param {Function<Tile>} callback Receives a read-only copy of each tile.
+     */
+    forEachTile(callback) {
+        for (let y = 0; y < this.#height; ++y) {
+            for (let x = 0; x < this.#width; ++x) {
+                callback(this.#copyTile(this.#tiles[y][x], { x: x, y: y }));
+            }
+        }
+    }
+
+    /**
+     * Changes the type of a tile.
+     * Emits TileTypeChanged with the tile's coordinate, its new type, and then its old type.
+     * @param {import("#src/types/objectType.mjs").Coordinate} position The location of the tile.
+     * @param {String} type The name of the tile's new type.
+     * @throws {RangeError} If the coordinate is out of bounds.
+     */
+    setTileType(position, type) {
+        const tile = this.#tile(position);
+        const oldType = tile.type;
+        tile.type = type;
+        this.#emitter.event("TileTypeChanged", Object.freeze(this.#copyPosition(position)), type, oldType);
+    }
+
+    /**
+     * Changes the owner of a tile.
+     * Emits TileOwnerChanged with the tile's coordinate, its new owner, and then its old owner.
+     * @param {import("#src/types/objectType.mjs").Coordinate} position The location of the tile.
+     * @param {ArmyID | undefined} owner The tile's new owner, or undefined if the tile should not be owned.
+     * @throws {RangeError} If the coordinate is out of bounds or the army doesn't exist.
+     */
+    setOwner(position, owner) {
+        const tile = this.#tile(position);
+        this.#checkOwner(owner);
+        const oldOwner = tile.owner;
+        tile.owner = owner;
+        this.#emitter.event("TileOwnerChanged", Object.freeze(this.#copyPosition(position)), owner, oldOwner);
+    }
+
+    // MARK: Structures
+
+    /**
+     * Retrieves a structure.
+     * @param {StructureID} id The ID of the structure.
+     * @returns {Structure} A read-only copy of the structure.
+     * @throws {RangeError} If the structure doesn't exist.
+     */
+    getStructure(id) {
+        return deepFreeze(structuredClone(this.#structure(id)));
+    }
+
+    /**
+     * Retrieves the structure that a tile forms part of.
+     * @param {import("#src/types/objectType.mjs").Coordinate} position The location of the tile.
+     * @returns {Structure | undefined} A read-only copy of the structure, or undefined if the tile isn't part of one.
+     * @throws {RangeError} If the coordinate is out of bounds.
+     */
+    structureAt(position) {
+        const id = this.#tile(position).structure;
+        return id === undefined ? undefined : this.getStructure(id);
+    }
+
+    /**
+     * Invokes a callback for every structure, in the order of their IDs.
+     * @param {Function<Structure>} callback Receives a read-only copy of each structure.
+     */
+    forEachStructure(callback) {
+        for (const id in this.#structures) {
+            callback(this.getStructure(Number(id)));
+        }
+    }
+
+    /**
+     * Adds a structure to the map.
+     * Only the tiles' structure membership is updated: their types are left untouched.
+     * Emits StructureAdded with the new structure's ID.
+     * @param {String} type The name of the structure's type.
+     * @param {import("#src/types/objectType.mjs").Coordinate} root The location of the structure's root tile.
+     * @param {Array<import("#src/types/objectType.mjs").Coordinate>} [dependents=[]] The offsets of the structure's
+     *        dependent tiles relative to its root tile.
+     * @param {Boolean} [destroyed=false] True if the structure should start in its destroyed state.
+     * @returns {StructureID} The ID of the new structure.
+     * @throws {RangeError} If any of the structure's tiles are out of bounds or already form part of a structure.
+     */
+    addStructure(type, root, dependents = [], destroyed = false) {
+        const id = this.#addStructure(type, root, dependents, destroyed);
+        this.#emitter.event("StructureAdded", id);
+        return id;
+    }
+
+    /**
+     * Changes whether or not a structure is in its destroyed state.
+     * Emits StructureDestroyedChanged with the structure's ID and its new destroyed state.
+     * @param {StructureID} id The ID of the structure.
+     * @param {Boolean} destroyed True if the structure is now destroyed, false if it isn't.
+     * @throws {RangeError} If the structure doesn't exist.
+     */
+    setStructureDestroyed(id, destroyed) {
+        this.#structure(id).destroyed = Boolean(destroyed);
+        this.#emitter.event("StructureDestroyedChanged", id, Boolean(destroyed));
+    }
+
+    /**
+     * Removes a structure from the map.
+     * Only the tiles' structure membership is updated: their types are left untouched.
+     * Emits StructureRemoved with the removed structure.
+     * @param {StructureID} id The ID of the structure.
+     * @throws {RangeError} If the structure doesn't exist.
+     */
+    removeStructure(id) {
+        const structure = this.getStructure(id);
+        for (const position of this.#structureTiles(structure)) {
+            this.#tile(position).structure = undefined;
+        }
+        delete this.#structures[id];
+        this.#emitter.event("StructureRemoved", structure);
+    }
+
+    // MARK: Armies
+
+    /**
+     * @returns {Array<ArmyID>} The IDs of every army on the map.
+     */
+    get armyIDs() {
+        return this.#armies.map(army => army.id);
+    }
+
+    /**
+     * Retrieves an army.
+     * @param {ArmyID} id The ID of the army.
+     * @returns {Army} A read-only copy of the army.
+     * @throws {RangeError} If the army doesn't exist.
+     */
+    getArmy(id) {
+        this.#checkOwner(id);
+        return deepFreeze(structuredClone(this.#armies[id]));
+    }
+
+    /**
+     * Invokes a callback for every army, in the order of their IDs.
+     * @param {Function<Army>} callback Receives a read-only copy of each army.
+     */
+    forEachArmy(callback) {
+        for (const army of this.#armies) {
+            callback(this.getArmy(army.id));
+        }
+    }
+
+    /**
+     * Changes how many funds an army has.
+     * Emits FundsChanged with the army's ID, its new funds, and then its old funds.
+     * @param {ArmyID} id The ID of the army.
+     * @param {Number} funds The army's new funds.
+     * @throws {RangeError} If the army doesn't exist.
+     */
+    setFunds(id, funds) {
+        this.#checkOwner(id);
+        const oldFunds = this.#armies[id].funds;
+        this.#armies[id].funds = funds;
+        this.#emitter.event("FundsChanged", id, funds, oldFunds);
+    }
+
+    /**
+     * Changes who leads an army.
+     * Emits CommandersChanged with the army's ID, its new commanders, and then its old commanders.
+     * @param {ArmyID} id The ID of the army.
+     * @param {Array<String>} commanders The names of the army's new commander types, primary commander first.
+     * @throws {RangeError} If the army doesn't exist.
+     */
+    setCommanders(id, commanders) {
+        this.#checkOwner(id);
+        const oldCommanders = this.#armies[id].commanders;
+        this.#armies[id].commanders = [...commanders];
+        this.#emitter.event("CommandersChanged", id, Object.freeze([...commanders]), Object.freeze(oldCommanders));
+    }
+
+    /**
+     * Changes how much an army's power meter has been charged.
+     * Emits PowerMeterChanged with the army's ID, its new charge, and then its old charge.
+     * @param {ArmyID} id The ID of the army.
+     * @param {Number} powerMeter The army's new power meter charge, in funds.
+     * @throws {RangeError} If the army doesn't exist.
+     */
+    setPowerMeter(id, powerMeter) {
+        this.#checkOwner(id);
+        const oldPowerMeter = this.#armies[id].powerMeter;
+        this.#armies[id].powerMeter = powerMeter;
+        this.#emitter.event("PowerMeterChanged", id, powerMeter, oldPowerMeter);
+    }
+
+    /**
+     * Changes which of an army's powers is active.
+     * Emits ActivePowerChanged with the army's ID, its new active power, and then its old active power.
+     * @param {ArmyID} id The ID of the army.
+     * @param {ActivePower | undefined} activePower The power that is now active, or undefined if no power is active.
+     * @throws {RangeError} If the army doesn't exist.
+     */
+    setActivePower(id, activePower) {
+        this.#checkOwner(id);
+        const oldActivePower = this.#armies[id].activePower;
+        this.#armies[id].activePower = activePower;
+        this.#emitter.event("ActivePowerChanged", id, activePower, oldActivePower);
+    }
+
+    // MARK: Units
+
+    /**
+     * Retrieves a unit.
+     * @param {UnitID} id The ID of the unit.
+     * @returns {Unit} A read-only copy of the unit.
+     * @throws {RangeError} If the unit doesn't exist.
+     */
+    getUnit(id) {
+        return deepFreeze(structuredClone(this.#unit(id)));
+    }
+
+    /**
+     * Finds out if a unit exists on the map.
+     * @param {UnitID} id The ID of the unit.
+     * @returns {Boolean} True if the unit exists, false if not.
+     */
+    hasUnit(id) {
+        return this.#units.hasOwnProperty(id);
+    }
+
+    /**
+     * Retrieves the units occupying a tile.
+     * @param {import("#src/types/objectType.mjs").Coordinate} position The location of the tile.
+     * @returns {Array<Unit>} Read-only copies of the units, in the order that they arrived on the tile.
+     * @throws {RangeError} If the coordinate is out of bounds.
+     */
+    unitsAt(position) {
+        return this.#tile(position).units.map(id => this.getUnit(id));
+    }
+
+    /**
+     * Invokes a callback for every unit, in the order of their IDs.
+     * @param {Function<Unit>} callback Receives a read-only copy of each unit.
+     */
+    forEachUnit(callback) {
+        for (const id in this.#units) {
+            callback(this.getUnit(Number(id)));
+        }
+    }
+
+    /**
+     * Adds a unit to the map.
+     * The unit will be appended to the occupancy list of the tile it is placed on.
+     * Emits UnitAdded with the new unit's ID.
+     * @param {UnitData} unit The new unit's initial state.
+     * @returns {UnitID} The ID of the new unit.
+     * @throws {RangeError} If the unit's position is out of bounds or its owner doesn't exist.
+     */
+    addUnit(unit) {
+        const id = this.#addUnit(unit);
+        this.#emitter.event("UnitAdded", id);
+        return id;
+    }
+
+    /**
+     * Removes a unit from the map.
+     * Emits UnitRemoved with the removed unit.
+     * @param {UnitID} id The ID of the unit.
+     * @throws {RangeError} If the unit doesn't exist.
+     */
+    removeUnit(id) {
+        const unit = this.getUnit(id);
+        const occupancy = this.#tile(unit.position).units;
+        occupancy.splice(occupancy.indexOf(id), 1);
+        delete this.#units[id];
+        this.#emitter.event("UnitRemoved", unit);
+    }
+
+    /**
+     * Moves a unit to another tile.
+     * The unit is removed from its old tile's occupancy list and appended to its new tile's occupancy list.
+     * Emits UnitMoved with the unit's ID, its new position, and then its old position.
+     * @param {UnitID} id The ID of the unit.
+     * @param {import("#src/types/objectType.mjs").Coordinate} position The tile to move the unit to.
+     * @throws {RangeError} If the unit doesn't exist or the coordinate is out of bounds.
+     */
+    moveUnit(id, position) {
+        const unit = this.#unit(id);
+        const newOccupancy = this.#tile(position).units;
+        const oldPosition = unit.position;
+        const oldOccupancy = this.#tile(oldPosition).units;
+        oldOccupancy.splice(oldOccupancy.indexOf(id), 1);
+        newOccupancy.push(id);
+        unit.position = this.#copyPosition(position);
+        this.#emitter.event("UnitMoved", id, Object.freeze(this.#copyPosition(position)), Object.freeze(oldPosition));
+    }
+
+    /**
+     * Changes the owner of a unit.
+     * Emits UnitOwnerChanged with the unit's ID, its new owner, and then its old owner.
+     * @param {UnitID} id The ID of the unit.
+     * @param {ArmyID | undefined} owner The unit's new owner, or undefined if the unit should not be owned.
+     * @throws {RangeError} If the unit or army doesn't exist.
+     */
+    setUnitOwner(id, owner) {
+        const unit = this.#unit(id);
+        this.#checkOwner(owner);
+        const oldOwner = unit.owner;
+        unit.owner = owner;
+        this.#emitter.event("UnitOwnerChanged", id, owner, oldOwner);
+    }
+
+    /**
+     * Changes a unit's internal HP.
+     * Emits UnitHPChanged with the unit's ID, its new HP, and then its old HP.
+     * @param {UnitID} id The ID of the unit.
+     * @param {Number} hp The unit's new HP.
+     * @throws {RangeError} If the unit doesn't exist.
+     */
+    setUnitHP(id, hp) {
+        const unit = this.#unit(id);
+        const oldHP = unit.hp;
+        unit.hp = hp;
+        this.#emitter.event("UnitHPChanged", id, hp, oldHP);
+    }
+
+    /**
+     * Changes a unit's fuel.
+     * Emits UnitFuelChanged with the unit's ID, its new fuel, and then its old fuel.
+     * @param {UnitID} id The ID of the unit.
+     * @param {Number} fuel The unit's new fuel.
+     * @throws {RangeError} If the unit doesn't exist.
+     */
+    setUnitFuel(id, fuel) {
+        const unit = this.#unit(id);
+        const oldFuel = unit.fuel;
+        unit.fuel = fuel;
+        this.#emitter.event("UnitFuelChanged", id, fuel, oldFuel);
+    }
+
+    /**
+     * Changes a unit's ammo for one of its weapons.
+     * Emits UnitAmmoChanged with the unit's ID, the weapon index, its new ammo, and then its old ammo.
+     * @param {UnitID} id The ID of the unit.
+     * @param {Number} weapon The index of the weapon whose ammo is changing.
+     * @param {Number} ammo The weapon's new ammo.
+     * @throws {RangeError} If the unit doesn't exist.
+     */
+    setUnitAmmo(id, weapon, ammo) {
+        const unit = this.#unit(id);
+        const oldAmmo = unit.ammo[weapon];
+        unit.ammo[weapon] = ammo;
+        this.#emitter.event("UnitAmmoChanged", id, weapon, ammo, oldAmmo);
+    }
+
+    // MARK: Private
+
+    /**
+     * @param {import("#src/types/objectType.mjs").Coordinate} position The location of the tile.
+     * @returns {Object} The internal tile object.
+     * @throws {RangeError} If the coordinate is out of bounds.
+     */
+    #tile(position) {
+        if (!this.isInBounds(position)) {
+            throw new RangeError(
+                `Tile (${position?.x}, ${position?.y}) is out of bounds (${this.#width}x${this.#height})`
+            );
+        }
+        return this.#tiles[position.y][position.x];
+    }
+
+    /**
+     * @param {StructureID} id The ID of the structure.
+     * @returns {Structure} The internal structure object.
+     * @throws {RangeError} If the structure doesn't exist.
+     */
+    #structure(id) {
+        if (!this.#structures.hasOwnProperty(id)) {
+            throw new RangeError(`Structure ${id} does not exist`);
+        }
+        return this.#structures[id];
+    }
+
+    /**
+     * @param {UnitID} id The ID of the unit.
+     * @returns {Unit} The internal unit object.
+     * @throws {RangeError} If the unit doesn't exist.
+     */
+    #unit(id) {
+        if (!this.hasUnit(id)) {
+            throw new RangeError(`Unit ${id} does not exist`);
+        }
+        return this.#units[id];
+    }
+
+    /**
+     * Makes sure an army exists, if one is given.
+     * @param {ArmyID | undefined} owner The army to check.
+     * @throws {RangeError} If an army is given and it doesn't exist.
+     */
+    #checkOwner(owner) {
+        if (owner !== undefined && !(Number.isInteger(owner) && owner >= 0 && owner < this.#armies.length)) {
+            throw new RangeError(`Army ${owner} does not exist`);
+        }
+    }
+
+    /**
+     * @param {import("#src/types/objectType.mjs").Coordinate} position The coordinate to copy.
+     * @returns {import("#src/types/objectType.mjs").Coordinate} A copy of the coordinate.
+     */
+    #copyPosition(position) {
+        return { x: position.x, y: position.y };
+    }
+
+    /**
+     * @param {Object} tile The internal tile object.
+     * @param {import("#src/types/objectType.mjs").Coordinate} position The location of the tile.
+     * @returns {Tile} A read-only copy of the tile.
+     */
+    #copyTile(tile, position) {
+        return deepFreeze({
+            position: this.#copyPosition(position),
+            type: tile.type,
+            owner: tile.owner,
+            structure: tile.structure,
+            units: [...tile.units],
+        });
+    }
+
+    /**
+     * @param {Structure} structure The structure whose tiles are to be listed.
+     * @returns {Array<import("#src/types/objectType.mjs").Coordinate>} The coordinates of the structure's root tile,
+     *          followed by the coordinates of its dependent tiles.
+     */
+    #structureTiles(structure) {
+        return [structure.root].concat(
+            structure.dependents.map(offset => ({ x: structure.root.x + offset.x, y: structure.root.y + offset.y }))
+        );
+    }
+
+    /**
+     * Adds a structure without emitting an event.
+     * @see Map.addStructure
+     */
+    #addStructure(type, root, dependents, destroyed) {
+        const structure = {
+            id: this.#nextStructureID,
+            type: type,
+            root: this.#copyPosition(root),
+            dependents: dependents.map(offset => this.#copyPosition(offset)),
+            destroyed: Boolean(destroyed),
+        };
+        const tiles = this.#structureTiles(structure).map(position => this.#tile(position));
+        if (tiles.some(tile => tile.structure !== undefined)) {
+            throw new RangeError(`Structure ${type} at (${root.x}, ${root.y}) overlaps an existing structure`);
+        }
+        tiles.forEach(tile => (tile.structure = structure.id));
+        this.#structures[structure.id] = structure;
+        return this.#nextStructureID++;
+    }
+
+    /**
+     * Adds a unit without emitting an event.
+     * @see Map.addUnit
+     */
+    #addUnit(unit) {
+        const tile = this.#tile(unit.position);
+        this.#checkOwner(unit.owner);
+        const id = this.#nextUnitID++;
+        this.#units[id] = {
+            id: id,
+            type: unit.type,
+            position: this.#copyPosition(unit.position),
+            owner: unit.owner,
+            hp: unit.hp,
+            fuel: unit.fuel,
+            ammo: [...unit.ammo],
+        };
+        tile.units.push(id);
+        return id;
+    }
+
+    #emitter = null;
+    #name = "";
+    #author = "";
+    #description = "";
+    #width = 0;
+    #height = 0;
+    #environment = "";
+    #weathers = [];
+    #unitCap = undefined;
+    #script = "";
+
+    /**
+     * The armies on the map, indexed by their IDs.
+     */
+    #armies = [];
+
+    /**
+     * The tiles on the map, indexed by row (Y) and then by column (X).
+     */
+    #tiles = [];
+
+    /**
+     * The structures on the map, keyed on their IDs.
+     */
+    #structures = {};
+    #nextStructureID = 0;
+
+    /**
+     * The units on the map, keyed on their IDs.
+     */
+    #units = {};
+    #nextUnitID = 0;
+}
@@ -0,0 +1,44 @@
+/**
+ * @file mapFile.mjs
+ * Defines the functions that read and write map files in whichever format their extension calls for: binary map files
+ * end in .map (see `binaryMapFormat.mjs`), and JSON map files end in .map.json (see `jsonMapFormat.mjs`).
+ */
+
+import { readBinaryMap, readBinaryMapHeader, writeBinaryMap } from "#src/map/binaryMapFormat.mjs";
+import { jsonMapFileExtension, readJsonMap, readJsonMapHeader, writeJsonMap } from "#src/map/jsonMapFormat.mjs";
+
+/**
+ * Finds out if a file is a map file.
+ * @param {String} path Path to the file.
+ * @returns {Boolean} True if the file is a binary (.map) or JSON (.map.json) map file.
+ */
+export function isMapFile(path) {
+    return path.endsWith(".map") || path.endsWith(jsonMapFileExtension);
+}
+
+/**
+ * Reads a binary or JSON map file, depending on its extension.
+ * @param {String} path Path to the map file.
+ * @param {Buffer} buffer The contents of the map file.
+ * @param {Boolean} [headerOnly=false] If true, only the map file's header will be read.
+ * @returns {import("#src/map/map.mjs").MapData | import("#src/map/binaryMapFormat.mjs").MapHeader} The map, or its
+ *          header.
+ * @throws {MapFormatError | JsonMapFormatError} If the map file is malformed.
+ */
+export function readMapFile(path, buffer, headerOnly = false) {
+    if (path.endsWith(jsonMapFileExtension)) {
+        return headerOnly ? readJsonMapHeader(buffer.toString("utf8")) : readJsonMap(buffer.toString("utf8"));
+    }
+    return headerOnly ? readBinaryMapHeader(buffer) : readBinaryMap(buffer);
+}
+
+/**
+ * Encodes a map in the binary or JSON map format, depending on the extension of the file it'll be written to.
+ * @param {String} path Path to the map file.
+ * @param {import("#src/map/map.mjs").MapData} mapData The map to encode.
+ * @returns {Buffer | String} The contents of the map file.
+ * @throws {MapFormatError | JsonMapFormatError} If the map can't be stored in the map file's format.
+ */
+export function writeMapFile(path, mapData) {
+    return path.endsWith(jsonMapFileExtension) ? writeJsonMap(mapData) : writeBinaryMap(mapData);
+}
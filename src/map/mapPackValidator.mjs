@@ -0,0 +1,338 @@
+/**
+ * @file mapPackValidator.mjs
+ * Defines the function that checks the object types exported by a map pack before they are used.
+ */
+
+import { getAllPropertyNames } from "#shared/utils.mjs";
+
+import { createContext } from "#src/map/objectTypeResolver.mjs";
+import { maxUnitHP } from "#src/map/binaryMapFormat.mjs";
+
+import CommanderType from "#src/types/commanderType.mjs";
+import EnvironmentType from "#src/types/environmentType.mjs";
+import FactionType from "#src/types/factionType.mjs";
+import MovementType from "#src/types/movementType.mjs";
+import ObjectType from "#src/types/objectType.mjs";
+import StructureType from "#src/types/structureType.mjs";
+import TerrainType from "#src/types/terrainType.mjs";
+import TileType from "#src/types/tileType.mjs";
+import UnitType from "#src/types/unitType.mjs";
+import WeaponType from "#src/types/weaponType.mjs";
+import WeatherType from "#src/types/weatherType.mjs";
+
+/**
+ * The class that every object type of each category must extend, keyed on the name of the array the category is
+ * exported under.
+ */
+export const categoryClasses = Object.freeze({
+    commanders: CommanderType,
+    environments: EnvironmentType,
+    factions: FactionType,
+    movements: MovementType,
+    structures: StructureType,
+    terrains: TerrainType,
+    tiles: TileType,
+    units: UnitType,
+    weapons: WeaponType,
+    weathers: WeatherType,
+});
+
+/**
+ * @typedef {Object} ObjectTypeIssue
+ * @property {String} message A description of the problem.
+ * @property {String | undefined} category The category the problem was found in, if it is tied to one, e.g. "units".
+ * @property {String | undefined} type The name of the object type the problem was found with, if it is tied to one.
+ */
+
+/**
+ * @typedef {Object} MapPackValidationReport
+ * @property {Array<ObjectTypeIssue>} errors Problems that prevent object types from being used. Object types with
+ *           errors are left out of the map pack's object types.
+ * @property {Array<ObjectTypeIssue>} warnings Problems that don't prevent object types from being used, but that the
+ *           map pack's author should still know about.
+ */
+
+/**
+ * @typedef {Object} MapPackValidationResult
+ * @property {Object<String, Object<String, Function>>} objectTypes The object types that passed validation, keyed on
+ *           category, and then on type name.
+ * @property {MapPackValidationReport} report Every problem that was found with the map pack's object types.
+ */
+
+// Each of the following functions checks the value returned by a field accessor. They return a description of what's
+// wrong with the value, or undefined if there's nothing wrong with it.
+
+const isNumber = value => (typeof value === "number" && !Number.isNaN(value) ? undefined : "must be a number");
+const isCount = value =>
+    Number.isInteger(value) && value >= 0 ? undefined : "must be an integer that is 0 or greater";
+const isBoolean = value => (typeof value === "boolean" ? undefined : "must be true or false");
+const isObject = value => (value !== null && typeof value === "object" ? undefined : "must be an object");
+const isArray = value => (Array.isArray(value) ? undefined : "must be an array");
+const isLanguageKey = value =>
+    Array.isArray(value) && typeof value[0] === "string"
+        ? undefined
+        : "must be an array whose first element is a language key";
+const isColor = value => {
+    if (isObject(value)) {
+        return "must be a color object";
+    }
+    for (const channel of ["r", "g", "b", "a"]) {
+        if (channel === "a" && value.a === undefined) {
+            continue;
+        }
+        if (!Number.isInteger(value[channel]) || value[channel] < 0 || value[channel] > 255) {
+            return `must have an integer "${channel}" channel between 0 and 255`;
+        }
+    }
+    return undefined;
+};
+const isNumberTable = value =>
+    isObject(value) ?? (Object.values(value).every(number => !isNumber(number)) ? undefined : "must only hold numbers");
+const isPower = value => {
+    if (value === null) {
+        return undefined;
+    }
+    return (
+        isObject(value) ?? (isCount(value.stars) || isArray(value.modifiers) ? "must be a power or null" : undefined)
+    );
+};
+const isMaxHP = value =>
+    Number.isInteger(value) && value > 0 && value <= maxUnitHP
+        ? undefined
+        : `must be an integer between 1 and ${maxUnitHP}`;
+const isTileHP = value =>
+    Number.isInteger(value) && value >= 0 && value <= maxUnitHP
+        ? undefined
+        : `must be an integer between 0 and ${maxUnitHP}`;
+const isRange = value =>
+    isObject(value) ??
+    (isCount(value.min) || isCount(value.max) || value.min > value.max
+        ? "must have integer min and max properties, with min no greater than max"
+        : undefined);
+
+/**
+ * The checks to make on the value of each field that has a known shape, keyed on category, and then on field name.
+ * The checks under "all" are made for every category.
+ */
+const fieldChecks = {
+    all: { longName: isLanguageKey, shortName: isLanguageKey, description: isLanguageKey },
+    commanders: {
+        eyes: isObject,
+        faces: isObject,
+        portraits: isObject,
+        powerMeter: isCount,
+        power: isPower,
+        superPower: isPower,
+        modifiers: isArray,
+    },
+    environments: {},
+    factions: { color: isColor, defaultTurnOrder: isNumber, unitCap: isCount },
+    movements: {},
+    structures: {
+        root: isObject,
+        dependents: isArray,
+        keepUnitsWhenPainted: isBoolean,
+        destroyed: isObject,
+        attack: value => (value === null ? undefined : isObject(value)),
+    },
+    terrains: { defense: isNumber, movementCost: isNumberTable, visionBonus: isNumber, hidesUnits: isBoolean },
+    tiles: {
+        capturingSprite: isObject,
+        capturePoints: isCount,
+        income: isNumber,
+        repairs: isObject,
+        produces: isArray,
+        canBeOwned: isBoolean,
+        isHQ: isBoolean,
+        hp: isTileHP,
+    },
+    units: {
+        cost: isCount,
+        movementPoints: isCount,
+        vision: isCount,
+        maxFuel: isCount,
+        dailyFuelBurn: isCount,
+        hiddenDailyFuelBurn: isCount,
+        weapons: isArray,
+        maxAmmo: isArray,
+        maxHP: isMaxHP,
+        transportCapacity: isCount,
+        cargo: isArray,
+        canCapture: isBoolean,
+        canHide: isBoolean,
+        canDive: isBoolean,
+        firepower: isNumber,
+        defense: isNumber,
+        luck: isNumber,
+        badLuck: isNumber,
+    },
+    weapons: {
+        damage: isNumberTable,
+        range: isRange,
+        ammoPerAttack: isCount,
+        canCounterattack: isBoolean,
+        canFireAfterMoving: isBoolean,
+    },
+    weathers: {},
+};
+
+/**
+ * Lists the fields that store the names of other object types, keyed on category, and then on field name. Each entry
+ * is a function that extracts the names from the field's value, and the category they should be found in.
+ */
+const references = {
+    structures: {
+        root: value => ({ category: "tiles", names: [value.tile, value.destroyed, value.deleted] }),
+        dependents: value => ({
+            category: "tiles",
+            names: value.flatMap(dependent => [dependent?.tile, dependent?.destroyed, dependent?.deleted]),
+        }),
+    },
+    tiles: {
+        terrain: value => ({ category: "terrains", names: [value] }),
+        produces: value => ({ category: "units", names: value }),
+    },
+    units: {
+        movementType: value => ({ category: "movements", names: [value] }),
+        weapons: value => ({ category: "weapons", names: value }),
+        cargo: value => ({ category: "units", names: value }),
+    },
+};
+
+/**
+ * Checks the object types exported by a map pack.
+ * Every object type must extend its category's class, implement each of that class's abstract field accessors, and
+ * return values of the expected shape when its field accessors are given an empty context. Object type names must be
+ * unique within each category, and fields that store the names of other object types must only store names that
+ * exist. A name shared between categories is reported as a warning, unless it's shared by a tile and its own terrain,
+ * or by a structure and its own root tile, since they describe the same thing.
+ * @param {Object} mapPackModule The exports defined by the map pack.
+ * @returns {MapPackValidationResult} The object types that can be used, and every problem that was found.
+ */
+export function validateMapPack(mapPackModule) {
+    const report = { errors: [], warnings: [] };
+    const error = (message, category = undefined, type = undefined) =>
+        report.errors.push({ message: message, category: category, type: type });
+    const warning = (message, category = undefined, type = undefined) =>
+        report.warnings.push({ message: message, category: category, type: type });
+
+    // 1. Check each object type by itself.
+    const objectTypes = {};
+    const resolved = {};
+    for (const [category, categoryClass] of Object.entries(categoryClasses)) {
+        objectTypes[category] = {};
+        resolved[category] = {};
+        if (!Array.isArray(mapPackModule[category])) {
+            warning(`The map pack does not export an array of ${category}`, category);
+            continue;
+        }
+        for (const type of mapPackModule[category]) {
+            if (typeof type !== "function") {
+                error(`The map pack exports something that isn't a class within its ${category}`, category);
+                continue;
+            }
+            if (objectTypes[category].hasOwnProperty(type.name) || resolved[category].hasOwnProperty(type.name)) {
+                error(`${type.name} is exported more than once`, category, type.name);
+                delete objectTypes[category][type.name];
+                continue;
+            }
+            const fields = checkObjectType(category, categoryClass, type, message =>
+                error(message, category, type.name)
+            );
+            resolved[category][type.name] = fields;
+            if (fields) {
+                objectTypes[category][type.name] = type;
+            }
+        }
+    }
+
+    // 2. Check that object types only refer to object types that exist. Leaving an object type out can leave others
+    //    referring to it, so keep checking until nothing else is left out.
+    let leftOut;
+    do {
+        leftOut = false;
+        for (const [category, fields] of Object.entries(references)) {
+            for (const name of Object.keys(objectTypes[category])) {
+                for (const [field, extract] of Object.entries(fields)) {
+                    const { category: referenced, names } = extract(resolved[category][name][field]);
+                    const unknown = names.filter(other => !objectTypes[referenced].hasOwnProperty(other));
+                    if (unknown.length > 0) {
+                        error(`Its ${field} refers to unknown ${referenced}: ${unknown.join(", ")}`, category, name);
+                        delete objectTypes[category][name];
+                        leftOut = true;
+                        break;
+                    }
+                }
+            }
+        }
+    } while (leftOut);
+
+    // 3. Check for names that are shared between categories.
+    const categoriesOf = {};
+    for (const category of Object.keys(categoryClasses)) {
+        for (const name of Object.keys(resolved[category])) {
+            (categoriesOf[name] ??= []).push(category);
+        }
+    }
+    for (const [name, categories] of Object.entries(categoriesOf)) {
+        const unrelated = categories.filter(
+            category =>
+                !(category === "terrains" && resolved.tiles[name]?.terrain === name) &&
+                !(category === "structures" && resolved.tiles[name] && resolved.structures[name]?.root?.tile === name)
+        );
+        if (unrelated.length > 1) {
+            warning(`${name} is the name of more than one type of object: ${unrelated.join(", ")}`, undefined, name);
+        }
+    }
+    return { objectTypes, report };
+}
+
+/**
+ * Checks a single object type.
+ * @param {String} category The category the object type was exported under.
+ * @param {Function} categoryClass The class that the object type must extend.
+ * @param {Function} type The object type's class.
+ * @param {Function<String>} error Reports a problem with the object type.
+ * @returns {Object | undefined} The value of each of the object type's field accessors when given an empty context,
+ *          keyed on field name, or undefined if the object type has any problems.
+ */
+function checkObjectType(category, categoryClass, type, error) {
+    if (!(type.prototype instanceof categoryClass)) {
+        error(`It does not extend ${categoryClass.name}`);
+        return undefined;
+    }
+    let instance;
+    try {
+        instance = new type();
+    } catch (e) {
+        error(`It couldn't be constructed: ${e.message}`);
+        return undefined;
+    }
+    const context = Object.freeze(createContext());
+    const fields = {};
+    let valid = true;
+    for (const field of getAllPropertyNames(Object.create(categoryClass.prototype))) {
+        if (field === "constructor") {
+            continue;
+        }
+        const abstract = categoryClass.prototype[field];
+        if (instance[field] === abstract || instance[field] === ObjectType.prototype[field]) {
+            error(`It doesn't implement ${field}()`);
+            valid = false;
+            continue;
+        }
+        try {
+            fields[field] = instance[field](context);
+        } catch (e) {
+            error(`Its ${field}() threw an error when given an empty context: ${e.message}`);
+            valid = false;
+            continue;
+        }
+        const problem = (fieldChecks.all[field] ?? fieldChecks[category][field])?.(fields[field]);
+        if (problem) {
+            error(`Its ${field} ${problem}`);
+            valid = false;
+        }
+    }
+    return valid ? fields : undefined;
+}
@@ -0,0 +1,375 @@
+/**
+ * @file mapScript.mjs
+ * Defines the class that runs a map's own script, either embedded within its .map file or stored in a sidecar .mjs
+ * file next to it.
+ *
+ * A map script is an ES module that can export an `override(objectTypeName, objectType, context)` function, which is
+ * called after the map pack's `overrides()` function (see `src/types/README.md`), as well as any of the hooks listed
+ * in `mapScriptHooks`, which are called with the data of the event they're named after.
+ *
+ * Map scripts may be downloaded from anywhere, so they are run within their own `node:vm` context with no access to
+ * node's modules, the file system, `process`, `eval()`, or any other module. They can't even import other modules.
+ * Only strings are ever passed between the server and a map script: every value a map script receives is a JSON copy
+ * created within its own context, including the results of calls made to the `map` global. That object exposes the
+ * query and mutation methods of the `Map` class, excluding `toData()` and the `forEach*()` methods. Each call into a
+ * map script is also given a time limit. Note that `node:vm` isn't a complete security boundary (e.g. a map script
+ * can still allocate lots of memory), so these measures should be seen as reducing the risk of running untrusted
+ * scripts rather than eliminating it.
+ */
+
+import { types } from "node:util";
+import vm from "node:vm";
+
+import { getAllPropertyNames } from "#shared/utils.mjs";
+
+/**
+ * The names of the hooks that a map script can export.
+ * Each hook is called with the data of the event it is named after, e.g. `onTurnStarted` is called whenever the
+ * TurnStarted event is emitted.
+ */
+export const mapScriptHooks = Object.freeze([
+    "onTurnStarted",
+    "onTurnEnded",
+    "onDayStarted",
+    "onUnitAttacked",
+    "onUnitDestroyed",
+    "onPropertyCaptured",
+]);
+
+/**
+ * The maximum number of milliseconds a map script can run for each time it is called into.
+ */
+export const mapScriptTimeout = 100;
+
+/**
+ * The options used whenever a map script is run. Node doesn't get to decorate the stacks of errors the map script
+ * throws, as doing so would run the map script's code outside of its time limit.
+ */
+const runOptions = { timeout: mapScriptTimeout, displayErrors: false };
+
+/**
+ * Thrown when a map script could not be loaded or run.
+ */
+export class MapScriptError extends Error {
+    /**
+     * Constructs a new map script error.
+     * @param {String} reason A description of what went wrong.
+     */
+    constructor(reason) {
+        super(reason);
+        this.name = "MapScriptError";
+        this.reason = reason;
+    }
+}
+
+/**
+ * The prototypes of the errors that can be thrown from outside of a map script's context.
+ * @type {Set<Object>}
+ */
+const hostErrorPrototypes = new Set(
+    [Error, EvalError, RangeError, ReferenceError, SyntaxError, TypeError, URIError, MapScriptError].map(
+        type => type.prototype
+    )
+);
+
+/**
+ * Finds out if a thrown value is an error that was created outside of any map script's context, so that its message
+ * can be read without running any of a map script's code.
+ * Values thrown by map scripts can be proxies, or have getters, that run code when they are inspected, so this never
+ * calls instanceof or reads any property.
+ * @param {any} e The thrown value.
+ * @returns {Boolean} True if the value is an error created outside of any map script's context.
+ */
+function isHostError(e) {
+    return types.isNativeError(e) && !types.isProxy(e) && hostErrorPrototypes.has(Object.getPrototypeOf(e));
+}
+
+/**
+ * Runs within the map script's context before the map script is loaded. It sets up the `map` global, and the functions
+ * that the server uses to call into the map script. Only strings are passed to and returned from `call()`, and
+ * `takeThrown()` only ever returns values that were thrown from within the map script's context.
+ */
+const prelude = `"use strict";
+(call, takeThrown, mapMembersJSON) => {
+    const toString = String;
+    const BaseError = Error;
+    const describe = e => {
+        try {
+            return toString(e instanceof BaseError ? e.message : e);
+        } catch {
+            return "It threw a value that couldn't be described";
+        }
+    };
+    const fromServer = json => {
+        const result = JSON.parse(json);
+        if (result.error !== undefined) {
+            throw new Error(result.error);
+        }
+        return result.value;
+    };
+    const map = {};
+    for (const [name, isMethod] of JSON.parse(mapMembersJSON)) {
+        if (isMethod) {
+            map[name] = (...args) => fromServer(call(name, JSON.stringify(args)));
+        } else {
+            Object.defineProperty(map, name, { get: () => fromServer(call(name, "[]")), enumerable: true });
+        }
+    }
+    Object.defineProperty(globalThis, "map", { value: Object.freeze(map) });
+    let exports = {};
+    const invoke = () => {
+        const { name, args } = fromServer(call("$pending", "[]"));
+        if (typeof exports[name] !== "function") {
+            return undefined;
+        }
+        if (name === "override") {
+            args[2].map = map;
+            exports[name](...args);
+            return JSON.stringify(args[1]);
+        }
+        exports[name](...args);
+        return undefined;
+    };
+    Object.defineProperty(globalThis, "$invoke", { value: invoke });
+    Object.defineProperty(globalThis, "$describe", { value: () => describe(takeThrown()) });
+    return namespace => {
+        exports = namespace;
+    };
+}`;
+
+/**
+ * A map script that has been loaded into its own restricted context.
+ */
+export default class MapScript {
+    /**
+     * Loads a map script.
+     * @param {String} source The map script's source code.
+     * @param {String} identifier Identifies the map script in stack traces, usually the path to the file it came from.
+     * @param {import("#src/map/map.mjs").default} map The map that the script belongs to, which it can query and
+     *        change via its `map` global.
+     * @returns {Promise<MapScript>} Resolves with the loaded map script, or rejects with a MapScriptError if the map
+     *          script couldn't be loaded. The map script's top-level code will have been run by the time it resolves.
+     */
+    static load(source, identifier, map) {
+        if (typeof vm.SourceTextModule !== "function") {
+            return Promise.reject(
+                new MapScriptError(
+                    "Map scripts can only be run if node was started with the --experimental-vm-modules option"
+                )
+            );
+        }
+        const mapScript = new MapScript(identifier, map);
+        return Promise.resolve()
+            .then(() => {
+                const module = new vm.SourceTextModule(source, {
+                    identifier: identifier,
+                    context: mapScript.#context,
+                });
+                return module
+                    .link(specifier => {
+                        throw new MapScriptError(
+                            `Map scripts can't import other modules, but it imports "${specifier}"`
+                        );
+                    })
+                    .then(() => {
+                        const evaluation = module.evaluate(runOptions);
+                        // The evaluation's promise belongs to the map script's context, so it only settles once that
+                        // context's microtasks are run again.
+                        drainScript.runInContext(mapScript.#context, runOptions);
+                        return evaluation;
+                    })
+                    .then(() => module);
+            })
+            .then(module => {
+                mapScript.#setExports(module.namespace);
+                mapScript.#exportNames = Object.keys(module.namespace);
+                return mapScript;
+            })
+            .catch(e => {
+                if (isHostError(e) && Object.getPrototypeOf(e) === MapScriptError.prototype) {
+                    throw e;
+                }
+                throw new MapScriptError(`${identifier}: ${mapScript.#describe(e)}`);
+            });
+    }
+
+    /**
+     * Sets up the map script's context. Use MapScript.load() to create map scripts.
+     * @param {String} identifier Identifies the map script in stack traces.
+     * @param {import("#src/map/map.mjs").default} map The map that the script belongs to.
+     */
+    constructor(identifier, map) {
+        this.#identifier = identifier;
+        this.#map = map;
+        const mapMembers = getAllPropertyNames(map)
+            .filter(name => name !== "constructor" && name !== "toData" && !name.startsWith("forEach"))
+            .map(name => [name, typeof map[name] === "function"]);
+        this.#mapMembers = Object.fromEntries(mapMembers);
+        // A null-prototype global object stops map scripts from reaching the server's Object constructor through it.
+        this.#context = vm.createContext(Object.create(null), {
+            name: identifier,
+            codeGeneration: { strings: false, wasm: false },
+            // Run promise continuations as part of each call into the map script, so they're covered by its time limit.
+            microtaskMode: "afterEvaluate",
+        });
+        const setup = new vm.Script(prelude, { filename: "mapScriptPrelude" }).runInContext(this.#context);
+        this.#setExports = setup(this.#handleCall.bind(this), () => this.#thrown, JSON.stringify(mapMembers));
+    }
+
+    /**
+     * @returns {Boolean} True if the map script exports an override() function.
+     */
+    get hasOverride() {
+        return this.hasExport("override");
+    }
+
+    /**
+     * Finds out if the map script exports a given function.
+     * @param {String} name The name of the export.
+     * @returns {Boolean} True if the map script exports something under the given name, false if not.
+     */
+    hasExport(name) {
+        return this.#exportNames.includes(name);
+    }
+
+    /**
+     * Calls the map script's override() function, if it has one.
+     * The object type is given to the map script as a copy, and any of its fields that the map script changed are
+     * copied back into the given object type.
+     * @param {String} objectTypeName The category of the object type being resolved, e.g. "Weapon".
+     * @param {Object} objectType The resolved object type, which is updated in place.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the object type was resolved within.
+     * @throws {MapScriptError} If the map script threw an error or ran for too long.
+     */
+    override(objectTypeName, objectType, context) {
+        if (!this.hasOverride) {
+            return;
+        }
+        const { map, ...contextWithoutMap } = context;
+        const result = this.#invoke("override", [objectTypeName, objectType, contextWithoutMap]);
+        const resultObjectType = JSON.parse(result);
+        for (const field of new Set([...Object.keys(objectType), ...Object.keys(resultObjectType)])) {
+            // JSON can't store functions, so only replace the fields that have actually been changed.
+            if (JSON.stringify(objectType[field]) !== JSON.stringify(resultObjectType[field])) {
+                objectType[field] = resultObjectType[field];
+            }
+        }
+    }
+
+    /**
+     * Calls one of the map script's hooks, if it exports it.
+     * @param {String} hook The name of the hook, which must be one listed in `mapScriptHooks`.
+     * @param {...any} data The data to give to the hook. It must be serializable as JSON.
+     * @throws {MapScriptError} If the hook isn't recognised, or if the map script threw an error or ran for too long.
+     */
+    callHook(hook, ...data) {
+        if (!mapScriptHooks.includes(hook)) {
+            throw new MapScriptError(`Unrecognised map script hook "${hook}"`);
+        }
+        if (this.hasExport(hook)) {
+            this.#invoke(hook, data);
+        }
+    }
+
+    /**
+     * Calls one of the map script's exported functions, with a time limit.
+     * @param {String} name The name of the exported function.
+     * @param {Array} args The arguments to give to the function. They must be serializable as JSON.
+     * @returns {String | undefined} The JSON returned by the map script's context.
+     * @throws {MapScriptError} If the map script threw an error or ran for too long.
+     */
+    #invoke(name, args) {
+        this.#pending = JSON.stringify({ name: name, args: args });
+        try {
+            return invokeScript.runInContext(this.#context, runOptions);
+        } catch (e) {
+            throw new MapScriptError(`${this.#identifier}: ${name}() failed: ${this.#describe(e)}`);
+        } finally {
+            this.#pending = null;
+        }
+    }
+
+    /**
+     * Describes a value that was thrown while running a map script, without running any of the map script's code
+     * outside of its time limit.
+     * Errors created outside of the map script's context are described by their message. Anything else is described
+     * from within the map script's context.
+     * @param {any} e The thrown value.
+     * @returns {String} A description of the thrown value.
+     */
+    #describe(e) {
+        if (isHostError(e)) {
+            const message = Object.getOwnPropertyDescriptor(e, "message")?.value;
+            return typeof message === "string" ? message : "It threw an error without a message";
+        }
+        this.#thrown = e;
+        try {
+            const description = describeScript.runInContext(this.#context, runOptions);
+            return typeof description === "string" ? description : "It threw a value that couldn't be described";
+        } catch {
+            return "It threw a value that couldn't be described in time";
+        } finally {
+            this.#thrown = undefined;
+        }
+    }
+
+    /**
+     * Handles a call from the map script's context.
+     * Errors are never thrown back into the map script's context, as they would give it access to objects created
+     * outside of it. Instead, they are sent back as strings, just like return values.
+     * @param {String} name The name of the member of the map to call or read, or "$pending" to retrieve the function
+     *        call that the map script should make.
+     * @param {String} argsJSON The arguments to pass to the map's method, as a JSON array.
+     * @returns {String} A JSON object holding either the `value` returned, or an `error` message.
+     */
+    #handleCall(name, argsJSON) {
+        try {
+            let value;
+            if (name === "$pending") {
+                value = JSON.parse(this.#pending);
+            } else if (!this.#mapMembers.hasOwnProperty(name)) {
+                throw new Error(`Map scripts can't access map.${name}`);
+            } else if (this.#mapMembers[name]) {
+                value = this.#map[name](...JSON.parse(argsJSON));
+            } else {
+                value = this.#map[name];
+            }
+            return JSON.stringify({ value: value });
+        } catch (e) {
+            return JSON.stringify({ error: this.#describe(e) });
+        }
+    }
+
+    #identifier;
+    #map;
+    #context;
+    #setExports;
+    #exportNames = [];
+    #pending = null;
+
+    /**
+     * The value most recently thrown from within the map script's context, while it is being described.
+     */
+    #thrown = undefined;
+
+    /**
+     * The members of the map that the map script can access, keyed on name, with the value being true for methods and
+     * false for getters.
+     */
+    #mapMembers = {};
+}
+
+/**
+ * Calls into a map script's context. What to call is retrieved from the server by the map script's prelude.
+ */
+const invokeScript = new vm.Script("$invoke()", { filename: "mapScriptInvoke" });
+
+/**
+ * Does nothing, other than running any microtasks that are queued up within a map script's context.
+ */
+const drainScript = new vm.Script("", { filename: "mapScriptDrain" });
+
+/**
+ * Describes the value most recently thrown from within a map script's context, from within that context.
+ */
+const describeScript = new vm.Script("$describe()", { filename: "mapScriptDescribe" });
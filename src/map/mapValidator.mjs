@@ -0,0 +1,194 @@
+/**
+ * @file mapValidator.mjs
+ * Defines the function that checks a map against the object types of the loaded map pack.
+ */
+
+import ObjectTypeResolver from "#src/map/objectTypeResolver.mjs";
+
+/**
+ * @typedef {Object} MapIssue
+ * @property {String} message A description of the problem.
+ * @property {import("#src/types/objectType.mjs").Coordinate | undefined} position The location of the tile that the
+ *           problem was found on, if the problem is tied to a single tile.
+ */
+
+/**
+ * @typedef {Object} MapValidationReport
+ * @property {Array<MapIssue>} errors Problems that prevent the map from being played.
+ * @property {Array<MapIssue>} warnings Problems that don't prevent the map from being played, but that the map's
+ *           author should still know about.
+ */
+
+/**
+ * Creates a validation report for a map that couldn't be read at all.
+ * @param {String} message Why the map couldn't be read.
+ * @returns {MapValidationReport} A report holding a single error.
+ */
+export function unreadableMapReport(message) {
+    return { errors: [{ message: message, position: undefined }], warnings: [] };
+}
+
+/**
+ * Checks a map against the object types of the loaded map pack.
+ * @param {import("#src/map/map.mjs").MapData} map The map to check.
+ * @param {Object<String, Object<String, Function>>} objectTypes The object types cached from the loaded map pack, keyed
+ *        on category, then on type name.
+ * @returns {MapValidationReport} Every problem that was found with the map. A map that has no errors can be loaded.
+ */
+export function validateMap(map, objectTypes) {
+    const report = { errors: [], warnings: [] };
+    const error = (message, position = undefined) =>
+        report.errors.push({ message: message, position: position && { x: position.x, y: position.y } });
+    const warning = (message, position = undefined) =>
+        report.warnings.push({ message: message, position: position && { x: position.x, y: position.y } });
+    const typeExists = (category, type, what, position = undefined) => {
+        if (objectTypes[category]?.hasOwnProperty(type)) {
+            return true;
+        }
+        error(`Unknown ${category} type "${type}" given for ${what}`, position);
+        return false;
+    };
+    const isInBounds = position =>
+        Number.isInteger(position.x) &&
+        Number.isInteger(position.y) &&
+        position.x >= 0 &&
+        position.y >= 0 &&
+        position.x < map.width &&
+        position.y < map.height;
+    const isOwner = owner =>
+        owner === undefined || (Number.isInteger(owner) && owner >= 0 && owner < map.armies.length);
+
+    // 1. Environment and weathers.
+    typeExists("environments", map.environment, "the environment");
+    map.weathers.forEach((weather, i) => typeExists("weathers", weather, `weather ${i}`));
+    if (map.weathers.length == 0) {
+        warning("The map has no weather");
+    }
+
+    // 2. Armies.
+    const factions = {};
+    map.armies.forEach((army, i) => {
+        if (typeExists("factions", army.faction, `army ${i}'s faction`)) {
+            if (factions.hasOwnProperty(army.faction)) {
+                warning(`Army ${i} has the same faction as army ${factions[army.faction]}: ${army.faction}`);
+            } else {
+                factions[army.faction] = i;
+            }
+        }
+        army.commanders.forEach((commander, j) => typeExists("commanders", commander, `army ${i}'s commander ${j}`));
+    });
+    if (map.armies.length < 2) {
+        warning(`The map needs at least 2 armies to be played, but it has ${map.armies.length}`);
+    }
+    const isUnitCapValid = Number.isInteger(map.unitCap) && map.unitCap >= 1 && map.unitCap <= 0xffff;
+    if (map.unitCap !== undefined && !isUnitCapValid) {
+        error(`The map's unit cap must be an integer between 1 and 65535, but it was ${map.unitCap}`);
+    }
+
+    // 3. Tiles.
+    if (map.tiles.length != map.height || map.tiles.some(row => row.length != map.width)) {
+        error(`The map's tiles don't match its dimensions of ${map.width}x${map.height}`);
+        return report;
+    }
+    map.tiles.forEach((row, y) =>
+        row.forEach((tile, x) => {
+            const position = { x: x, y: y };
+            typeExists("tiles", tile.type, `the tile at (${x}, ${y})`, position);
+            if (!isOwner(tile.owner)) {
+                error(`The tile at (${x}, ${y}) is owned by army ${tile.owner}, which doesn't exist`, position);
+            }
+        })
+    );
+
+    // 4. Structures.
+    const resolver = new ObjectTypeResolver(objectTypes, null);
+    const structureTiles = {};
+    map.structures.forEach((structure, i) => {
+        const what = `structure ${i} (${structure.type})`;
+        if (!isInBounds(structure.root)) {
+            error(`The root tile (${structure.root.x}, ${structure.root.y}) of ${what} is out of bounds`);
+            return;
+        }
+        if (!typeExists("structures", structure.type, `structure ${i}`, structure.root)) {
+            return;
+        }
+        let structureType;
+        try {
+            structureType = resolver.resolve("structures", structure.type);
+        } catch (e) {
+            error(`Couldn't resolve the type of ${what}: ${e.message}`, structure.root);
+            return;
+        }
+        const dependents = Array.isArray(structureType.dependents) ? structureType.dependents : [];
+        const tiles = [{ ...(structureType.root ?? {}), offset: { x: 0, y: 0 } }];
+        const offsets = new Set();
+        for (const dependent of dependents) {
+            const offset = dependent?.offset ?? {};
+            const key = `${offset.x},${offset.y}`;
+            if (!Number.isInteger(offset.x) || !Number.isInteger(offset.y) || (offset.x == 0 && offset.y == 0)) {
+                error(`The ${structure.type} structure type has a dependent tile with an invalid offset ${key}`);
+            } else if (offsets.has(key)) {
+                error(`The ${structure.type} structure type has more than one dependent tile at offset ${key}`);
+            } else {
+                offsets.add(key);
+                tiles.push(dependent);
+            }
+        }
+        for (const tile of tiles) {
+            const position = { x: structure.root.x + tile.offset.x, y: structure.root.y + tile.offset.y };
+            if (!isInBounds(position)) {
+                error(`The tile at (${position.x}, ${position.y}) of ${what} is out of bounds`, structure.root);
+                continue;
+            }
+            const key = `${position.x},${position.y}`;
+            if (structureTiles.hasOwnProperty(key)) {
+                error(`Structure ${i} (${structure.type}) overlaps structure ${structureTiles[key]}`, position);
+                continue;
+            }
+            structureTiles[key] = i;
+            const expectedType = structure.destroyed ? tile.destroyed : tile.tile;
+            const actualType = map.tiles[position.y][position.x].type;
+            if (typeof expectedType === "string" && actualType !== expectedType) {
+                error(
+                    `The tile at (${position.x}, ${position.y}) is part of ${what}, so it should be a ` +
+                        `${expectedType} tile, but it is a ${actualType} tile`,
+                    position
+                );
+            }
+        }
+    });
+
+    // 5. Units.
+    const occupants = {};
+    const unitCounts = map.armies.map(army => 0);
+    map.units.forEach((unit, i) => {
+        const what = `unit ${i} (${unit.type})`;
+        if (!isInBounds(unit.position)) {
+            error(`The position (${unit.position.x}, ${unit.position.y}) of ${what} is out of bounds`);
+            return;
+        }
+        typeExists("units", unit.type, `unit ${i}`, unit.position);
+        if (!isOwner(unit.owner)) {
+            error(`Unit ${i} (${unit.type}) is owned by army ${unit.owner}, which doesn't exist`, unit.position);
+        } else if (unit.owner !== undefined) {
+            ++unitCounts[unit.owner];
+        }
+        const key = `${unit.position.x},${unit.position.y}`;
+        if (occupants.hasOwnProperty(key)) {
+            warning(`Unit ${i} (${unit.type}) occupies the same tile as unit ${occupants[key]}`, unit.position);
+        } else {
+            occupants[key] = i;
+        }
+    });
+    if (isUnitCapValid) {
+        unitCounts.forEach((count, i) => {
+            if (count > map.unitCap) {
+                warning(
+                    `Army ${i} starts with ${count} units, which is more than the map's unit cap of ${map.unitCap}`
+                );
+            }
+        });
+    }
+
+    return report;
+}
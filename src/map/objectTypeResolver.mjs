@@ -0,0 +1,642 @@
+/**
+ * @file objectTypeResolver.mjs
+ * Defines the class that resolves object types into plain objects, as described in `src/types/README.md`.
+ */
+
+import { deepFreeze, getAllPropertyNames } from "#shared/utils.mjs";
+
+/**
+ * The name given to the overrides() functions for each object type category.
+ */
+export const categoryNames = Object.freeze({
+    commanders: "Commander",
+    environments: "Environment",
+    factions: "Faction",
+    movements: "Movement",
+    structures: "Structure",
+    terrains: "Terrain",
+    tiles: "Tile",
+    units: "Unit",
+    weapons: "Weapon",
+    weathers: "Weather",
+});
+
+/**
+ * Creates a context object that doesn't tie an object type to anything.
+ * Resolving an object type with this context will produce its "base" values.
+ * @returns {import("#src/types/objectType.mjs").Context} A context with every category's list empty, and no map, unit,
+ *          tile or army.
+ */
+export function createContext() {
+    const context = {};
+    for (const category of Object.keys(categoryNames)) {
+        context[category] = [];
+    }
+    context.map = undefined;
+    context.unit = undefined;
+    context.tile = undefined;
+    context.army = undefined;
+    return context;
+}
+
+/**
+ * @typedef {Object} Subject
+ * Identifies what an object type is being resolved for. Which of these properties are used depends on the category of
+ * the object type being resolved:
+ * - Commanders and factions use `army`.
+ * - Movements, units and weapons use `unit`. Units that haven't been built yet use `army` instead, which is the army
+ *   that would build them.
+ * - Structures, tiles and terrains use `tile`. Terrains can also be given an `army`, such as the army of a unit moving
+ *   onto the tile, which is used instead of the tile's owner. An `army` of undefined means that no army is used.
+ * - Weathers and environments don't use any of them.
+ * @property {import("#src/map/map.mjs").UnitID | undefined} unit The unit the object type belongs to.
+ * @property {import("#src/types/objectType.mjs").Coordinate | undefined} tile The location of the tile the object type
+ *           belongs to.
+ * @property {import("#src/map/map.mjs").ArmyID | undefined} army The army the object type belongs to.
+ */
+
+/**
+ * Changes a field of a resolved object type by a commander's modifier.
+ * Objects and arrays along the field's path are copied rather than changed in place, since object types may return
+ * values that they share between calls.
+ * @param {any} value The value of the field, or of an object or array containing it.
+ * @param {Array<String>} path The keys leading from the value to the field. Empty if the value is the field itself.
+ * @param {import("#src/types/commanderType.mjs").Modifier} modifier The modifier to apply.
+ * @returns {any} The changed value.
+ */
+function applyModifier(value, path, modifier) {
+    if (path.length > 0) {
+        if (value === null || typeof value !== "object" || !(path[0] in value)) {
+            return value;
+        }
+        const copy = Array.isArray(value) ? [...value] : { ...value };
+        copy[path[0]] = applyModifier(value[path[0]], path.slice(1), modifier);
+        return copy;
+    }
+    if (typeof value === "number") {
+        return value * (modifier.multiply ?? 1) + (modifier.add ?? 0);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => applyModifier(item, [], modifier));
+    }
+    if (value !== null && typeof value === "object") {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, applyModifier(item, [], modifier)]));
+    }
+    return value;
+}
+
+/**
+ * Builds the key that a resolved object type is cached under.
+ * @param {String} category The category of the object type.
+ * @param {String} type The name of the object type.
+ * @param {import("#src/types/objectType.mjs").Context} context The context the object type is resolved within.
+ * @returns {String} A key that is unique to the object type and every field of the context, except for the map.
+ */
+function cacheKey(category, type, context) {
+    const names = Object.keys(categoryNames).map(key => context[key].join(","));
+    const tile = context.tile === undefined ? "" : `${context.tile.x},${context.tile.y}`;
+    return [category, type, ...names, context.unit ?? "", tile, context.army ?? ""].join("|");
+}
+
+/**
+ * Lists the things on a map that a resolved object type depends on, so that it can be invalidated when they change.
+ * @param {import("#src/types/objectType.mjs").Context} context The context the object type was resolved within.
+ * @returns {Array<String>} A dependency for the unit, the tile and the army given in the context, if any.
+ */
+function dependenciesOf(context) {
+    const dependencies = [];
+    if (context.unit !== undefined) {
+        dependencies.push(`unit:${context.unit}`);
+    }
+    if (context.tile !== undefined) {
+        dependencies.push(`tile:${context.tile.x},${context.tile.y}`);
+    }
+    if (context.army !== undefined) {
+        dependencies.push(`army:${context.army}`);
+    }
+    return dependencies;
+}
+
+/**
+ * Finds out if a commander's modifier, or a power's effects, apply to an object type.
+ * @param {import("#src/types/commanderType.mjs").Modifier | import("#src/types/commanderType.mjs").PowerEffects}
+ *        modifier The modifier or effects.
+ * @param {import("#src/types/objectType.mjs").Context} context The context the object type was resolved within.
+ * @returns {Boolean} True if every category in the modifier's `where` lists one of the context's names, and no
+ *          category in its `unless` does.
+ */
+export function modifierApplies(modifier, context) {
+    const listed = ([category, names]) => names.some(name => (context[category] ?? []).includes(name));
+    return Object.entries(modifier.where ?? {}).every(listed) && !Object.entries(modifier.unless ?? {}).some(listed);
+}
+
+/**
+ * Builds contexts for object types on a map, and resolves object types into plain objects using those contexts.
+ * Resolving an object type calls every one of its field accessors with the built context, then applies the modifiers
+ * of the primary commander given in the context, then passes the result through the map pack's overrides() function,
+ * and then through the map's own override() function, if either exist.
+ * Resolved object types are cached, keyed on their category, their name, and the context they were resolved within.
+ * Cached object types are shared between callers, so they are deeply frozen. Whenever the map changes, it must pass its
+ * event on to invalidate(), which throws away every cached object type that the change could affect.
+ * Each object type is assumed to only depend on the weathers and environment of the map, and on the unit, tile and army
+ * given in its context (including the units on that tile, and the tiles and units that army owns). An overrides() or
+ * override() function that reads anything else from the map should call clearCache() whenever that changes.
+ */
+export default class ObjectTypeResolver {
+    /**
+     * Creates a new object type resolver.
+     * @param {Object<String, Object<String, Function>>} objectTypes The object type classes to resolve, keyed on
+     *        category, and then on type name.
+     * @param {Function | null} overrides The map pack's overrides() function, if it exported one.
+     * @param {import("#src/map/map.mjs").default | undefined} map The map to build contexts from. If not given, every
+     *        object type will be resolved using an empty context.
+     * @param {Function | null} mapOverride The map's own override() function, if it has one. It is called after the
+     *        map pack's overrides() function, with the same parameters.
+     */
+    constructor(objectTypes, overrides, map = undefined, mapOverride = null) {
+        this.#objectTypes = objectTypes;
+        this.#overrides = overrides;
+        this.#map = map;
+        this.#mapOverride = mapOverride;
+    }
+
+    /**
+     * Resolves an object type into a plain object.
+     * @param {String} category The category of the object type, e.g. "units".
+     * @param {String} type The name of the object type, e.g. "Infantry".
+     * @param {Subject} subject What the object type is being resolved for. Ignored if this resolver has no map.
+     * @returns {Object} Every field of the object type, keyed on field name, with any overrides applied.
+     * @throws {RangeError} If the object type doesn't exist, or if the subject doesn't exist on the map.
+     */
+    resolve(category, type, subject = {}) {
+        const context = this.buildContext(category, subject);
+        const key = cacheKey(category, type, context);
+        if (this.#cache.has(key)) {
+            ++this.#hits;
+            return this.#cache.get(key);
+        }
+        ++this.#misses;
+        const objectType = this.#resolveFields(category, type, context);
+        this.#applyCommanderModifiers(category, objectType, context);
+        if (this.#overrides) {
+            this.#overrides(categoryNames[category], objectType, context);
+        }
+        if (this.#mapOverride) {
+            this.#mapOverride(categoryNames[category], objectType, context);
+        }
+        this.#cache.set(key, deepFreeze(objectType));
+        for (const dependency of dependenciesOf(context)) {
+            if (!this.#dependents.has(dependency)) {
+                this.#dependents.set(dependency, new Set());
+            }
+            this.#dependents.get(dependency).add(key);
+        }
+        return objectType;
+    }
+
+    /**
+     * Throws away every cached object type that a change to the map could affect.
+     * This method has the same signature as the event() function given to the map, so the map's events can be passed
+     * straight through to it. Events that don't change anything object types depend on are ignored.
+     * @param {String} name The name of the event the map emitted.
+     * @param {...any} data The data attached to the event.
+     */
+    invalidate(name, ...data) {
+        switch (name) {
+            case "WeatherChanged":
+            case "EnvironmentChanged":
+                this.clearCache();
+                break;
+            case "TileTypeChanged":
+                this.#invalidateTile(data[0]);
+                break;
+            case "TileOwnerChanged":
+                this.#invalidateTile(data[0]);
+                this.#invalidateArmies(data[1], data[2]);
+                break;
+            case "StructureAdded":
+            case "StructureDestroyedChanged":
+                this.#invalidateStructure(this.#map.getStructure(data[0]));
+                break;
+            case "StructureRemoved":
+                this.#invalidateStructure(data[0]);
+                break;
+            case "FundsChanged":
+            case "CommandersChanged":
+            case "PowerMeterChanged":
+                this.#invalidateDependents(`army:${data[0]}`);
+                break;
+            case "ActivePowerChanged":
+                this.#invalidateDependents(`army:${data[0]}`);
+                this.#recordPowerModifiers(data[0], data[1]);
+                break;
+            case "UnitRemoved":
+                this.#invalidateDependents(`unit:${data[0].id}`);
+                this.#invalidateTile(data[0].position);
+                this.#invalidateArmies(data[0].owner);
+                break;
+            case "UnitMoved":
+                this.#invalidateDependents(`unit:${data[0]}`);
+                this.#invalidateTile(data[1]);
+                this.#invalidateTile(data[2]);
+                break;
+            case "UnitAdded":
+                this.#invalidateDependents(`unit:${data[0]}`);
+                this.#invalidateTile(this.#map.getUnit(data[0]).position);
+                this.#invalidateArmies(this.#map.getUnit(data[0]).owner);
+                break;
+            case "UnitOwnerChanged":
+                this.#invalidateDependents(`unit:${data[0]}`);
+                this.#invalidateTile(this.#map.getUnit(data[0]).position);
+                this.#invalidateArmies(data[1], data[2]);
+                break;
+            case "UnitHPChanged":
+            case "UnitFuelChanged":
+            case "UnitAmmoChanged":
+                this.#invalidateDependents(`unit:${data[0]}`);
+                this.#invalidateTile(this.#map.getUnit(data[0]).position);
+                break;
+        }
+    }
+
+    /**
+     * Throws away every cached object type.
+     * The modifiers of active powers, which are worked out when each power is activated, are kept.
+     */
+    clearCache() {
+        this.#cache.clear();
+        this.#dependents.clear();
+    }
+
+    /**
+     * @typedef {Object} CacheStatistics
+     * @property {Number} hits The number of times an object type was found in the cache.
+     * @property {Number} misses The number of times an object type had to be resolved.
+     * @property {Number} size The number of object types that are currently cached.
+     */
+
+    /**
+     * Counts how well the cache of resolved object types is performing.
+     * @returns {CacheStatistics} The cache's statistics, counted since this resolver was created.
+     */
+    get cacheStatistics() {
+        return { hits: this.#hits, misses: this.#misses, size: this.#cache.size };
+    }
+
+    /**
+     * Builds the context to give to an object type's field accessors, following the table in `src/types/README.md`.
+     * @param {String} category The category of the object type the context is for.
+     * @param {Subject} subject What the object type is being resolved for.
+     * @returns {import("#src/types/objectType.mjs").Context} The context. Every list within it is read-only.
+     * @throws {RangeError} If the category isn't recognised, or if the subject doesn't exist on the map.
+     */
+    buildContext(category, subject = {}) {
+        if (!categoryNames.hasOwnProperty(category)) {
+            throw new RangeError(`Unrecognised object type category "${category}"`);
+        }
+        const context = createContext();
+        const map = this.#map;
+        if (map) {
+            context.map = map;
+            if (category !== "weathers") {
+                context.weathers = map.weathers;
+            }
+            if (category !== "environments") {
+                context.environments = [map.environment];
+            }
+            switch (category) {
+                case "commanders":
+                case "factions":
+                    this.#addArmy(context, subject.army);
+                    break;
+                case "movements":
+                case "units":
+                case "weapons":
+                    if (subject.unit === undefined) {
+                        this.#addArmy(context, subject.army);
+                    } else {
+                        this.#addUnit(context, subject.unit);
+                    }
+                    break;
+                case "structures":
+                    this.#addTile(context, subject.tile);
+                    // Structures span many tiles, so nothing that is specific to a single tile is given.
+                    for (const key of ["movements", "tiles", "terrains", "units", "weapons"]) {
+                        context[key] = [];
+                    }
+                    break;
+                case "tiles":
+                    this.#addTile(context, subject.tile);
+                    break;
+                case "terrains":
+                    this.#addTile(context, subject.tile);
+                    if (subject.hasOwnProperty("army")) {
+                        context.army = undefined;
+                        context.factions = [];
+                        context.commanders = [];
+                        this.#addArmy(context, subject.army);
+                    }
+                    break;
+            }
+            // Object types never receive names from their own category.
+            context[category] = [];
+        }
+        for (const key of Object.keys(categoryNames)) {
+            Object.freeze(context[key]);
+        }
+        return Object.freeze(context);
+    }
+
+    /**
+     * Reads a field that stores the name/s of other object types.
+     * These fields can't change depending on context, so they are always resolved using an empty context, and they are
+     * never passed through any overrides() function.
+     * @param {String} category The category of the object type.
+     * @param {String} type The name of the object type.
+     * @param {String} field The name of the field to read.
+     * @returns {any} The field's value, or undefined if the object type doesn't define the field.
+     * @throws {RangeError} If the object type doesn't exist.
+     */
+    fixedField(category, type, field) {
+        const instance = this.#instance(category, type);
+        if (typeof instance[field] !== "function") {
+            return undefined;
+        }
+        return instance[field](Object.freeze(createContext()));
+    }
+
+    /**
+     * Applies the day-to-day modifiers of the primary commander given in a context to a resolved object type, as well
+     * as the modifiers of their active power, as they were when it was activated, if they have one active.
+     * @param {String} category The category of the object type.
+     * @param {Object} objectType The resolved object type, which is amended in place.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the object type was resolved within.
+     */
+    #applyCommanderModifiers(category, objectType, context) {
+        if (context.commanders.length == 0 || context.army === undefined) {
+            return;
+        }
+        const commander = this.resolve("commanders", context.commanders[0], { army: context.army });
+        const activePower = this.#map.getArmy(context.army).activePower;
+        let powerModifiers = [];
+        if (activePower !== undefined) {
+            const recorded = this.#powerModifiers.get(context.army);
+            powerModifiers =
+                recorded?.activePower === activePower ? recorded.modifiers : commander[activePower]?.modifiers ?? [];
+        }
+        const modifiers = [...(commander.modifiers ?? []), ...powerModifiers];
+        for (const modifier of modifiers) {
+            if (modifier.category !== categoryNames[category] || !modifierApplies(modifier, context)) {
+                continue;
+            }
+            const [field, ...path] = modifier.field.split(".");
+            if (objectType.hasOwnProperty(field)) {
+                objectType[field] = applyModifier(objectType[field], path, modifier);
+            }
+        }
+    }
+
+    /**
+     * Works out the modifiers of an army's newly activated power, so that they stay the same for as long as the power
+     * is active, even if the things they were worked out from change.
+     * @param {import("#src/map/map.mjs").ArmyID} armyID The ID of the army.
+     * @param {import("#src/map/map.mjs").ActivePower | undefined} activePower The power the army activated, if any.
+     */
+    #recordPowerModifiers(armyID, activePower) {
+        this.#powerModifiers.delete(armyID);
+        const commanders = this.#map.getArmy(armyID).commanders;
+        if (activePower === undefined || commanders.length == 0) {
+            return;
+        }
+        const power = this.resolve("commanders", commanders[0], { army: armyID })[activePower];
+        this.#powerModifiers.set(armyID, { activePower: activePower, modifiers: power?.modifiers ?? [] });
+    }
+
+    /**
+     * Throws away every cached object type that depends on something.
+     * @param {String} dependency The dependency, as given by dependenciesOf().
+     */
+    #invalidateDependents(dependency) {
+        for (const key of this.#dependents.get(dependency) ?? []) {
+            this.#cache.delete(key);
+        }
+        this.#dependents.delete(dependency);
+    }
+
+    /**
+     * Throws away every cached object type that depends on any of the given armies. Called whenever an army gains or
+     * loses a tile or a unit, as object types can depend on what an army owns.
+     * @param {...(import("#src/map/map.mjs").ArmyID | undefined)} armyIDs The armies. Undefined owners are ignored.
+     */
+    #invalidateArmies(...armyIDs) {
+        armyIDs.filter(armyID => armyID !== undefined).forEach(armyID => this.#invalidateDependents(`army:${armyID}`));
+    }
+
+    /**
+     * Throws away every cached object type that depends on a tile, or on a unit that is on the tile. If the tile forms
+     * part of a structure, the whole structure is thrown away, since a structure's tiles share its owner.
+     * @param {import("#src/types/objectType.mjs").Coordinate} position The location of the tile.
+     */
+    #invalidateTile(position) {
+        if (!this.#map.isInBounds(position)) {
+            return;
+        }
+        const tile = this.#map.getTile(position);
+        if (tile.structure !== undefined) {
+            this.#invalidateStructure(this.#map.getStructure(tile.structure));
+            return;
+        }
+        this.#invalidateDependents(`tile:${position.x},${position.y}`);
+        tile.units.forEach(unit => this.#invalidateDependents(`unit:${unit}`));
+    }
+
+    /**
+     * Throws away every cached object type that depends on one of a structure's tiles, or on a unit on those tiles.
+     * @param {import("#src/map/map.mjs").Structure} structure The structure. It doesn't have to be on the map anymore.
+     */
+    #invalidateStructure(structure) {
+        const { root, dependents } = structure;
+        for (const position of [root, ...dependents.map(offset => ({ x: root.x + offset.x, y: root.y + offset.y }))]) {
+            if (this.#map.isInBounds(position)) {
+                this.#invalidateDependents(`tile:${position.x},${position.y}`);
+                this.#map.getTile(position).units.forEach(unit => this.#invalidateDependents(`unit:${unit}`));
+            }
+        }
+    }
+
+    /**
+     * Adds an army's faction and commanders to a context.
+     * @param {import("#src/types/objectType.mjs").Context} context The context to update.
+     * @param {import("#src/map/map.mjs").ArmyID | undefined} armyID The army to add, if any.
+     * @throws {RangeError} If the army doesn't exist.
+     */
+    #addArmy(context, armyID) {
+        if (armyID === undefined) {
+            return;
+        }
+        const army = this.#map.getArmy(armyID);
+        context.army = army.id;
+        context.factions = [army.faction];
+        context.commanders = [...army.commanders];
+    }
+
+    /**
+     * Adds a unit and everything it's tied to to a context.
+     * @param {import("#src/types/objectType.mjs").Context} context The context to update.
+     * @param {import("#src/map/map.mjs").UnitID | undefined} unitID The unit to add, if any.
+     * @throws {RangeError} If the unit doesn't exist.
+     */
+    #addUnit(context, unitID) {
+        if (unitID === undefined) {
+            return;
+        }
+        const unit = this.#map.getUnit(unitID);
+        context.unit = unit.id;
+        this.#addArmy(context, unit.owner);
+        const tile = this.#map.getTile(unit.position);
+        context.tile = tile.position;
+        context.tiles = [tile.type];
+        context.terrains = this.#terrainsOf([tile.type]);
+        context.structures = this.#structuresOf(tile);
+        context.units = [unit.type];
+        context.movements = this.#movementsOf([unit.type]);
+        context.weapons = this.#weaponsOf([unit.type]);
+    }
+
+    /**
+     * Adds a tile and everything it's tied to to a context.
+     * @param {import("#src/types/objectType.mjs").Context} context The context to update.
+     * @param {import("#src/types/objectType.mjs").Coordinate | undefined} position The location of the tile to add,
+     *        if any.
+     * @throws {RangeError} If the tile is out of bounds.
+     */
+    #addTile(context, position) {
+        if (position === undefined) {
+            return;
+        }
+        const tile = this.#map.getTile(position);
+        context.tile = tile.position;
+        // A structure is owned by whoever owns its root tile.
+        const owner =
+            tile.structure === undefined
+                ? tile.owner
+                : this.#map.getTile(this.#map.getStructure(tile.structure).root).owner;
+        this.#addArmy(context, owner);
+        context.tiles = [tile.type];
+        context.terrains = this.#terrainsOf([tile.type]);
+        context.structures = this.#structuresOf(tile);
+        context.units = this.#map.unitsAt(tile.position).map(unit => unit.type);
+        context.movements = this.#movementsOf(context.units);
+        context.weapons = this.#weaponsOf(context.units);
+    }
+
+    /**
+     * Finds the structure a tile forms part of.
+     * @param {import("#src/map/map.mjs").Tile} tile The tile.
+     * @returns {Array<String>} The name of the tile's structure type, or an empty list if the tile isn't part of one.
+     */
+    #structuresOf(tile) {
+        return tile.structure === undefined ? [] : [this.#map.getStructure(tile.structure).type];
+    }
+
+    /**
+     * Finds the terrain types of a list of tile types.
+     * @param {Array<String>} tiles The names of the tile types.
+     * @returns {Array<String>} The names of each tile type's terrain type, in the same order.
+     */
+    #terrainsOf(tiles) {
+        return tiles.map(tile => this.fixedField("tiles", tile, "terrain"));
+    }
+
+    /**
+     * Finds the movement types of a list of unit types.
+     * @param {Array<String>} units The names of the unit types.
+     * @returns {Array<String>} The names of each unit type's movement type, in the same order.
+     */
+    #movementsOf(units) {
+        return units.map(unit => this.fixedField("units", unit, "movementType"));
+    }
+
+    /**
+     * Finds the weapon types of a list of unit types.
+     * @param {Array<String>} units The names of the unit types.
+     * @returns {Array<String>} The names of every weapon type across all of the given unit types.
+     */
+    #weaponsOf(units) {
+        return units.flatMap(unit => this.fixedField("units", unit, "weapons") ?? []);
+    }
+
+    /**
+     * Calls every field accessor of an object type.
+     * Each value is copied, as accessors can return objects that their class shares between calls, and the resolved
+     * object type will be modified, and then frozen.
+     * @param {String} category The category of the object type.
+     * @param {String} type The name of the object type.
+     * @param {import("#src/types/objectType.mjs").Context} context The context to give to each field accessor.
+     * @returns {Object} The value of each field, keyed on field name.
+     * @throws {RangeError} If the object type doesn't exist.
+     */
+    #resolveFields(category, type, context) {
+        const instance = this.#instance(category, type);
+        const objectType = {};
+        for (const field of getAllPropertyNames(instance)) {
+            if (field !== "constructor" && typeof instance[field] === "function") {
+                objectType[field] = structuredClone(instance[field](context));
+            }
+        }
+        return objectType;
+    }
+
+    /**
+     * Retrieves the instance of an object type class, creating it if necessary.
+     * @param {String} category The category of the object type.
+     * @param {String} type The name of the object type.
+     * @returns {import("#src/types/objectType.mjs").default} The object type's instance.
+     * @throws {RangeError} If the object type doesn't exist.
+     */
+    #instance(category, type) {
+        const key = `${category}.${type}`;
+        if (!this.#instances.hasOwnProperty(key)) {
+            const types = this.#objectTypes[category];
+            if (!types || !types.hasOwnProperty(type)) {
+                throw new RangeError(`Unknown ${category} type "${type}"`);
+            }
+            this.#instances[key] = new types[type]();
+        }
+        return this.#instances[key];
+    }
+
+    #objectTypes;
+    #overrides;
+    #map;
+    #mapOverride;
+
+    /**
+     * Each object type class only needs to be instantiated once, since their field accessors are given everything they
+     * need via the context.
+     */
+    #instances = {};
+
+    /**
+     * The resolved object types, keyed on the key built by cacheKey().
+     * @type {Map<String, Object>}
+     */
+    #cache = new Map();
+
+    /**
+     * The keys of the cached object types that depend on each thing on the map, keyed on dependency.
+     * @type {Map<String, Set<String>>}
+     */
+    #dependents = new Map();
+
+    /**
+     * The modifiers of each army's active power, as they were when the power was activated, keyed on army ID. Each
+     * entry also records which power was active, so that it is ignored if the power changes without this resolver
+     * being told.
+     * @type {Map<import("#src/map/map.mjs").ArmyID, Object>}
+     */
+    #powerModifiers = new Map();
+
+    #hits = 0;
+    #misses = 0;
+}
@@ -0,0 +1,177 @@
+/**
+ * @file pathfinding.mjs
+ * Defines the functions that work out where units can move to, and how they get there, by following the movement costs
+ * given by the terrain types of the tiles they cross.
+ */
+
+import { impassable } from "#src/types/terrainType.mjs";
+
+/**
+ * The offsets of the tiles a unit can move to in a single step, in the order they are searched.
+ */
+const steps = Object.freeze([
+    { x: 0, y: -1 },
+    { x: 1, y: 0 },
+    { x: 0, y: 1 },
+    { x: -1, y: 0 },
+]);
+
+/**
+ * @typedef {Object} ReachableTile
+ * @property {import("#src/types/objectType.mjs").Coordinate} position The location of the tile.
+ * @property {Number} cost The fewest movement points the unit has to spend to reach the tile.
+ * @property {Boolean} canStop True if the unit can end its move on the tile, i.e. if no other unit occupies it. Units
+ *           can pass through tiles occupied by their allies, but can't stop on them.
+ */
+
+/**
+ * @typedef {Object} Path
+ * @property {Array<import("#src/types/objectType.mjs").Coordinate>} positions The tiles the unit crosses, starting with
+ *           the tile it occupies and ending with its destination.
+ * @property {Number} cost How many movement points the unit spends along the path.
+ * @property {Boolean} canStop True if the unit can end its move on its destination.
+ */
+
+/**
+ * Works out how many movement points a unit can spend this turn.
+ * Every movement point a unit spends also burns a unit of fuel, so a unit can't spend more movement points than it has
+ * fuel left.
+ * @param {import("#src/map/map.mjs").default} map The map the unit is on.
+ * @param {import("#src/map/objectTypeResolver.mjs").default} resolver Resolves the map pack's object types.
+ * @param {import("#src/map/map.mjs").UnitID} unitID The ID of the unit.
+ * @returns {Number} The unit's movement budget.
+ * @throws {RangeError} If the unit or its type doesn't exist.
+ */
+export function movementBudget(map, resolver, unitID) {
+    const unit = map.getUnit(unitID);
+    return Math.max(0, Math.min(resolver.resolve("units", unit.type, { unit: unitID }).movementPoints, unit.fuel));
+}
+
+/**
+ * Finds every tile a unit can reach this turn, and the cheapest way of reaching each of them.
+ * Moving onto a tile costs the movement points its terrain type gives the unit's movement type. Terrain types are
+ * resolved for each tile, so the map's weather is taken into account, and the unit's movement points are resolved for
+ * the unit, so its commanders' modifiers are taken into account. Tiles occupied by units that aren't on the unit's team
+ * can't be entered, and neither can tiles whose terrain is impassable to the unit.
+ * @param {import("#src/map/map.mjs").default} map The map the unit is on.
+ * @param {import("#src/map/objectTypeResolver.mjs").default} resolver Resolves the map pack's object types.
+ * @param {import("#src/map/map.mjs").UnitID} unitID The ID of the unit.
+ * @returns {Array<ReachableTile>} Every tile the unit can reach, including the one it occupies, cheapest first.
+ * @throws {RangeError} If the unit or any of the object types involved don't exist.
+ */
+export function movementRange(map, resolver, unitID) {
+    return [...search(map, resolver, unitID).values()].map(({ position, cost, canStop }) => ({
+        position: position,
+        cost: cost,
+        canStop: canStop,
+    }));
+}
+
+/**
+ * Finds the cheapest path a unit can take to a tile this turn.
+ * Paths are found the same way as movementRange() finds tiles. When more than one path costs the same, the path that
+ * is found first is taken, searching up, right, down and then left from each tile.
+ * @param {import("#src/map/map.mjs").default} map The map the unit is on.
+ * @param {import("#src/map/objectTypeResolver.mjs").default} resolver Resolves the map pack's object types.
+ * @param {import("#src/map/map.mjs").UnitID} unitID The ID of the unit.
+ * @param {import("#src/types/objectType.mjs").Coordinate} destination The location of the tile to move to.
+ * @returns {Path} The cheapest path to the tile.
+ * @throws {RangeError} If the destination can't be reached this turn, or if the unit or any of the object types
+ *         involved don't exist.
+ */
+export function findPath(map, resolver, unitID, destination) {
+    const reached = search(map, resolver, unitID);
+    let tile = reached.get(positionKey(destination));
+    if (!tile) {
+        throw new RangeError(`Unit ${unitID} can't reach (${destination?.x}, ${destination?.y}) this turn`);
+    }
+    const path = { positions: [], cost: tile.cost, canStop: tile.canStop };
+    for (; tile; tile = reached.get(tile.previous)) {
+        path.positions.unshift(tile.position);
+    }
+    return path;
+}
+
+/**
+ * Searches outwards from a unit, cheapest tile first, until it runs out of movement points.
+ * @param {import("#src/map/map.mjs").default} map The map the unit is on.
+ * @param {import("#src/map/objectTypeResolver.mjs").default} resolver Resolves the map pack's object types.
+ * @param {import("#src/map/map.mjs").UnitID} unitID The ID of the unit.
+ * @returns {Map<String, Object>} Every tile the unit can reach, keyed on positionKey(), in the order they were reached.
+ *          Each tile also stores the key of the tile it was reached from, or undefined for the unit's own tile.
+ */
+function search(map, resolver, unitID) {
+    const unit = map.getUnit(unitID);
+    const budget = movementBudget(map, resolver, unitID);
+    const movementType = resolver.fixedField("units", unit.type, "movementType");
+    const team = unit.owner === undefined ? undefined : map.getArmy(unit.owner).team;
+
+    const start = { position: unit.position, cost: 0, canStop: true, previous: undefined };
+    const reached = new Map();
+    const frontier = [start];
+    const best = new Map([[positionKey(start.position), start]]);
+    while (frontier.length > 0) {
+        let cheapest = 0;
+        frontier.forEach((tile, i) => {
+            if (tile.cost < frontier[cheapest].cost) {
+                cheapest = i;
+            }
+        });
+        const [tile] = frontier.splice(cheapest, 1);
+        const key = positionKey(tile.position);
+        if (reached.has(key)) {
+            continue;
+        }
+        reached.set(key, tile);
+        for (const step of steps) {
+            const position = { x: tile.position.x + step.x, y: tile.position.y + step.y };
+            if (!map.isInBounds(position) || reached.has(positionKey(position))) {
+                continue;
+            }
+            const others = map.unitsAt(position).filter(other => other.id !== unitID);
+            if (
+                others.some(
+                    other => team === undefined || other.owner === undefined || map.getArmy(other.owner).team !== team
+                )
+            ) {
+                continue;
+            }
+            const cost = tile.cost + movementCost(map, resolver, position, unit.owner, movementType);
+            if (cost > budget || cost >= (best.get(positionKey(position))?.cost ?? impassable)) {
+                continue;
+            }
+            const next = { position: position, cost: cost, canStop: others.length == 0, previous: key };
+            best.set(positionKey(position), next);
+            frontier.push(next);
+        }
+    }
+    return reached;
+}
+
+/**
+ * Works out how many movement points it costs to move onto a tile.
+ * The tile's terrain is resolved for the moving unit's army, so that its commander's modifiers apply.
+ * @param {import("#src/map/map.mjs").default} map The map the tile is on.
+ * @param {import("#src/map/objectTypeResolver.mjs").default} resolver Resolves the map pack's object types.
+ * @param {import("#src/types/objectType.mjs").Coordinate} position The location of the tile.
+ * @param {import("#src/map/map.mjs").ArmyID | undefined} armyID The ID of the moving unit's army, if it has one.
+ * @param {String} movementType The name of the moving unit's movement type.
+ * @returns {Number} The cost of moving onto the tile, which is `impassable` if the unit can't move onto it.
+ * @throws {RangeError} If the tile's type or terrain type doesn't exist.
+ */
+function movementCost(map, resolver, position, armyID, movementType) {
+    const terrain = resolver.fixedField("tiles", map.getTile(position).type, "terrain");
+    return (
+        resolver.resolve("terrains", terrain, { tile: position, army: armyID }).movementCost?.[movementType] ??
+        impassable
+    );
+}
+
+/**
+ * Identifies a tile within the search's maps.
+ * @param {import("#src/types/objectType.mjs").Coordinate} position The location of the tile.
+ * @returns {String} The tile's key.
+ */
+function positionKey(position) {
+    return `${position?.x},${position?.y}`;
+}
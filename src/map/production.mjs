@@ -0,0 +1,106 @@
+/**
+ * @file production.mjs
+ * Defines the functions that let armies build units, by following the units produced by the tile types on the map, the
+ * costs given by the unit types, and the unit caps given by the map or, if it doesn't have one, the faction types.
+ */
+
+/**
+ * @typedef {Object} BuildOption
+ * A unit that can be built on a tile.
+ * @property {String} type The name of the unit's type.
+ * @property {Number} cost How many funds the unit costs the army that owns the tile, after its commander's modifiers.
+ * @property {Boolean} affordable True if the army has enough funds to build the unit.
+ */
+
+/**
+ * Lists the units that can be built on a tile, and what they cost the army that owns it.
+ * Whether or not the tile is occupied, and whether or not the army has reached its unit cap, doesn't affect the list.
+ * @param {import("#src/map/map.mjs").default} map The map the tile is on.
+ * @param {import("#src/map/objectTypeResolver.mjs").default} resolver Resolves the map pack's object types.
+ * @param {import("#src/types/objectType.mjs").Coordinate} position The location of the tile.
+ * @returns {Array<BuildOption>} Every unit the tile produces, in the order the tile type lists them.
+ * @throws {RangeError} If the tile is out of bounds, if it isn't owned by an army, if it doesn't produce any units, or
+ *         if any of the types involved don't exist.
+ */
+export function buildMenu(map, resolver, position) {
+    const tile = map.getTile(position);
+    const where = `(${tile.position.x}, ${tile.position.y})`;
+    if (tile.owner === undefined) {
+        throw new RangeError(`Tile ${where} isn't owned by an army, so it can't build units`);
+    }
+    const produces = resolver.resolve("tiles", tile.type, { tile: tile.position }).produces;
+    if (produces.length == 0) {
+        throw new RangeError(`Tile ${where} can't build units`);
+    }
+    const funds = map.getArmy(tile.owner).funds;
+    return produces.map(type => {
+        const cost = costOf(resolver, type, tile.owner);
+        return { type: type, cost: cost, affordable: cost <= funds };
+    });
+}
+
+/**
+ * Makes an army build a unit on a tile it owns, paying for it out of its funds.
+ * The unit is built with full HP, fuel and ammo, and it is added to the end of the tile's occupancy list.
+ * Emits the map's UnitAdded and FundsChanged events, and then UnitBuilt with the new unit's ID and what it cost.
+ * @param {import("#src/map/map.mjs").default} map The map the army is on.
+ * @param {import("#src/map/objectTypeResolver.mjs").default} resolver Resolves the map pack's object types.
+ * @param {Object} emitter Emits UnitBuilt. Must contain an `event()` function with the same signature as Model.event().
+ * @param {import("#src/map/map.mjs").ArmyID} armyID The ID of the army building the unit.
+ * @param {import("#src/types/objectType.mjs").Coordinate} position The location of the tile to build the unit on.
+ * @param {String} type The name of the type of unit to build.
+ * @returns {import("#src/map/map.mjs").UnitID} The ID of the new unit.
+ * @throws {RangeError} If the army, tile or any of the types involved don't exist, if the army doesn't own the tile, if
+ *         the tile doesn't produce the unit, if the tile is occupied, if the army has as many units as the map's unit
+ *         cap allows (or its faction's, if the map doesn't have one), or if the army can't afford the unit. Nothing is
+ *         changed if an error is thrown.
+ */
+export function buildUnit(map, resolver, emitter, armyID, position, type) {
+    const army = map.getArmy(armyID);
+    const tile = map.getTile(position);
+    const where = `(${tile.position.x}, ${tile.position.y})`;
+    if (tile.owner !== armyID) {
+        throw new RangeError(`Army ${armyID} doesn't own tile ${where}`);
+    }
+    if (!resolver.resolve("tiles", tile.type, { tile: tile.position }).produces.includes(type)) {
+        throw new RangeError(`Tile ${where} can't build ${type} units`);
+    }
+    if (tile.units.length > 0) {
+        throw new RangeError(`Tile ${where} is occupied`);
+    }
+    const unitCap = map.unitCap ?? resolver.resolve("factions", army.faction, { army: armyID }).unitCap;
+    let units = 0;
+    map.forEachUnit(unit => (units += unit.owner === armyID ? 1 : 0));
+    if (units >= unitCap) {
+        throw new RangeError(`Army ${armyID} already has ${units} units, which is as many as it can have`);
+    }
+    const cost = costOf(resolver, type, armyID);
+    if (cost > army.funds) {
+        throw new RangeError(`Army ${armyID} can't afford a ${type} unit, which costs ${cost}`);
+    }
+
+    const unitType = resolver.resolve("units", type, { army: armyID });
+    const unitID = map.addUnit({
+        type: type,
+        position: tile.position,
+        owner: armyID,
+        hp: unitType.maxHP,
+        fuel: unitType.maxFuel,
+        ammo: unitType.maxAmmo,
+    });
+    map.setFunds(armyID, army.funds - cost);
+    emitter.event("UnitBuilt", unitID, cost);
+    return unitID;
+}
+
+/**
+ * Works out what a unit costs an army to build.
+ * @param {import("#src/map/objectTypeResolver.mjs").default} resolver Resolves the map pack's object types.
+ * @param {String} type The name of the unit's type.
+ * @param {import("#src/map/map.mjs").ArmyID} armyID The ID of the army building the unit.
+ * @returns {Number} The unit's cost after the army's commander's modifiers, rounded down to a whole number of funds.
+ * @throws {RangeError} If the unit type doesn't exist.
+ */
+function costOf(resolver, type, armyID) {
+    return Math.floor(resolver.resolve("units", type, { army: armyID }).cost);
+}
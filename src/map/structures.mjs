@@ -0,0 +1,122 @@
+/**
+ * @file structures.mjs
+ * Defines the functions that place structures on maps, destroy them and delete them, by following the root and
+ * dependent tiles given by their structure types.
+ */
+
+/**
+ * @typedef {Object} StructureLayout
+ * @property {import("#src/types/structureType.mjs").RootTile} root The configuration of the structure's root tile.
+ * @property {Array<import("#src/types/structureType.mjs").DependentTile>} dependents The configuration of each of the
+ *           structure's dependent tiles.
+ */
+
+/**
+ * Reads the tiles that a type of structure is made of.
+ * Since these fields store the names of tile types, they are always read with an empty context.
+ * @param {import("#src/map/objectTypeResolver.mjs").default} resolver Resolves the map pack's object types.
+ * @param {String} type The name of the structure type.
+ * @returns {StructureLayout} The structure type's root and dependent tiles.
+ * @throws {RangeError} If the structure type doesn't exist.
+ */
+export function structureLayout(resolver, type) {
+    return {
+        root: resolver.fixedField("structures", type, "root"),
+        dependents: resolver.fixedField("structures", type, "dependents") ?? [],
+    };
+}
+
+/**
+ * Finds the offsets of a type of structure's dependent tiles, as Map's constructor expects them.
+ * @param {import("#src/map/objectTypeResolver.mjs").default} resolver Resolves the map pack's object types.
+ * @param {String} type The name of the structure type.
+ * @returns {Array<import("#src/types/objectType.mjs").Coordinate>} The offset of each dependent tile relative to the
+ *          structure's root tile.
+ * @throws {RangeError} If the structure type doesn't exist.
+ */
+export function structureDependents(resolver, type) {
+    return structureLayout(resolver, type).dependents.map(dependent => dependent.offset);
+}
+
+/**
+ * Places a new structure on a map.
+ * Each of the structure's tiles is changed to the type its structure type gives it, and any units occupying them are
+ * removed, unless the structure type keeps units when painted. The map is left untouched if the structure can't be
+ * placed.
+ * Emits UnitRemoved for each removed unit, TileTypeChanged for each of the structure's tiles, and then StructureAdded.
+ * @param {import("#src/map/map.mjs").default} map The map to place the structure on.
+ * @param {import("#src/map/objectTypeResolver.mjs").default} resolver Resolves the map pack's object types.
+ * @param {String} type The name of the structure type.
+ * @param {import("#src/types/objectType.mjs").Coordinate} root The location of the structure's root tile.
+ * @param {Boolean} [destroyed=false] True if the structure should start in its destroyed state.
+ * @returns {import("#src/map/map.mjs").StructureID} The ID of the new structure.
+ * @throws {RangeError} If the structure type doesn't exist, or if any of the structure's tiles are out of bounds or
+ *         already form part of a structure.
+ */
+export function placeStructure(map, resolver, type, root, destroyed = false) {
+    const layout = structureLayout(resolver, type);
+    const tiles = layoutTiles(layout, root);
+    for (const tile of tiles) {
+        if (map.getTile(tile.position).structure !== undefined) {
+            throw new RangeError(
+                `Structure ${type} at (${root.x}, ${root.y}) overlaps the structure at ` +
+                    `(${tile.position.x}, ${tile.position.y})`
+            );
+        }
+    }
+    if (!resolver.resolve("structures", type, { tile: root }).keepUnitsWhenPainted) {
+        tiles.forEach(tile => map.unitsAt(tile.position).forEach(unit => map.removeUnit(unit.id)));
+    }
+    tiles.forEach(tile => map.setTileType(tile.position, destroyed ? tile.destroyed : tile.tile));
+    return map.addStructure(type, root, structureDependents(resolver, type), destroyed);
+}
+
+/**
+ * Switches a structure between its intact and destroyed states.
+ * Each of the structure's tiles is changed to the type its structure type gives it in the new state.
+ * Emits TileTypeChanged for each of the structure's tiles, and then StructureDestroyedChanged.
+ * @param {import("#src/map/map.mjs").default} map The map the structure is on.
+ * @param {import("#src/map/objectTypeResolver.mjs").default} resolver Resolves the map pack's object types.
+ * @param {import("#src/map/map.mjs").StructureID} id The ID of the structure.
+ * @param {Boolean} destroyed True if the structure is now destroyed, false if it isn't.
+ * @throws {RangeError} If the structure or its type doesn't exist.
+ */
+export function setStructureDestroyed(map, resolver, id, destroyed) {
+    const structure = map.getStructure(id);
+    for (const tile of layoutTiles(structureLayout(resolver, structure.type), structure.root)) {
+        map.setTileType(tile.position, destroyed ? tile.destroyed : tile.tile);
+    }
+    map.setStructureDestroyed(id, destroyed);
+}
+
+/**
+ * Deletes a structure from a map, such as when it is erased in the map maker.
+ * Each of the structure's tiles is changed to the type its structure type says it should be left as.
+ * Emits StructureRemoved, and then TileTypeChanged for each of the structure's tiles.
+ * @param {import("#src/map/map.mjs").default} map The map the structure is on.
+ * @param {import("#src/map/objectTypeResolver.mjs").default} resolver Resolves the map pack's object types.
+ * @param {import("#src/map/map.mjs").StructureID} id The ID of the structure.
+ * @throws {RangeError} If the structure or its type doesn't exist.
+ */
+export function deleteStructure(map, resolver, id) {
+    const structure = map.getStructure(id);
+    const tiles = layoutTiles(structureLayout(resolver, structure.type), structure.root);
+    map.removeStructure(id);
+    tiles.forEach(tile => map.setTileType(tile.position, tile.deleted));
+}
+
+/**
+ * Works out where each of a structure's tiles lies on the map.
+ * @param {StructureLayout} layout The structure's root and dependent tiles.
+ * @param {import("#src/types/objectType.mjs").Coordinate} root The location of the structure's root tile.
+ * @returns {Array<Object>} The configuration of the root tile followed by each dependent tile, each with an added
+ *          `position` property storing its location on the map.
+ */
+function layoutTiles(layout, root) {
+    return [{ ...layout.root, position: { x: root.x, y: root.y } }].concat(
+        layout.dependents.map(dependent => ({
+            ...dependent,
+            position: { x: root.x + dependent.offset.x, y: root.y + dependent.offset.y },
+        }))
+    );
+}
@@ -0,0 +1,175 @@
+/**
+ * @file translationChecker.mjs
+ * Defines the functions that check a map pack's locale files against the language keys its object types use.
+ */
+
+import { readFile, readdir } from "node:fs/promises";
+import { extname, join } from "node:path";
+
+import scanDirectory from "node-recursive-directory";
+
+import ObjectTypeResolver from "#src/map/objectTypeResolver.mjs";
+
+/**
+ * The suffixes i18next adds to a key to select its plural forms.
+ * A locale file that defines "mapSize_one" and "mapSize_other" is translating the key "mapSize".
+ */
+const pluralSuffixes = ["_zero", "_one", "_two", "_few", "_many", "_other"];
+
+/**
+ * The extensions of the map pack files that are searched for language keys used outside of object types.
+ */
+const sourceExtensions = [".mjs", ".js", ".html"];
+
+/**
+ * @typedef {Object} MapPackTranslations
+ * @property {Object<String, Object<String, String>>} locales The translations of each locale, keyed on locale, and then
+ *           on language key.
+ * @property {Array<String>} sources The contents of each of the map pack's front-end source files.
+ */
+
+/**
+ * @typedef {Object} TranslationIssue
+ * @property {String} message A description of the problem.
+ * @property {String} key The language key the problem was found with.
+ * @property {String | undefined} locale The locale the problem was found in, if it is tied to one.
+ */
+
+/**
+ * @typedef {Object} TranslationReport
+ * @property {Array<TranslationIssue>} missing Language keys used by object types that a locale doesn't translate.
+ * @property {Array<TranslationIssue>} partial Language keys that some locales translate, but others don't.
+ * @property {Array<TranslationIssue>} unused Language keys that are translated, but that nothing appears to use.
+ */
+
+/**
+ * Reads a map pack's locale files, found at `public/locales/<locale>/translation.json`, and its front-end source files.
+ * @param {String} mapPackPath Path to the map pack.
+ * @returns {Promise<MapPackTranslations>} Resolves with the map pack's translations and source files. A map pack
+ *          without a locales folder has no locales. Rejects if a locale file can't be read or parsed.
+ */
+export function readMapPackTranslations(mapPackPath) {
+    const publicFolder = join(mapPackPath, "public");
+    const localesFolder = join(publicFolder, "locales");
+    return Promise.all([
+        readdir(localesFolder, { withFileTypes: true }).catch(e => {
+            if (e.code === "ENOENT") {
+                return [];
+            }
+            throw e;
+        }),
+        scanDirectory(publicFolder),
+    ])
+        .then(([entries, files]) => {
+            const locales = entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+            return Promise.all([
+                Promise.all(
+                    locales.map(locale =>
+                        readFile(join(localesFolder, locale, "translation.json"), "utf8").then(text => [
+                            locale,
+                            JSON.parse(text),
+                        ])
+                    )
+                ),
+                Promise.all(
+                    files.filter(file => sourceExtensions.includes(extname(file))).map(file => readFile(file, "utf8"))
+                ),
+            ]);
+        })
+        .then(([locales, sources]) => ({ locales: Object.fromEntries(locales), sources: sources }));
+}
+
+/**
+ * Finds every language key the given object types use when they are resolved with an empty context.
+ * This covers the longName, shortName and description fields of every object type, as well as the names and
+ * descriptions of destroyed structures and of commanders' powers.
+ * @param {Object<String, Object<String, Function>>} objectTypes The object types to search, keyed on category, and then
+ *        on type name.
+ * @param {Function | null} overrides The map pack's overrides() function, if it has one.
+ * @returns {Object<String, Array<String>>} The language keys, each mapped to the object types that use it, given as
+ *          "category.TypeName" strings.
+ */
+export function findLanguageKeys(objectTypes, overrides) {
+    const resolver = new ObjectTypeResolver(objectTypes, overrides);
+    const keys = {};
+    for (const [category, types] of Object.entries(objectTypes)) {
+        for (const name of Object.keys(types)) {
+            const fields = resolver.resolve(category, name);
+            const named = [fields, fields.destroyed, fields.power, fields.superPower];
+            for (const object of named.filter(object => object !== null && typeof object === "object")) {
+                for (const field of ["longName", "shortName", "description"]) {
+                    if (Array.isArray(object[field]) && typeof object[field][0] === "string") {
+                        (keys[object[field][0]] ??= []).push(`${category}.${name}`);
+                    }
+                }
+            }
+        }
+    }
+    return keys;
+}
+
+/**
+ * Checks a map pack's translations against the language keys its object types use.
+ * Reports the language keys that each locale is missing, the language keys that are only translated by some locales,
+ * and the language keys that aren't used by any object type and don't appear in quotes in any of the front-end source
+ * files. Plural forms count as uses of the key they pluralise.
+ * @param {Object<String, Object<String, Function>>} objectTypes The map pack's object types, keyed on category, and
+ *        then on type name.
+ * @param {Function | null} overrides The map pack's overrides() function, if it has one.
+ * @param {MapPackTranslations} translations The map pack's translations and front-end source files.
+ * @returns {TranslationReport} Every problem that was found with the map pack's translations.
+ */
+export function checkTranslations(objectTypes, overrides, { locales, sources }) {
+    const report = { missing: [], partial: [], unused: [] };
+    const usedKeys = findLanguageKeys(objectTypes, overrides);
+    const localeNames = Object.keys(locales).sort();
+
+    for (const [key, users] of Object.entries(usedKeys)) {
+        for (const locale of localeNames.filter(locale => !translates(locales[locale], key))) {
+            report.missing.push({
+                message: `The ${locale} locale has no translation for ${key}, used by ${users.join(", ")}`,
+                key: key,
+                locale: locale,
+            });
+        }
+    }
+
+    const allKeys = [...new Set(localeNames.flatMap(locale => Object.keys(locales[locale])))].sort();
+    for (const key of allKeys) {
+        const missingFrom = localeNames.filter(locale => !locales[locale].hasOwnProperty(key));
+        if (missingFrom.length > 0) {
+            report.partial.push({
+                message: `${key} is not translated by the ${missingFrom.join(", ")} locale${
+                    missingFrom.length == 1 ? "" : "s"
+                }`,
+                key: key,
+                locale: undefined,
+            });
+        }
+        const baseKey = pluralSuffixes.reduce(
+            (key, suffix) => (key.endsWith(suffix) ? key.slice(0, -suffix.length) : key),
+            key
+        );
+        if (
+            !usedKeys.hasOwnProperty(key) &&
+            !usedKeys.hasOwnProperty(baseKey) &&
+            !sources.some(source => ['"', "'", "`"].some(quote => source.includes(`${quote}${baseKey}${quote}`)))
+        ) {
+            report.unused.push({ message: `${key} is translated but never used`, key: key, locale: undefined });
+        }
+    }
+    return report;
+}
+
+/**
+ * Finds out if a locale translates a language key, either directly or through its plural forms.
+ * @param {Object<String, String>} translations The locale's translations, keyed on language key.
+ * @param {String} key The language key to look for.
+ * @returns {Boolean} True if the locale translates the language key.
+ */
+function translates(translations, key) {
+    return (
+        translations.hasOwnProperty(key) ||
+        pluralSuffixes.some(suffix => translations.hasOwnProperty(`${key}${suffix}`))
+    );
+}
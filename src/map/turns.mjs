@@ -0,0 +1,219 @@
+/**
+ * @file turns.mjs
+ * Defines the order armies take their turns in, and the phases that run at the start of each army's turn, by following
+ * the turn orders, incomes, repairs and fuel burns given by the object types on the map.
+ */
+
+import { visibleMaxHP } from "#src/map/combat.mjs";
+
+/**
+ * The most visible HP a tile can repair a unit by at the start of each turn.
+ * @type {Number}
+ */
+export const repairHP = 2;
+
+/**
+ * @typedef {Object} Turn
+ * Describes the turn that is starting.
+ * @property {import("#src/map/map.mjs").ArmyID} army The army whose turn is starting.
+ * @property {Number} day The current day, starting at 1.
+ * @property {Array<String>} weathers The weathers the map had when it was loaded, which the weather returns to once
+ *           no power is changing it.
+ */
+
+/**
+ * @typedef {Object} TurnPhase
+ * A step that runs at the start of each army's turn.
+ * @property {String} name Identifies the phase, e.g. in logs.
+ * @property {Function} run Carries out the phase. Given the map, the resolver, an emitter for any events that aren't
+ *           emitted by the map, and the Turn that is starting, in that order.
+ */
+
+/**
+ * Works out the order that a map's armies take their turns in.
+ * Armies are ordered by their faction's defaultTurnOrder field, lowest first, and then by ID. Factions are resolved for
+ * each army, so a map can give its armies a different turn order by overriding the field in its override() function.
+ * @param {import("#src/map/map.mjs").default} map The map the armies are on.
+ * @param {import("#src/map/objectTypeResolver.mjs").default} resolver Resolves the map pack's object types.
+ * @returns {Array<import("#src/map/map.mjs").ArmyID>} The IDs of every army, in turn order.
+ * @throws {RangeError} If any army's faction type doesn't exist.
+ */
+export function turnOrder(map, resolver) {
+    return map.armyIDs
+        .map(id => ({
+            id: id,
+            order: resolver.resolve("factions", map.getArmy(id).faction, { army: id }).defaultTurnOrder,
+        }))
+        .sort((a, b) => a.order - b.order || a.id - b.id)
+        .map(army => army.id);
+}
+
+/**
+ * Gives an army the income of every tile it owns.
+ * Emits FundsChanged if the army earned anything.
+ * @param {import("#src/map/map.mjs").default} map The map the army is on.
+ * @param {import("#src/map/objectTypeResolver.mjs").default} resolver Resolves the map pack's object types.
+ * @param {Object} emitter Unused.
+ * @param {Turn} turn The turn that is starting.
+ */
+export function collectIncome(map, resolver, emitter, turn) {
+    let income = 0;
+    map.forEachTile(tile => {
+        if (tile.owner === turn.army) {
+            income += resolver.resolve("tiles", tile.type, { tile: tile.position }).income;
+        }
+    });
+    if (income != 0) {
+        map.setFunds(turn.army, map.getArmy(turn.army).funds + income);
+    }
+}
+
+/**
+ * Repairs and resupplies an army's units that are on tiles it owns, if those tiles repair them.
+ * Each unit is repaired by up to repairHP visible HP, one visible HP at a time, for as long as the army can afford it.
+ * Each visible HP costs a tenth of the unit's cost. Units are resupplied with fuel and ammo even if they aren't
+ * repaired. Units are repaired in the order of their IDs.
+ * Emits UnitHPChanged, UnitFuelChanged and UnitAmmoChanged for each unit that was repaired or resupplied, and then
+ * FundsChanged if the army paid for any repairs.
+ * @param {import("#src/map/map.mjs").default} map The map the army is on.
+ * @param {import("#src/map/objectTypeResolver.mjs").default} resolver Resolves the map pack's object types.
+ * @param {Object} emitter Unused.
+ * @param {Turn} turn The turn that is starting.
+ */
+export function repairUnits(map, resolver, emitter, turn) {
+    const oldFunds = map.getArmy(turn.army).funds;
+    let funds = oldFunds;
+    for (const unit of unitsOf(map, turn.army)) {
+        const tile = map.getTile(unit.position);
+        if (tile.owner !== turn.army) {
+            continue;
+        }
+        const repairs = resolver.resolve("tiles", tile.type, { tile: unit.position }).repairs;
+        const movementType = resolver.fixedField("units", unit.type, "movementType");
+        if (!repairs.units.includes(unit.type) && !repairs.movements.includes(movementType)) {
+            continue;
+        }
+        const unitType = resolver.resolve("units", unit.type, { unit: unit.id });
+        let hp = unit.hp;
+        for (let i = 0; i < repairHP && hp < unitType.maxHP; ++i) {
+            const heal = Math.min(unitType.maxHP / visibleMaxHP, unitType.maxHP - hp);
+            const cost = Math.floor((unitType.cost * heal) / unitType.maxHP);
+            if (cost > funds) {
+                break;
+            }
+            funds -= cost;
+            hp += heal;
+        }
+        if (hp != unit.hp) {
+            map.setUnitHP(unit.id, hp);
+        }
+        if (unit.fuel < unitType.maxFuel) {
+            map.setUnitFuel(unit.id, unitType.maxFuel);
+        }
+        unitType.maxAmmo.forEach((maxAmmo, weapon) => {
+            if (unit.ammo[weapon] < maxAmmo) {
+                map.setUnitAmmo(unit.id, weapon, maxAmmo);
+            }
+        });
+    }
+    if (funds != oldFunds) {
+        map.setFunds(turn.army, funds);
+    }
+}
+
+/**
+ * Burns the daily fuel of an army's units. Units that burn fuel every day are destroyed once they run out of it.
+ * Emits UnitFuelChanged for each unit that burned fuel. For each unit that ran out, also emits the map's UnitRemoved
+ * event, and then UnitDestroyed with a copy of the unit as it was before it was removed, and undefined, as no unit
+ * destroyed it.
+ * @param {import("#src/map/map.mjs").default} map The map the army is on.
+ * @param {import("#src/map/objectTypeResolver.mjs").default} resolver Resolves the map pack's object types.
+ * @param {Object} emitter Emits UnitDestroyed. Must contain an `event()` function with the same signature as
+ *        Model.event().
+ * @param {Turn} turn The turn that is starting.
+ */
+export function burnFuel(map, resolver, emitter, turn) {
+    for (const unit of unitsOf(map, turn.army)) {
+        const dailyFuelBurn = resolver.resolve("units", unit.type, { unit: unit.id }).dailyFuelBurn;
+        if (dailyFuelBurn <= 0) {
+            continue;
+        }
+        map.setUnitFuel(unit.id, Math.max(unit.fuel - dailyFuelBurn, 0));
+        if (map.getUnit(unit.id).fuel == 0) {
+            const destroyedUnit = map.getUnit(unit.id);
+            map.removeUnit(unit.id);
+            emitter.event("UnitDestroyed", destroyedUnit, undefined);
+        }
+    }
+}
+
+/**
+ * Deactivates an army's power, if it has one active. Powers last from when they are activated until the start of the
+ * army's next turn.
+ * Emits ActivePowerChanged if the army's power was deactivated.
+ * @param {import("#src/map/map.mjs").default} map The map the army is on.
+ * @param {import("#src/map/objectTypeResolver.mjs").default} resolver Resolves the map pack's object types.
+ * @param {Object} emitter Unused.
+ * @param {Turn} turn The turn that is starting.
+ */
+export function deactivatePower(map, resolver, emitter, turn) {
+    if (map.getArmy(turn.army).activePower !== undefined) {
+        map.setActivePower(turn.army, undefined);
+    }
+}
+
+/**
+ * Returns the map's weather to what it was when the map was loaded, once no active power is changing the weather.
+ * Emits WeatherChanged if the weather was returned.
+ * @param {import("#src/map/map.mjs").default} map The map.
+ * @param {import("#src/map/objectTypeResolver.mjs").default} resolver Resolves the map pack's object types.
+ * @param {Object} emitter Unused.
+ * @param {Turn} turn The turn that is starting.
+ */
+export function tickWeather(map, resolver, emitter, turn) {
+    const weatherPowerActive = map.armyIDs.some(id => {
+        const army = map.getArmy(id);
+        if (army.activePower === undefined || army.commanders.length == 0) {
+            return false;
+        }
+        const power = resolver.resolve("commanders", army.commanders[0], { army: id })[army.activePower];
+        return power?.effects?.weather !== undefined;
+    });
+    const weathers = map.weathers;
+    if (
+        !weatherPowerActive &&
+        (weathers.length != turn.weathers.length || weathers.some((weather, i) => weather !== turn.weathers[i]))
+    ) {
+        map.setWeathers(turn.weathers);
+    }
+}
+
+/**
+ * The phases that run at the start of each army's turn, in the order they run in.
+ * Map packs can replace these by exporting their own array of TurnPhases as `turnPhases`, e.g. to reorder them, or to
+ * add phases of their own.
+ * @type {Array<TurnPhase>}
+ */
+export const defaultTurnPhases = Object.freeze([
+    Object.freeze({ name: "income", run: collectIncome }),
+    Object.freeze({ name: "repairs", run: repairUnits }),
+    Object.freeze({ name: "fuelBurn", run: burnFuel }),
+    Object.freeze({ name: "powers", run: deactivatePower }),
+    Object.freeze({ name: "weather", run: tickWeather }),
+]);
+
+/**
+ * Lists an army's units.
+ * @param {import("#src/map/map.mjs").default} map The map the army is on.
+ * @param {import("#src/map/map.mjs").ArmyID} army The ID of the army.
+ * @returns {Array<import("#src/map/map.mjs").Unit>} Read-only copies of the army's units, in the order of their IDs.
+ */
+function unitsOf(map, army) {
+    const units = [];
+    map.forEachUnit(unit => {
+        if (unit.owner === army) {
+            units.push(unit);
+        }
+    });
+    return units;
+}
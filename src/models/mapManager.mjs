@@ -3,22 +3,33 @@
  * Defines the model responsible for managing map files loaded via map packs.
  */
 
-import { join } from "node:path";
+import { watch } from "node:fs";
+import { mkdir, readFile, stat, writeFile } from "node:fs/promises";
+import { basename, dirname, isAbsolute, join, relative, resolve, sep } from "node:path";
 
 import scanDirectory from "node-recursive-directory";
 
+import { AwbwImportError, importAwbwMap } from "#src/map/awbwImporter.mjs";
+import { MapFormatError } from "#src/map/binaryMapFormat.mjs";
+import { JsonMapFormatError } from "#src/map/jsonMapFormat.mjs";
+import { isMapFile, readMapFile, writeMapFile } from "#src/map/mapFile.mjs";
+import Map from "#src/map/map.mjs";
+import MapScript, { MapScriptError } from "#src/map/mapScript.mjs";
+import { validateMapPack } from "#src/map/mapPackValidator.mjs";
+import { unreadableMapReport, validateMap } from "#src/map/mapValidator.mjs";
+import ObjectTypeResolver from "#src/map/objectTypeResolver.mjs";
+import { findPath, movementRange } from "#src/map/pathfinding.mjs";
+import { structureDependents } from "#src/map/structures.mjs";
+import { checkTranslations, readMapPackTranslations } from "#src/map/translationChecker.mjs";
 import Model from "#src/mvc/model.mjs";
 
-import CommanderType from "#src/types/commanderType.mjs";
-import EnvironmentType from "#src/types/environmentType.mjs";
-import FactionType from "#src/types/factionType.mjs";
-import MovementType from "#src/types/movementType.mjs";
-import StructureType from "#src/types/structureType.mjs";
-import TerrainType from "#src/types/terrainType.mjs";
-import TileType from "#src/types/tileType.mjs";
-import UnitType from "#src/types/unitType.mjs";
-import WeaponType from "#src/types/weaponType.mjs";
-import WeatherType from "#src/types/weatherType.mjs";
+import ObjectTypes from "#src/models/objectTypes.mjs";
+
+/**
+ * The number of milliseconds to wait after the last change to the maps folder before scanning it again.
+ * Saving a file usually causes a burst of changes, so this prevents the folder from being scanned for each of them.
+ */
+export const mapsFolderScanDelay = 250;
 
 /**
  * Loads map files found in map packs and serves them to the rest of the system.
@@ -33,26 +44,72 @@ export default class MapManager extends Model {
     frontEndData(sessionKey) {
         return {
             ...this.mapFiles,
+            mapPackReport: this.#mapPackReport,
+            movementRange: this.#movementRanges[sessionKey] ?? null,
+            path: this.#paths[sessionKey] ?? null,
         };
     }
 
+    /**
+     * Map metadata is published incrementally as map files are added, removed and changed.
+     * @returns {Object} The structure of the map manager's front-end model.
+     * @override
+     */
+    frontEndDataStructure() {
+        return {
+            maps: {},
+        };
+    }
+
+    /**
+     * @override
+     */
+    emitOnNewClient = ["MapPackValidated", "MapsFolderScanned"];
+
     /**
      * @override
      */
-    emitOnNewClient = ["MapsFolderScanned"];
+    prependSessionKeyToCommands = ["ResolveObjectType", "GetMovementRange", "GetPath"];
+
+    /**
+     * @typedef {String} MapID
+     * Identifies a map file within the loaded map pack. It is the map file's path relative to the map pack's maps
+     * folder, using forward slashes as separators, e.g. "2P/Spann Island.map". This ensures the server's file system
+     * layout is never exposed to clients. Both binary (.map) and JSON (.map.json) map files are given IDs.
+     */
+
+    /**
+     * @typedef {Object} MapMetadata
+     * Describes a map file, mostly using the information stored in its header. If the header couldn't be read, every
+     * property read from it will be undefined.
+     * @property {String | undefined} name The name of the map.
+     * @property {String | undefined} author The name of the map's author.
+     * @property {String | undefined} description The map's description.
+     * @property {Number | undefined} width The number of columns of tiles the map has.
+     * @property {Number | undefined} height The number of rows of tiles the map has.
+     * @property {Number | undefined} armyCount The number of armies on the map.
+     * @property {String | undefined} environment The name of the map's environment type.
+     * @property {Number | undefined} modified When the map file was last modified, in milliseconds since the epoch.
+     * @property {import("#src/map/mapValidator.mjs").MapValidationReport} report The map file's validation report. Map
+     *           files whose reports contain errors can't be loaded.
+     */
 
     /**
      * @typedef {Object} MapFiles
-     * @property {Array<String>} mapFiles A list of map files that were found during a scan of a map pack.
+     * @property {Array<MapID>} mapFiles A list of map files that were found during a scan of a map pack.
+     * @property {Object<MapID, MapMetadata | null>} maps Describes each map file, keyed on ID. Updates to this object
+     *           are published incrementally, so a map file that has been removed since the client connected will be
+     *           given null metadata. Always use mapFiles to find out which map files exist.
      */
 
     /**
-     * Returns a list of map files read by the map manager during its map pack scan.
+     * Returns a list of map files read by the map manager during its map pack scan, along with their metadata.
      * @returns {MapFiles} The map files read by the map manager.
      */
     get mapFiles() {
         return {
             mapFiles: this.#mapFiles,
+            maps: this.#maps,
         };
     }
 
@@ -65,78 +122,683 @@ export default class MapManager extends Model {
     onMapPackLoaded(mapPackPath, mapPackModule) {
         this.log("info", "Loading map pack:", mapPackPath);
 
-        // 1. Go through each object type category and cache the exported object types that are valid.
-        for (const [arrayName, category] of Object.entries({
-            commanders: CommanderType,
-            environments: EnvironmentType,
-            factions: FactionType,
-            movements: MovementType,
-            structures: StructureType,
-            terrains: TerrainType,
-            tiles: TileType,
-            units: UnitType,
-            weapons: WeaponType,
-            weathers: WeatherType,
-        })) {
-            this.#objectTypes[arrayName] = {};
-            if (!Array.isArray(mapPackModule[arrayName])) {
-                this.log("warn", "Map pack does not export an array for:", arrayName);
-                continue;
-            }
+        // 1. Validate the exported object types, and cache the ones that are valid.
+        const { objectTypes, report } = validateMapPack(mapPackModule);
+        this.#objectTypes = objectTypes;
+        this.#mapPackReport = report;
+        report.errors.forEach(issue => this.log("error", "Map pack object type error:", issue));
+        report.warnings.forEach(issue => this.log("warn", "Map pack object type warning:", issue));
+        this.updateFrontEndDataForEveryone({ mapPackReport: report }, ["MapPackValidated", report]);
+
+        // 2. Look for the overrides() exported function and cache that if it exists.
+        if (typeof mapPackModule.overrides === "function") {
+            this.log("debug", "Found overrides() function from map pack");
+            this.#overrides = mapPackModule.overrides;
+        }
+        if (typeof mapPackModule.awbwMapping === "object" && mapPackModule.awbwMapping) {
+            this.log("debug", "Found AWBW mapping table from map pack");
+            this.#awbwMapping = mapPackModule.awbwMapping;
+        }
+
+        // 3. Publish the base fields of the object types to the front end.
+        this.#objectTypesModel.setObjectTypes(this.#objectTypes, this.#overrides);
+
+        // 4. Check that the object types' language keys are translated, and log any problems that are found.
+        this.#checkTranslations(mapPackPath);
+
+        // 5. Emit the paths to the map pack's map files, and keep them up to date.
+        this.#mapsFolder = join(mapPackPath, "maps");
+        this.#mapFiles = [];
+        this.#maps = {};
+        this.#scanMapsFolder();
+        this.#watchMapsFolder();
+    }
+
+    /**
+     * Loads a binary or JSON map file using the current map pack's exported information.
+     * The map is validated against the map pack's object types before it is loaded, and it will fail to load if any
+     * errors are found. If the map has a script, either embedded within the map file or stored in a sidecar .mjs file
+     * with the same name as the map file, it is loaded too. A map can't have both.
+     * Emits MapLoaded with the map's ID, the loaded Map object, and the ObjectTypeResolver to use with that map if the
+     * map file could be loaded. Otherwise, emits MapLoadFailed with the map's ID, the reason why it couldn't be loaded,
+     * and the byte offset into the file where the problem was found (undefined if the problem wasn't with the file's
+     * contents).
+     * @param {MapID} mapID The ID of the map file to load. Must be one of the map files found within the map pack.
+     */
+    whenLoadMap(mapID) {
+        if (!this.#mapFiles.includes(mapID)) {
+            this.log("warn", "Refusing to load a map file that wasn't found within the map pack:", mapID);
+            this.event("MapLoadFailed", mapID, "The map file was not found within the map pack", undefined);
+            return;
+        }
+        const mapFilePath = join(this.#mapsFolder, mapID);
+        this.log("info", "Loading map file:", mapFilePath);
+        readFile(mapFilePath)
+            .then(buffer => {
+                const mapData = readMapFile(mapFilePath, buffer);
+                const report = validateMap(mapData, this.#objectTypes);
+                if (report.warnings.length > 0) {
+                    this.log("warn", "Map file has warnings:", mapFilePath, report.warnings);
+                }
+                if (report.errors.length > 0) {
+                    this.log("error", "Map file has errors:", mapFilePath, report.errors);
+                    throw new Error(
+                        `The map has ${report.errors.length} error${report.errors.length == 1 ? "" : "s"}, the first ` +
+                            `being: ${report.errors[0].message}`
+                    );
+                }
+                const typeResolver = new ObjectTypeResolver(this.#objectTypes, this.#overrides);
+                const map = this.#newMap(mapData, type => structureDependents(typeResolver, type));
+                return this.#loadMapScript(mapID, map).then(mapScript => [map, mapScript]);
+            })
+            .then(([map, mapScript]) => {
+                this.#map = map;
+                this.#mapScript = mapScript;
+                this.#resolver = new ObjectTypeResolver(
+                    this.#objectTypes,
+                    this.#overrides,
+                    this.#map,
+                    mapScript?.hasOverride ? mapScript.override.bind(mapScript) : null
+                );
+                this.log("info", "Loaded map file:", mapFilePath);
+                this.event("MapLoaded", mapID, this.#map, this.#resolver);
+            })
+            .catch(e => {
+                this.log("error", "Couldn't load map file:", mapFilePath, e);
+                this.event("MapLoadFailed", mapID, e.reason ?? e.message, e.offset);
+            });
+    }
+
+    /**
+     * Writes the most recently loaded map to a map file within the loaded map pack's maps folder.
+     * Once the file has been written, emits MapSaved with the map file's ID, and then scans the maps folder again so
+     * that clients can see the new file. If the map couldn't be saved, emits SaveMapFailed with the given path and the
+     * reason why.
+     * @param {String} mapFilePath Path to the map file to write, relative to the map pack's maps folder. Must end in
+     *        ".map" or ".map.json", which decides the format it is written in, and must not point to a location
+     *        outside of the maps folder. Any missing sub-folders will be created.
+     */
+    whenSaveMap(mapFilePath) {
+        const fail = reason => this.event("SaveMapFailed", mapFilePath, reason);
+        if (!this.#map) {
+            this.log("warn", "Can't save a map as no map has been loaded:", mapFilePath);
+            fail("No map has been loaded");
+            return;
+        }
+        const fullMapFilePath = this.#resolveMapFilePath(mapFilePath);
+        if (!fullMapFilePath) {
+            fail("Maps can only be saved to .map or .map.json files within the map pack's maps folder");
+            return;
+        }
+        this.#writeMapFile(fullMapFilePath, this.#map.toData())
+            .then(mapID => this.event("MapSaved", mapID))
+            .catch(e => {
+                this.log("error", "Couldn't save map file:", fullMapFilePath, e);
+                fail(e.message);
+            });
+    }
+
+    /**
+     * Converts a map exported from Advance Wars By Web (AWBW) into a map file within the loaded map pack's maps folder,
+     * using the map pack's AWBW mapping table.
+     * Once the file has been written, emits AwbwMapImported with the new map file's ID, and then scans the maps folder
+     * again so that clients can see the new file. If the map couldn't be imported, emits AwbwMapImportFailed with the
+     * given path, the reason why, and the AWBW IDs that the map pack couldn't translate (if there were any).
+     * @param {String} text The contents of the AWBW map file.
+     * @param {String} mapFilePath Path to the map file to write, relative to the map pack's maps folder. Must end in
+     *        ".map" or ".map.json", which decides the format it is written in, and must not point to a location
+     *        outside of the maps folder. Any missing sub-folders will be created.
+     * @param {String} [name] The name to give to the map. Defaults to the map file's name without its extension.
+     * @see importAwbwMap
+     */
+    whenImportAwbwMap(text, mapFilePath, name = undefined) {
+        const fail = (reason, unmapped = []) => this.event("AwbwMapImportFailed", mapFilePath, reason, unmapped);
+        if (!this.#awbwMapping) {
+            this.log("warn", "Can't import an AWBW map as the map pack has no AWBW mapping table:", mapFilePath);
+            fail("The map pack can't import AWBW maps");
+            return;
+        }
+        const fullMapFilePath = this.#resolveMapFilePath(mapFilePath);
+        if (!fullMapFilePath) {
+            fail("Maps can only be imported into .map or .map.json files within the map pack's maps folder");
+            return;
+        }
+        let mapData;
+        try {
+            mapData = importAwbwMap(
+                String(text),
+                this.#awbwMapping,
+                typeof name === "string" ? name : basename(fullMapFilePath).replace(/\.map(\.json)?$/, ""),
+                this.#objectTypes
+            );
+        } catch (e) {
+            this.log("error", "Couldn't import AWBW map:", fullMapFilePath, e);
+            fail(e.reason ?? e.message, e instanceof AwbwImportError ? e.unmapped : []);
+            return;
+        }
+        this.#writeMapFile(fullMapFilePath, mapData)
+            .then(mapID => this.event("AwbwMapImported", mapID))
+            .catch(e => {
+                this.log("error", "Couldn't write imported AWBW map file:", fullMapFilePath, e);
+                fail(e.message);
+            });
+    }
+
+    // MARK: Object types
+
+    /**
+     * Pushes the front-end data of this model, and of the ObjectTypes model it owns, to a new client.
+     * @param {String} sessionKey The new client's session key.
+     * @override
+     */
+    onNewClient(sessionKey) {
+        super.onNewClient(sessionKey);
+        this.#objectTypesModel.onNewClient(sessionKey);
+    }
+
+    /**
+     * Resolves an object type for something on the current map, and publishes the result to the client who asked via
+     * the ObjectTypes model. If no map has been loaded, the object type's base fields are resolved instead.
+     * @param {String} sessionKey The session key of the client who asked for the object type.
+     * @param {String} queryID Identifies the query within the client's ObjectTypes front-end model.
+     * @param {String} category The category of the object type, e.g. "units".
+     * @param {String} type The name of the object type, e.g. "Infantry".
+     * @param {import("#src/map/objectTypeResolver.mjs").Subject} [subject={}] What to resolve the object type for,
+     *        e.g. { unit: 3 } or { tile: { x: 1, y: 2 } }.
+     * @see ObjectTypes.query
+     */
+    whenResolveObjectType(sessionKey, queryID, category, type, subject = {}) {
+        if (typeof queryID !== "string") {
             this.log(
-                "debug",
-                "Found array of object types for category:",
-                arrayName,
-                `length: ${mapPackModule[arrayName].length}`
+                "warn",
+                "Refusing to resolve an object type for a query without a string ID:",
+                sessionKey,
+                queryID
             );
-            mapPackModule[arrayName].forEach(type => {
-                if (!type.prototype instanceof category) {
-                    this.log(
-                        "error",
-                        `Object type ${type.name} does not extend ${category.name} even though it is of category ` +
-                            `${arrayName}. It will not be cached`
-                    );
-                    return;
+            return;
+        }
+        const resolver = this.#resolver ?? new ObjectTypeResolver(this.#objectTypes, this.#overrides);
+        this.#objectTypesModel.query(sessionKey, queryID, resolver, category, type, subject);
+    }
+
+    // MARK: Movement
+
+    /**
+     * @typedef {Object} MovementRangeQuery
+     * @property {import("#src/map/map.mjs").UnitID} unit The ID of the unit whose movement range was asked for.
+     * @property {Array<import("#src/map/pathfinding.mjs").ReachableTile> | null} tiles Every tile the unit can reach
+     *           this turn, or null if its movement range couldn't be found.
+     * @property {String | null} error Why the unit's movement range couldn't be found, or null if it was found.
+     */
+
+    /**
+     * @typedef {Object} PathQuery
+     * @property {import("#src/map/map.mjs").UnitID} unit The ID of the unit whose path was asked for.
+     * @property {import("#src/types/objectType.mjs").Coordinate} destination The tile the unit would move to.
+     * @property {import("#src/map/pathfinding.mjs").Path | null} path The cheapest path to the destination, or null if
+     *           it couldn't be found.
+     * @property {String | null} error Why the path couldn't be found, or null if it was found.
+     */
+
+    /**
+     * Finds every tile a unit on the most recently loaded map can reach this turn, and publishes them to the client who
+     * asked as their movementRange front-end data. This replaces the client's previous movement range.
+     * Emits MovementRangeFound with the client's session key and the unit's ID if the range could be found. Otherwise,
+     * emits MovementRangeFailed with the client's session key, the unit's ID, and the reason why.
+     * @param {String} sessionKey The session key of the client who asked for the movement range.
+     * @param {import("#src/map/map.mjs").UnitID} unitID The ID of the unit.
+     * @see movementRange() in `src/map/pathfinding.mjs`
+     */
+    whenGetMovementRange(sessionKey, unitID) {
+        const query = { unit: unitID, tiles: null, error: null };
+        let event;
+        try {
+            query.tiles = movementRange(this.#loadedMap(), this.#resolver, unitID);
+            event = ["MovementRangeFound", sessionKey, unitID];
+        } catch (e) {
+            this.log("warn", "Couldn't find movement range for client:", sessionKey, unitID, e);
+            query.error = e.message;
+            event = ["MovementRangeFailed", sessionKey, unitID, e.message];
+        }
+        this.#movementRanges[sessionKey] = query;
+        this.updateFrontEndData(sessionKey, { movementRange: query }, event);
+    }
+
+    /**
+     * Finds the cheapest path a unit on the most recently loaded map can take to a tile this turn, and publishes it to
+     * the client who asked as their path front-end data. This replaces the client's previous path.
+     * Emits PathFound with the client's session key, the unit's ID and the destination if the path could be found.
+     * Otherwise, emits PathFailed with the client's session key, the unit's ID, the destination, and the reason why.
+     * @param {String} sessionKey The session key of the client who asked for the path.
+     * @param {import("#src/map/map.mjs").UnitID} unitID The ID of the unit.
+     * @param {import("#src/types/objectType.mjs").Coordinate} destination The location of the tile to move to.
+     * @see findPath() in `src/map/pathfinding.mjs`
+     */
+    whenGetPath(sessionKey, unitID, destination) {
+        const query = { unit: unitID, destination: destination, path: null, error: null };
+        let event;
+        try {
+            query.path = findPath(this.#loadedMap(), this.#resolver, unitID, destination);
+            event = ["PathFound", sessionKey, unitID, destination];
+        } catch (e) {
+            this.log("warn", "Couldn't find path for client:", sessionKey, unitID, destination, e);
+            query.error = e.message;
+            event = ["PathFailed", sessionKey, unitID, destination, e.message];
+        }
+        this.#paths[sessionKey] = query;
+        this.updateFrontEndData(sessionKey, { path: query }, event);
+    }
+
+    // MARK: Map script hooks
+
+    /**
+     * Calls the loaded map script's onTurnStarted() hook, if it has one.
+     * @param {...any} data The event's data.
+     */
+    onTurnStarted(...data) {
+        this.#callMapScriptHook("onTurnStarted", ...data);
+    }
+
+    /**
+     * Calls the loaded map script's onTurnEnded() hook, if it has one.
+     * @param {...any} data The event's data.
+     */
+    onTurnEnded(...data) {
+        this.#callMapScriptHook("onTurnEnded", ...data);
+    }
+
+    /**
+     * Calls the loaded map script's onDayStarted() hook, if it has one.
+     * @param {...any} data The event's data.
+     */
+    onDayStarted(...data) {
+        this.#callMapScriptHook("onDayStarted", ...data);
+    }
+
+    /**
+     * Calls the loaded map script's onUnitAttacked() hook, if it has one.
+     * @param {...any} data The event's data.
+     */
+    onUnitAttacked(...data) {
+        this.#callMapScriptHook("onUnitAttacked", ...data);
+    }
+
+    /**
+     * Calls the loaded map script's onUnitDestroyed() hook, if it has one.
+     * @param {...any} data The event's data.
+     */
+    onUnitDestroyed(...data) {
+        this.#callMapScriptHook("onUnitDestroyed", ...data);
+    }
+
+    /**
+     * Calls the loaded map script's onPropertyCaptured() hook, if it has one.
+     * @param {...any} data The event's data.
+     */
+    onPropertyCaptured(...data) {
+        this.#callMapScriptHook("onPropertyCaptured", ...data);
+    }
+
+    /**
+     * Calls one of the loaded map script's hooks, logging any errors that it throws.
+     * @param {String} hook The name of the hook.
+     * @param {...any} data The data to give to the hook.
+     */
+    #callMapScriptHook(hook, ...data) {
+        if (!this.#mapScript) {
+            return;
+        }
+        try {
+            this.#mapScript.callHook(hook, ...data);
+        } catch (e) {
+            this.log("error", "The map script's hook failed:", hook, e);
+        }
+    }
+
+    /**
+     * Loads a map's script, if it has one.
+     * @param {MapID} mapID The ID of the map file. Its sidecar script has the same path, but ends in ".mjs".
+     * @param {Map} map The map whose script is to be loaded.
+     * @returns {Promise<MapScript | null>} Resolves with the map's script, or null if it doesn't have one. Rejects with
+     *          a MapScriptError if the script couldn't be loaded.
+     */
+    #loadMapScript(mapID, map) {
+        const sidecarID = mapID.replace(/\.map(\.json)?$/, ".mjs");
+        const sidecarPath = join(this.#mapsFolder, sidecarID);
+        return readFile(sidecarPath, "utf8")
+            .catch(e => {
+                if (e.code === "ENOENT") {
+                    return null;
                 }
-                this.log("debug", "Caching:", type.name);
-                this.#objectTypes[arrayName][type.name] = type;
+                throw e;
+            })
+            .then(sidecar => {
+                if (sidecar !== null && map.script) {
+                    throw new MapScriptError("The map has both an embedded script and a sidecar script");
+                }
+                if (sidecar !== null) {
+                    this.log("info", "Loading sidecar map script:", sidecarPath);
+                    return MapScript.load(sidecar, sidecarID, map);
+                }
+                if (map.script) {
+                    this.log("info", "Loading embedded map script:", mapID);
+                    return MapScript.load(map.script, mapID, map);
+                }
+                return null;
             });
+    }
+
+    /**
+     * Works out where a map file should be written to.
+     * @param {String} mapFilePath Path to the map file, relative to the map pack's maps folder.
+     * @returns {String | undefined} The full path to the map file, or undefined if the path isn't a map file or points
+     *          to a location outside of the maps folder.
+     */
+    #resolveMapFilePath(mapFilePath) {
+        if (typeof mapFilePath !== "string" || !isMapFile(mapFilePath)) {
+            this.log("warn", "Refusing to write a map to a file that doesn't end in .map or .map.json:", mapFilePath);
+            return undefined;
+        }
+        const fullMapFilePath = resolve(this.#mapsFolder, mapFilePath);
+        const pathWithinMapsFolder = relative(this.#mapsFolder, fullMapFilePath);
+        if (!pathWithinMapsFolder || pathWithinMapsFolder.startsWith("..") || isAbsolute(pathWithinMapsFolder)) {
+            this.log(
+                "warn",
+                "Refusing to write a map to a file outside of the map pack's maps folder:",
+                mapFilePath,
+                this.#mapsFolder
+            );
+            return undefined;
         }
+        return fullMapFilePath;
+    }
 
-        // 2. Look for the overrides() exported function and cache that if it exists.
-        if (typeof mapPackModule.overrides === "function") {
-            this.log("debug", "Found overrides() function from map pack");
-            this.#overrides = mapPackModule.overrides;
+    /**
+     * Writes a map to a binary or JSON map file, depending on the file's extension, then scans the maps folder again so
+     * that clients can see the new file.
+     * @param {String} fullMapFilePath The full path to the map file to write. Any missing folders will be created.
+     * @param {import("#src/map/map.mjs").MapData} mapData The map to write.
+     * @returns {Promise<MapID>} Resolves with the written map file's ID, or rejects if the map couldn't be encoded or
+     *          written.
+     */
+    #writeMapFile(fullMapFilePath, mapData) {
+        this.log("info", "Writing map file:", fullMapFilePath);
+        return Promise.resolve()
+            .then(() => writeMapFile(fullMapFilePath, mapData))
+            .then(buffer => mkdir(dirname(fullMapFilePath), { recursive: true }).then(() => buffer))
+            .then(buffer => writeFile(fullMapFilePath, buffer))
+            .then(() => {
+                this.log("info", "Wrote map file:", fullMapFilePath);
+                this.#scanMapsFolder();
+                return this.#mapID(fullMapFilePath);
+            });
+    }
+
+    /**
+     * Retrieves the most recently loaded map, for commands that can only be carried out on a map.
+     * @returns {Map} The most recently loaded map.
+     * @throws {Error} If no map has been loaded.
+     */
+    #loadedMap() {
+        if (!this.#map) {
+            throw new Error("No map has been loaded");
+        }
+        return this.#map;
+    }
+
+    /**
+     * Creates a map whose events are emitted to the rest of the system.
+     * Once the map has been loaded, its events are also passed on to its resolver, before they are emitted, so that
+     * the resolver can throw away the object types that each change makes out of date.
+     * @param {import("#src/map/map.mjs").MapData} mapData The map to create.
+     * @param {Function<String>} dependents Given the name of a structure type, returns the offsets of its dependent
+     *        tiles.
+     * @returns {Map} The new map.
+     */
+    #newMap(mapData, dependents) {
+        const map = new Map(
+            Object.freeze({
+                event: (name, ...data) => {
+                    if (this.#map === map) {
+                        this.#resolver.invalidate(name, ...data);
+                    }
+                    this.event(name, ...data);
+                },
+            }),
+            mapData,
+            dependents
+        );
+        return map;
+    }
+
+    /**
+     * Checks the loaded map pack's locale files against the language keys of its object types, and logs a warning for
+     * each problem that is found.
+     * @param {String} mapPackPath The full path to the loaded map pack.
+     */
+    #checkTranslations(mapPackPath) {
+        const objectTypes = this.#objectTypes;
+        const overrides = this.#overrides;
+        readMapPackTranslations(mapPackPath)
+            .then(translations => {
+                const report = checkTranslations(objectTypes, overrides, translations);
+                for (const issue of [...report.missing, ...report.partial, ...report.unused]) {
+                    this.log("warn", "Map pack translation warning:", issue.message);
+                }
+            })
+            .catch(e => this.log("error", "Couldn't check the map pack's translations:", mapPackPath, e));
+    }
+
+    /**
+     * Watches the loaded map pack's maps folder, and scans it again whenever something within it changes.
+     * The watcher won't keep the process running by itself.
+     */
+    #watchMapsFolder() {
+        this.#mapsFolderWatcher?.close();
+        this.#mapsFolderWatcher = null;
+        try {
+            this.#mapsFolderWatcher = watch(this.#mapsFolder, { recursive: true }, (eventType, filename) => {
+                this.log("trace", "Detected a change within the maps folder:", eventType, filename);
+                clearTimeout(this.#scanTimeout);
+                this.#scanTimeout = setTimeout(() => this.#scanMapsFolder(), mapsFolderScanDelay);
+                this.#scanTimeout.unref();
+            });
+            this.#mapsFolderWatcher.on("error", e =>
+                this.log("error", "An error occurred whilst watching the maps folder:", this.#mapsFolder, e)
+            );
+            this.#mapsFolderWatcher.unref();
+        } catch (e) {
+            this.log("error", "Couldn't watch the maps folder within map pack:", this.#mapsFolder, e);
         }
+    }
 
-        // 3. Emit the paths to the map pack's map files.
-        const mapsFolder = join(mapPackPath, "maps");
-        scanDirectory(mapsFolder)
+    /**
+     * Scans the loaded map pack's maps folder for map files, reads the metadata of each new or changed map file, then
+     * emits them. If a scan is requested whilst another is in progress, it will be carried out once the current scan
+     * has finished.
+     */
+    #scanMapsFolder() {
+        if (this.#scanning) {
+            this.#rescanRequested = true;
+            return;
+        }
+        this.#scanning = true;
+        scanDirectory(this.#mapsFolder)
             .then(files => {
-                this.log("debug", "Found files within maps folder:", mapsFolder, files);
-                this.#mapFiles = files.filter(file => file.endsWith(".map"));
-                this.#emitMapFiles();
+                this.log("debug", "Found files within maps folder:", this.#mapsFolder, files);
+                const mapFiles = files.filter(isMapFile);
+                return Promise.all(mapFiles.map(file => this.#readMapMetadataIfChanged(file)));
             })
-            .catch(e => this.log("error", "Couldn't scan maps folder within map pack:", mapsFolder, e));
+            .then(maps => {
+                const oldMaps = this.#maps;
+                this.#maps = Object.fromEntries(maps);
+                this.#mapFiles = Object.keys(this.#maps).sort();
+                this.#emitMapFiles(
+                    this.#mapFiles.filter(mapID => !oldMaps.hasOwnProperty(mapID)),
+                    Object.keys(oldMaps).filter(mapID => !this.#maps.hasOwnProperty(mapID)),
+                    this.#mapFiles.filter(
+                        mapID => oldMaps.hasOwnProperty(mapID) && oldMaps[mapID] !== this.#maps[mapID]
+                    )
+                );
+            })
+            .catch(e => this.log("error", "Couldn't scan maps folder within map pack:", this.#mapsFolder, e))
+            .finally(() => {
+                this.#scanning = false;
+                if (this.#rescanRequested) {
+                    this.#rescanRequested = false;
+                    this.#scanMapsFolder();
+                }
+            });
     }
 
     /**
-     * Loads a binary map file using the current map pack's exported information.
-     * @param {String} mapFilePath Path to the map file to load.
+     * Reads a map file's metadata, unless it hasn't been modified since it was last read.
+     * @param {String} mapFilePath Path to the map file to read.
+     * @returns {Promise<Array>} Resolves with the map file's ID, followed by its metadata. If the map file hasn't been
+     *          modified, the existing metadata object is given.
      */
-    whenLoadMap(mapFilePath) {
-        console.log(mapFilePath);
+    #readMapMetadataIfChanged(mapFilePath) {
+        const mapID = this.#mapID(mapFilePath);
+        const existing = this.#maps[mapID];
+        return stat(mapFilePath)
+            .then(stats => existing !== undefined && existing.modified === stats.mtimeMs)
+            .catch(() => false)
+            .then(unchanged => (unchanged ? existing : this.#readMapMetadata(mapFilePath)))
+            .then(metadata => [mapID, metadata]);
     }
 
     /**
-     * Emits each map file found within the loaded map pack.
+     * Reads a map file's header, and validates it against the map pack's object types.
+     * @param {String} mapFilePath Path to the map file to read.
+     * @returns {Promise<MapMetadata>} Resolves with the map file's metadata. Never rejects: if the map file couldn't be
+     *          read, its validation report will say why.
      */
-    #emitMapFiles() {
-        this.log("debug", "Emitting map files:", this.#mapFiles);
-        this.updateFrontEndDataForEveryone(this.mapFiles, ["MapsFolderScanned", this.#mapFiles]);
+    #readMapMetadata(mapFilePath) {
+        const unreadable = e =>
+            unreadableMapReport(
+                e instanceof MapFormatError || e instanceof JsonMapFormatError
+                    ? `The map file is malformed: ${e.message}`
+                    : e.message
+            );
+        return Promise.all([readFile(mapFilePath), stat(mapFilePath)])
+            .then(([buffer, stats]) => {
+                let header = {};
+                try {
+                    header = readMapFile(mapFilePath, buffer, true);
+                } catch (e) {
+                    this.log("debug", "Couldn't read map file's header:", mapFilePath, e);
+                }
+                let report;
+                try {
+                    report = validateMap(readMapFile(mapFilePath, buffer), this.#objectTypes);
+                } catch (e) {
+                    this.log("debug", "Couldn't read map file whilst validating it:", mapFilePath, e);
+                    report = unreadable(e);
+                }
+                return {
+                    name: header.name,
+                    author: header.author,
+                    description: header.description,
+                    width: header.width,
+                    height: header.height,
+                    armyCount: header.armyCount,
+                    environment: header.environment,
+                    modified: stats.mtimeMs,
+                    report: report,
+                };
+            })
+            .catch(e => {
+                this.log("debug", "Couldn't read map file:", mapFilePath, e);
+                return { modified: undefined, report: unreadable(e) };
+            });
+    }
+
+    /**
+     * Converts the path to a file within the maps folder into its ID.
+     * @param {String} mapFilePath The full path to the file.
+     * @returns {MapID} The file's ID.
+     */
+    #mapID(mapFilePath) {
+        return relative(this.#mapsFolder, mapFilePath).split(sep).join("/");
+    }
+
+    /**
+     * Emits each map file found within the loaded map pack, as well as what has changed since the last scan.
+     * Emits MapFileAdded, MapFileRemoved and MapFileChanged once for each map file that was added, removed or changed,
+     * with the map file's ID, followed by MapsFolderScanned with the IDs of every map file.
+     * @param {Array<MapID>} added The map files that have been added since the last scan.
+     * @param {Array<MapID>} removed The map files that have been removed since the last scan.
+     * @param {Array<MapID>} changed The map files that have been modified since the last scan.
+     */
+    #emitMapFiles(added, removed, changed) {
+        this.log(
+            "debug",
+            "Emitting map files (all, added, removed, changed):",
+            this.#mapFiles,
+            added,
+            removed,
+            changed
+        );
+        const maps = {};
+        [...added, ...changed].forEach(mapID => (maps[mapID] = this.#maps[mapID]));
+        removed.forEach(mapID => (maps[mapID] = null));
+        this.updateFrontEndDataForEveryone(
+            { mapFiles: this.#mapFiles, maps: maps },
+            ...added.map(mapID => ["MapFileAdded", mapID]),
+            ...removed.map(mapID => ["MapFileRemoved", mapID]),
+            ...changed.map(mapID => ["MapFileChanged", mapID]),
+            ["MapsFolderScanned", this.#mapFiles]
+        );
     }
 
     #objectTypes = {};
+
+    /**
+     * Publishes the resolved object types to the front end.
+     * @type {ObjectTypes}
+     */
+    #objectTypesModel = this.newObjectWithEmitter(ObjectTypes);
+
+    /**
+     * The validation report of the loaded map pack's object types, or null if no map pack has been loaded.
+     * @type {import("#src/map/mapPackValidator.mjs").MapPackValidationReport | null}
+     */
+    #mapPackReport = null;
+
     #overrides = null;
+    #awbwMapping = null;
+    #mapsFolder = "";
     #mapFiles = [];
+    #maps = {};
+    #mapsFolderWatcher = null;
+    #scanTimeout = undefined;
+    #scanning = false;
+    #rescanRequested = false;
+
+    /**
+     * The most recently loaded map.
+     */
+    #map = null;
+
+    /**
+     * The most recently loaded map's script, if it has one.
+     */
+    #mapScript = null;
+
+    /**
+     * Resolves object types within the context of the most recently loaded map.
+     */
+    #resolver = null;
+
+    /**
+     * The movement range each client last asked for, keyed on session key.
+     * @type {Object<String, MovementRangeQuery>}
+     */
+    #movementRanges = {};
+
+    /**
+     * The path each client last asked for, keyed on session key.
+     * @type {Object<String, PathQuery>}
+     */
+    #paths = {};
 }
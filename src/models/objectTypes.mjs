@@ -0,0 +1,132 @@
+/**
+ * @file objectTypes.mjs
+ * Defines the model that publishes the loaded map pack's resolved object types to the front end.
+ */
+
+import ObjectTypeResolver from "#src/map/objectTypeResolver.mjs";
+import Model from "#src/mvc/model.mjs";
+
+/**
+ * Publishes the loaded map pack's object types, resolved into plain objects, so that the front end can display them.
+ * This model is owned by the MapManager, which creates it, forwards events to it, and handles the commands that read
+ * from it. It isn't attached to the controller by itself.
+ * Object types are published twice over:
+ * 1. `types` holds the base fields of every object type, i.e. the fields resolved using an empty context, keyed on
+ *    category, and then on type name. Every client receives the same base fields.
+ * 2. `queries` holds the fields of object types that a client asked to be resolved for something on the current map,
+ *    keyed on the query ID the client gave. Each client only receives their own queries.
+ * Fields are sent to clients as JSON, so values that JSON can't represent are changed along the way. Most notably,
+ * `impassable` movement costs, which are Infinity, arrive as null.
+ */
+export default class ObjectTypes extends Model {
+    /**
+     * Computes the complete front-end version of this model.
+     * @param {String} sessionKey The session key of the client whose front-end model is to be returned.
+     * @returns {Object} The object types' front-end model.
+     * @override
+     */
+    frontEndData(sessionKey) {
+        return {
+            types: this.#types,
+            queries: this.#queries[sessionKey] ?? {},
+        };
+    }
+
+    /**
+     * Base fields are published a category at a time, and query results are published a query at a time.
+     * @returns {Object} The structure of the object types' front-end model.
+     * @override
+     */
+    frontEndDataStructure() {
+        return {
+            types: {},
+            queries: {},
+        };
+    }
+
+    /**
+     * @override
+     */
+    emitOnNewClient = ["ObjectTypesResolved"];
+
+    /**
+     * @typedef {Object} ObjectTypeQuery
+     * @property {String} category The category of the object type that was resolved, e.g. "units".
+     * @property {String} type The name of the object type that was resolved, e.g. "Infantry".
+     * @property {import("#src/map/objectTypeResolver.mjs").Subject} subject What the object type was resolved for.
+     * @property {Object | null} fields Every field of the object type, keyed on field name, or null if it couldn't be
+     *           resolved.
+     * @property {String | null} error Why the object type couldn't be resolved, or null if it was resolved.
+     */
+
+    /**
+     * Resolves the base fields of every given object type, then publishes them to every client.
+     * Emits ObjectTypesResolved. Object types that can't be resolved are left out.
+     * @param {Object<String, Object<String, Function>>} objectTypes The object types cached from the loaded map pack,
+     *        keyed on category, and then on type name.
+     * @param {Function | null} overrides The map pack's overrides() function, if it exported one.
+     */
+    setObjectTypes(objectTypes, overrides) {
+        const resolver = new ObjectTypeResolver(objectTypes, overrides);
+        this.#types = {};
+        for (const [category, types] of Object.entries(objectTypes)) {
+            this.#types[category] = {};
+            for (const type of Object.keys(types)) {
+                try {
+                    this.#types[category][type] = resolver.resolve(category, type);
+                } catch (e) {
+                    this.log("error", "Couldn't resolve the base fields of object type:", category, type, e);
+                }
+            }
+        }
+        this.updateFrontEndDataForEveryone({ types: this.#types }, ["ObjectTypesResolved"]);
+    }
+
+    /**
+     * Resolves an object type for something on the current map, then publishes the result to the client who asked.
+     * Emits ObjectTypeResolved with the client's session key and the query ID if the object type could be resolved.
+     * Otherwise, emits ObjectTypeResolutionFailed with the client's session key, the query ID, and the reason why.
+     * @param {String} sessionKey The session key of the client who asked for the object type.
+     * @param {String} queryID Identifies the query within the client's front-end model. A query that reuses an ID
+     *        replaces the previous query with that ID.
+     * @param {ObjectTypeResolver} resolver The resolver to use, which decides which map the subject is found on.
+     * @param {String} category The category of the object type, e.g. "units".
+     * @param {String} type The name of the object type, e.g. "Infantry".
+     * @param {import("#src/map/objectTypeResolver.mjs").Subject} subject What to resolve the object type for.
+     */
+    query(sessionKey, queryID, resolver, category, type, subject) {
+        const query = { category: category, type: type, subject: subject, fields: null, error: null };
+        let event;
+        try {
+            query.fields = resolver.resolve(category, type, subject);
+            event = ["ObjectTypeResolved", sessionKey, queryID];
+        } catch (e) {
+            this.log(
+                "warn",
+                "Couldn't resolve object type for client:",
+                sessionKey,
+                queryID,
+                category,
+                type,
+                subject,
+                e
+            );
+            query.error = e.message;
+            event = ["ObjectTypeResolutionFailed", sessionKey, queryID, e.message];
+        }
+        (this.#queries[sessionKey] ??= {})[queryID] = query;
+        this.updateFrontEndData(sessionKey, { queries: { [queryID]: query } }, event);
+    }
+
+    /**
+     * The base fields of every object type, keyed on category, and then on type name.
+     * @type {Object<String, Object<String, Object>>}
+     */
+    #types = {};
+
+    /**
+     * The queries made by each client, keyed on session key, and then on query ID.
+     * @type {Object<String, Object<String, ObjectTypeQuery>>}
+     */
+    #queries = {};
+}
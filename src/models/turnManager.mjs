@@ -0,0 +1,566 @@
+/**
+ * @file turnManager.mjs
+ * Defines the model that keeps track of whose turn it is on the most recently loaded map.
+ */
+
+import { capture } from "#src/map/capture.mjs";
+import { attack } from "#src/map/combat.mjs";
+import { activatePower } from "#src/map/commanders.mjs";
+import { buildMenu, buildUnit } from "#src/map/production.mjs";
+import { defaultTurnPhases, turnOrder } from "#src/map/turns.mjs";
+import Model from "#src/mvc/model.mjs";
+
+/**
+ * Keeps track of the day, and of which army's turn it is, on the most recently loaded map.
+ * Clients take control of armies with the ControlArmy command, and lose control of them when they disconnect. Only the
+ * client controlling the army whose turn it is can end that army's turn. When a turn starts, the phases exported by the map pack as `turnPhases` are run in order,
+ * or defaultTurnPhases from `src/map/turns.mjs` if the map pack doesn't export any.
+ * The first turn of the first day starts as soon as a map is loaded.
+ * During their army's turn, clients can also make their army's units capture tiles with the Capture command, make
+ * them attack with the AttackUnit command, activate their army's commander's powers with the ActivatePower command,
+ * and build units with the BuildUnit command. Since the turn manager knows whose turn it is and who controls each army,
+ * it checks every action and purchase on the server's side. Each unit can only act once per turn, and units that were
+ * just built can't act until the next turn.
+ */
+export default class TurnManager extends Model {
+    /**
+     * Computes the complete front-end version of this model.
+     * @param {String} sessionKey The session key of the client whose front-end model is to be returned.
+     * @returns {Object} The turn manager's front-end model.
+     * @override
+     */
+    frontEndData(sessionKey) {
+        return {
+            day: this.#day,
+            turnOrder: this.#turnOrder,
+            currentArmy: this.#turnOrder[this.#turn] ?? null,
+            controlledArmies: this.#controlledArmies(),
+            armies: this.#controlledArmies(sessionKey),
+            captures: this.#captureList(),
+            exhaustedUnits: [...this.#exhaustedUnits],
+            buildMenu: this.#buildMenus[sessionKey] ?? null,
+        };
+    }
+
+    /**
+     * @override
+     */
+    prependSessionKeyToCommands = [
+        "ControlArmy",
+        "EndTurn",
+        "Capture",
+        "AttackUnit",
+        "ActivatePower",
+        "GetBuildMenu",
+        "BuildUnit",
+    ];
+
+    /**
+     * Caches the turn phases exported by the map pack, if it exports any.
+     * @param {String} mapPackPath The full path to the loaded map pack.
+     * @param {Object} mapPackModule The exports defined by the loaded map pack.
+     */
+    onMapPackLoaded(mapPackPath, mapPackModule) {
+        if (Array.isArray(mapPackModule.turnPhases)) {
+            this.log(
+                "debug",
+                "Found turn phases from map pack:",
+                mapPackModule.turnPhases.map(phase => phase.name)
+            );
+            this.#phases = mapPackModule.turnPhases;
+        } else {
+            this.#phases = defaultTurnPhases;
+        }
+    }
+
+    /**
+     * Starts the first turn of the first day on a newly loaded map.
+     * Every client loses control of their armies. Emits DayStarted with the day, then runs the turn phases for the
+     * first army in the turn order, then emits TurnStarted with that army's ID and the day.
+     * @param {import("#src/models/mapManager.mjs").MapID} mapID The ID of the map file that was loaded.
+     * @param {import("#src/map/map.mjs").default} map The loaded map.
+     * @param {import("#src/map/objectTypeResolver.mjs").default} resolver Resolves object types on the loaded map.
+     */
+    onMapLoaded(mapID, map, resolver) {
+        this.#map = map;
+        this.#resolver = resolver;
+        this.#weathers = [...map.weathers];
+        this.#controllers = {};
+        this.#captures = {};
+        this.#buildMenus = {};
+        try {
+            this.#turnOrder = turnOrder(map, resolver);
+        } catch (e) {
+            this.log("error", "Couldn't work out the turn order of map:", mapID, e);
+            this.#map = null;
+            this.#turnOrder = [];
+        }
+        this.#day = 0;
+        this.#turn = this.#turnOrder.length;
+        this.updateFrontEndDataForEveryone({
+            turnOrder: this.#turnOrder,
+            controlledArmies: [],
+            armies: [],
+            captures: [],
+            buildMenu: null,
+        });
+        this.#startNextTurn();
+    }
+
+    /**
+     * Gives a client control of an army on the most recently loaded map, unless another client controls it.
+     * Emits ArmyControlled with the army's ID if the client was given control. Otherwise, emits ArmyControlFailed with
+     * the client's session key, the army's ID, and the reason why.
+     * @param {String} sessionKey The session key of the client taking control.
+     * @param {import("#src/map/map.mjs").ArmyID} armyID The ID of the army.
+     */
+    whenControlArmy(sessionKey, armyID) {
+        let reason;
+        if (!this.#map) {
+            reason = "No map has been loaded";
+        } else if (!this.#turnOrder.includes(armyID)) {
+            reason = `Army ${armyID} does not exist`;
+        } else if (this.#controllers.hasOwnProperty(armyID) && this.#controllers[armyID] !== sessionKey) {
+            reason = `Army ${armyID} is controlled by another client`;
+        }
+        if (reason) {
+            this.log("warn", "Couldn't give client control of army:", sessionKey, armyID, reason);
+            this.event("ArmyControlFailed", sessionKey, armyID, reason);
+            return;
+        }
+        this.#controllers[armyID] = sessionKey;
+        this.updateFrontEndDataForEveryone({ controlledArmies: this.#controlledArmies() }, ["ArmyControlled", armyID]);
+        this.updateFrontEndData(sessionKey, { armies: this.#controlledArmies(sessionKey) });
+    }
+
+    /**
+     * Takes control of a client's armies away from them once they disconnect, so that other clients can take control
+     * of them instead.
+     * Emits ArmyReleased with each army's ID, in turn order.
+     * @param {String} sessionKey The session key of the client that disconnected.
+     */
+    onClientDisconnected(sessionKey) {
+        const armies = this.#controlledArmies(sessionKey);
+        if (armies.length == 0) {
+            return;
+        }
+        armies.forEach(army => delete this.#controllers[army]);
+        this.updateFrontEndDataForEveryone(
+            { controlledArmies: this.#controlledArmies() },
+            ...armies.map(army => ["ArmyReleased", army])
+        );
+        this.updateFrontEndData(sessionKey, { armies: [] });
+    }
+
+    /**
+     * Ends the current army's turn, and starts the next army's turn. Once every army has taken its turn, a new day
+     * starts.
+     * Emits TurnEnded with the army's ID and the day, then DayStarted with the new day if a new day started, then runs
+     * the turn phases for the next army, then emits TurnStarted with the next army's ID and the day. If the turn
+     * couldn't be ended, emits EndTurnFailed with the client's session key and the reason why.
+     * @param {String} sessionKey The session key of the client ending the turn. They must control the current army.
+     */
+    whenEndTurn(sessionKey) {
+        const army = this.#turnOrder[this.#turn];
+        let reason;
+        if (!this.#map) {
+            reason = "No map has been loaded";
+        } else if (this.#controllers[army] !== sessionKey) {
+            reason = `Army ${army}'s turn can only be ended by the client controlling it`;
+        }
+        if (reason) {
+            this.log("warn", "Couldn't end turn for client:", sessionKey, army, reason);
+            this.event("EndTurnFailed", sessionKey, reason);
+            return;
+        }
+        this.event("TurnEnded", army, this.#day);
+        this.#startNextTurn();
+    }
+
+    // MARK: Capture
+
+    /**
+     * Makes a unit capture the tile it is standing on, or carry on capturing it.
+     * Each unit can only capture once per turn, during its army's turn, and only at the request of the client
+     * controlling its army. A capture in progress is forgotten once the unit leaves the tile or is destroyed.
+     * Emits the events emitted by capture() in `src/map/capture.mjs`. If the unit couldn't capture, emits CaptureFailed
+     * with the client's session key, the unit's ID, and the reason why.
+     * @param {String} sessionKey The session key of the client requesting the capture.
+     * @param {import("#src/map/map.mjs").UnitID} unitID The ID of the unit capturing.
+     */
+    whenCapture(sessionKey, unitID) {
+        let reason = this.#whyUnitCantAct(sessionKey, unitID, "capture");
+        let capturePoints;
+        if (!reason) {
+            try {
+                capturePoints = capture(this.#map, this.#resolver, this, unitID, this.#captures[unitID]?.capturePoints);
+            } catch (e) {
+                reason = e.message;
+            }
+        }
+        if (reason) {
+            this.log("warn", "Couldn't capture for client:", sessionKey, unitID, reason);
+            this.event("CaptureFailed", sessionKey, unitID, reason);
+            return;
+        }
+        this.#exhaustedUnits.add(unitID);
+        if (capturePoints > 0) {
+            this.#captures[unitID] = { position: this.#map.getUnit(unitID).position, capturePoints: capturePoints };
+        } else {
+            delete this.#captures[unitID];
+        }
+        this.updateFrontEndDataForEveryone({
+            captures: this.#captureList(),
+            exhaustedUnits: [...this.#exhaustedUnits],
+        });
+    }
+
+    /**
+     * Forgets a unit's capture in progress if it moves off the tile it was capturing.
+     * @param {import("#src/map/map.mjs").UnitID} unitID The ID of the unit that moved.
+     * @param {import("#src/types/objectType.mjs").Coordinate} position The unit's new position.
+     */
+    onUnitMoved(unitID, position) {
+        const progress = this.#captures[unitID];
+        if (progress && (progress.position.x != position.x || progress.position.y != position.y)) {
+            this.#forgetCapture(unitID);
+        }
+    }
+
+    /**
+     * Forgets a unit's capture in progress if it is removed from the map, e.g. because it was destroyed.
+     * @param {import("#src/map/map.mjs").Unit} unit The unit that was removed.
+     */
+    onUnitRemoved(unit) {
+        if (this.#captures.hasOwnProperty(unit.id)) {
+            this.#forgetCapture(unit.id);
+        }
+    }
+
+    /**
+     * Removes an eliminated army from the turn order, and takes it away from the client controlling it. If it was the
+     * eliminated army's turn, the next army's turn starts.
+     * @param {import("#src/map/map.mjs").ArmyID} armyID The ID of the army that was eliminated.
+     */
+    onArmyEliminated(armyID) {
+        const index = this.#turnOrder.indexOf(armyID);
+        if (!this.#map || index == -1) {
+            return;
+        }
+        const wasTheirTurn = index == this.#turn;
+        const controller = this.#controllers[armyID];
+        delete this.#controllers[armyID];
+        this.#turnOrder = this.#turnOrder.filter(army => army !== armyID);
+        if (index <= this.#turn) {
+            --this.#turn;
+        }
+        this.updateFrontEndDataForEveryone({
+            turnOrder: this.#turnOrder,
+            controlledArmies: this.#controlledArmies(),
+        });
+        if (controller !== undefined) {
+            this.updateFrontEndData(controller, { armies: this.#controlledArmies(controller) });
+        }
+        if (wasTheirTurn) {
+            this.#startNextTurn();
+        }
+    }
+
+    // MARK: Combat
+
+    /**
+     * Makes one of the current army's units attack another unit, which may then counterattack.
+     * Each unit can only attack once per turn, during its army's turn, and only at the request of the client
+     * controlling its army. Attacking counts as the unit's action for the turn.
+     * Emits the events emitted by attack() in `src/map/combat.mjs`. If the attack couldn't be made, emits AttackFailed
+     * with the client's session key, the attacker's ID, the defender's ID, and the reason why.
+     * @param {String} sessionKey The session key of the client requesting the attack.
+     * @param {import("#src/map/map.mjs").UnitID} attackerID The ID of the unit attacking.
+     * @param {import("#src/map/map.mjs").UnitID} defenderID The ID of the unit being attacked.
+     */
+    whenAttackUnit(sessionKey, attackerID, defenderID) {
+        let reason = this.#whyUnitCantAct(sessionKey, attackerID, "attack");
+        if (!reason) {
+            try {
+                attack(this.#map, this.#resolver, this, attackerID, defenderID);
+            } catch (e) {
+                reason = e.message;
+            }
+        }
+        if (reason) {
+            this.log("warn", "Couldn't attack for client:", sessionKey, attackerID, defenderID, reason);
+            this.event("AttackFailed", sessionKey, attackerID, defenderID, reason);
+            return;
+        }
+        if (this.#map.hasUnit(attackerID)) {
+            this.#exhaustedUnits.add(attackerID);
+            this.updateFrontEndDataForEveryone({ exhaustedUnits: [...this.#exhaustedUnits] });
+        }
+    }
+
+    // MARK: Commanders
+
+    /**
+     * Activates one of the current army's primary commander's powers.
+     * Powers can only be activated during their army's turn, and only at the request of the client controlling it.
+     * Emits the events emitted by activatePower() in `src/map/commanders.mjs`, and then PowerActivated with the army's
+     * ID and the power. If the power couldn't be activated, emits PowerActivationFailed with the client's session key,
+     * the army's ID, the power, and the reason why.
+     * @param {String} sessionKey The session key of the client activating the power.
+     * @param {import("#src/map/map.mjs").ArmyID} armyID The ID of the army activating the power.
+     * @param {import("#src/map/map.mjs").ActivePower} power The power to activate.
+     */
+    whenActivatePower(sessionKey, armyID, power) {
+        const army = this.#turnOrder[this.#turn];
+        let reason;
+        if (!this.#map) {
+            reason = "No map has been loaded";
+        } else if (armyID !== army) {
+            reason = `Army ${armyID} can only activate a power during its own turn`;
+        } else if (this.#controllers[army] !== sessionKey) {
+            reason = `Army ${army}'s powers can only be activated by the client controlling it`;
+        }
+        if (!reason) {
+            try {
+                activatePower(this.#map, this.#resolver, armyID, power);
+            } catch (e) {
+                reason = e.message;
+            }
+        }
+        if (reason) {
+            this.log("warn", "Couldn't activate power for client:", sessionKey, armyID, power, reason);
+            this.event("PowerActivationFailed", sessionKey, armyID, power, reason);
+            return;
+        }
+        this.event("PowerActivated", armyID, power);
+    }
+
+    // MARK: Production
+
+    /**
+     * @typedef {Object} BuildMenuQuery
+     * @property {import("#src/types/objectType.mjs").Coordinate} position The tile whose build menu was asked for.
+     * @property {Array<import("#src/map/production.mjs").BuildOption> | null} units Every unit the tile can build,
+     *           including the ones its owner can't afford, or null if the build menu couldn't be found.
+     * @property {String | null} error Why the build menu couldn't be found, or null if it was found.
+     */
+
+    /**
+     * Lists the units that can be built on a tile, and what they cost the army that owns it, and publishes them to the
+     * client who asked as their buildMenu front-end data. This replaces the client's previous build menu.
+     * Emits BuildMenuFound with the client's session key and the tile's coordinate if the build menu could be found.
+     * Otherwise, emits BuildMenuFailed with the client's session key, the tile's coordinate, and the reason why.
+     * @param {String} sessionKey The session key of the client who asked for the build menu.
+     * @param {import("#src/types/objectType.mjs").Coordinate} position The location of the tile.
+     * @see buildMenu() in `src/map/production.mjs`
+     */
+    whenGetBuildMenu(sessionKey, position) {
+        const query = { position: position, units: null, error: null };
+        let event;
+        try {
+            if (!this.#map) {
+                throw new Error("No map has been loaded");
+            }
+            query.units = buildMenu(this.#map, this.#resolver, position);
+            event = ["BuildMenuFound", sessionKey, position];
+        } catch (e) {
+            this.log("warn", "Couldn't find build menu for client:", sessionKey, position, e);
+            query.error = e.message;
+            event = ["BuildMenuFailed", sessionKey, position, e.message];
+        }
+        this.#buildMenus[sessionKey] = query;
+        this.updateFrontEndData(sessionKey, { buildMenu: query }, event);
+    }
+
+    /**
+     * Makes the army whose turn it is build a unit on a tile it owns. The new unit can't act until the next turn.
+     * Emits the events emitted by buildUnit() in `src/map/production.mjs`. If the unit couldn't be built, emits
+     * BuildUnitFailed with the client's session key, the tile's coordinate, the name of the unit's type, and the reason
+     * why.
+     * @param {String} sessionKey The session key of the client building the unit. They must control the current army.
+     * @param {import("#src/types/objectType.mjs").Coordinate} position The location of the tile to build the unit on.
+     * @param {String} type The name of the type of unit to build.
+     */
+    whenBuildUnit(sessionKey, position, type) {
+        const army = this.#turnOrder[this.#turn];
+        let reason;
+        if (!this.#map) {
+            reason = "No map has been loaded";
+        } else if (this.#controllers[army] !== sessionKey) {
+            reason = `Units can only be built at the request of the client controlling army ${army}`;
+        }
+        let unitID;
+        if (!reason) {
+            try {
+                unitID = buildUnit(this.#map, this.#resolver, this, army, position, type);
+            } catch (e) {
+                reason = e.message;
+            }
+        }
+        if (reason) {
+            this.log("warn", "Couldn't build unit for client:", sessionKey, position, type, reason);
+            this.event("BuildUnitFailed", sessionKey, position, type, reason);
+            return;
+        }
+        this.#exhaustedUnits.add(unitID);
+        this.updateFrontEndDataForEveryone({ exhaustedUnits: [...this.#exhaustedUnits] });
+    }
+
+    // MARK: Private
+
+    /**
+     * Moves on to the next army in the turn order, starting a new day if every army has taken its turn, and runs the
+     * turn phases for that army. A phase that throws is logged and skipped.
+     */
+    #startNextTurn() {
+        if (!this.#map || this.#turnOrder.length == 0) {
+            return;
+        }
+        if (++this.#turn >= this.#turnOrder.length) {
+            this.#turn = 0;
+            ++this.#day;
+            this.updateFrontEndDataForEveryone({ day: this.#day }, ["DayStarted", this.#day]);
+        }
+        this.#exhaustedUnits.clear();
+        this.updateFrontEndDataForEveryone({ exhaustedUnits: [] });
+        const turn = { army: this.#turnOrder[this.#turn], day: this.#day, weathers: this.#weathers };
+        for (const phase of this.#phases) {
+            try {
+                phase.run(this.#map, this.#resolver, this, turn);
+            } catch (e) {
+                this.log("error", "Turn phase failed:", phase.name, turn, e);
+            }
+        }
+        this.updateFrontEndDataForEveryone({ currentArmy: turn.army }, ["TurnStarted", turn.army, turn.day]);
+    }
+
+    /**
+     * Lists the armies that are controlled by clients.
+     * @param {String | undefined} sessionKey If given, only the armies controlled by this client are listed.
+     * @returns {Array<import("#src/map/map.mjs").ArmyID>} The IDs of the controlled armies, in turn order.
+     */
+    #controlledArmies(sessionKey = undefined) {
+        return this.#turnOrder.filter(
+            army =>
+                this.#controllers.hasOwnProperty(army) &&
+                (sessionKey === undefined || this.#controllers[army] === sessionKey)
+        );
+    }
+
+    /**
+     * Works out why a client can't make a unit act, if they can't.
+     * A unit can only act during its army's turn, at the request of the client controlling its army, and only if it
+     * hasn't acted or been built this turn.
+     * @param {String} sessionKey The session key of the client making the unit act.
+     * @param {import("#src/map/map.mjs").UnitID} unitID The ID of the unit, as given by the client.
+     * @param {String} action What the unit would do, e.g. "capture".
+     * @returns {String | undefined} The reason why the unit can't act, or undefined if it can.
+     */
+    #whyUnitCantAct(sessionKey, unitID, action) {
+        const army = this.#turnOrder[this.#turn];
+        if (!this.#map) {
+            return "No map has been loaded";
+        } else if (!Number.isInteger(unitID)) {
+            return `Unit ID ${JSON.stringify(unitID)} must be an integer`;
+        } else if (!this.#map.hasUnit(unitID)) {
+            return `Unit ${unitID} does not exist`;
+        } else if (this.#map.getUnit(unitID).owner !== army) {
+            return `Unit ${unitID} can only ${action} during its own army's turn`;
+        } else if (this.#controllers[army] !== sessionKey) {
+            return `Unit ${unitID} can only ${action} at the request of the client controlling army ${army}`;
+        } else if (this.#exhaustedUnits.has(unitID)) {
+            return `Unit ${unitID} can't act again until the next turn`;
+        }
+        return undefined;
+    }
+
+    /**
+     * Forgets a unit's capture in progress, and publishes the change.
+     * @param {import("#src/map/map.mjs").UnitID} unitID The ID of the unit.
+     */
+    #forgetCapture(unitID) {
+        delete this.#captures[unitID];
+        this.updateFrontEndDataForEveryone({ captures: this.#captureList() });
+    }
+
+    /**
+     * Lists the captures in progress.
+     * @returns {Array<Object>} The ID of each unit capturing (`unit`), the tile it is capturing (`position`), and the
+     *          tile's capture points left (`capturePoints`), in the order of the units' IDs.
+     */
+    #captureList() {
+        return Object.entries(this.#captures).map(([unitID, progress]) => ({
+            unit: Number(unitID),
+            position: progress.position,
+            capturePoints: progress.capturePoints,
+        }));
+    }
+
+    /**
+     * The phases to run at the start of each turn.
+     * @type {Array<import("#src/map/turns.mjs").TurnPhase>}
+     */
+    #phases = defaultTurnPhases;
+
+    /**
+     * The most recently loaded map, or null if no map has been loaded, or if its turn order couldn't be worked out.
+     * @type {import("#src/map/map.mjs").default | null}
+     */
+    #map = null;
+
+    /**
+     * Resolves object types within the context of the most recently loaded map.
+     * @type {import("#src/map/objectTypeResolver.mjs").default | null}
+     */
+    #resolver = null;
+
+    /**
+     * The weathers the most recently loaded map had when it was loaded.
+     * @type {Array<String>}
+     */
+    #weathers = [];
+
+    /**
+     * The IDs of the map's armies, in the order they take their turns in.
+     * @type {Array<import("#src/map/map.mjs").ArmyID>}
+     */
+    #turnOrder = [];
+
+    /**
+     * The index into the turn order of the army whose turn it is.
+     * @type {Number}
+     */
+    #turn = 0;
+
+    /**
+     * The current day, starting at 1. 0 if no map has been loaded.
+     * @type {Number}
+     */
+    #day = 0;
+
+    /**
+     * The session key of the client controlling each army, keyed on army ID.
+     * @type {Object<import("#src/map/map.mjs").ArmyID, String>}
+     */
+    #controllers = {};
+
+    /**
+     * The captures in progress on the map, keyed on the ID of the unit capturing. Each records the tile being captured
+     * (`position`) and its capture points left (`capturePoints`).
+     * @type {Object<import("#src/map/map.mjs").UnitID, Object>}
+     */
+    #captures = {};
+
+    /**
+     * The IDs of the units that can't act again until the next turn, either because they already have, or because they
+     * were only just built.
+     * @type {Set<import("#src/map/map.mjs").UnitID>}
+     */
+    #exhaustedUnits = new Set();
+
+    /**
+     * The build menu each client most recently asked for, keyed on session key.
+     * @type {Object<String, BuildMenuQuery>}
+     */
+    #buildMenus = {};
+}
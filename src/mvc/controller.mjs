@@ -104,6 +104,7 @@ export default class Controller {
 
     /**
      * Used by models to emit events to the rest of the system.
+     * Views also emit ClientDisconnected with their session key whenever their client's web socket connection closes.
      * @param {String} name The name of the event. Must be in PascalCase.
      * @param {...any} data The data to attach to the event.
      */
@@ -194,7 +195,7 @@ export default class Controller {
             this.#logger.log("error", "Can't add model with invalid model type:", modelDefinition);
             return;
         }
-        if (!modelDefinition.model.prototype instanceof Model) {
+        if (!(modelDefinition.model.prototype instanceof Model)) {
             this.#logger.log("error", "Can't add model that doesn't inherit from Model:", modelDefinition);
             return;
         }
@@ -83,6 +83,7 @@ export default class View {
         this.#ws.on("close", () => {
             this.#logger.log("info", "Client has disconnected");
             this.#closed = true;
+            this.#controller.event("ClientDisconnected", this.sessionKey);
         });
         // Apply any queued session data updates, but don't publish them. Instead, we publish the entirety of the
         // session data with the verification message.
@@ -5,6 +5,45 @@
 
 import ObjectType from "#src/types/objectType.mjs";
 
+/**
+ * @typedef {Object} Modifier
+ * Changes a numeric field of the object types that a commander's army uses.
+ * @property {String} category The category of object type to change, as named in overrides() functions, e.g. "Unit".
+ * @property {String} field The path to the field to change, e.g. "movementPoints" or "range.max". If the field holds an
+ *           object or an array, every number within it is changed, e.g. each entry of a weapon's `damage`.
+ * @property {Number} [multiply=1] The field is multiplied by this amount.
+ * @property {Number} [add=0] This amount is added to the field after it has been multiplied.
+ * @property {Object<String, Array<String>>} [where={}] Only changes object types whose context lists at least one of
+ *           the given names under each of the given categories, e.g. `{ movements: ["Air"] }`.
+ * @property {Object<String, Array<String>>} [unless={}] Never changes object types whose context lists any of the given
+ *           names under any of the given categories.
+ */
+
+/**
+ * @typedef {Object} PowerEffects
+ * The one-off changes a power makes to the map at the moment it is activated.
+ * @property {Number} [heal=0] The HP restored to each of the army's units. Units can't be healed past their maximum HP.
+ * @property {Number} [damage=0] The HP removed from each enemy unit. Units are always left with at least 1 HP.
+ * @property {String} [weather] The name of the weather type to change the map's weather to, if any.
+ * @property {Number} [funds=1] The army's funds are multiplied by this amount.
+ * @property {Object<String, Array<String>>} [where={}] Only heals or damages units whose context lists at least one of
+ *           the given names under each of the given categories, e.g. `{ terrains: ["Property"] }`.
+ * @property {Object<String, Array<String>>} [unless={}] Never heals or damages units whose context lists any of the
+ *           given names under any of the given categories.
+ */
+
+/**
+ * @typedef {Object} Power
+ * A CO Power or Super CO Power that a commander can activate once their army's power meter is charged enough.
+ * @property {Number} stars How many stars of the power meter need to be charged to activate the power.
+ * @property {import("#src/types/objectType.mjs").LanguageKey} longName The power's name.
+ * @property {import("#src/types/objectType.mjs").LanguageKey} description A description of what the power does.
+ * @property {Array<Modifier>} modifiers The modifiers that apply on top of the commander's day-to-day modifiers for as
+ *           long as the power is active. They are worked out once, when the power is activated, so they don't change
+ *           whilst it's active even if they depend on the map, e.g. on the army's funds.
+ * @property {PowerEffects} effects What the power does as soon as it is activated.
+ */
+
 /**
  * A commander represents a playable character that controls an army (in Advance Wars these are called COs).
  * @interface
@@ -47,4 +86,39 @@ export default class CommanderType extends ObjectType {
      * @abstract
      */
     theme(context) {}
+
+    /**
+     * Computes the size of the commander's power meter.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the commander is being accessed within.
+     * @returns {Number} The number of stars in the power meter. This is usually the cost of the commander's Super CO
+     *          Power.
+     * @abstract
+     */
+    powerMeter(context) {}
+
+    /**
+     * Computes the commander's CO Power.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the commander is being accessed within.
+     * @returns {Power | null} The commander's CO Power, or null if they don't have one.
+     * @abstract
+     */
+    power(context) {}
+
+    /**
+     * Computes the commander's Super CO Power.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the commander is being accessed within.
+     * @returns {Power | null} The commander's Super CO Power, or null if they don't have one.
+     * @abstract
+     */
+    superPower(context) {}
+
+    /**
+     * Computes the commander's day-to-day modifiers, which apply to the army they lead whether or not a power is
+     * active.
+     * Only the primary commander's modifiers are applied.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the commander is being accessed within.
+     * @returns {Array<Modifier>} The commander's day-to-day modifiers.
+     * @abstract
+     */
+    modifiers(context) {}
 }
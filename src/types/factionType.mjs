@@ -35,4 +35,14 @@ export default class FactionType extends ObjectType {
      * @abstract
      */
     defaultTurnOrder(context) {}
+
+    /**
+     * Computes the most units an army playing as the faction can have on the map at once. Armies can't build any more
+     * units once they reach this cap.
+     * A map can set its own unit cap, which every army on it uses instead (see `MapData.unitCap`).
+     * @param {import("#src/types/objectType.mjs").Context} context The context the faction is being accessed within.
+     * @returns {Number} The faction's unit cap.
+     * @abstract
+     */
+    unitCap(context) {}
 }
@@ -24,14 +24,13 @@
  * @property {Array<String>} terrains The name/s of the terrain/s that are in some way tied to the property request.
  * @property {Array<String>} units The name/s of the unit type/s that are in some way tied to the property request.
  * @property {Array<String>} weapons The name/s of the weapon/s that are in some way tied to the property request.
- * TODO: These types needs to be defined properly.
- * @property {import("#src/map/map.mjs").Map | undefined} map The map, if any, that the object type is within.
- * @property {UnitID | undefined} unit An identifier for a unit, if any, that is in some way tied to the property
- *           request.
+ * @property {import("#src/map/map.mjs").default | undefined} map The map, if any, that the object type is within.
+ * @property {import("#src/map/map.mjs").UnitID | undefined} unit An identifier for a unit, if any, that is in some way
+ *           tied to the property request.
  * @property {Coordinate | undefined} tile The coordinates of a tile, if any, that is in some way tied to the property
  *           request.
- * @property {ArmyID | undefined} army An identifier for an army, if any, that is in some way tied to the property
- *           request.
+ * @property {import("#src/map/map.mjs").ArmyID | undefined} army An identifier for an army, if any, that is in some
+ *           way tied to the property request.
  */
 
 /**
@@ -32,6 +32,23 @@ import ObjectType from "#src/types/objectType.mjs";
  * @property {import("#src/types/objectType.mjs").Sprite} icon The icon of the structure when it is destroyed.
  */
 
+/**
+ * @typedef {Object} StructureAttack
+ * Describes how a structure fires. Units that lie within the structure's area and that are picked out by its targets
+ * lose the given amount of HP each time it fires.
+ * @property {String} trigger When the structure fires: "turn" if it fires by itself at the start of each of its owner's
+ *           turns, or "unit" if it only fires when a unit launches it at a tile of its choosing, after which the
+ *           structure is destroyed.
+ * @property {String} targets Which units can be hit: "enemies", "allies", or "everyone".
+ * @property {String} aim Which of those units are hit: "all" of them, or only the "strongest" one, i.e. the one whose
+ *           loss would cost its owner the most funds.
+ * @property {Number} damage The internal HP that each unit hit loses. Structures with a negative damage heal the units
+ *           they hit instead.
+ * @property {Array<import("#src/types/objectType.mjs").Coordinate>} area The offsets of the tiles that are fired upon.
+ *           They are relative to the structure's root tile if it fires by itself, or to the tile it is launched at if
+ *           it is launched by a unit. Offsets that lie outside of the map are ignored.
+ */
+
 /**
  * A structure is a group of tiles, made up of a root tile and zero or more dependent tiles.
  * @interface
@@ -47,6 +64,8 @@ export default class StructureType extends ObjectType {
 
     /**
      * Computes the properties of the structure's root tile.
+     * Since this field stores the names of other object types, it is always read with an empty context when
+     * structures are placed on, destroyed, or deleted from a map.
      * @param {import("#src/types/objectType.mjs").Context} context The context the structure is being accessed within.
      * @returns {RootTile} The configuration of the structure's root tile.
      * @abstract
@@ -55,6 +74,8 @@ export default class StructureType extends ObjectType {
 
     /**
      * Computes the properties of the structure's dependent tiles.
+     * Since this field stores the names of other object types, it is always read with an empty context when
+     * structures are placed on, destroyed, or deleted from a map.
      * @param {import("#src/types/objectType.mjs").Context} context The context the structure is being accessed within.
      * @returns {Array<DependentTile>} The structure's dependent tiles, if any.
      * @abstract
@@ -78,4 +99,12 @@ export default class StructureType extends ObjectType {
      * @abstract
      */
     destroyed(context) {}
+
+    /**
+     * Computes how the structure fires, if it fires at all.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the structure is being accessed within.
+     * @returns {StructureAttack | null} The structure's attack, or null if it never fires.
+     * @abstract
+     */
+    attack(context) {}
 }
@@ -5,8 +5,55 @@
 
 import ObjectType from "#src/types/objectType.mjs";
 
+/**
+ * The movement cost given to movement types that can't move onto a terrain at all.
+ * Since it is greater than any number of movement points, it never has to be special-cased when adding up costs.
+ * @type {Number}
+ */
+export const impassable = Infinity;
+
 /**
  * Defines the characteristics of tile types.
  * @interface
  */
-export default class TerrainType extends ObjectType {}
+export default class TerrainType extends ObjectType {
+    /**
+     * Computes how much protection the terrain gives to the units on it.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the terrain type is being accessed
+     *        within.
+     * @returns {Number} The terrain's defense stars. Each star usually reduces the damage taken by 10% of the defending
+     *          unit's HP.
+     * @abstract
+     */
+    defense(context) {}
+
+    /**
+     * Computes how many movement points it costs each movement type to move onto the terrain.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the terrain type is being accessed
+     *        within.
+     * @returns {Object<String, Number>} The movement cost of each movement type, keyed on movement type name. Movement
+     *          types that can't move onto the terrain should be given `impassable`. Movement types that aren't listed
+     *          are treated as if they were given `impassable`.
+     * @abstract
+     */
+    movementCost(context) {}
+
+    /**
+     * Computes how many extra tiles units on the terrain can see when fog of war is in effect.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the terrain type is being accessed
+     *        within.
+     * @returns {Number} The terrain's vision bonus. 0 if the terrain doesn't change vision.
+     * @abstract
+     */
+    visionBonus(context) {}
+
+    /**
+     * Determines whether or not the terrain hides the units on it when fog of war is in effect, i.e. enemy units can't
+     * see them unless they're next to them.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the terrain type is being accessed
+     *        within.
+     * @returns {Boolean} True if the terrain hides units.
+     * @abstract
+     */
+    hidesUnits(context) {}
+}
@@ -5,6 +5,14 @@
 
 import ObjectType from "#src/types/objectType.mjs";
 
+/**
+ * @typedef {Object} Repairs
+ * Describes which units a tile repairs and resupplies at the start of its owner's turn. A unit is repaired if either
+ * its unit type or its movement type is listed.
+ * @property {Array<String>} movements The names of the movement types that the tile repairs.
+ * @property {Array<String>} units The names of the unit types that the tile repairs.
+ */
+
 /**
  * Defines a visual representation of a terrain on the map.
  * @interface
@@ -34,4 +42,62 @@ export default class TileType extends ObjectType {
      * @abstract
      */
     capturingSprite(context) {}
+
+    /**
+     * Computes how many capture points a unit needs to take away from the tile in order to capture it.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the tile type is being accessed within.
+     * @returns {Number} The tile's capture points. 0 if the tile can't be captured.
+     * @abstract
+     */
+    capturePoints(context) {}
+
+    /**
+     * Computes how many funds the tile gives to its owner at the start of each of their turns.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the tile type is being accessed within.
+     * @returns {Number} The tile's income.
+     * @abstract
+     */
+    income(context) {}
+
+    /**
+     * Computes which units the tile repairs.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the tile type is being accessed within.
+     * @returns {Repairs} The movement types and unit types that the tile repairs. Both lists are empty if the tile
+     *          doesn't repair any units.
+     * @abstract
+     */
+    repairs(context) {}
+
+    /**
+     * Computes which types of unit the owner of the tile can build on it.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the tile type is being accessed within.
+     * @returns {Array<String>} The names of the unit types that can be built. Empty if the tile can't build units.
+     * @abstract
+     */
+    produces(context) {}
+
+    /**
+     * Determines whether or not the tile can be owned by an army.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the tile type is being accessed within.
+     * @returns {Boolean} True if the tile can be owned.
+     * @abstract
+     */
+    canBeOwned(context) {}
+
+    /**
+     * Determines whether or not the tile is a headquarters. The army that owns a headquarters is eliminated once it is
+     * captured.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the tile type is being accessed within.
+     * @returns {Boolean} True if the tile is a headquarters.
+     * @abstract
+     */
+    isHQ(context) {}
+
+    /**
+     * Computes how much damage the tile can take before it is destroyed.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the tile type is being accessed within.
+     * @returns {Number} The tile's internal HP, which can't be higher than 100. 0 if the tile can't be attacked.
+     * @abstract
+     */
+    hp(context) {}
 }
@@ -9,4 +9,179 @@ import ObjectType from "#src/types/objectType.mjs";
  * A unit is a single entity on a map that is usually owned by a faction.
  * @interface
  */
-export default class UnitType extends ObjectType {}
+export default class UnitType extends ObjectType {
+    /**
+     * Computes the unit's icon.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the unit type is being accessed within.
+     * @returns {import("#src/types/objectType.mjs").Sprite} Identifies the unit's icon.
+     * @abstract
+     */
+    icon(context) {}
+
+    /**
+     * Computes the sprites used to draw the unit on the map, e.g. whilst it is idle and whilst it is moving.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the unit type is being accessed within.
+     * @returns {import("#src/types/objectType.mjs").SpriteSheet} Identifies the unit's sprites. How the unit is drawn
+     *          can be further changed depending on the faction that owns it.
+     * @abstract
+     */
+    sprites(context) {}
+
+    /**
+     * Computes how many funds it costs to build the unit.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the unit type is being accessed within.
+     * @returns {Number} The unit's cost.
+     * @abstract
+     */
+    cost(context) {}
+
+    /**
+     * Computes how many movement points the unit can spend each turn.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the unit type is being accessed within.
+     * @returns {Number} The unit's movement points.
+     * @abstract
+     */
+    movementPoints(context) {}
+
+    /**
+     * The name of the unit's movement type.
+     * Since this field stores the name of another object type, it is always read with an empty context.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the unit type is being accessed within.
+     * @returns {String} Identifies the unit's movement type.
+     * @abstract
+     */
+    movementType(context) {}
+
+    /**
+     * Computes how many tiles away from the unit it can see when fog of war is in effect.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the unit type is being accessed within.
+     * @returns {Number} The unit's vision range.
+     * @abstract
+     */
+    vision(context) {}
+
+    /**
+     * Computes how much fuel the unit can hold.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the unit type is being accessed within.
+     * @returns {Number} The unit's maximum fuel.
+     * @abstract
+     */
+    maxFuel(context) {}
+
+    /**
+     * Computes how much fuel the unit uses up at the start of each day, on top of the fuel it uses whilst moving.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the unit type is being accessed within.
+     * @returns {Number} The unit's daily fuel burn.
+     * @abstract
+     */
+    dailyFuelBurn(context) {}
+
+    /**
+     * Computes how much fuel the unit uses up at the start of each day whilst it is hidden or dived, instead of its
+     * daily fuel burn.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the unit type is being accessed within.
+     * @returns {Number} The unit's daily fuel burn whilst hidden or dived. Irrelevant if the unit can't hide or dive.
+     * @abstract
+     */
+    hiddenDailyFuelBurn(context) {}
+
+    /**
+     * The names of the unit's weapons, with its primary weapon listed first.
+     * Since this field stores the names of other object types, it is always read with an empty context.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the unit type is being accessed within.
+     * @returns {Array<String>} Identifies the unit's weapons. Empty if the unit can't attack.
+     * @abstract
+     */
+    weapons(context) {}
+
+    /**
+     * Computes how much ammo the unit can hold for each of its weapons.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the unit type is being accessed within.
+     * @returns {Array<Number>} The maximum ammo of each weapon, in the same order as `weapons`. Weapons that don't use
+     *          up ammo should be given 0.
+     * @abstract
+     */
+    maxAmmo(context) {}
+
+    /**
+     * Computes the unit's maximum internal HP.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the unit type is being accessed within.
+     * @returns {Number} The unit's maximum HP, which can't be higher than 100.
+     * @abstract
+     */
+    maxHP(context) {}
+
+    /**
+     * Computes how many units this unit can carry at once.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the unit type is being accessed within.
+     * @returns {Number} The unit's transport capacity. 0 if the unit can't carry other units.
+     * @abstract
+     */
+    transportCapacity(context) {}
+
+    /**
+     * Computes which types of unit this unit can carry.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the unit type is being accessed within.
+     * @returns {Array<String>} The names of the unit types that this unit can carry.
+     * @abstract
+     */
+    cargo(context) {}
+
+    /**
+     * Determines whether or not the unit can capture properties.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the unit type is being accessed within.
+     * @returns {Boolean} True if the unit can capture properties.
+     * @abstract
+     */
+    canCapture(context) {}
+
+    /**
+     * Determines whether or not the unit can hide, which stops enemy units from seeing it unless they're next to it.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the unit type is being accessed within.
+     * @returns {Boolean} True if the unit can hide.
+     * @abstract
+     */
+    canHide(context) {}
+
+    /**
+     * Determines whether or not the unit can dive, which stops enemy units from seeing it unless they're next to it,
+     * and stops most units from being able to attack it.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the unit type is being accessed within.
+     * @returns {Boolean} True if the unit can dive.
+     * @abstract
+     */
+    canDive(context) {}
+
+    /**
+     * Computes how hard the unit hits when it attacks.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the unit type is being accessed within.
+     * @returns {Number} The unit's firepower, as a percentage of its weapons' base damage. Usually 100.
+     * @abstract
+     */
+    firepower(context) {}
+
+    /**
+     * Computes how well the unit holds up when it is attacked.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the unit type is being accessed within.
+     * @returns {Number} The unit's defense, as a percentage. Usually 100. Units with higher defense take less damage.
+     * @abstract
+     */
+    defense(context) {}
+
+    /**
+     * Computes how much extra damage luck can add to the unit's attacks.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the unit type is being accessed within.
+     * @returns {Number} The most extra damage luck can add to each attack, as a percentage of a unit with full HP.
+     * @abstract
+     */
+    luck(context) {}
+
+    /**
+     * Computes how much damage bad luck can take away from the unit's attacks.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the unit type is being accessed within.
+     * @returns {Number} The most damage bad luck can take away from each attack, as a percentage of a unit with full
+     *          HP. 0 if the unit is never unlucky.
+     * @abstract
+     */
+    badLuck(context) {}
+}
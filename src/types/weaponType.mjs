@@ -5,9 +5,56 @@
 
 import ObjectType from "#src/types/objectType.mjs";
 
+/**
+ * @typedef {Object} Range
+ * @property {Number} min The fewest tiles away from the attacker that a target can be.
+ * @property {Number} max The most tiles away from the attacker that a target can be.
+ */
+
 /**
  * Units may wield at least one type of weapon; this base class defines the properties that weapons are required to
  * provide.
  * @interface
  */
-export default class WeaponType extends ObjectType {}
+export default class WeaponType extends ObjectType {
+    /**
+     * Computes the base damage that the weapon deals to each type of unit.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the weapon is being accessed within.
+     * @returns {Object<String, Number>} The base damage dealt to each type of unit, as a percentage of a unit with
+     *          full HP, keyed on unit type name. The weapon can't attack unit types that aren't listed.
+     * @abstract
+     */
+    damage(context) {}
+
+    /**
+     * Computes how close to and how far away from the attacker a target can be.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the weapon is being accessed within.
+     * @returns {Range} The weapon's range, in tiles.
+     * @abstract
+     */
+    range(context) {}
+
+    /**
+     * Computes how much ammo the weapon uses up each time it attacks.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the weapon is being accessed within.
+     * @returns {Number} The ammo used per attack. 0 if the weapon never runs out of ammo.
+     * @abstract
+     */
+    ammoPerAttack(context) {}
+
+    /**
+     * Determines whether or not the weapon can be used to counterattack.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the weapon is being accessed within.
+     * @returns {Boolean} True if the weapon can counterattack.
+     * @abstract
+     */
+    canCounterattack(context) {}
+
+    /**
+     * Determines whether or not the weapon can be used after the unit wielding it has moved during the same turn.
+     * @param {import("#src/types/objectType.mjs").Context} context The context the weapon is being accessed within.
+     * @returns {Boolean} True if the weapon can fire after moving.
+     * @abstract
+     */
+    canFireAfterMoving(context) {}
+}
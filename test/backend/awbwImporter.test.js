@@ -0,0 +1,85 @@
+import { AwbwImportError, importAwbwMap } from "#src/map/awbwImporter.mjs";
+import UnitType from "#src/types/unitType.mjs";
+
+import { awbwMapping } from "../../default-map-pack/exports.mjs";
+
+test("AWBW terrain, owners and units are translated", () => {
+    const objectTypes = {
+        units: {
+            Infantry: class extends UnitType {
+                maxFuel(context) {
+                    return 99;
+                }
+                maxAmmo(context) {
+                    return [0];
+                }
+            },
+        },
+    };
+    const text = "1,2,3\r\n28,47,4\r\n42,34,15\r\n\r\n1,0,0,1\n2,1,0,2\n";
+    expect(importAwbwMap(text, awbwMapping, "Imported", objectTypes)).toEqual({
+        name: "Imported",
+        author: "",
+        description: "",
+        width: 3,
+        height: 3,
+        environment: "NormalEnvironment",
+        weathers: ["ClearWeather"],
+        armies: [
+            { faction: "OrangeStar", team: 0, funds: 0, commanders: [] },
+            { faction: "BlueMoon", team: 1, funds: 0, commanders: [] },
+        ],
+        tiles: [
+            [
+                { type: "Plains", owner: undefined },
+                { type: "Mountain", owner: undefined },
+                { type: "Woods", owner: undefined },
+            ],
+            [
+                { type: "Sea", owner: undefined },
+                { type: "HQ", owner: 1 },
+                { type: "RiverEW", owner: undefined },
+            ],
+            [
+                { type: "HQ", owner: 0 },
+                { type: "City", owner: undefined },
+                { type: "RoadEW", owner: undefined },
+            ],
+        ],
+        structures: [],
+        units: [
+            { type: "Infantry", position: { x: 0, y: 0 }, owner: 0, hp: 100, fuel: 99, ammo: [0] },
+            { type: "Mech", position: { x: 1, y: 0 }, owner: 1, hp: 100, fuel: 0, ammo: [] },
+        ],
+        script: "",
+    });
+});
+
+test("unmapped AWBW IDs are reported", () => {
+    const text = "1,999,999\n81,1,1\n\n999,2,1,6";
+    expect(() => importAwbwMap(text, awbwMapping, "Imported")).toThrow(AwbwImportError);
+    try {
+        importAwbwMap(text, awbwMapping, "Imported");
+    } catch (e) {
+        expect(e.unmapped).toEqual([
+            {
+                table: "terrain",
+                id: 999,
+                positions: [
+                    { x: 1, y: 0 },
+                    { x: 2, y: 0 },
+                ],
+            },
+            { table: "terrain", id: 81, positions: [{ x: 0, y: 1 }] },
+            { table: "countries", id: 6, positions: [{ x: 2, y: 1 }] },
+            { table: "units", id: 999, positions: [{ x: 2, y: 1 }] },
+        ]);
+    }
+});
+
+test("malformed AWBW maps are rejected", () => {
+    expect(() => importAwbwMap("1,2\n1", awbwMapping, "Imported")).toThrow(/don't all have 2 terrain IDs/);
+    expect(() => importAwbwMap("1,Plains", awbwMapping, "Imported")).toThrow(/Line 1 contains "Plains"/);
+    expect(() => importAwbwMap("1,1\n\n1,0,0", awbwMapping, "Imported")).toThrow(/unitID,x,y,countryID/);
+    expect(() => importAwbwMap("1,1\n\n1,2,0,1", awbwMapping, "Imported")).toThrow(/out of bounds/);
+});
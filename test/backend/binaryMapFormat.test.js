@@ -0,0 +1,302 @@
+import { MapFormatError, readBinaryMap, readBinaryMapHeader, writeBinaryMap } from "#src/map/binaryMapFormat.mjs";
+
+const objectTypes = {
+    commanders: { Andy: class {} },
+    environments: { NormalEnvironment: class {} },
+    factions: { OrangeStar: class {}, BlueMoon: class {} },
+    structures: { BlackCannon: class {} },
+    tiles: { Plains: class {}, HQ: class {} },
+    units: { Infantry: class {} },
+    weathers: { ClearWeather: class {} },
+};
+
+/**
+ * Encodes a list of [type, value] pairs into a buffer.
+ * @param {...Array} fields Each field is a type ("u8", "u16", "u32", "str" or "raw") followed by its value.
+ * @returns {Buffer} The encoded fields.
+ */
+function encode(...fields) {
+    return Buffer.concat(
+        fields.map(([type, value]) => {
+            let buffer;
+            switch (type) {
+                case "u8":
+                    buffer = Buffer.alloc(1);
+                    buffer.writeUInt8(value);
+                    return buffer;
+                case "u16":
+                    buffer = Buffer.alloc(2);
+                    buffer.writeUInt16LE(value);
+                    return buffer;
+                case "u32":
+                    buffer = Buffer.alloc(4);
+                    buffer.writeUInt32LE(value);
+                    return buffer;
+                case "str":
+                    const bytes = Buffer.from(value, "utf8");
+                    return Buffer.concat([encode(["u16", bytes.length]), bytes]);
+                case "raw":
+                    return Buffer.from(value, "latin1");
+            }
+        })
+    );
+}
+
+/**
+ * Encodes a valid version 1 2x1 map with two armies, an owned HQ and a unit.
+ * @param {Object} overrides Replaces any of the map's sections with the given fields.
+ * @returns {Buffer} The encoded map.
+ */
+function validMap(overrides = {}) {
+    const sections = {
+        header: [
+            ["raw", "WWMP"],
+            ["u16", 1],
+            ["u16", 2],
+            ["u16", 1],
+            ["str", "Test Map"],
+        ],
+        strings: [
+            ["u16", 8],
+            ["str", "NormalEnvironment"],
+            ["str", "ClearWeather"],
+            ["str", "OrangeStar"],
+            ["str", "BlueMoon"],
+            ["str", "Andy"],
+            ["str", "Plains"],
+            ["str", "HQ"],
+            ["str", "Infantry"],
+        ],
+        environment: [
+            ["u16", 0],
+            ["u8", 1],
+            ["u16", 1],
+        ],
+        armies: [
+            ["u8", 2],
+            ["u16", 2],
+            ["u8", 0],
+            ["u32", 1000],
+            ["u8", 1],
+            ["u16", 4],
+            ["u16", 3],
+            ["u8", 1],
+            ["u32", 0],
+            ["u8", 0],
+        ],
+        unitCap: [],
+        tiles: [
+            ["u16", 5],
+            ["u8", 255],
+            ["u16", 6],
+            ["u8", 1],
+        ],
+        structures: [["u16", 0]],
+        units: [
+            ["u16", 1],
+            ["u16", 7],
+            ["u16", 0],
+            ["u16", 0],
+            ["u8", 0],
+            ["u8", 100],
+            ["u16", 99],
+            ["u8", 0],
+        ],
+        ...overrides,
+    };
+    return encode(...Object.values(sections).flat());
+}
+
+test("reading a valid binary map", () => {
+    const map = readBinaryMap(validMap(), objectTypes);
+    expect(map.name).toBe("Test Map");
+    expect(map.width).toBe(2);
+    expect(map.height).toBe(1);
+    expect(map.environment).toBe("NormalEnvironment");
+    expect(map.weathers).toEqual(["ClearWeather"]);
+    expect(map.armies).toEqual([
+        { faction: "OrangeStar", team: 0, funds: 1000, commanders: ["Andy"] },
+        { faction: "BlueMoon", team: 1, funds: 0, commanders: [] },
+    ]);
+    expect(map.tiles).toEqual([
+        [
+            { type: "Plains", owner: undefined },
+            { type: "HQ", owner: 1 },
+        ],
+    ]);
+    expect(map.structures).toEqual([]);
+    expect(map.units).toEqual([{ type: "Infantry", position: { x: 0, y: 0 }, owner: 0, hp: 100, fuel: 99, ammo: [] }]);
+    expect(map.author).toBe("");
+    expect(map.description).toBe("");
+    expect(map.script).toBe("");
+});
+
+test("reading a version 3 binary map's header", () => {
+    const header = [
+        ["raw", "WWMP"],
+        ["u16", 3],
+        ["u16", 2],
+        ["u16", 1],
+        ["str", "Test Map"],
+        ["str", "Me"],
+        ["str", "A map for testing."],
+    ];
+    const buffer = validMap({ header: header, script: [["u32", 0]] });
+    const expectedHeader = {
+        version: 3,
+        name: "Test Map",
+        author: "Me",
+        description: "A map for testing.",
+        width: 2,
+        height: 1,
+        environment: "NormalEnvironment",
+        weathers: ["ClearWeather"],
+        armyCount: 2,
+    };
+    expect(readBinaryMapHeader(buffer)).toEqual(expectedHeader);
+    // The header can still be read if the rest of the file is truncated.
+    const headerLength = validMap({ header: header, armies: [["u8", 2]], tiles: [], structures: [], units: [] }).length;
+    expect(readBinaryMapHeader(buffer.subarray(0, headerLength))).toEqual(expectedHeader);
+    expect(() => readBinaryMapHeader(buffer.subarray(0, headerLength - 1))).toThrow(/army count/);
+    expect(() => readBinaryMap(buffer.subarray(0, headerLength), objectTypes)).toThrow(MapFormatError);
+    const map = readBinaryMap(buffer, objectTypes);
+    expect(map.author).toBe("Me");
+    expect(map.description).toBe("A map for testing.");
+    expect(readBinaryMap(writeBinaryMap(map), objectTypes)).toEqual(map);
+});
+
+test("reading a version 2 binary map with an embedded script", () => {
+    const script = "export function override() {} // ✓";
+    const map = readBinaryMap(
+        validMap({
+            header: [
+                ["raw", "WWMP"],
+                ["u16", 2],
+                ["u16", 2],
+                ["u16", 1],
+                ["str", "Test Map"],
+            ],
+            script: [
+                ["u32", Buffer.byteLength(script)],
+                ["raw", Buffer.from(script).toString("latin1")],
+            ],
+        }),
+        objectTypes
+    );
+    expect(map.script).toBe(script);
+    expect(readBinaryMap(writeBinaryMap(map), objectTypes)).toEqual(map);
+});
+
+test("malformed binary maps report the reason and offset", () => {
+    const expectFailure = (buffer, reason, offset) => {
+        try {
+            readBinaryMap(buffer, objectTypes);
+        } catch (e) {
+            expect(e).toBeInstanceOf(MapFormatError);
+            expect(e.reason).toMatch(reason);
+            expect(e.offset).toBe(offset);
+            return;
+        }
+        throw new Error("Expected the map to fail to load");
+    };
+    expectFailure(Buffer.alloc(0), /^Unexpected end of file whilst reading magic bytes/, 0);
+    expectFailure(encode(["raw", "WWMQ"]), /^Expected magic bytes/, 0);
+    expectFailure(encode(["raw", "WWMP"], ["u16", 5]), /^Unsupported format version 5/, 4);
+    expectFailure(encode(["raw", "WWMP"], ["u16", 0]), /^Unsupported format version 0/, 4);
+    expectFailure(encode(["raw", "WWMP"], ["u16", 1], ["u16", 0]), /^The width must not be 0/, 6);
+    // Header is 4 + 2 + 2 + 2 + (2 + 8) = 20 bytes long.
+    expectFailure(validMap().subarray(0, 30), /^Unexpected end of file whilst reading string table entry 0:/, 24);
+    const environmentOffset = validMap({ environment: [], armies: [], tiles: [], structures: [], units: [] }).length;
+    expectFailure(
+        validMap({ environment: [["u16", 8]] }),
+        /^String table index 8 of the environment/,
+        environmentOffset
+    );
+    expectFailure(
+        validMap({ environment: [["u16", 1]] }),
+        /^Unknown environments type "ClearWeather"/,
+        environmentOffset
+    );
+    const tilesOffset = validMap({ tiles: [], structures: [], units: [] }).length;
+    expectFailure(
+        validMap({
+            tiles: [
+                ["u16", 5],
+                ["u8", 2],
+            ],
+        }),
+        /^Army index 2 of the tile at \(0, 0\)'s owner is out of range/,
+        tilesOffset + 2
+    );
+    expectFailure(
+        validMap().subarray(0, tilesOffset + 2),
+        /^Unexpected end of file.*the tile at \(0, 0\)'s owner/,
+        tilesOffset + 2
+    );
+    const unitsOffset = validMap({ units: [] }).length;
+    expectFailure(
+        validMap({
+            units: [
+                ["u16", 1],
+                ["u16", 7],
+                ["u16", 2],
+                ["u16", 0],
+            ],
+        }),
+        /^The position \(2, 0\) of unit 0 is outside of the map's bounds/,
+        unitsOffset + 4
+    );
+    expectFailure(
+        validMap({
+            units: [
+                ["u16", 1],
+                ["u16", 7],
+                ["u16", 0],
+                ["u16", 0],
+                ["u8", 0],
+                ["u8", 0],
+            ],
+        }),
+        /^The HP of unit 0 must be between 1 and 100/,
+        unitsOffset + 9
+    );
+    expectFailure(Buffer.concat([validMap(), Buffer.alloc(3)]), /^Found 3 unexpected bytes/, validMap().length);
+});
+
+test("reading a version 4 binary map's unit cap", () => {
+    const header = [
+        ["raw", "WWMP"],
+        ["u16", 4],
+        ["u16", 2],
+        ["u16", 1],
+        ["str", "Test Map"],
+        ["str", ""],
+        ["str", ""],
+    ];
+    const map = readBinaryMap(validMap({ header: header, unitCap: [["u16", 3]], script: [["u32", 0]] }), objectTypes);
+    expect(map.unitCap).toBe(3);
+    expect(readBinaryMap(writeBinaryMap(map), objectTypes)).toEqual(map);
+    expect(readBinaryMap(validMap({ header: header, unitCap: [["u16", 0]], script: [["u32", 0]] })).unitCap).toBe(
+        undefined
+    );
+    expect(readBinaryMap(validMap()).unitCap).toBe(undefined);
+    expect(() => writeBinaryMap({ ...map, unitCap: 0 })).toThrow(/The unit cap must not be 0/);
+    expect(() => writeBinaryMap({ ...map, unitCap: 0x10000 })).toThrow(/unit cap must be an integer/);
+});
+
+test("binary maps survive a load, save and load round trip", () => {
+    const map = readBinaryMap(validMap(), objectTypes);
+    const saved = writeBinaryMap(map);
+    const reloaded = readBinaryMap(saved, objectTypes);
+    expect(reloaded).toEqual(map);
+    expect(writeBinaryMap(reloaded)).toEqual(saved);
+});
+
+test("maps that can't be stored in the binary format are rejected", () => {
+    const map = readBinaryMap(validMap(), objectTypes);
+    map.units[0].hp = 256;
+    expect(() => writeBinaryMap(map)).toThrow(MapFormatError);
+    map.units[0].hp = 100;
+    map.armies[0].funds = -1;
+    expect(() => writeBinaryMap(map)).toThrow(/army 0's funds must be an integer between 0 and 4294967295/);
+});
@@ -0,0 +1,96 @@
+import { capture, eliminateArmy } from "#src/map/capture.mjs";
+
+import { createTestMap } from "./helpers.mjs";
+
+/**
+ * Creates a single row of tiles: a City and an HQ owned by the second army, Plains, a City owned by the third army, and
+ * a City owned by the first army. The first and third armies are allies.
+ * @param {Array<import("#src/map/map.mjs").UnitData>} units The units on the map. Units are owned by the first army,
+ *        and have full HP, fuel and ammo, unless they say otherwise.
+ * @returns {Object} The map, a resolver for it, an emitter, and a list of the events both have emitted so far.
+ */
+function createMap(units) {
+    return createTestMap(
+        [
+            [
+                { type: "City", owner: 1 },
+                { type: "HQ", owner: 1 },
+                "Plains",
+                { type: "City", owner: 2 },
+                { type: "City", owner: 0 },
+            ],
+        ],
+        [
+            { faction: "OrangeStar", team: 0 },
+            { faction: "BlueMoon", team: 1 },
+            { faction: "GreenEarth", team: 0 },
+        ],
+        units
+    );
+}
+
+test("units take away as many capture points as they have visible HP, and capture the tile once there are none left", () => {
+    const { map, resolver, emitter, events } = createMap([
+        { type: "Infantry", position: { x: 0, y: 0 } },
+        { type: "Mech", position: { x: 0, y: 0 }, hp: 45 },
+    ]);
+    expect(capture(map, resolver, emitter, 1)).toBe(15);
+    expect(capture(map, resolver, emitter, 0)).toBe(10);
+    expect(map.getTile({ x: 0, y: 0 }).owner).toBe(1);
+    expect(capture(map, resolver, emitter, 0, 10)).toBe(0);
+    expect(map.getTile({ x: 0, y: 0 }).owner).toBe(0);
+    expect(events).toEqual([
+        ["CaptureProgressed", 1, { x: 0, y: 0 }, 15, 20],
+        ["CaptureProgressed", 0, { x: 0, y: 0 }, 10, 20],
+        ["CaptureProgressed", 0, { x: 0, y: 0 }, 0, 10],
+        ["TileOwnerChanged", { x: 0, y: 0 }, 0, 1],
+        ["PropertyCaptured", { x: 0, y: 0 }, 0, 1, 0],
+    ]);
+});
+
+test("units can only capture enemy and unowned properties", () => {
+    const { map, resolver, emitter, events } = createMap([
+        { type: "Tank", position: { x: 0, y: 0 }, ammo: [9, 0] },
+        { type: "Infantry", position: { x: 2, y: 0 } },
+        { type: "Infantry", position: { x: 3, y: 0 } },
+        { type: "Infantry", position: { x: 4, y: 0 } },
+        { type: "Infantry", position: { x: 0, y: 0 }, owner: undefined },
+    ]);
+    expect(() => capture(map, resolver, emitter, 0)).toThrow("Unit 0 can't capture");
+    expect(() => capture(map, resolver, emitter, 1)).toThrow("Tile (2, 0) can't be captured");
+    expect(() => capture(map, resolver, emitter, 2)).toThrow(
+        "Unit 2 can't capture tile (3, 0), as it is owned by its own or an allied army"
+    );
+    expect(() => capture(map, resolver, emitter, 3)).toThrow(RangeError);
+    expect(() => capture(map, resolver, emitter, 4)).toThrow("Unit 4 isn't owned by an army, so it can't capture");
+    expect(() => capture(map, resolver, emitter, 5)).toThrow(RangeError);
+    expect(events).toEqual([]);
+});
+
+test("capturing an HQ eliminates the army that owned it", () => {
+    const { map, resolver, emitter, events } = createMap([
+        { type: "Infantry", position: { x: 1, y: 0 } },
+        { type: "Infantry", position: { x: 2, y: 0 }, owner: 1 },
+        { type: "Infantry", position: { x: 3, y: 0 }, owner: 2 },
+    ]);
+    expect(capture(map, resolver, emitter, 0, 5)).toBe(0);
+    expect(map.getTile({ x: 0, y: 0 }).owner).toBe(0);
+    expect(map.getTile({ x: 1, y: 0 }).owner).toBe(0);
+    expect(map.getTile({ x: 3, y: 0 }).owner).toBe(2);
+    expect(map.hasUnit(1)).toBe(false);
+    expect(map.hasUnit(2)).toBe(true);
+    expect(events.slice(-4)).toEqual([
+        ["TileOwnerChanged", { x: 0, y: 0 }, 0, 1],
+        ["UnitRemoved", expect.objectContaining({ id: 1 })],
+        ["UnitDestroyed", expect.objectContaining({ id: 1, owner: 1 }), undefined],
+        ["ArmyEliminated", 1, 0],
+    ]);
+});
+
+test("eliminated armies can have their tiles left without an owner", () => {
+    const { map, emitter } = createMap([]);
+    eliminateArmy(map, emitter, 1, undefined);
+    expect(map.getTile({ x: 0, y: 0 }).owner).toBe(undefined);
+    expect(map.getTile({ x: 1, y: 0 }).owner).toBe(undefined);
+    expect(() => eliminateArmy(map, emitter, 3, 0)).toThrow(RangeError);
+});
@@ -0,0 +1,149 @@
+import { attack, calculateDamage, chooseWeapon, visibleHP } from "#src/map/combat.mjs";
+
+import { createTestMap, objectTypes } from "./helpers.mjs";
+
+/**
+ * Creates a single row of tiles, with two armies on opposing teams and a third allied with the first.
+ * @param {Array<String>} row The type of each tile.
+ * @param {Array<import("#src/map/map.mjs").UnitData>} units The units on the map. Units are owned by the first army,
+ *        and have full HP, fuel and ammo, unless they say otherwise.
+ * @param {Array<String>} [commanders=[]] The first army's commanders.
+ * @returns {Object} The map, a resolver for it, an emitter, and a list of the events both have emitted so far.
+ */
+function createMap(row, units, commanders = []) {
+    return createTestMap(
+        [row],
+        [
+            { faction: "OrangeStar", team: 0, commanders: commanders },
+            { faction: "BlueMoon", team: 1, commanders: ["Andy"] },
+            { faction: "GreenEarth", team: 0 },
+        ],
+        units.map(unit => ({ ammo: new objectTypes.units[unit.type]().maxAmmo(), ...unit }))
+    );
+}
+
+const unlucky = () => 0;
+
+test("visible HP is rounded up", () => {
+    expect(visibleHP(100, 100)).toBe(10);
+    expect(visibleHP(91, 100)).toBe(10);
+    expect(visibleHP(90, 100)).toBe(9);
+    expect(visibleHP(1, 100)).toBe(1);
+    expect(visibleHP(0, 100)).toBe(0);
+});
+
+test("units strike with their primary weapon if they can", () => {
+    const { map, resolver } = createMap(
+        ["Plains", "Plains", "Plains"],
+        [
+            { type: "Tank", position: { x: 0, y: 0 } },
+            { type: "Tank", position: { x: 1, y: 0 }, owner: 1 },
+            { type: "Infantry", position: { x: 2, y: 0 }, owner: 1 },
+        ]
+    );
+    expect(chooseWeapon(map, resolver, 0, 1)).toBe(0);
+    expect(chooseWeapon(map, resolver, 1, 2)).toBe(1);
+    expect(chooseWeapon(map, resolver, 0, 2)).toBe(undefined);
+    map.setUnitAmmo(0, 0, 0);
+    expect(chooseWeapon(map, resolver, 0, 1)).toBe(1);
+});
+
+test("damage is scaled by HP, terrain, luck and commanders", () => {
+    const { map, resolver } = createMap(
+        ["Plains", "Mountain", "Plains"],
+        [
+            { type: "Infantry", position: { x: 0, y: 0 } },
+            { type: "Infantry", position: { x: 1, y: 0 }, owner: 1 },
+            { type: "Infantry", position: { x: 2, y: 0 }, owner: 1 },
+        ]
+    );
+    expect(calculateDamage(map, resolver, 2, 0, 0, unlucky)).toBe(49);
+    expect(calculateDamage(map, resolver, 0, 1, 0, unlucky)).toBe(33);
+    expect(calculateDamage(map, resolver, 2, 0, 0, () => 0.99)).toBe(57);
+
+    map.setUnitHP(2, 51);
+    expect(calculateDamage(map, resolver, 2, 0, 0, unlucky)).toBe(29);
+    map.setUnitHP(0, 10);
+    expect(calculateDamage(map, resolver, 2, 0, 0, unlucky)).toBe(10);
+
+    const kanbei = createMap(
+        ["Plains", "Plains"],
+        [
+            { type: "Infantry", position: { x: 0, y: 0 } },
+            { type: "Infantry", position: { x: 1, y: 0 }, owner: 1 },
+        ],
+        ["Kanbei"]
+    );
+    expect(calculateDamage(kanbei.map, kanbei.resolver, 0, 1, 0, unlucky)).toBe(59);
+    expect(calculateDamage(kanbei.map, kanbei.resolver, 1, 0, 0, unlucky)).toBe(38);
+});
+
+test("defenders counterattack, and both sides use up ammo and charge power meters", () => {
+    const { map, resolver, emitter, events } = createMap(
+        ["Plains", "Plains"],
+        [
+            { type: "Tank", position: { x: 0, y: 0 } },
+            { type: "Tank", position: { x: 1, y: 0 }, owner: 1 },
+        ],
+        ["Andy"]
+    );
+    expect(attack(map, resolver, emitter, 0, 1, unlucky)).toEqual([
+        { attacker: 0, defender: 1, weapon: "TankCannon", hpLost: 49, destroyed: false, counterattack: false },
+        { attacker: 1, defender: 0, weapon: "TankCannon", hpLost: 29, destroyed: false, counterattack: true },
+    ]);
+    expect(map.getUnit(0)).toMatchObject({ hp: 71, ammo: [8, 0] });
+    expect(map.getUnit(1)).toMatchObject({ hp: 51, ammo: [8, 0] });
+    expect(events.filter(event => event[0] === "UnitAttacked")).toEqual([
+        ["UnitAttacked", 0, 1, "TankCannon", 49, false],
+        ["UnitAttacked", 1, 0, "TankCannon", 29, true],
+    ]);
+    // Tanks cost 7000, so each HP is worth 70 funds.
+    expect(map.getArmy(0).powerMeter).toBe(49 * 35 + 29 * 70);
+    expect(map.getArmy(1).powerMeter).toBe(49 * 70 + 29 * 35);
+});
+
+test("indirect attacks and destroyed defenders don't draw counterattacks", () => {
+    const { map, resolver, emitter, events } = createMap(
+        ["Plains", "Plains", "Plains"],
+        [
+            { type: "Artillery", position: { x: 0, y: 0 } },
+            { type: "Infantry", position: { x: 2, y: 0 }, owner: 1, hp: 30 },
+            { type: "Infantry", position: { x: 1, y: 0 }, owner: 1 },
+        ]
+    );
+    const strikes = attack(map, resolver, emitter, 0, 1, unlucky);
+    expect(strikes).toEqual([
+        { attacker: 0, defender: 1, weapon: "ArtilleryCannon", hpLost: 30, destroyed: true, counterattack: false },
+    ]);
+    expect(map.hasUnit(1)).toBe(false);
+    expect(map.getUnit(0).ammo).toEqual([8]);
+    const destroyed = events.findIndex(event => event[0] === "UnitDestroyed");
+    expect(events[destroyed]).toEqual([
+        "UnitDestroyed",
+        expect.objectContaining({ id: 1, type: "Infantry", hp: 0 }),
+        0,
+    ]);
+    expect(events.slice(0, destroyed).map(event => event[0])).toEqual([
+        "UnitAmmoChanged",
+        "UnitHPChanged",
+        "PowerMeterChanged",
+        "UnitAttacked",
+        "UnitRemoved",
+    ]);
+
+    expect(() => attack(map, resolver, emitter, 0, 2, unlucky)).toThrow("Unit 0 has no weapon that can strike unit 2");
+    expect(() => attack(map, resolver, emitter, 2, 2, unlucky)).toThrow("Unit 2 can't attack its ally, unit 2");
+    expect(map.getUnit(2).hp).toBe(100);
+});
+
+test("units can't attack their allies", () => {
+    const { map, resolver, emitter, events } = createMap(
+        ["Plains", "Plains"],
+        [
+            { type: "Infantry", position: { x: 0, y: 0 } },
+            { type: "Infantry", position: { x: 1, y: 0 }, owner: 2 },
+        ]
+    );
+    expect(() => attack(map, resolver, emitter, 0, 1, unlucky)).toThrow(RangeError);
+    expect(events).toEqual([]);
+});
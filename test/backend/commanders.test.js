@@ -0,0 +1,175 @@
+import { activatePower, chargePowerMeters, powerMeterCapacity, starValue } from "#src/map/commanders.mjs";
+import Map from "#src/map/map.mjs";
+import ObjectTypeResolver from "#src/map/objectTypeResolver.mjs";
+import ObjectType from "#src/types/objectType.mjs";
+
+class Andy extends ObjectType {
+    powerMeter(context) {
+        return 3;
+    }
+    power(context) {
+        return { stars: 1, modifiers: [], effects: { heal: 20, damage: 30 } };
+    }
+    superPower(context) {
+        return { stars: 3, modifiers: [], effects: { weather: "SnowWeather", funds: 1.5 } };
+    }
+}
+
+class Kindle extends Andy {
+    power(context) {
+        return { stars: 1, modifiers: [], effects: { damage: 30, where: { tiles: ["City"] } } };
+    }
+}
+
+class Colin extends Andy {
+    superPower(context) {
+        const funds = context.map.getArmy(context.army).funds;
+        return { stars: 1, modifiers: [{ category: "Unit", field: "firepower", add: funds / 100 }], effects: {} };
+    }
+}
+
+class Infantry extends ObjectType {
+    cost(context) {
+        return 1000;
+    }
+    firepower(context) {
+        return 100;
+    }
+    maxHP(context) {
+        return 100;
+    }
+}
+
+const objectTypes = {
+    commanders: { Andy: Andy, Kindle: Kindle, Colin: Colin },
+    units: { Infantry: Infantry },
+    tiles: { Plains: ObjectType, City: ObjectType },
+};
+
+/**
+ * Creates a 2x1 map with three armies, the first two led by Andy, and a unit for each army.
+ * @returns {Object} The map, a resolver for it, and a list of the events it has emitted so far.
+ */
+function createMap() {
+    const events = [];
+    let resolver;
+    const map = new Map(
+        {
+            event: (name, ...data) => {
+                events.push([name, ...data]);
+                resolver.invalidate(name, ...data);
+            },
+        },
+        {
+            name: "Test Map",
+            width: 2,
+            height: 1,
+            environment: "NormalEnvironment",
+            weathers: ["ClearWeather"],
+            armies: [
+                { faction: "OrangeStar", team: 0, funds: 1000, commanders: ["Andy"] },
+                { faction: "BlueMoon", team: 1, funds: 0, commanders: ["Andy"] },
+                { faction: "GreenEarth", team: 0, funds: 0, commanders: [] },
+            ],
+            tiles: [
+                [
+                    { type: "Plains", owner: undefined },
+                    { type: "Plains", owner: undefined },
+                ],
+            ],
+            structures: [],
+            units: [
+                { type: "Infantry", position: { x: 0, y: 0 }, owner: 0, hp: 50, fuel: 99, ammo: [] },
+                { type: "Infantry", position: { x: 1, y: 0 }, owner: 1, hp: 20, fuel: 99, ammo: [] },
+                { type: "Infantry", position: { x: 1, y: 0 }, owner: 2, hp: 20, fuel: 99, ammo: [] },
+            ],
+        }
+    );
+    resolver = new ObjectTypeResolver(objectTypes, null, map);
+    return { map, resolver, events };
+}
+
+test("power meters are charged by damage dealt and taken", () => {
+    const { map, resolver } = createMap();
+    expect(powerMeterCapacity(map, resolver, 0)).toBe(3 * starValue);
+    expect(powerMeterCapacity(map, resolver, 2)).toBe(0);
+
+    chargePowerMeters(map, resolver, 1, 40, 0);
+    expect(map.getArmy(1).powerMeter).toBe(400);
+    expect(map.getArmy(0).powerMeter).toBe(200);
+
+    map.setPowerMeter(1, 3 * starValue - 100);
+    map.setActivePower(0, "power");
+    chargePowerMeters(map, resolver, 1, 40, 0);
+    expect(map.getArmy(1).powerMeter).toBe(3 * starValue);
+    expect(map.getArmy(0).powerMeter).toBe(200);
+
+    chargePowerMeters(map, resolver, 2, 10, undefined);
+    expect(map.getArmy(2).powerMeter).toBe(0);
+});
+
+test("activating a power applies its effects and empties the power meter", () => {
+    const { map, resolver, events } = createMap();
+    map.setPowerMeter(0, 2 * starValue);
+    events.length = 0;
+    activatePower(map, resolver, 0, "power");
+    expect(map.getArmy(0)).toMatchObject({ powerMeter: 0, activePower: "power" });
+    expect(map.getUnit(0).hp).toBe(70);
+    expect(map.getUnit(1).hp).toBe(1);
+    expect(map.getUnit(2).hp).toBe(20);
+    expect(events.map(event => event.at(0))).toEqual([
+        "PowerMeterChanged",
+        "ActivePowerChanged",
+        "UnitHPChanged",
+        "UnitHPChanged",
+    ]);
+
+    map.setActivePower(1, undefined);
+    map.setPowerMeter(1, 3 * starValue);
+    activatePower(map, resolver, 1, "superPower");
+    expect(map.weathers).toEqual(["SnowWeather"]);
+    expect(map.getArmy(1).funds).toBe(0);
+    expect(map.getUnit(0).hp).toBe(70);
+});
+
+test("power effects can be limited to units in certain contexts", () => {
+    const { map, resolver } = createMap();
+    map.setCommanders(0, ["Kindle"]);
+    map.setTileType({ x: 1, y: 0 }, "City");
+    map.addUnit({ type: "Infantry", position: { x: 0, y: 0 }, owner: 1, hp: 50, fuel: 99, ammo: [] });
+    map.setPowerMeter(0, starValue);
+    activatePower(map, resolver, 0, "power");
+    expect(map.getUnit(1).hp).toBe(1);
+    expect(map.getUnit(3).hp).toBe(50);
+});
+
+test("power modifiers are worked out when the power is activated", () => {
+    const { map, resolver } = createMap();
+    const firepower = () => resolver.resolve("units", "Infantry", { unit: 0 }).firepower;
+    map.setCommanders(0, ["Colin"]);
+    map.setFunds(0, 3000);
+    map.setPowerMeter(0, starValue);
+    activatePower(map, resolver, 0, "superPower");
+    expect(firepower()).toBe(130);
+    map.setFunds(0, 500);
+    expect(firepower()).toBe(130);
+    resolver.clearCache();
+    expect(firepower()).toBe(130);
+    map.setActivePower(0, undefined);
+    expect(firepower()).toBe(100);
+    map.setActivePower(0, "superPower");
+    expect(firepower()).toBe(105);
+});
+
+test("powers can't be activated without a charged meter", () => {
+    const { map, resolver } = createMap();
+    expect(() => activatePower(map, resolver, 0, "power")).toThrow(RangeError);
+    map.setPowerMeter(0, starValue);
+    expect(() => activatePower(map, resolver, 0, "superPower")).toThrow(RangeError);
+    expect(() => activatePower(map, resolver, 0, "ultraPower")).toThrow(RangeError);
+    expect(() => activatePower(map, resolver, 2, "power")).toThrow(RangeError);
+    expect(() => activatePower(map, resolver, 3, "power")).toThrow(RangeError);
+    expect(map.getArmy(0)).toMatchObject({ powerMeter: starValue, activePower: undefined });
+    activatePower(map, resolver, 0, "power");
+    expect(() => activatePower(map, resolver, 0, "power")).toThrow(RangeError);
+});
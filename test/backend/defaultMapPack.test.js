@@ -0,0 +1,159 @@
+import ObjectTypeResolver, { createContext } from "#src/map/objectTypeResolver.mjs";
+import { maxUnitHP } from "#src/map/binaryMapFormat.mjs";
+import { impassable } from "#src/types/terrainType.mjs";
+
+import * as mapPack from "../../default-map-pack/exports.mjs";
+
+const objectTypes = Object.fromEntries(
+    ["commanders", "environments", "factions", "movements", "structures", "terrains", "tiles", "units", "weapons"].map(
+        category => [category, Object.fromEntries(mapPack[category].map(type => [type.name, type]))]
+    )
+);
+const resolver = new ObjectTypeResolver(objectTypes, mapPack.overrides);
+
+test("the Dual Strike roster is complete", () => {
+    expect(Object.keys(objectTypes.units)).toHaveLength(26);
+});
+
+test.each(Object.keys(objectTypes.units))("%s is a consistent unit type", name => {
+    const unit = resolver.resolve("units", name);
+    for (const field of ["cost", "movementPoints", "vision", "maxFuel", "dailyFuelBurn", "hiddenDailyFuelBurn"]) {
+        expect(Number.isInteger(unit[field]) && unit[field] >= 0).toBe(true);
+    }
+    expect(objectTypes.movements).toHaveProperty(unit.movementType);
+    expect(unit.maxAmmo).toHaveLength(unit.weapons.length);
+    expect(unit.maxHP).toBeLessThanOrEqual(maxUnitHP);
+    expect(unit.cargo.length > 0).toBe(unit.transportCapacity > 0);
+    unit.cargo.forEach(cargo => expect(objectTypes.units).toHaveProperty(cargo));
+});
+
+test.each(Object.keys(objectTypes.units))("%s only wields weapons that exist", name => {
+    resolver.resolve("units", name).weapons.forEach(weapon => expect(objectTypes.weapons).toHaveProperty(weapon));
+});
+
+test.each(Object.keys(objectTypes.weapons))("%s is a consistent weapon type", name => {
+    const weapon = resolver.resolve("weapons", name);
+    expect(Object.keys(weapon.damage).length).toBeGreaterThan(0);
+    for (const [target, damage] of Object.entries(weapon.damage)) {
+        expect(objectTypes.units).toHaveProperty(target);
+        expect(Number.isInteger(damage) && damage > 0).toBe(true);
+    }
+    expect(1 <= weapon.range.min && weapon.range.min <= weapon.range.max).toBe(true);
+    expect(Number.isInteger(weapon.ammoPerAttack) && weapon.ammoPerAttack >= 0).toBe(true);
+    expect(weapon.canCounterattack).toBe(weapon.range.max == 1);
+    expect(weapon.canFireAfterMoving).toBe(weapon.range.max == 1);
+});
+
+test("machine guns use the damage chart of the unit wielding them", () => {
+    const machineGun = new objectTypes.weapons.MachineGun();
+    const damage = wielder => machineGun.damage({ ...createContext(), units: [wielder] });
+    expect(damage("Infantry").Infantry).toBe(55);
+    expect(damage("Neotank").Infantry).toBe(125);
+    expect(damage("BattleCopter")).toHaveProperty("TransportCopter", 95);
+    damage("Infantry").Infantry = 0;
+    expect(damage("Infantry").Infantry).toBe(55);
+});
+
+test.each(Object.keys(objectTypes.terrains))("%s is a consistent terrain type", name => {
+    const terrain = resolver.resolve("terrains", name);
+    expect(Number.isInteger(terrain.defense) && terrain.defense >= 0).toBe(true);
+    expect(Object.keys(terrain.movementCost).sort()).toEqual(Object.keys(objectTypes.movements).sort());
+    for (const cost of Object.values(terrain.movementCost)) {
+        expect(cost === impassable || (Number.isInteger(cost) && cost > 0)).toBe(true);
+    }
+    expect(Number.isInteger(terrain.visionBonus)).toBe(true);
+    expect(typeof terrain.hidesUnits).toBe("boolean");
+});
+
+test("terrain movement costs depend on the weather", () => {
+    const plains = new objectTypes.terrains.Plains();
+    const cost = weather => plains.movementCost({ ...createContext(), weathers: [weather] });
+    expect(cost("ClearWeather").Tires).toBe(2);
+    expect(cost("SnowWeather").Tires).toBe(4);
+    expect(cost("RainWeather").Tires).toBe(3);
+    expect(cost("SnowWeather").Ships).toBe(impassable);
+});
+
+test.each(Object.keys(objectTypes.tiles))("%s is a consistent tile type", name => {
+    const tile = resolver.resolve("tiles", name);
+    expect(objectTypes.terrains).toHaveProperty(tile.terrain);
+    for (const field of ["capturePoints", "income", "hp"]) {
+        expect(Number.isInteger(tile[field]) && tile[field] >= 0).toBe(true);
+    }
+    expect(tile.hp).toBeLessThanOrEqual(maxUnitHP);
+    expect(typeof tile.canBeOwned).toBe("boolean");
+    if (tile.capturePoints > 0 || tile.income > 0 || tile.produces.length > 0) {
+        expect(tile.canBeOwned).toBe(true);
+    }
+    if (tile.isHQ) {
+        expect(tile.capturePoints).toBeGreaterThan(0);
+    }
+    tile.repairs.movements.forEach(movement => expect(objectTypes.movements).toHaveProperty(movement));
+    tile.repairs.units.forEach(unit => expect(objectTypes.units).toHaveProperty(unit));
+    tile.produces.forEach(unit => expect(objectTypes.units).toHaveProperty(unit));
+});
+
+test("every AWBW tile and unit is mapped to a type in the pack", () => {
+    Object.values(mapPack.awbwMapping.terrain).forEach(({ tile }) => expect(objectTypes.tiles).toHaveProperty(tile));
+    Object.values(mapPack.awbwMapping.units).forEach(unit => expect(objectTypes.units).toHaveProperty(unit));
+});
+
+test("properties are drawn in the colour of their owner", () => {
+    const city = new objectTypes.tiles.City();
+    expect(city.tile({ ...createContext(), factions: ["BlueMoon"] })).toEqual({ frame: "City", faction: "BlueMoon" });
+    expect(city.tile(createContext())).toEqual({ frame: "City", faction: undefined });
+});
+
+test.each(Object.keys(objectTypes.structures))("%s is a consistent structure type", name => {
+    const structure = resolver.resolve("structures", name);
+    const offsets = new Set();
+    for (const tile of [structure.root, ...structure.dependents]) {
+        for (const field of ["tile", "destroyed", "deleted"]) {
+            expect(objectTypes.tiles).toHaveProperty(tile[field]);
+        }
+        if (tile.offset) {
+            offsets.add(`${tile.offset.x},${tile.offset.y}`);
+        }
+    }
+    expect(offsets.size).toBe(structure.dependents.length);
+    expect(offsets.has("0,0")).toBe(false);
+    if (structure.attack) {
+        expect(["turn", "unit"]).toContain(structure.attack.trigger);
+        expect(["enemies", "allies", "everyone"]).toContain(structure.attack.targets);
+        expect(["all", "strongest"]).toContain(structure.attack.aim);
+        expect(Number.isInteger(structure.attack.damage)).toBe(true);
+        structure.attack.area.forEach(offset => expect(offsets.has(`${offset.x},${offset.y}`)).toBe(false));
+    }
+});
+
+test("the Dual Strike CO roster is complete", () => {
+    expect(Object.keys(objectTypes.commanders)).toHaveLength(28);
+});
+
+test.each(Object.keys(objectTypes.commanders))("%s is a consistent commander type", name => {
+    const commander = resolver.resolve("commanders", name);
+    expect(Number.isInteger(commander.powerMeter) && commander.powerMeter > 0).toBe(true);
+    expect(commander.superPower).not.toBe(null);
+    expect(commander.superPower.stars).toBe(commander.powerMeter);
+    if (commander.power) {
+        expect(commander.power.stars).toBeLessThan(commander.superPower.stars);
+    }
+    for (const power of [commander.power, commander.superPower].filter(power => power)) {
+        expect(Number.isInteger(power.stars) && power.stars > 0).toBe(true);
+        if (power.effects.weather !== undefined) {
+            expect(mapPack.weathers.map(weather => weather.name)).toContain(power.effects.weather);
+        }
+    }
+    const powerModifiers = [commander.power, commander.superPower].flatMap(power => power?.modifiers ?? []);
+    for (const modifier of [...commander.modifiers, ...powerModifiers]) {
+        const category = { Unit: "units", Weapon: "weapons", Tile: "tiles" }[modifier.category];
+        const example = resolver.resolve(category, Object.keys(objectTypes[category])[0]);
+        expect(example).toHaveProperty(modifier.field.split(".")[0]);
+        for (const [key, names] of [
+            ...Object.entries(modifier.where ?? {}),
+            ...Object.entries(modifier.unless ?? {}),
+        ]) {
+            names.forEach(name => expect(objectTypes[key]).toHaveProperty(name));
+        }
+    }
+});
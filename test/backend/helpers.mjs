@@ -0,0 +1,62 @@
+/**
+ * @file helpers.mjs
+ * Contains backend test helper functions.
+ */
+
+import Map from "#src/map/map.mjs";
+import { validateMapPack } from "#src/map/mapPackValidator.mjs";
+import ObjectTypeResolver from "#src/map/objectTypeResolver.mjs";
+
+import * as mapPack from "../../default-map-pack/exports.mjs";
+
+/**
+ * The object types of the default map pack, keyed on category, then on type name.
+ */
+export const { objectTypes } = validateMapPack(mapPack);
+
+/**
+ * Creates a map that plays by the rules of the default map pack, for testing the functions in `src/map`.
+ * @param {Array<Array<import("#src/map/map.mjs").TileData | String>>} tiles The map's tiles, row by row. A tile can be
+ *        given as the name of its type if it isn't owned by an army.
+ * @param {Array<import("#src/map/map.mjs").ArmyData>} armies The armies playing on the map. Armies have no funds or
+ *        commanders unless they say otherwise.
+ * @param {Array<import("#src/map/map.mjs").UnitData>} [units=[]] The units on the map. Units are owned by the first
+ *        army, and have full HP, 99 fuel and no ammo, unless they say otherwise.
+ * @param {Object} [options={}] Overrides the map's `weathers` and `unitCap`, the map's own `mapOverride` function, and
+ *        the `objectTypes` the map is resolved with.
+ * @returns {Object} The map, a resolver for it, an emitter, and a list of the events both have emitted so far.
+ */
+export function createTestMap(tiles, armies, units = [], options = {}) {
+    const events = [];
+    let resolver;
+    const map = new Map(
+        {
+            event: (name, ...data) => {
+                events.push([name, ...data]);
+                resolver.invalidate(name, ...data);
+            },
+        },
+        {
+            name: "Test Map",
+            width: tiles[0].length,
+            height: tiles.length,
+            environment: "NormalEnvironment",
+            weathers: options.weathers ?? ["ClearWeather"],
+            armies: armies.map(army => ({ funds: 0, commanders: [], ...army })),
+            unitCap: options.unitCap,
+            tiles: tiles.map(row =>
+                row.map(tile => (typeof tile === "string" ? { type: tile, owner: undefined } : tile))
+            ),
+            structures: [],
+            units: units.map(unit => ({ owner: 0, hp: 100, fuel: 99, ammo: [], ...unit })),
+        }
+    );
+    resolver = new ObjectTypeResolver(
+        options.objectTypes ?? objectTypes,
+        mapPack.overrides,
+        map,
+        options.mapOverride ?? null
+    );
+    const emitter = { event: (name, ...data) => events.push([name, ...data]) };
+    return { map, resolver, emitter, events };
+}
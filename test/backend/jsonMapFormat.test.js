@@ -0,0 +1,114 @@
+import { readBinaryMap, writeBinaryMap } from "#src/map/binaryMapFormat.mjs";
+import { JsonMapFormatError, readJsonMap, readJsonMapHeader, writeJsonMap } from "#src/map/jsonMapFormat.mjs";
+
+const objectTypes = {
+    commanders: { Andy: class {} },
+    environments: { NormalEnvironment: class {} },
+    factions: { OrangeStar: class {}, BlueMoon: class {} },
+    structures: { BlackCannon: class {} },
+    tiles: { Plains: class {}, HQ: class {} },
+    units: { Infantry: class {} },
+    weathers: { ClearWeather: class {} },
+};
+
+/**
+ * Creates a valid 2x1 map with two armies, an owned HQ, a structure and a unit.
+ * @returns {import("#src/map/map.mjs").MapData} The map.
+ */
+function validMap() {
+    return {
+        name: "Test Map",
+        author: "Tester",
+        description: "A map for testing.",
+        width: 2,
+        height: 1,
+        environment: "NormalEnvironment",
+        weathers: ["ClearWeather"],
+        armies: [
+            { faction: "OrangeStar", team: 0, funds: 1000, commanders: ["Andy"] },
+            { faction: "BlueMoon", team: 1, funds: 0, commanders: [] },
+        ],
+        tiles: [
+            [
+                { type: "Plains", owner: undefined },
+                { type: "HQ", owner: 1 },
+            ],
+        ],
+        structures: [{ type: "BlackCannon", root: { x: 0, y: 0 }, destroyed: true }],
+        units: [{ type: "Infantry", position: { x: 0, y: 0 }, owner: 0, hp: 75, fuel: 99, ammo: [3] }],
+        script: "export function onTurnStarted(army) {\n    map.setFunds(army, 0);\n}",
+    };
+}
+
+test("JSON maps can be written and read back in", () => {
+    const text = writeJsonMap(validMap());
+    expect(readJsonMap(text, objectTypes)).toEqual(validMap());
+    expect(text.split("\n").slice(16, 21)).toEqual([
+        `    "tiles": [`,
+        `        [{"type":"Plains"},{"type":"HQ","owner":1}]`,
+        `    ],`,
+        `    "structures": [`,
+        `        {"type":"BlackCannon","root":{"x":0,"y":0},"destroyed":true}`,
+    ]);
+    expect(readJsonMapHeader(text)).toEqual({
+        version: 1,
+        name: "Test Map",
+        author: "Tester",
+        description: "A map for testing.",
+        width: 2,
+        height: 1,
+        environment: "NormalEnvironment",
+        weathers: ["ClearWeather"],
+        armyCount: 2,
+    });
+});
+
+test("JSON maps only store a unit cap if they have one", () => {
+    expect(JSON.parse(writeJsonMap(validMap()))).not.toHaveProperty("unitCap");
+    const map = { ...validMap(), unitCap: 20 };
+    const text = writeJsonMap(map);
+    expect(text.split("\n")[16]).toBe(`    "unitCap": 20,`);
+    expect(readJsonMap(text, objectTypes)).toEqual(map);
+    expect(readBinaryMap(writeBinaryMap(readJsonMap(text))).unitCap).toBe(20);
+});
+
+test("JSON and binary maps can be converted into each other", () => {
+    const binary = writeBinaryMap(validMap());
+    const json = writeJsonMap(readBinaryMap(binary));
+    expect(writeBinaryMap(readJsonMap(json))).toEqual(binary);
+});
+
+test("malformed JSON maps are rejected", () => {
+    const expectError = (change, reason, path) => {
+        const file = JSON.parse(writeJsonMap(validMap()));
+        change(file);
+        try {
+            readJsonMap(JSON.stringify(file), objectTypes);
+        } catch (e) {
+            expect(e).toBeInstanceOf(JsonMapFormatError);
+            expect([e.reason, e.path]).toEqual([reason, path]);
+            return;
+        }
+        throw new Error(`Expected the map to be rejected: ${reason}`);
+    };
+    expectError(file => (file.format = "WWMP"), 'Expected the format to be "WebWars map"', "format");
+    expectError(file => (file.version = 2), "Expected 1", "version");
+    expectError(file => (file.width = 0), "Expected an integer between 1 and 65535", "width");
+    expectError(file => (file.weathers = "ClearWeather"), "Expected an array", "weathers");
+    expectError(
+        file => file.armies[1].commanders.push("Olaf"),
+        'Unknown commanders type "Olaf"',
+        "armies[1].commanders[0]"
+    );
+    expectError(file => (file.unitCap = 0), "Expected an integer between 1 and 65535", "unitCap");
+    expectError(file => file.tiles[0].pop(), "Expected 2 elements, but found 1", "tiles[0]");
+    expectError(file => (file.tiles[0][0].owner = 2), "Expected an integer between 0 and 1", "tiles[0][0].owner");
+    expectError(file => (file.structures[0].destroyed = 1), "Expected true or false", "structures[0].destroyed");
+    expectError(file => (file.units[0].position.x = 2), "Expected an integer between 0 and 1", "units[0].position.x");
+    expectError(file => (file.units[0].hp = 0), "Expected an integer between 1 and 100", "units[0].hp");
+    expectError(file => (file.script = "export {};"), "Expected an array", "script");
+    expect(() => readJsonMap("{", objectTypes)).toThrow(JsonMapFormatError);
+    expect(() => writeJsonMap({ ...validMap(), width: 3 })).toThrow(
+        /Expected 3 elements, but found 2 \(at tiles\[0\]\)/
+    );
+});
@@ -0,0 +1,206 @@
+import Map from "#src/map/map.mjs";
+
+/**
+ * Creates a 3x2 map with two armies, an owned HQ, a two-tile structure and two units.
+ * @returns {Object} The map, and a list of the events it has emitted so far.
+ */
+function createMap() {
+    const events = [];
+    const map = new Map(
+        { event: (name, ...data) => events.push([name, ...data]) },
+        {
+            name: "Test Map",
+            width: 3,
+            height: 2,
+            environment: "NormalEnvironment",
+            weathers: ["ClearWeather"],
+            armies: [
+                { faction: "OrangeStar", team: 0, funds: 1000, commanders: ["Andy"] },
+                { faction: "BlueMoon", team: 1, funds: 0, commanders: [] },
+            ],
+            tiles: [
+                [
+                    { type: "Plains", owner: undefined },
+                    { type: "HQ", owner: 0 },
+                    { type: "Plains", owner: undefined },
+                ],
+                [
+                    { type: "Sea", owner: undefined },
+                    { type: "Sea", owner: undefined },
+                    { type: "Sea", owner: undefined },
+                ],
+            ],
+            structures: [{ type: "BlackCannon", root: { x: 2, y: 1 }, destroyed: false }],
+            units: [
+                { type: "Infantry", position: { x: 0, y: 0 }, owner: 0, hp: 100, fuel: 99, ammo: [] },
+                { type: "Tank", position: { x: 0, y: 0 }, owner: 1, hp: 55, fuel: 70, ammo: [9] },
+            ],
+        }
+    );
+    return { map, events };
+}
+
+test("querying a map", () => {
+    const { map } = createMap();
+    expect(map.name).toBe("Test Map");
+    expect(map.width).toBe(3);
+    expect(map.height).toBe(2);
+    expect(map.environment).toBe("NormalEnvironment");
+    expect(map.weathers).toEqual(["ClearWeather"]);
+    expect(map.armyIDs).toEqual([0, 1]);
+    expect(map.getArmy(1)).toEqual({
+        id: 1,
+        faction: "BlueMoon",
+        team: 1,
+        funds: 0,
+        commanders: [],
+        powerMeter: 0,
+        activePower: undefined,
+    });
+    expect(() => map.getArmy(2)).toThrow(RangeError);
+
+    expect(map.isInBounds({ x: 2, y: 1 })).toBe(true);
+    expect(map.isInBounds({ x: 3, y: 1 })).toBe(false);
+    expect(map.isInBounds({ x: -1, y: 0 })).toBe(false);
+    expect(map.isInBounds({ x: 0.5, y: 0 })).toBe(false);
+    expect(map.getTile({ x: 1, y: 0 })).toEqual({
+        position: { x: 1, y: 0 },
+        type: "HQ",
+        owner: 0,
+        structure: undefined,
+        units: [],
+    });
+    expect(() => map.getTile({ x: 0, y: 2 })).toThrow(RangeError);
+    expect(map.getTile({ x: 2, y: 1 }).structure).toBe(0);
+    expect(map.structureAt({ x: 2, y: 1 })).toEqual({
+        id: 0,
+        type: "BlackCannon",
+        root: { x: 2, y: 1 },
+        dependents: [],
+        destroyed: false,
+    });
+    expect(map.structureAt({ x: 1, y: 1 })).toBe(undefined);
+
+    const visited = [];
+    map.forEachTile(tile => visited.push(tile.position));
+    expect(visited).toEqual([
+        { x: 0, y: 0 },
+        { x: 1, y: 0 },
+        { x: 2, y: 0 },
+        { x: 0, y: 1 },
+        { x: 1, y: 1 },
+        { x: 2, y: 1 },
+    ]);
+
+    expect(map.getTile({ x: 0, y: 0 }).units).toEqual([0, 1]);
+    expect(map.unitsAt({ x: 0, y: 0 }).map(unit => unit.type)).toEqual(["Infantry", "Tank"]);
+    expect(map.getUnit(1)).toEqual({
+        id: 1,
+        type: "Tank",
+        position: { x: 0, y: 0 },
+        owner: 1,
+        hp: 55,
+        fuel: 70,
+        ammo: [9],
+    });
+    expect(map.hasUnit(2)).toBe(false);
+    expect(() => map.getUnit(2)).toThrow(RangeError);
+});
+
+test("queries return read-only copies", () => {
+    const { map } = createMap();
+    const unit = map.getUnit(0);
+    expect(() => (unit.hp = 1)).toThrow();
+    expect(() => unit.position.x++).toThrow();
+    expect(() => map.getTile({ x: 0, y: 0 }).units.pop()).toThrow();
+    expect(() => map.weathers.push("RainWeather")).toThrow();
+    expect(map.getUnit(0).hp).toBe(100);
+});
+
+test("mutating a map emits events", () => {
+    const { map, events } = createMap();
+    expect(events).toEqual([]);
+
+    map.moveUnit(0, { x: 1, y: 0 });
+    expect(map.getUnit(0).position).toEqual({ x: 1, y: 0 });
+    expect(map.getTile({ x: 0, y: 0 }).units).toEqual([1]);
+    expect(map.getTile({ x: 1, y: 0 }).units).toEqual([0]);
+    expect(() => map.moveUnit(0, { x: 5, y: 5 })).toThrow(RangeError);
+    expect(map.getUnit(0).position).toEqual({ x: 1, y: 0 });
+
+    map.setOwner({ x: 1, y: 0 }, 1);
+    expect(map.getTile({ x: 1, y: 0 }).owner).toBe(1);
+    expect(() => map.setOwner({ x: 1, y: 0 }, 7)).toThrow(RangeError);
+    map.setOwner({ x: 1, y: 0 }, undefined);
+
+    const id = map.addUnit({ type: "Mech", position: { x: 1, y: 0 }, owner: 1, hp: 100, fuel: 70, ammo: [3] });
+    expect(id).toBe(2);
+    expect(map.unitsAt({ x: 1, y: 0 }).map(unit => unit.id)).toEqual([0, 2]);
+    map.removeUnit(0);
+    expect(map.hasUnit(0)).toBe(false);
+    expect(map.getTile({ x: 1, y: 0 }).units).toEqual([2]);
+    expect(map.addUnit({ type: "Mech", position: { x: 2, y: 0 }, owner: undefined, hp: 1, fuel: 0, ammo: [] })).toBe(3);
+
+    map.setWeathers(["SnowWeather"]);
+    map.setFunds(0, 500);
+    map.setPowerMeter(0, 4500);
+    map.setActivePower(0, "power");
+    expect(map.getArmy(0)).toMatchObject({ powerMeter: 4500, activePower: "power" });
+    map.setUnitHP(1, 20);
+    map.setUnitAmmo(2, 0, 2);
+    map.setStructureDestroyed(0, true);
+    expect(map.getStructure(0).destroyed).toBe(true);
+
+    expect(events.map(event => event.at(0))).toEqual([
+        "UnitMoved",
+        "TileOwnerChanged",
+        "TileOwnerChanged",
+        "UnitAdded",
+        "UnitRemoved",
+        "UnitAdded",
+        "WeatherChanged",
+        "FundsChanged",
+        "PowerMeterChanged",
+        "ActivePowerChanged",
+        "UnitHPChanged",
+        "UnitAmmoChanged",
+        "StructureDestroyedChanged",
+    ]);
+    expect(events[0]).toEqual(["UnitMoved", 0, { x: 1, y: 0 }, { x: 0, y: 0 }]);
+    expect(events[6]).toEqual(["WeatherChanged", ["SnowWeather"], ["ClearWeather"]]);
+    expect(events[9]).toEqual(["ActivePowerChanged", 0, "power", undefined]);
+});
+
+test("structures track the tiles they are made of", () => {
+    const { map } = createMap();
+    const id = map.addStructure("Laser", { x: 0, y: 1 }, [{ x: 1, y: 0 }]);
+    expect(map.structureAt({ x: 1, y: 1 }).id).toBe(id);
+    expect(() => map.addStructure("Laser", { x: 1, y: 0 }, [{ x: 1, y: 1 }])).toThrow(RangeError);
+    expect(map.getTile({ x: 1, y: 0 }).structure).toBe(undefined);
+    map.removeStructure(id);
+    expect(map.getTile({ x: 0, y: 1 }).structure).toBe(undefined);
+    expect(map.getTile({ x: 1, y: 1 }).structure).toBe(undefined);
+});
+
+test("converting a map back into map data", () => {
+    const { map } = createMap();
+    map.removeUnit(0);
+    const data = map.toData();
+    expect(data.units).toEqual([{ type: "Tank", position: { x: 0, y: 0 }, owner: 1, hp: 55, fuel: 70, ammo: [9] }]);
+    expect(data.structures).toEqual([{ type: "BlackCannon", root: { x: 2, y: 1 }, destroyed: false }]);
+    expect(data.tiles[0][1]).toEqual({ type: "HQ", owner: 0 });
+    expect(new Map({ event: () => {} }, data).toData()).toEqual(data);
+});
+
+test("converting a map back into map data keeps the order units occupy their tiles in", () => {
+    const { map } = createMap();
+    // Moving the Infantry away and back puts it behind the Tank.
+    map.moveUnit(0, { x: 1, y: 0 });
+    map.moveUnit(0, { x: 0, y: 0 });
+    expect(map.getTile({ x: 0, y: 0 }).units).toEqual([1, 0]);
+    const data = map.toData();
+    expect(data.units.map(unit => unit.type)).toEqual(["Tank", "Infantry"]);
+    const reloaded = new Map({ event: () => {} }, data);
+    expect(reloaded.unitsAt({ x: 0, y: 0 }).map(unit => unit.type)).toEqual(["Tank", "Infantry"]);
+    expect(reloaded.toData()).toEqual(data);
+});
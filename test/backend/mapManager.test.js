@@ -0,0 +1,176 @@
+import { mkdir, mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { writeBinaryMap } from "#src/map/binaryMapFormat.mjs";
+import MapManager from "#src/models/mapManager.mjs";
+
+import * as mapPack from "../../default-map-pack/exports.mjs";
+
+/**
+ * Encodes a 1x1 map with the given name.
+ * @param {String} name The name of the map.
+ * @returns {Buffer} The encoded map.
+ */
+function encodeMap(name) {
+    return writeBinaryMap({
+        name: name,
+        author: "",
+        description: "",
+        width: 1,
+        height: 1,
+        environment: "NormalEnvironment",
+        weathers: ["ClearWeather"],
+        armies: [],
+        tiles: [[{ type: "Plains", owner: undefined }]],
+        structures: [],
+        units: [],
+        script: "",
+    });
+}
+
+/**
+ * Creates a map manager with a fake controller that records the events the map manager emits.
+ * @returns {Object} The map manager, a function that resolves with the data of the next FrontEndDataChange event and
+ *          the names of the events published alongside it, and a function that resolves with the data of the next
+ *          event with the given name.
+ */
+function createMapManager() {
+    let waiting = [];
+    let waitingForEvents = [];
+    const mapManager = new MapManager({
+        event: (name, ...data) => {
+            if (name === "FrontEndDataChange" && data[0] === "MapManager") {
+                waiting.forEach(resolve => resolve({ data: data[2], events: data[3] }));
+                waiting = [];
+            }
+            waitingForEvents.filter(waiter => waiter.name === name).forEach(waiter => waiter.resolve(data));
+            waitingForEvents = waitingForEvents.filter(waiter => waiter.name !== name);
+        },
+    });
+    const nextUpdate = () => new Promise(resolve => waiting.push(resolve));
+    const nextEvent = name => new Promise(resolve => waitingForEvents.push({ name: name, resolve: resolve }));
+    return { mapManager, nextUpdate, nextEvent };
+}
+
+let mapPackPath;
+
+beforeEach(() =>
+    mkdtemp(join(tmpdir(), "wwmp-")).then(path => {
+        mapPackPath = path;
+        return mkdir(join(mapPackPath, "maps", "2P"), { recursive: true });
+    })
+);
+
+afterEach(() => rm(mapPackPath, { recursive: true, force: true }));
+
+test("changes to the maps folder are published incrementally", () => {
+    const { mapManager, nextUpdate } = createMapManager();
+    const mapsFolder = join(mapPackPath, "maps");
+    return writeFile(join(mapsFolder, "a.map"), encodeMap("A"))
+        .then(() => {
+            const update = nextUpdate();
+            mapManager.onMapPackLoaded(mapPackPath, {});
+            return update;
+        })
+        .then(({ data, events }) => {
+            expect(events).toEqual(["MapPackValidated"]);
+            expect(data.mapPackReport.errors).toEqual([]);
+            expect(data.mapPackReport.warnings).toHaveLength(10);
+            return nextUpdate();
+        })
+        .then(({ data, events }) => {
+            expect(events).toEqual(["MapFileAdded", "MapsFolderScanned"]);
+            expect(data.mapFiles).toEqual(["a.map"]);
+            expect(data.maps["a.map"].name).toBe("A");
+
+            const update = nextUpdate();
+            writeFile(join(mapsFolder, "2P", "b.map"), encodeMap("B"));
+            writeFile(join(mapsFolder, "notes.txt"), "Not a map");
+            return update;
+        })
+        .then(({ data, events }) => {
+            expect(events).toEqual(["MapFileAdded", "MapsFolderScanned"]);
+            expect(data.mapFiles).toEqual(["2P/b.map", "a.map"]);
+            expect(Object.keys(data.maps)).toEqual(["2P/b.map"]);
+
+            const update = nextUpdate();
+            rm(join(mapsFolder, "a.map")).then(() => writeFile(join(mapsFolder, "2P", "b.map"), encodeMap("C")));
+            return update;
+        })
+        .then(({ data, events }) => {
+            expect(events).toEqual(["MapFileRemoved", "MapFileChanged", "MapsFolderScanned"]);
+            expect(data.mapFiles).toEqual(["2P/b.map"]);
+            expect(data.maps["a.map"]).toBeNull();
+            expect(data.maps["2P/b.map"].name).toBe("C");
+            expect(mapManager.mapFiles.maps).toEqual({ "2P/b.map": data.maps["2P/b.map"] });
+        });
+});
+
+test("maps that can't be saved are reported", () => {
+    const { mapManager, nextUpdate, nextEvent } = createMapManager();
+    const mapsFolder = join(mapPackPath, "maps");
+    const failure = nextEvent("SaveMapFailed");
+    mapManager.whenSaveMap("a.map");
+    return failure
+        .then(data => {
+            expect(data).toEqual(["a.map", "No map has been loaded"]);
+            return Promise.all([
+                writeFile(join(mapsFolder, "a.map"), encodeMap("A")),
+                writeFile(join(mapsFolder, "b"), ""),
+            ]);
+        })
+        .then(() => {
+            const update = nextEvent("MapsFolderScanned");
+            mapManager.onMapPackLoaded(mapPackPath, mapPack);
+            return update;
+        })
+        .then(() => {
+            const loaded = nextEvent("MapLoaded");
+            mapManager.whenLoadMap("a.map");
+            return loaded;
+        })
+        .then(() => {
+            const failure = nextEvent("SaveMapFailed");
+            mapManager.whenSaveMap("../a.map");
+            return failure;
+        })
+        .then(data => {
+            expect(data).toEqual([
+                "../a.map",
+                "Maps can only be saved to .map or .map.json files within the map pack's maps folder",
+            ]);
+            // b is a file, so it can't have a sub-folder.
+            const failure = nextEvent("SaveMapFailed");
+            mapManager.whenSaveMap("b/c.map");
+            return failure;
+        })
+        .then(data => {
+            expect(data).toEqual(["b/c.map", expect.stringContaining(join(mapsFolder, "b"))]);
+        });
+});
+
+test("AWBW maps that can't be imported are reported", () => {
+    const { mapManager, nextEvent } = createMapManager();
+    const scanned = nextEvent("MapsFolderScanned");
+    mapManager.onMapPackLoaded(mapPackPath, mapPack);
+    return scanned
+        .then(() => {
+            const failure = nextEvent("AwbwMapImportFailed");
+            mapManager.whenImportAwbwMap("1", "../a.map.json");
+            return failure;
+        })
+        .then(data => {
+            expect(data).toEqual([
+                "../a.map.json",
+                "Maps can only be imported into .map or .map.json files within the map pack's maps folder",
+                [],
+            ]);
+            const failure = nextEvent("AwbwMapImportFailed");
+            mapManager.whenImportAwbwMap("1,Plains", "a.map");
+            return failure;
+        })
+        .then(data => {
+            expect(data).toEqual(["a.map", expect.stringContaining('Line 1 contains "Plains"'), []]);
+        });
+});
@@ -0,0 +1,108 @@
+import { validateMapPack } from "#src/map/mapPackValidator.mjs";
+import UnitType from "#src/types/unitType.mjs";
+
+import * as mapPack from "../../default-map-pack/exports.mjs";
+import { OrangeStar } from "../../default-map-pack/src/types/factionTypes.mjs";
+import { Plains } from "../../default-map-pack/src/types/tileTypes.mjs";
+import { Infantry, Lander } from "../../default-map-pack/src/types/unitTypes.mjs";
+
+/**
+ * Validates the default map pack with some of its object types added or replaced.
+ * @param {Object} changes The arrays of object types to use instead of the default map pack's, keyed on category.
+ * @returns {Object} The problems found, keyed on the name of the object type they were found with.
+ */
+function validate(changes) {
+    const { objectTypes, report } = validateMapPack({ ...mapPack, ...changes });
+    const issues = {};
+    for (const issue of [...report.errors, ...report.warnings]) {
+        (issues[issue.type] ??= []).push(issue.message);
+    }
+    return { objectTypes, report, issues };
+}
+
+test("the default map pack is valid", () => {
+    const { objectTypes, report } = validateMapPack(mapPack);
+    expect(report).toEqual({ errors: [], warnings: [] });
+    for (const category of ["commanders", "factions", "structures", "terrains", "tiles", "units", "weathers"]) {
+        expect(Object.keys(objectTypes[category])).toHaveLength(mapPack[category].length);
+    }
+});
+
+test("object types must extend their category's class and implement every field", () => {
+    class Unfinished extends UnitType {}
+    const { objectTypes, report, issues } = validate({
+        factions: [...mapPack.factions, Infantry],
+        units: [...mapPack.units, Unfinished, "Tank"],
+    });
+    expect(issues.Infantry).toContain("It does not extend FactionType");
+    expect(issues.Unfinished).toContain("It doesn't implement cost()");
+    expect(issues.Unfinished).toContain("It doesn't implement longName()");
+    expect(report.errors).toContainEqual({
+        message: "The map pack exports something that isn't a class within its units",
+        category: "units",
+        type: undefined,
+    });
+    expect(objectTypes.factions).not.toHaveProperty("Infantry");
+    expect(objectTypes.units).not.toHaveProperty("Unfinished");
+    expect(objectTypes.units).toHaveProperty("Infantry");
+});
+
+test("fields must return values of the right shape when given an empty context", () => {
+    class Crimson extends OrangeStar {
+        color(context) {
+            return { r: 300, g: 0, b: 0 };
+        }
+    }
+    class Nameless extends OrangeStar {
+        longName(context) {
+            return "Nameless";
+        }
+    }
+    class Broken extends Infantry {
+        cost(context) {
+            return context.units[0].length;
+        }
+    }
+    const { objectTypes, issues } = validate({
+        factions: [...mapPack.factions, Crimson, Nameless],
+        units: [...mapPack.units, Broken],
+    });
+    expect(issues.Crimson).toEqual(['Its color must have an integer "r" channel between 0 and 255']);
+    expect(issues.Nameless).toEqual(["Its longName must be an array whose first element is a language key"]);
+    expect(issues.Broken).toHaveLength(1);
+    expect(issues.Broken[0]).toMatch(/^Its cost\(\) threw an error when given an empty context/);
+    expect(Object.keys(objectTypes.factions)).toHaveLength(mapPack.factions.length);
+});
+
+test("names must be unique within a category, and should be unique across categories", () => {
+    class ClearWeather extends OrangeStar {}
+    const { objectTypes, issues } = validate({
+        factions: [...mapPack.factions, ClearWeather],
+        tiles: [...mapPack.tiles, Plains],
+    });
+    expect(issues.Plains).toEqual(["Plains is exported more than once"]);
+    expect(objectTypes.tiles).not.toHaveProperty("Plains");
+    expect(issues.ClearWeather).toEqual([
+        "ClearWeather is the name of more than one type of object: factions, weathers",
+    ]);
+    expect(objectTypes.factions).toHaveProperty("ClearWeather");
+});
+
+test("object types that refer to unknown object types are left out", () => {
+    class Raft extends Lander {
+        cargo(context) {
+            return ["Dinghy"];
+        }
+    }
+    class Ferry extends Lander {
+        cargo(context) {
+            return ["Raft"];
+        }
+    }
+    const { objectTypes, issues } = validate({ units: [...mapPack.units, Raft, Ferry], weathers: undefined });
+    expect(issues.Raft).toEqual(["Its cargo refers to unknown units: Dinghy"]);
+    expect(issues.Ferry).toEqual(["Its cargo refers to unknown units: Raft"]);
+    expect(issues.undefined).toEqual(["The map pack does not export an array of weathers"]);
+    expect(objectTypes.units).not.toHaveProperty("Ferry");
+    expect(objectTypes.weathers).toEqual({});
+});
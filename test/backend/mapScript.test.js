@@ -0,0 +1,169 @@
+import Map from "#src/map/map.mjs";
+import MapScript, { MapScriptError } from "#src/map/mapScript.mjs";
+
+/**
+ * Creates a 2x1 map with one army and one unit.
+ * @returns {Object} The map, and a list of the events it has emitted so far.
+ */
+function createMap() {
+    const events = [];
+    const map = new Map(
+        { event: (name, ...data) => events.push([name, ...data]) },
+        {
+            name: "Test Map",
+            width: 2,
+            height: 1,
+            environment: "NormalEnvironment",
+            weathers: ["SandstormWeather"],
+            armies: [{ faction: "OrangeStar", team: 0, funds: 1000, commanders: [] }],
+            tiles: [
+                [
+                    { type: "Plains", owner: undefined },
+                    { type: "HQ", owner: 0 },
+                ],
+            ],
+            structures: [],
+            units: [{ type: "Infantry", position: { x: 0, y: 0 }, owner: 0, hp: 100, fuel: 99, ammo: [] }],
+        }
+    );
+    return { map, events };
+}
+
+test("map scripts can override object types", () => {
+    const { map } = createMap();
+    return MapScript.load(
+        `export function override(objectTypeName, objectType, context) {
+            if (objectTypeName === "Unit" && context.weathers.includes("SandstormWeather")) {
+                objectType.cost = map.getArmy(0).funds / 2;
+            }
+        }`,
+        "test.mjs",
+        map
+    ).then(script => {
+        expect(script.hasOverride).toBe(true);
+        const isDirect = () => true;
+        const objectType = { cost: 1000, range: { min: 1, max: 1, isDirect: isDirect } };
+        script.override("Unit", objectType, { weathers: ["SandstormWeather"], map: map });
+        expect(objectType.cost).toBe(500);
+        expect(objectType.range.isDirect).toBe(isDirect);
+    });
+});
+
+test("map script hooks can query and change the map", () => {
+    const { map, events } = createMap();
+    return MapScript.load(
+        `let turns = 0;
+        export function onTurnStarted(army) {
+            ++turns;
+            map.setFunds(army, map.getArmy(army).funds + map.width * 100 + turns);
+        }`,
+        "test.mjs",
+        map
+    ).then(script => {
+        expect(script.hasOverride).toBe(false);
+        script.override("Unit", {}, { map: map });
+        script.callHook("onTurnStarted", 0);
+        script.callHook("onTurnStarted", 0);
+        script.callHook("onUnitDestroyed", 0);
+        expect(map.getArmy(0).funds).toBe(1403);
+        expect(events.map(event => event.at(0))).toEqual(["FundsChanged", "FundsChanged"]);
+        expect(() => script.callHook("onSomethingElse")).toThrow(MapScriptError);
+    });
+});
+
+test("map scripts can't escape their context", () => {
+    const { map } = createMap();
+    const expectFailure = (source, reason) =>
+        MapScript.load(source, "test.mjs", map).then(
+            () => {
+                throw new Error("Expected the map script to fail to load");
+            },
+            e => {
+                expect(e).toBeInstanceOf(MapScriptError);
+                expect(e.reason).toMatch(reason);
+            }
+        );
+    return Promise.all([
+        expectFailure(`import { readFile } from "node:fs";`, /can't import other modules/),
+        expectFailure(`process.exit(1);`, /process is not defined/),
+        expectFailure(`globalThis.constructor.constructor("return process")();`, /Code generation from strings/),
+        expectFailure(`map.toData();`, /map\.toData is not a function/),
+        expectFailure(`map.getUnit.constructor("return process")();`, /Code generation from strings/),
+        expectFailure(`while (true) {}`, /timed out/),
+        expectFailure(`export function {`, /^test\.mjs: Unexpected token/),
+    ]);
+});
+
+test("errors thrown by the map are copied into the map script's context", () => {
+    const { map } = createMap();
+    return MapScript.load(
+        `export function onUnitDestroyed(id) {
+            try {
+                map.getUnit(id);
+            } catch (e) {
+                if (e.constructor !== Error) {
+                    throw new Error("Leaked");
+                }
+                throw e;
+            }
+        }`,
+        "test.mjs",
+        map
+    ).then(script => {
+        expect(() => script.callHook("onUnitDestroyed", 5)).toThrow(/onUnitDestroyed\(\) failed: .*unit.* 5/i);
+    });
+});
+
+test("promise continuations count towards a map script's time limit", () => {
+    const { map } = createMap();
+    return MapScript.load(
+        `export function onTurnStarted() {
+            Promise.resolve().then(() => {
+                while (true) {}
+            });
+        }`,
+        "test.mjs",
+        map
+    ).then(script => {
+        const start = Date.now();
+        expect(() => script.callHook("onTurnStarted", 0)).toThrow(/onTurnStarted\(\) failed: .*timed out/);
+        expect(Date.now() - start).toBeLessThan(1000);
+    });
+});
+
+test("values thrown by map scripts are only inspected within their time limit", () => {
+    const { map } = createMap();
+    const loopingProxy = `new Proxy({}, { getPrototypeOf() { while (true) {} } })`;
+    return Promise.all([
+        MapScript.load(`throw ${loopingProxy};`, "test.mjs", map).then(
+            () => {
+                throw new Error("Expected the map script to fail to load");
+            },
+            e => expect(e.reason).toBe("test.mjs: It threw a value that couldn't be described in time")
+        ),
+        MapScript.load(
+            `export function onTurnStarted() {
+                throw ${loopingProxy};
+            }
+            export function onTurnEnded() {
+                throw Object.defineProperty(new Error(), "message", { get() { while (true) {} } });
+            }
+            export function onDayStarted() {
+                // Only errors have their message read.
+                throw { get message() { while (true) {} } };
+            }`,
+            "test.mjs",
+            map
+        ).then(script => {
+            const start = Date.now();
+            expect(() => script.callHook("onTurnStarted", 0)).toThrow(
+                "onTurnStarted() failed: It threw a value that couldn't be described in time"
+            );
+            expect(() => script.callHook("onTurnEnded", 0)).toThrow(
+                "onTurnEnded() failed: It threw a value that couldn't be described in time"
+            );
+            expect(() => script.callHook("onDayStarted", 1)).toThrow("onDayStarted() failed: [object Object]");
+            expect(Date.now() - start).toBeLessThan(2000);
+        }),
+    ]);
+});
@@ -0,0 +1,159 @@
+import { unreadableMapReport, validateMap } from "#src/map/mapValidator.mjs";
+import StructureType from "#src/types/structureType.mjs";
+
+/**
+ * Creates a structure type class with the given dependents.
+ * @param {Array<import("#src/types/structureType.mjs").DependentTile>} dependents The structure's dependent tiles.
+ * @returns {Function} The structure type class.
+ */
+function structureType(dependents) {
+    return class extends StructureType {
+        root(context) {
+            return { tile: "CannonRoot", destroyed: "Rubble", deleted: "Plains" };
+        }
+        dependents(context) {
+            return dependents;
+        }
+    };
+}
+
+const objectTypes = {
+    commanders: { Andy: class {} },
+    environments: { NormalEnvironment: class {} },
+    factions: { OrangeStar: class {}, BlueMoon: class {} },
+    structures: {
+        BlackCannon: structureType([
+            { tile: "CannonPart", destroyed: "Rubble", deleted: "Plains", offset: { x: 1, y: 0 } },
+        ]),
+        BrokenCannon: structureType([
+            { tile: "CannonPart", offset: { x: 0, y: 0 } },
+            { tile: "CannonPart", offset: { x: 1, y: 0 } },
+            { tile: "CannonPart", offset: { x: 1, y: 0 } },
+        ]),
+    },
+    tiles: { Plains: class {}, HQ: class {}, CannonRoot: class {}, CannonPart: class {}, Rubble: class {} },
+    units: { Infantry: class {} },
+    weathers: { ClearWeather: class {} },
+};
+
+/**
+ * Creates a valid 3x2 map.
+ * @returns {import("#src/map/map.mjs").MapData} The map.
+ */
+function validMap() {
+    return {
+        name: "Test Map",
+        width: 3,
+        height: 2,
+        environment: "NormalEnvironment",
+        weathers: ["ClearWeather"],
+        armies: [
+            { faction: "OrangeStar", team: 0, funds: 1000, commanders: ["Andy"] },
+            { faction: "BlueMoon", team: 1, funds: 0, commanders: [] },
+        ],
+        tiles: [
+            [
+                { type: "Plains", owner: undefined },
+                { type: "HQ", owner: 0 },
+                { type: "HQ", owner: 1 },
+            ],
+            [
+                { type: "CannonRoot", owner: undefined },
+                { type: "CannonPart", owner: undefined },
+                { type: "Plains", owner: undefined },
+            ],
+        ],
+        structures: [{ type: "BlackCannon", root: { x: 0, y: 1 }, destroyed: false }],
+        units: [{ type: "Infantry", position: { x: 0, y: 0 }, owner: 0, hp: 100, fuel: 99, ammo: [] }],
+        script: "",
+    };
+}
+
+test("valid maps produce an empty report", () => {
+    expect(validateMap(validMap(), objectTypes)).toEqual({ errors: [], warnings: [] });
+});
+
+test("unknown object type names are reported", () => {
+    const map = validMap();
+    map.environment = "Desert";
+    map.weathers.push("Sandstorm");
+    map.armies[1].faction = "GreenEarth";
+    map.armies[1].commanders.push("Olaf");
+    map.tiles[0][0].type = "Forest";
+    map.units[0].type = "Mech";
+    expect(validateMap(map, objectTypes).errors).toEqual([
+        { message: 'Unknown environments type "Desert" given for the environment', position: undefined },
+        { message: 'Unknown weathers type "Sandstorm" given for weather 1', position: undefined },
+        { message: `Unknown factions type "GreenEarth" given for army 1's faction`, position: undefined },
+        { message: `Unknown commanders type "Olaf" given for army 1's commander 0`, position: undefined },
+        { message: 'Unknown tiles type "Forest" given for the tile at (0, 0)', position: { x: 0, y: 0 } },
+        { message: 'Unknown units type "Mech" given for unit 0', position: { x: 0, y: 0 } },
+    ]);
+});
+
+test("structures must match their type's dependents", () => {
+    let map = validMap();
+    map.structures[0].destroyed = true;
+    map.structures.push({ type: "BlackCannon", root: { x: 1, y: 1 }, destroyed: false });
+    map.structures.push({ type: "BlackCannon", root: { x: 2, y: 0 }, destroyed: false });
+    const messages = validateMap(map, objectTypes).errors.map(error => error.message);
+    expect(messages).toEqual([
+        "The tile at (0, 1) is part of structure 0 (BlackCannon), so it should be a Rubble tile, but it is a CannonRoot tile",
+        "The tile at (1, 1) is part of structure 0 (BlackCannon), so it should be a Rubble tile, but it is a CannonPart tile",
+        "Structure 1 (BlackCannon) overlaps structure 0",
+        "The tile at (2, 1) is part of structure 1 (BlackCannon), so it should be a CannonPart tile, but it is a Plains tile",
+        "The tile at (2, 0) is part of structure 2 (BlackCannon), so it should be a CannonRoot tile, but it is a HQ tile",
+        "The tile at (3, 0) of structure 2 (BlackCannon) is out of bounds",
+    ]);
+
+    map = validMap();
+    map.structures[0].type = "BrokenCannon";
+    expect(validateMap(map, objectTypes).errors.map(error => error.message)).toEqual([
+        "The BrokenCannon structure type has a dependent tile with an invalid offset 0,0",
+        "The BrokenCannon structure type has more than one dependent tile at offset 1,0",
+    ]);
+});
+
+test("positions, owners and occupancy are checked", () => {
+    const map = validMap();
+    map.tiles[0][0].owner = 2;
+    map.units.push({ type: "Infantry", position: { x: 0, y: 0 }, owner: 5, hp: 100, fuel: 99, ammo: [] });
+    map.units.push({ type: "Infantry", position: { x: 0, y: 2 }, owner: 0, hp: 100, fuel: 99, ammo: [] });
+    map.armies[1].faction = "OrangeStar";
+    expect(validateMap(map, objectTypes)).toEqual({
+        errors: [
+            { message: "The tile at (0, 0) is owned by army 2, which doesn't exist", position: { x: 0, y: 0 } },
+            { message: "Unit 1 (Infantry) is owned by army 5, which doesn't exist", position: { x: 0, y: 0 } },
+            { message: "The position (0, 2) of unit 2 (Infantry) is out of bounds", position: undefined },
+        ],
+        warnings: [
+            { message: "Army 1 has the same faction as army 0: OrangeStar", position: undefined },
+            { message: "Unit 1 (Infantry) occupies the same tile as unit 0", position: { x: 0, y: 0 } },
+        ],
+    });
+});
+
+test("unit caps must be in range, and armies should start within them", () => {
+    const map = validMap();
+    map.unitCap = 1;
+    expect(validateMap(map, objectTypes)).toEqual({ errors: [], warnings: [] });
+    map.units.push({ type: "Infantry", position: { x: 1, y: 0 }, owner: 0, hp: 100, fuel: 99, ammo: [] });
+    map.units.push({ type: "Infantry", position: { x: 2, y: 0 }, owner: undefined, hp: 100, fuel: 99, ammo: [] });
+    expect(validateMap(map, objectTypes)).toEqual({
+        errors: [],
+        warnings: [
+            { message: "Army 0 starts with 2 units, which is more than the map's unit cap of 1", position: undefined },
+        ],
+    });
+    map.unitCap = 0;
+    expect(validateMap(map, objectTypes)).toEqual({
+        errors: [
+            { message: "The map's unit cap must be an integer between 1 and 65535, but it was 0", position: undefined },
+        ],
+        warnings: [],
+    });
+});
+
+test("maps that can't be read produce a single error", () => {
+    expect(unreadableMapReport("Oops")).toEqual({ errors: [{ message: "Oops", position: undefined }], warnings: [] });
+});
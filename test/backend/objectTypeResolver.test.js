@@ -0,0 +1,323 @@
+import Map from "#src/map/map.mjs";
+import ObjectTypeResolver, { createContext } from "#src/map/objectTypeResolver.mjs";
+import ObjectType from "#src/types/objectType.mjs";
+
+import { overrides } from "../../default-map-pack/exports.mjs";
+
+/**
+ * Creates an object type class whose fields return the given values.
+ * @param {Object} fields The value of each field, keyed on field name. Functions are used as the field accessors
+ *        themselves.
+ * @returns {Function} The object type class.
+ */
+function objectType(fields) {
+    const type = class extends ObjectType {
+        longName(context) {
+            return ["longname"];
+        }
+    };
+    for (const [field, value] of Object.entries(fields)) {
+        type.prototype[field] = typeof value === "function" ? value : () => value;
+    }
+    return type;
+}
+
+const objectTypes = {
+    commanders: { Andy: objectType({ power: context => context.factions.length }) },
+    environments: { NormalEnvironment: objectType({}) },
+    factions: { OrangeStar: objectType({}), BlueMoon: objectType({}) },
+    movements: { Foot: objectType({}), Treads: objectType({}) },
+    structures: { BlackCannon: objectType({}) },
+    terrains: { Land: objectType({}), Water: objectType({}) },
+    tiles: {
+        Plains: objectType({ terrain: "Land" }),
+        HQ: objectType({ terrain: "Land" }),
+        Sea: objectType({ terrain: "Water" }),
+    },
+    units: {
+        Infantry: objectType({ movementType: "Foot", weapons: ["MachineGun"] }),
+        Artillery: objectType({ movementType: "Treads", weapons: ["Cannon"] }),
+    },
+    weapons: {
+        MachineGun: objectType({ range: { min: 1, max: 1 } }),
+        Cannon: objectType({ range: context => ({ min: 2, max: context.units.includes("Artillery") ? 3 : 5 }) }),
+    },
+    weathers: { ClearWeather: objectType({}), SandstormWeather: objectType({}) },
+};
+
+/**
+ * Creates a 2x2 map with two armies, an owned HQ, a structure and two units.
+ * @param {Function} [onEvent=() => {}] Called with each event the map emits.
+ * @returns {Map} The map.
+ */
+function createMap(onEvent = () => {}) {
+    return new Map(
+        { event: onEvent },
+        {
+            name: "Test Map",
+            width: 2,
+            height: 2,
+            environment: "NormalEnvironment",
+            weathers: ["ClearWeather"],
+            armies: [
+                { faction: "OrangeStar", team: 0, funds: 1000, commanders: ["Andy"] },
+                { faction: "BlueMoon", team: 1, funds: 0, commanders: [] },
+            ],
+            tiles: [
+                [
+                    { type: "Plains", owner: undefined },
+                    { type: "HQ", owner: 0 },
+                ],
+                [
+                    { type: "Sea", owner: 1 },
+                    { type: "Plains", owner: undefined },
+                ],
+            ],
+            structures: [{ type: "BlackCannon", root: { x: 0, y: 1 }, destroyed: false }],
+            units: [
+                { type: "Infantry", position: { x: 1, y: 0 }, owner: 0, hp: 100, fuel: 99, ammo: [] },
+                { type: "Artillery", position: { x: 1, y: 0 }, owner: undefined, hp: 100, fuel: 50, ammo: [9] },
+            ],
+        }
+    );
+}
+
+test("resolving object types without a map uses an empty context", () => {
+    const resolver = new ObjectTypeResolver(objectTypes, null);
+    expect(resolver.buildContext("units", { unit: 0 })).toEqual(createContext());
+    expect(resolver.resolve("weapons", "Cannon")).toEqual({
+        longName: ["longname"],
+        shortName: undefined,
+        description: undefined,
+        range: { min: 2, max: 5 },
+    });
+    expect(() => resolver.resolve("weapons", "Missile")).toThrow(RangeError);
+    expect(() => resolver.resolve("guns", "Cannon")).toThrow(RangeError);
+});
+
+test("contexts follow the README's table", () => {
+    const map = createMap();
+    const resolver = new ObjectTypeResolver(objectTypes, null, map);
+    const base = { ...createContext(), map: map, weathers: ["ClearWeather"], environments: ["NormalEnvironment"] };
+
+    expect(resolver.buildContext("weathers")).toEqual({ ...base, weathers: [] });
+    expect(resolver.buildContext("environments")).toEqual({ ...base, environments: [] });
+    expect(resolver.buildContext("commanders", { army: 0 })).toEqual({ ...base, army: 0, factions: ["OrangeStar"] });
+    expect(resolver.buildContext("factions", { army: 0 })).toEqual({ ...base, army: 0, commanders: ["Andy"] });
+
+    const tile = {
+        ...base,
+        army: 0,
+        commanders: ["Andy"],
+        factions: ["OrangeStar"],
+        tile: { x: 1, y: 0 },
+        tiles: ["HQ"],
+        terrains: ["Land"],
+        units: ["Infantry", "Artillery"],
+        movements: ["Foot", "Treads"],
+        weapons: ["MachineGun", "Cannon"],
+    };
+    expect(resolver.buildContext("tiles", { tile: { x: 1, y: 0 } })).toEqual({ ...tile, tiles: [] });
+    expect(resolver.buildContext("terrains", { tile: { x: 1, y: 0 } })).toEqual({ ...tile, terrains: [] });
+    expect(resolver.buildContext("tiles", { tile: { x: 0, y: 0 } })).toEqual({
+        ...base,
+        tile: { x: 0, y: 0 },
+        terrains: ["Land"],
+    });
+    expect(resolver.buildContext("structures", { tile: { x: 0, y: 1 } })).toEqual({
+        ...base,
+        army: 1,
+        factions: ["BlueMoon"],
+        tile: { x: 0, y: 1 },
+    });
+
+    const unit = {
+        ...base,
+        army: 0,
+        commanders: ["Andy"],
+        factions: ["OrangeStar"],
+        unit: 0,
+        tile: { x: 1, y: 0 },
+        tiles: ["HQ"],
+        terrains: ["Land"],
+        units: ["Infantry"],
+        movements: ["Foot"],
+        weapons: ["MachineGun"],
+    };
+    expect(resolver.buildContext("units", { unit: 0 })).toEqual({ ...unit, units: [] });
+    expect(resolver.buildContext("weapons", { unit: 0 })).toEqual({ ...unit, weapons: [] });
+    expect(resolver.buildContext("movements", { unit: 1 })).toEqual({
+        ...unit,
+        army: undefined,
+        commanders: [],
+        factions: [],
+        unit: 1,
+        units: ["Artillery"],
+        movements: [],
+        weapons: ["Cannon"],
+    });
+
+    expect(() => resolver.buildContext("units", { unit: 2 })).toThrow(RangeError);
+    expect(() => resolver.buildContext("tiles", { tile: { x: 2, y: 0 } })).toThrow(RangeError);
+    expect(Object.isFrozen(resolver.buildContext("units", { unit: 0 }).weapons)).toBe(true);
+});
+
+test("overrides are applied after the field accessors, map pack first", () => {
+    const map = createMap();
+    const calls = [];
+    const resolver = new ObjectTypeResolver(
+        objectTypes,
+        (objectTypeName, objectType, context) => {
+            calls.push(["pack", objectTypeName, objectType.power]);
+            objectType.power += 10;
+        },
+        map,
+        (objectTypeName, objectType, context) => {
+            calls.push(["map", objectTypeName, objectType.power]);
+            objectType.power *= 2;
+        }
+    );
+    expect(resolver.resolve("commanders", "Andy", { army: 0 }).power).toBe(22);
+    expect(calls).toEqual([
+        ["pack", "Commander", 1],
+        ["map", "Commander", 11],
+    ]);
+});
+
+test("sandstorms reduce the range of indirect weapons", () => {
+    const map = createMap();
+    const resolver = new ObjectTypeResolver(objectTypes, overrides, map);
+    expect(resolver.resolve("weapons", "Cannon", { unit: 1 }).range).toEqual({ min: 2, max: 3 });
+    map.setWeathers(["SandstormWeather"]);
+    expect(resolver.resolve("weapons", "Cannon", { unit: 1 }).range).toEqual({ min: 2, max: 2 });
+    expect(resolver.resolve("weapons", "MachineGun", { unit: 0 }).range).toEqual({ min: 1, max: 1 });
+});
+
+test("the primary commander's modifiers are applied to the object types of their army", () => {
+    let resolver;
+    const map = createMap((...event) => resolver.invalidate(...event));
+    resolver = new ObjectTypeResolver(
+        {
+            ...objectTypes,
+            commanders: {
+                Andy: objectType({
+                    modifiers: [
+                        { category: "Weapon", field: "range.max", add: 1, where: { units: ["Infantry"] } },
+                        { category: "Weapon", field: "range.min", add: 5, unless: { movements: ["Foot"] } },
+                        { category: "Unit", field: "range", add: 1 },
+                    ],
+                    superPower: { modifiers: [{ category: "Weapon", field: "range", multiply: 2 }] },
+                }),
+            },
+        },
+        null,
+        map
+    );
+    expect(resolver.resolve("weapons", "MachineGun", { unit: 0 }).range).toEqual({ min: 1, max: 2 });
+    expect(resolver.resolve("weapons", "Cannon", { unit: 1 }).range).toEqual({ min: 2, max: 3 });
+    map.setUnitOwner(1, 0);
+    expect(resolver.resolve("weapons", "Cannon", { unit: 1 }).range).toEqual({ min: 7, max: 3 });
+
+    map.setActivePower(0, "superPower");
+    expect(resolver.resolve("weapons", "MachineGun", { unit: 0 }).range).toEqual({ min: 2, max: 4 });
+    map.setActivePower(0, undefined);
+    expect(resolver.resolve("weapons", "MachineGun").range).toEqual({ min: 1, max: 1 });
+});
+
+test("object types that depend on what an army owns are invalidated when it gains or loses tiles and units", () => {
+    let resolver;
+    const map = createMap((...event) => resolver.invalidate(...event));
+    const owned = context => {
+        let count = 0;
+        context.map.forEachTile(tile => (count += tile.owner === context.army ? 1 : 0));
+        context.map.forEachUnit(unit => (count += unit.owner === context.army ? 1 : 0));
+        return count;
+    };
+    resolver = new ObjectTypeResolver(
+        {
+            ...objectTypes,
+            commanders: {
+                Andy: objectType({
+                    modifiers: context => [{ category: "Weapon", field: "range.max", add: owned(context) }],
+                    superPower: context => ({ modifiers: [{ category: "Weapon", field: "range.max", add: 1 }] }),
+                }),
+            },
+        },
+        null,
+        map
+    );
+    const range = () => resolver.resolve("weapons", "MachineGun", { unit: 0 }).range.max;
+    map.setActivePower(0, "superPower");
+    // Army 0 owns the HQ and the infantry.
+    expect(range()).toBe(4);
+    map.setOwner({ x: 0, y: 0 }, 0);
+    expect(range()).toBe(5);
+    map.setUnitOwner(1, 0);
+    expect(range()).toBe(6);
+    map.removeUnit(1);
+    expect(range()).toBe(5);
+    map.setOwner({ x: 1, y: 1 }, 1);
+    map.setOwner({ x: 0, y: 0 }, 1);
+    expect(range()).toBe(4);
+});
+
+test("resolved object types are cached until the map changes something they depend on", () => {
+    let resolver;
+    const map = createMap((...event) => resolver.invalidate(...event));
+    const resolved = [];
+    resolver = new ObjectTypeResolver(objectTypes, (category, objectType, context) => resolved.push(category), map);
+    const infantry = () => resolver.resolve("units", "Infantry", { unit: 0 });
+    const plains = () => resolver.resolve("tiles", "Plains", { tile: { x: 1, y: 1 } });
+    const sea = () => resolver.resolve("tiles", "Sea", { tile: { x: 0, y: 1 } });
+
+    const first = infantry();
+    expect(infantry()).toBe(first);
+    expect(Object.isFrozen(first)).toBe(true);
+    plains();
+    sea();
+    // The infantry's commander is resolved, and cached, along with it.
+    expect(resolver.cacheStatistics).toEqual({ hits: 1, misses: 4, size: 4 });
+    expect(resolver.resolve("units", "Infantry", { unit: 1 })).not.toBe(first);
+
+    // Cached object types are frozen all the way down, but the values their classes return aren't.
+    const machineGun = resolver.resolve("weapons", "MachineGun", { unit: 0 });
+    expect(() => (machineGun.range.max = 9)).toThrow(TypeError);
+    expect(Object.isFrozen(objectTypes.weapons.MachineGun.prototype.range())).toBe(false);
+
+    // Moving a unit only invalidates the unit, and the tiles it moved between.
+    resolved.length = 0;
+    map.moveUnit(0, { x: 1, y: 1 });
+    infantry();
+    plains();
+    sea();
+    expect(resolved).toEqual(["Unit", "Tile"]);
+
+    // Changes to an army invalidate everything resolved for the army, including the tiles and units it owns.
+    resolved.length = 0;
+    map.setActivePower(0, "power");
+    map.setFunds(1, 500);
+    infantry();
+    plains();
+    sea();
+    expect(resolved).toEqual(["Commander", "Unit", "Tile"]);
+
+    // Changing the owner of a tile that forms part of a structure invalidates the whole structure, as well as
+    // everything resolved for the armies that gained and lost it.
+    resolved.length = 0;
+    map.setOwner({ x: 0, y: 1 }, 0);
+    infantry();
+    plains();
+    sea();
+    expect(resolved).toEqual(["Commander", "Unit", "Tile"]);
+
+    // Changing the weather invalidates everything.
+    resolved.length = 0;
+    map.setWeathers(["SandstormWeather"]);
+    infantry();
+    plains();
+    sea();
+    expect(resolved).toEqual(["Commander", "Unit", "Tile", "Tile"]);
+
+    resolver.clearCache();
+    expect(resolver.cacheStatistics.size).toBe(0);
+});
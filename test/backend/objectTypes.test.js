@@ -0,0 +1,113 @@
+import Map from "#src/map/map.mjs";
+import { validateMapPack } from "#src/map/mapPackValidator.mjs";
+import ObjectTypeResolver from "#src/map/objectTypeResolver.mjs";
+import MapManager from "#src/models/mapManager.mjs";
+import ObjectTypes from "#src/models/objectTypes.mjs";
+import { impassable } from "#src/types/terrainType.mjs";
+
+import * as mapPack from "../../default-map-pack/exports.mjs";
+
+const { objectTypes } = validateMapPack(mapPack);
+
+/**
+ * Creates a model with a fake controller that records the events the model emits.
+ * @param {Function} type The model class to instantiate.
+ * @returns {Object} The model, and a list of the events it has emitted so far.
+ */
+function createModel(type) {
+    const events = [];
+    const model = new type({ event: (name, ...data) => events.push([name, ...data]) });
+    return { model, events };
+}
+
+/**
+ * Creates a 1x1 snowy map with a single army and a single unit.
+ * @returns {Map} The map.
+ */
+function createMap() {
+    return new Map(
+        { event: () => {} },
+        {
+            name: "Test Map",
+            width: 1,
+            height: 1,
+            environment: "NormalEnvironment",
+            weathers: ["SnowWeather"],
+            armies: [{ faction: "OrangeStar", team: 0, funds: 0, commanders: ["Max"] }],
+            tiles: [[{ type: "Plains", owner: undefined }]],
+            structures: [],
+            units: [{ type: "Tank", position: { x: 0, y: 0 }, owner: 0, hp: 100, fuel: 70, ammo: [9] }],
+        }
+    );
+}
+
+test("the base fields of every object type are published to every client", () => {
+    const { model, events } = createModel(ObjectTypes);
+    model.onNewClient("client");
+    expect(events.at(-1)).toEqual([
+        "NewFrontEndData",
+        "ObjectTypes",
+        "client",
+        { types: {}, queries: {} },
+        { types: {}, queries: {} },
+        ["ObjectTypesResolved"],
+    ]);
+
+    model.setObjectTypes(objectTypes, mapPack.overrides);
+    const [name, modelName, sessionKey, data, eventNames] = events.at(-1);
+    expect([name, modelName, sessionKey, eventNames]).toEqual([
+        "FrontEndDataChange",
+        "ObjectTypes",
+        undefined,
+        ["ObjectTypesResolved"],
+    ]);
+    expect(Object.keys(data.types.units)).toHaveLength(mapPack.units.length);
+    expect(data.types.factions.OrangeStar.color).toEqual(new objectTypes.factions.OrangeStar().color());
+    expect(data.types.units.Tank.firepower).toBe(100);
+    expect(data.types.terrains.Plains.movementCost.Ships).toBe(impassable);
+    expect(JSON.parse(JSON.stringify(data)).types.terrains.Plains.movementCost.Ships).toBe(null);
+});
+
+test("clients can resolve object types for things on the current map", () => {
+    const { model, events } = createModel(ObjectTypes);
+    const resolver = new ObjectTypeResolver(objectTypes, mapPack.overrides, createMap());
+    model.query("client", "selected", resolver, "units", "Tank", { unit: 0 });
+    expect(events.at(-2)).toEqual(["ObjectTypeResolved", "client", "selected"]);
+    const [name, modelName, sessionKey, data, eventNames] = events.at(-1);
+    expect([name, modelName, sessionKey, eventNames]).toEqual([
+        "FrontEndDataChange",
+        "ObjectTypes",
+        "client",
+        ["ObjectTypeResolved"],
+    ]);
+    expect(data.queries.selected).toMatchObject({ category: "units", type: "Tank", subject: { unit: 0 }, error: null });
+    expect(data.queries.selected.fields.firepower).toBe(120);
+
+    model.query("client", "tile", resolver, "terrains", "Plains", { tile: { x: 0, y: 0 } });
+    expect(events.at(-1)[3].queries.tile.fields.movementCost.Tires).toBe(4);
+
+    model.query("client", "selected", resolver, "units", "Tank", { unit: 7 });
+    expect(events.at(-2)).toEqual(["ObjectTypeResolutionFailed", "client", "selected", "Unit 7 does not exist"]);
+    expect(events.at(-1)[3].queries.selected).toMatchObject({ fields: null, error: "Unit 7 does not exist" });
+
+    // Reconnecting clients receive their own queries, and nobody else's.
+    model.onNewClient("client");
+    expect(Object.keys(events.at(-1)[4].queries)).toEqual(["selected", "tile"]);
+    model.onNewClient("other");
+    expect(events.at(-1)[4].queries).toEqual({});
+});
+
+test("the map manager owns the object types model", () => {
+    const { model: mapManager, events } = createModel(MapManager);
+    expect(mapManager.prependSessionKeyToCommands).toContain("ResolveObjectType");
+    mapManager.onNewClient("client");
+    expect(events.filter(event => event[0] === "NewFrontEndData").map(event => event[1])).toEqual([
+        "MapManager",
+        "ObjectTypes",
+    ]);
+
+    mapManager.whenResolveObjectType("client", 5, "units", "Tank");
+    expect(events.at(-1)[0]).toBe("NewFrontEndData");
+    mapManager.whenResolveObjectType("client", "query", "units", "Tank");
+    expect(events.at(-2)).toEqual(["ObjectTypeResolutionFailed", "client", "query", 'Unknown units type "Tank"']);
+});
@@ -0,0 +1,172 @@
+import { findPath, movementBudget, movementRange } from "#src/map/pathfinding.mjs";
+import MapManager from "#src/models/mapManager.mjs";
+
+import { createTestMap, objectTypes } from "./helpers.mjs";
+
+/**
+ * Creates a map from rows of tile types, with two armies on opposing teams and a third allied with the first.
+ * @param {Array<Array<String>>} rows The type of each tile, row by row.
+ * @param {Array<import("#src/map/map.mjs").UnitData>} units The units on the map.
+ * @param {Object} [options={}] Overrides the map's weathers, the first army's commanders, and the object types the map
+ *        is resolved with.
+ * @returns {Object} The map, and a resolver for it.
+ */
+function createMap(rows, units, { weathers = ["ClearWeather"], commanders = [], types = objectTypes } = {}) {
+    const { map, resolver } = createTestMap(
+        rows,
+        [
+            { faction: "OrangeStar", team: 0, commanders: commanders },
+            { faction: "BlueMoon", team: 1 },
+            { faction: "GreenEarth", team: 0 },
+        ],
+        units,
+        { weathers: weathers, objectTypes: types }
+    );
+    return { map, resolver };
+}
+
+/**
+ * Lists the columns of the tiles a unit can reach along a single row of tiles.
+ * @param {Array<import("#src/map/pathfinding.mjs").ReachableTile>} range The unit's movement range.
+ * @returns {Array<Number>} The column of each reachable tile, in order.
+ */
+const columns = range => range.map(tile => tile.position.x).sort();
+
+const plains = ["Plains", "Plains", "Plains", "Plains", "Plains"];
+
+test("units can reach the tiles their movement points and fuel pay for", () => {
+    const { map, resolver } = createMap([plains], [{ type: "Infantry", position: { x: 0, y: 0 } }]);
+    expect(movementBudget(map, resolver, 0)).toBe(3);
+    expect(movementRange(map, resolver, 0)).toEqual([
+        { position: { x: 0, y: 0 }, cost: 0, canStop: true },
+        { position: { x: 1, y: 0 }, cost: 1, canStop: true },
+        { position: { x: 2, y: 0 }, cost: 2, canStop: true },
+        { position: { x: 3, y: 0 }, cost: 3, canStop: true },
+    ]);
+
+    map.setUnitFuel(0, 2);
+    expect(movementBudget(map, resolver, 0)).toBe(2);
+    expect(columns(movementRange(map, resolver, 0))).toEqual([0, 1, 2]);
+});
+
+test("movement ranges respect the weather and commanders' modifiers", () => {
+    const snowy = createMap([plains], [{ type: "Infantry", position: { x: 0, y: 0 } }], { weathers: ["SnowWeather"] });
+    expect(movementRange(snowy.map, snowy.resolver, 0).at(-1)).toEqual({
+        position: { x: 1, y: 0 },
+        cost: 2,
+        canStop: true,
+    });
+
+    const { map, resolver } = createMap([plains], [{ type: "Infantry", position: { x: 0, y: 0 } }], {
+        commanders: ["Adder"],
+    });
+    expect(columns(movementRange(map, resolver, 0))).toEqual([0, 1, 2, 3]);
+    map.setActivePower(0, "power");
+    expect(columns(movementRange(map, resolver, 0))).toEqual([0, 1, 2, 3, 4]);
+});
+
+test("commanders' modifiers change their own army's movement costs, whoever owns the tiles", () => {
+    const mountains = ["Mountain", "Mountain", "Mountain", "Mountain", "Mountain"];
+    const hiker = class extends objectTypes.commanders.Andy {
+        modifiers(context) {
+            return [{ category: "Terrain", field: "movementCost.InfantryFeet", add: -1 }];
+        }
+    };
+    const range = owner => {
+        const { map, resolver } = createMap(
+            [mountains],
+            [{ type: "Infantry", position: { x: 0, y: 0 }, owner: owner }],
+            {
+                commanders: ["Hiker"],
+                types: { ...objectTypes, commanders: { ...objectTypes.commanders, Hiker: hiker } },
+            }
+        );
+        return columns(movementRange(map, resolver, 0));
+    };
+    expect(range(0)).toEqual([0, 1, 2, 3]);
+    expect(range(1)).toEqual([0, 1]);
+});
+
+test("units can pass through allies, but not through enemies or impassable terrain", () => {
+    const { map, resolver } = createMap(
+        [plains],
+        [
+            { type: "Infantry", position: { x: 2, y: 0 } },
+            { type: "Infantry", position: { x: 3, y: 0 }, owner: 2 },
+            { type: "Infantry", position: { x: 1, y: 0 }, owner: 1 },
+        ]
+    );
+    expect(movementRange(map, resolver, 0)).toEqual([
+        { position: { x: 2, y: 0 }, cost: 0, canStop: true },
+        { position: { x: 3, y: 0 }, cost: 1, canStop: false },
+        { position: { x: 4, y: 0 }, cost: 2, canStop: true },
+    ]);
+
+    map.setTileType({ x: 3, y: 0 }, "Sea");
+    expect(columns(movementRange(map, resolver, 0))).toEqual([2]);
+});
+
+test("units take the cheapest path to their destination", () => {
+    const { map, resolver } = createMap(
+        [
+            ["Plains", "Woods", "Plains"],
+            ["Plains", "Plains", "Plains"],
+        ],
+        [{ type: "Tank", position: { x: 0, y: 0 } }]
+    );
+    expect(findPath(map, resolver, 0, { x: 2, y: 0 })).toEqual({
+        positions: [
+            { x: 0, y: 0 },
+            { x: 1, y: 0 },
+            { x: 2, y: 0 },
+        ],
+        cost: 3,
+        canStop: true,
+    });
+
+    map.setTileType({ x: 1, y: 0 }, "Mountain");
+    expect(findPath(map, resolver, 0, { x: 2, y: 0 })).toEqual({
+        positions: [
+            { x: 0, y: 0 },
+            { x: 0, y: 1 },
+            { x: 1, y: 1 },
+            { x: 2, y: 1 },
+            { x: 2, y: 0 },
+        ],
+        cost: 4,
+        canStop: true,
+    });
+    expect(findPath(map, resolver, 0, { x: 0, y: 0 })).toEqual({ positions: [{ x: 0, y: 0 }], cost: 0, canStop: true });
+
+    map.setUnitFuel(0, 3);
+    expect(() => findPath(map, resolver, 0, { x: 2, y: 0 })).toThrow("Unit 0 can't reach (2, 0) this turn");
+    expect(() => findPath(map, resolver, 1, { x: 2, y: 0 })).toThrow(RangeError);
+});
+
+test("clients can ask the map manager for movement ranges and paths", () => {
+    const events = [];
+    const mapManager = new MapManager({ event: (name, ...data) => events.push([name, ...data]) });
+    expect(mapManager.prependSessionKeyToCommands).toEqual(expect.arrayContaining(["GetMovementRange", "GetPath"]));
+
+    mapManager.whenGetMovementRange("client", 0);
+    expect(events.at(-2)).toEqual(["MovementRangeFailed", "client", 0, "No map has been loaded"]);
+    expect(events.at(-1)).toEqual([
+        "FrontEndDataChange",
+        "MapManager",
+        "client",
+        { movementRange: { unit: 0, tiles: null, error: "No map has been loaded" } },
+        ["MovementRangeFailed"],
+    ]);
+
+    mapManager.whenGetPath("client", 0, { x: 1, y: 0 });
+    expect(events.at(-2)).toEqual(["PathFailed", "client", 0, { x: 1, y: 0 }, "No map has been loaded"]);
+
+    const newFrontEndData = () => events.filter(event => event[0] === "NewFrontEndData" && event[1] === "MapManager");
+    mapManager.onNewClient("client");
+    expect(newFrontEndData().at(-1)[4]).toMatchObject({
+        movementRange: { unit: 0, error: "No map has been loaded" },
+        path: { unit: 0, destination: { x: 1, y: 0 }, path: null },
+    });
+    mapManager.onNewClient("other");
+    expect(newFrontEndData().at(-1)[4]).toMatchObject({ movementRange: null, path: null });
+});
@@ -0,0 +1,117 @@
+import { buildMenu, buildUnit } from "#src/map/production.mjs";
+
+import { createTestMap } from "./helpers.mjs";
+
+/**
+ * Creates a single row of tiles: an Airport and a Base owned by the first army, a Base owned by the second army, a City
+ * owned by the first army, and an unowned Base.
+ * @param {Array<import("#src/map/map.mjs").UnitData>} [units=[]] The units on the map.
+ * @param {Function | null} [mapOverride=null] The map's own override() function.
+ * @param {Number | undefined} [unitCap=undefined] The map's own unit cap, if it has one.
+ * @returns {Object} The map, a resolver for it, an emitter, and a list of the events both have emitted so far.
+ */
+function createMap(units = [], mapOverride = null, unitCap = undefined) {
+    return createTestMap(
+        [
+            [
+                { type: "Airport", owner: 0 },
+                { type: "Base", owner: 0 },
+                { type: "Base", owner: 1 },
+                { type: "City", owner: 0 },
+                "Base",
+            ],
+        ],
+        [
+            { faction: "OrangeStar", team: 0, funds: 10000, commanders: ["Hachi"] },
+            { faction: "BlueMoon", team: 1, funds: 10000 },
+        ],
+        units,
+        { mapOverride: mapOverride, unitCap: unitCap }
+    );
+}
+
+test("build menus list every unit a tile produces, priced for the army that owns it", () => {
+    const { map, resolver } = createMap();
+    // Hachi's units cost 10% less.
+    expect(buildMenu(map, resolver, { x: 0, y: 0 })).toEqual([
+        { type: "Fighter", cost: 18000, affordable: false },
+        { type: "Bomber", cost: 19800, affordable: false },
+        { type: "Stealth", cost: 21600, affordable: false },
+        { type: "BattleCopter", cost: 8100, affordable: true },
+        { type: "TransportCopter", cost: 4500, affordable: true },
+        { type: "BlackBomb", cost: 22500, affordable: false },
+    ]);
+    expect(buildMenu(map, resolver, { x: 2, y: 0 })[0]).toEqual({ type: "Infantry", cost: 1000, affordable: true });
+    expect(() => buildMenu(map, resolver, { x: 3, y: 0 })).toThrow("Tile (3, 0) can't build units");
+    expect(() => buildMenu(map, resolver, { x: 4, y: 0 })).toThrow(
+        "Tile (4, 0) isn't owned by an army, so it can't build units"
+    );
+    expect(() => buildMenu(map, resolver, { x: 5, y: 0 })).toThrow(RangeError);
+});
+
+test("built units have full HP, fuel and ammo, and are paid for by their army", () => {
+    const { map, resolver, emitter, events } = createMap();
+    expect(buildUnit(map, resolver, emitter, 0, { x: 1, y: 0 }, "Mech")).toBe(0);
+    expect(map.getUnit(0)).toEqual({
+        id: 0,
+        type: "Mech",
+        position: { x: 1, y: 0 },
+        owner: 0,
+        hp: 100,
+        fuel: 70,
+        ammo: [3, 0],
+    });
+    expect(map.getArmy(0).funds).toBe(10000 - 2700);
+    expect(events).toEqual([
+        ["UnitAdded", 0],
+        ["FundsChanged", 0, 7300, 10000],
+        ["UnitBuilt", 0, 2700],
+    ]);
+    expect(buildMenu(map, resolver, { x: 0, y: 0 }).find(unit => unit.type === "BattleCopter").affordable).toBe(false);
+});
+
+test("armies can only build units they can afford on empty tiles they own", () => {
+    const { map, resolver, emitter, events } = createMap([{ type: "Infantry", position: { x: 1, y: 0 }, ammo: [0] }]);
+    const build = (army, x, type) => () => buildUnit(map, resolver, emitter, army, { x: x, y: 0 }, type);
+    expect(build(0, 2, "Infantry")).toThrow("Army 0 doesn't own tile (2, 0)");
+    expect(build(0, 0, "Infantry")).toThrow("Tile (0, 0) can't build Infantry units");
+    expect(build(0, 1, "Infantry")).toThrow("Tile (1, 0) is occupied");
+    expect(build(0, 0, "Fighter")).toThrow("Army 0 can't afford a Fighter unit, which costs 18000");
+    expect(build(2, 0, "Fighter")).toThrow(RangeError);
+    expect(events).toEqual([]);
+});
+
+test("maps can change how many units each army can have", () => {
+    const { map, resolver, emitter } = createMap(
+        [
+            { type: "Infantry", position: { x: 3, y: 0 }, ammo: [0] },
+            { type: "Infantry", position: { x: 3, y: 0 }, owner: 1, ammo: [0] },
+        ],
+        (objectTypeName, objectType, context) => {
+            if (objectTypeName === "Faction") {
+                objectType.unitCap = 2;
+            }
+        }
+    );
+    buildUnit(map, resolver, emitter, 0, { x: 1, y: 0 }, "Infantry");
+    expect(() => buildUnit(map, resolver, emitter, 0, { x: 0, y: 0 }, "TransportCopter")).toThrow(
+        "Army 0 already has 2 units, which is as many as it can have"
+    );
+    expect(buildUnit(map, resolver, emitter, 1, { x: 2, y: 0 }, "Infantry")).toBe(3);
+});
+
+test("maps can set their own unit cap, which takes precedence over each faction's", () => {
+    const { map, resolver, emitter } = createMap(
+        [{ type: "Infantry", position: { x: 3, y: 0 }, ammo: [0] }],
+        (objectTypeName, objectType, context) => {
+            if (objectTypeName === "Faction") {
+                objectType.unitCap = 1;
+            }
+        },
+        2
+    );
+    expect(buildUnit(map, resolver, emitter, 0, { x: 1, y: 0 }, "Infantry")).toBe(1);
+    expect(() => buildUnit(map, resolver, emitter, 0, { x: 0, y: 0 }, "TransportCopter")).toThrow(
+        "Army 0 already has 2 units, which is as many as it can have"
+    );
+});
@@ -0,0 +1,127 @@
+import Map from "#src/map/map.mjs";
+import ObjectTypeResolver from "#src/map/objectTypeResolver.mjs";
+import { deleteStructure, placeStructure, setStructureDestroyed, structureDependents } from "#src/map/structures.mjs";
+
+const objectTypes = {
+    tiles: Object.fromEntries(
+        ["Plains", "Sea", "CannonRoot", "CannonPart", "Rubble", "Silo", "EmptySilo"].map(name => [name, class {}])
+    ),
+    units: { Infantry: class {} },
+    structures: {
+        Cannon: class {
+            root(context) {
+                return { tile: "CannonRoot", destroyed: "Rubble", deleted: "Plains" };
+            }
+            dependents(context) {
+                return [{ offset: { x: 1, y: 0 }, tile: "CannonPart", destroyed: "Rubble", deleted: "Sea" }];
+            }
+            keepUnitsWhenPainted(context) {
+                return false;
+            }
+        },
+        Silo: class {
+            root(context) {
+                return { tile: "Silo", destroyed: "EmptySilo", deleted: "Plains" };
+            }
+            keepUnitsWhenPainted(context) {
+                return true;
+            }
+        },
+    },
+};
+
+/**
+ * Creates a 3x1 plains map with a unit on each tile, and a resolver for it.
+ * @param {Array<import("#src/map/map.mjs").StructureData>} [structures=[]] The structures to start the map with.
+ * @returns {Object} The map, its resolver, and a list of the events the map has emitted so far.
+ */
+function createMap(structures = []) {
+    const events = [];
+    const typeResolver = new ObjectTypeResolver(objectTypes, null);
+    let resolver;
+    const map = new Map(
+        {
+            event: (name, ...data) => {
+                events.push([name, ...data]);
+                resolver.invalidate(name, ...data);
+            },
+        },
+        {
+            name: "Structures",
+            width: 3,
+            height: 1,
+            environment: "NormalEnvironment",
+            weathers: [],
+            armies: [{ faction: "OrangeStar", team: 0, funds: 0, commanders: [] }],
+            tiles: [Array.from({ length: 3 }, () => ({ type: "Plains", owner: undefined }))],
+            structures: structures,
+            units: [0, 1, 2].map(x => ({
+                type: "Infantry",
+                position: { x: x, y: 0 },
+                owner: 0,
+                hp: 100,
+                fuel: 99,
+                ammo: [],
+            })),
+        },
+        type => structureDependents(typeResolver, type)
+    );
+    resolver = new ObjectTypeResolver(objectTypes, null, map);
+    return { map, resolver, events };
+}
+
+/**
+ * @param {import("#src/map/map.mjs").default} map The map to read.
+ * @returns {Array<String>} The type of each tile in the map's only row.
+ */
+function tileTypes(map) {
+    return [0, 1, 2].map(x => map.getTile({ x: x, y: 0 }).type);
+}
+
+test("loaded structures are given the dependent tiles of their type", () => {
+    const { map } = createMap([{ type: "Cannon", root: { x: 1, y: 0 }, destroyed: false }]);
+    expect(map.getStructure(0).dependents).toEqual([{ x: 1, y: 0 }]);
+    expect(map.getTile({ x: 2, y: 0 }).structure).toBe(0);
+});
+
+test("placing a structure paints its tiles and removes units in the way", () => {
+    const { map, resolver, events } = createMap();
+    expect(placeStructure(map, resolver, "Cannon", { x: 1, y: 0 })).toBe(0);
+    expect(tileTypes(map)).toEqual(["Plains", "CannonRoot", "CannonPart"]);
+    expect(map.unitsAt({ x: 1, y: 0 })).toEqual([]);
+    expect(map.unitsAt({ x: 0, y: 0 })).toHaveLength(1);
+    expect(events.map(event => event[0])).toEqual([
+        "UnitRemoved",
+        "UnitRemoved",
+        "TileTypeChanged",
+        "TileTypeChanged",
+        "StructureAdded",
+    ]);
+
+    expect(placeStructure(map, resolver, "Silo", { x: 0, y: 0 }, true)).toBe(1);
+    expect(tileTypes(map)).toEqual(["EmptySilo", "CannonRoot", "CannonPart"]);
+    expect(map.unitsAt({ x: 0, y: 0 })).toHaveLength(1);
+});
+
+test("structures that don't fit on the map aren't placed", () => {
+    const { map, resolver, events } = createMap([{ type: "Silo", root: { x: 0, y: 0 }, destroyed: false }]);
+    expect(() => placeStructure(map, resolver, "Cannon", { x: 2, y: 0 })).toThrow(RangeError);
+    expect(() => placeStructure(map, resolver, "Cannon", { x: 0, y: 0 })).toThrow(/overlaps/);
+    expect(() => placeStructure(map, resolver, "Tower", { x: 1, y: 0 })).toThrow(RangeError);
+    expect(tileTypes(map)).toEqual(["Plains", "Plains", "Plains"]);
+    expect(events).toEqual([]);
+});
+
+test("structures can be destroyed, restored and deleted", () => {
+    const { map, resolver } = createMap();
+    const id = placeStructure(map, resolver, "Cannon", { x: 0, y: 0 });
+    setStructureDestroyed(map, resolver, id, true);
+    expect(tileTypes(map)).toEqual(["Rubble", "Rubble", "Plains"]);
+    expect(map.getStructure(id).destroyed).toBe(true);
+    setStructureDestroyed(map, resolver, id, false);
+    expect(tileTypes(map)).toEqual(["CannonRoot", "CannonPart", "Plains"]);
+    deleteStructure(map, resolver, id);
+    expect(tileTypes(map)).toEqual(["Plains", "Sea", "Plains"]);
+    expect(map.getTile({ x: 0, y: 0 }).structure).toBeUndefined();
+    expect(() => deleteStructure(map, resolver, id)).toThrow(RangeError);
+});
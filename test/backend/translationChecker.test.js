@@ -0,0 +1,73 @@
+import { mkdir, mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { cwd } from "node:process";
+
+import { validateMapPack } from "#src/map/mapPackValidator.mjs";
+import { checkTranslations, findLanguageKeys, readMapPackTranslations } from "#src/map/translationChecker.mjs";
+
+import * as mapPack from "../../default-map-pack/exports.mjs";
+import { Andy } from "../../default-map-pack/src/types/commanderTypes.mjs";
+import { OrangeStar } from "../../default-map-pack/src/types/factionTypes.mjs";
+
+const objectTypes = { commanders: { Andy: Andy }, factions: { OrangeStar: OrangeStar } };
+
+test("the default map pack's translations are complete", () => {
+    const { objectTypes } = validateMapPack(mapPack);
+    return readMapPackTranslations(join(cwd(), "default-map-pack")).then(translations => {
+        expect(Object.keys(translations.locales).sort()).toEqual(["de", "en"]);
+        expect(checkTranslations(objectTypes, mapPack.overrides, translations)).toEqual({
+            missing: [],
+            partial: [],
+            unused: [],
+        });
+    });
+});
+
+test("language keys are found in object types and their powers", () => {
+    const keys = findLanguageKeys(objectTypes, null);
+    expect(keys.ORANGE_COUNTRY_longname).toEqual(["factions.OrangeStar"]);
+    expect(keys).toHaveProperty("ANDY_COMMANDER_description");
+    expect(keys).toHaveProperty("ANDY_SUPER_POWER_longname");
+});
+
+test("missing, partial and unused translations are reported", () => {
+    const en = Object.fromEntries(Object.keys(findLanguageKeys(objectTypes, null)).map(key => [key, key]));
+    const de = { ...en, greeting_one: "Hallo", greeting_other: "Hallo zusammen", leftOver: "Übrig" };
+    delete de.ORANGE_COUNTRY_shortname;
+    const report = checkTranslations(objectTypes, null, {
+        locales: { en: en, de: de },
+        sources: ['t("greeting", { count: 2 });'],
+    });
+    expect(report.missing).toEqual([
+        {
+            message: "The de locale has no translation for ORANGE_COUNTRY_shortname, used by factions.OrangeStar",
+            key: "ORANGE_COUNTRY_shortname",
+            locale: "de",
+        },
+    ]);
+    expect(report.partial.map(issue => issue.key)).toEqual([
+        "ORANGE_COUNTRY_shortname",
+        "greeting_one",
+        "greeting_other",
+        "leftOver",
+    ]);
+    expect(report.partial[3].message).toBe("leftOver is not translated by the en locale");
+    expect(report.unused.map(issue => issue.key)).toEqual(["leftOver"]);
+});
+
+test("map packs without locales have nothing to check", () => {
+    let mapPackPath;
+    return mkdtemp(join(tmpdir(), "wwmp-"))
+        .then(path => {
+            mapPackPath = path;
+            return readMapPackTranslations(mapPackPath);
+        })
+        .then(translations => {
+            expect(translations).toEqual({ locales: {}, sources: [] });
+            return mkdir(join(mapPackPath, "public", "locales", "en"), { recursive: true });
+        })
+        .then(() => writeFile(join(mapPackPath, "public", "locales", "en", "translation.json"), "{ broken"))
+        .then(() => expect(readMapPackTranslations(mapPackPath)).rejects.toThrow(SyntaxError))
+        .finally(() => rm(mapPackPath, { recursive: true, force: true }));
+});
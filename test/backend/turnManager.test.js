@@ -0,0 +1,332 @@
+import Map from "#src/map/map.mjs";
+import { validateMapPack } from "#src/map/mapPackValidator.mjs";
+import ObjectTypeResolver from "#src/map/objectTypeResolver.mjs";
+import { defaultTurnPhases } from "#src/map/turns.mjs";
+import TurnManager from "#src/models/turnManager.mjs";
+
+import * as mapPack from "../../default-map-pack/exports.mjs";
+
+const { objectTypes } = validateMapPack(mapPack);
+
+/**
+ * Creates a 2x1 map with two armies. The first army owns a City, and the second owns a Base.
+ * @param {Array<import("#src/map/map.mjs").UnitData>} [units=[]] The units on the map.
+ * @returns {Object} The map, and a resolver for it.
+ */
+function createMap(units = []) {
+    let resolver;
+    const map = new Map(
+        { event: (name, ...data) => resolver.invalidate(name, ...data) },
+        {
+            name: "Test Map",
+            width: 2,
+            height: 1,
+            environment: "NormalEnvironment",
+            weathers: ["ClearWeather"],
+            armies: [
+                { faction: "BlueMoon", team: 0, funds: 0, commanders: [] },
+                { faction: "OrangeStar", team: 1, funds: 0, commanders: [] },
+            ],
+            tiles: [
+                [
+                    { type: "City", owner: 0 },
+                    { type: "Base", owner: 1 },
+                ],
+            ],
+            structures: [],
+            units: units.map(unit => ({ owner: 1, hp: 100, fuel: 99, ammo: [], ...unit })),
+        }
+    );
+    resolver = new ObjectTypeResolver(objectTypes, mapPack.overrides, map);
+    return { map, resolver };
+}
+
+/**
+ * Creates a turn manager with a fake controller, and loads a map into it.
+ * @param {Object} [mapPackModule=mapPack] The exports of the map pack to load.
+ * @param {Array<import("#src/map/map.mjs").UnitData>} [units=[]] The units on the map.
+ * @returns {Object} The turn manager, the map, and a function that lists the names and data of the turn events the
+ *          turn manager has emitted so far.
+ */
+function createTurnManager(mapPackModule = mapPack, units = []) {
+    const events = [];
+    const turnManager = new TurnManager({ event: (name, ...data) => events.push([name, ...data]) });
+    const { map, resolver } = createMap(units);
+    turnManager.onMapPackLoaded("", mapPackModule);
+    turnManager.onMapLoaded("test.map", map, resolver);
+    const turnEvents = () => events.filter(event => !event[0].includes("FrontEndData"));
+    return { turnManager, map, turnEvents };
+}
+
+test("the first turn of the first day starts when a map is loaded", () => {
+    const { turnManager, map, turnEvents } = createTurnManager();
+    expect(turnEvents()).toEqual([
+        ["DayStarted", 1],
+        ["TurnStarted", 1, 1],
+    ]);
+    expect(map.getArmy(1).funds).toBe(1000);
+    expect(map.getArmy(0).funds).toBe(0);
+    expect(turnManager.frontEndData("client")).toEqual({
+        day: 1,
+        turnOrder: [1, 0],
+        currentArmy: 1,
+        controlledArmies: [],
+        armies: [],
+        captures: [],
+        exhaustedUnits: [],
+        buildMenu: null,
+    });
+});
+
+test("only the client controlling the current army can end its turn", () => {
+    const { turnManager, map, turnEvents } = createTurnManager();
+    turnManager.whenEndTurn("client");
+    expect(turnEvents().at(-1)).toEqual([
+        "EndTurnFailed",
+        "client",
+        "Army 1's turn can only be ended by the client controlling it",
+    ]);
+
+    turnManager.whenControlArmy("client", 1);
+    turnManager.whenControlArmy("other", 1);
+    turnManager.whenControlArmy("other", 0);
+    turnManager.whenControlArmy("other", 2);
+    expect(turnEvents().slice(-4)).toEqual([
+        ["ArmyControlled", 1],
+        ["ArmyControlFailed", "other", 1, "Army 1 is controlled by another client"],
+        ["ArmyControlled", 0],
+        ["ArmyControlFailed", "other", 2, "Army 2 does not exist"],
+    ]);
+    expect(turnManager.frontEndData("other")).toMatchObject({ controlledArmies: [1, 0], armies: [0] });
+
+    turnManager.whenEndTurn("other");
+    expect(turnEvents().at(-1)[0]).toBe("EndTurnFailed");
+    turnManager.whenEndTurn("client");
+    turnManager.whenEndTurn("other");
+    expect(turnEvents().slice(-5)).toEqual([
+        ["TurnEnded", 1, 1],
+        ["TurnStarted", 0, 1],
+        ["TurnEnded", 0, 1],
+        ["DayStarted", 2],
+        ["TurnStarted", 1, 2],
+    ]);
+    expect(map.getArmy(0).funds).toBe(1000);
+    expect(map.getArmy(1).funds).toBe(2000);
+});
+
+test("map packs can replace the turn phases", () => {
+    const phases = [];
+    const { turnManager } = createTurnManager({
+        turnPhases: [
+            ...defaultTurnPhases.filter(phase => phase.name !== "income"),
+            { name: "record", run: (map, resolver, emitter, turn) => phases.push(turn) },
+        ],
+    });
+    expect(phases).toEqual([{ army: 1, day: 1, weathers: ["ClearWeather"] }]);
+    expect(turnManager.frontEndData("client").day).toBe(1);
+});
+
+test("units can capture once per turn, at the request of the client controlling their army", () => {
+    const { turnManager, map, turnEvents } = createTurnManager(mapPack, [
+        { type: "Infantry", position: { x: 0, y: 0 } },
+        { type: "Infantry", position: { x: 1, y: 0 }, owner: 0 },
+    ]);
+    turnManager.whenControlArmy("client", 1);
+    turnManager.whenControlArmy("other", 0);
+    turnManager.whenCapture("other", 0);
+    turnManager.whenCapture("other", 1);
+    turnManager.whenCapture("client", 2);
+    turnManager.whenCapture("client", 0);
+    turnManager.whenCapture("client", 0);
+    expect(turnEvents().slice(-5)).toEqual([
+        ["CaptureFailed", "other", 0, "Unit 0 can only capture at the request of the client controlling army 1"],
+        ["CaptureFailed", "other", 1, "Unit 1 can only capture during its own army's turn"],
+        ["CaptureFailed", "client", 2, "Unit 2 does not exist"],
+        ["CaptureProgressed", 0, { x: 0, y: 0 }, 10, 20],
+        ["CaptureFailed", "client", 0, "Unit 0 can't act again until the next turn"],
+    ]);
+    expect(turnManager.frontEndData("client").captures).toEqual([
+        { unit: 0, position: { x: 0, y: 0 }, capturePoints: 10 },
+    ]);
+    turnManager.whenCapture("client", "0");
+    expect(turnEvents().at(-1)).toEqual(["CaptureFailed", "client", "0", 'Unit ID "0" must be an integer']);
+    expect(map.getTile({ x: 0, y: 0 }).owner).toBe(0);
+
+    turnManager.whenEndTurn("client");
+    turnManager.whenEndTurn("other");
+    turnManager.whenCapture("client", 0);
+    expect(turnEvents().at(-1)).toEqual(["PropertyCaptured", { x: 0, y: 0 }, 1, 0, 0]);
+    expect(map.getTile({ x: 0, y: 0 }).owner).toBe(1);
+    expect(turnManager.frontEndData("client").captures).toEqual([]);
+});
+
+test("captures in progress are forgotten once their unit leaves or is removed", () => {
+    const { turnManager, map } = createTurnManager(mapPack, [
+        { type: "Infantry", position: { x: 0, y: 0 } },
+        { type: "Infantry", position: { x: 0, y: 0 } },
+    ]);
+    turnManager.whenControlArmy("client", 1);
+    turnManager.whenCapture("client", 0);
+    turnManager.whenCapture("client", 1);
+    turnManager.onUnitMoved(0, { x: 0, y: 0 });
+    expect(turnManager.frontEndData("client").captures.map(capture => capture.unit)).toEqual([0, 1]);
+    turnManager.onUnitMoved(0, { x: 1, y: 0 });
+    turnManager.onUnitRemoved(map.getUnit(1));
+    expect(turnManager.frontEndData("client").captures).toEqual([]);
+});
+
+test("units can attack once per turn, at the request of the client controlling their army", () => {
+    const { turnManager, turnEvents } = createTurnManager(mapPack, [
+        { type: "Infantry", position: { x: 0, y: 0 } },
+        { type: "Infantry", position: { x: 1, y: 0 }, owner: 0 },
+    ]);
+    turnManager.whenControlArmy("client", 1);
+    turnManager.whenControlArmy("other", 0);
+    turnManager.whenAttackUnit("other", 0, 1);
+    turnManager.whenAttackUnit("other", 1, 0);
+    turnManager.whenAttackUnit("client", 2, 1);
+    turnManager.whenAttackUnit("client", "0", 1);
+    turnManager.whenAttackUnit("client", 0, 0);
+    expect(turnEvents().slice(-5)).toEqual([
+        ["AttackFailed", "other", 0, 1, "Unit 0 can only attack at the request of the client controlling army 1"],
+        ["AttackFailed", "other", 1, 0, "Unit 1 can only attack during its own army's turn"],
+        ["AttackFailed", "client", 2, 1, "Unit 2 does not exist"],
+        ["AttackFailed", "client", "0", 1, 'Unit ID "0" must be an integer'],
+        ["AttackFailed", "client", 0, 0, "Unit 0 can't attack its ally, unit 0"],
+    ]);
+    expect(turnManager.frontEndData("client").exhaustedUnits).toEqual([]);
+
+    turnManager.whenAttackUnit("client", 0, 1);
+    expect(turnEvents().at(-2)).toEqual(["UnitAttacked", 0, 1, "MachineGun", expect.any(Number), false]);
+    expect(turnEvents().at(-1)).toEqual(["UnitAttacked", 1, 0, "MachineGun", expect.any(Number), true]);
+    expect(turnManager.frontEndData("client").exhaustedUnits).toEqual([0]);
+    turnManager.whenAttackUnit("client", 0, 1);
+    turnManager.whenCapture("client", 0);
+    expect(turnEvents().slice(-2)).toEqual([
+        ["AttackFailed", "client", 0, 1, "Unit 0 can't act again until the next turn"],
+        ["CaptureFailed", "client", 0, "Unit 0 can't act again until the next turn"],
+    ]);
+});
+
+test("only the client controlling the current army can activate its powers", () => {
+    const { turnManager, turnEvents } = createTurnManager();
+    turnManager.whenControlArmy("client", 1);
+    turnManager.whenControlArmy("other", 0);
+    turnManager.whenActivatePower("other", 1, "power");
+    turnManager.whenActivatePower("other", 0, "power");
+    turnManager.whenActivatePower("client", 1, "power");
+    expect(turnEvents().slice(-3)).toEqual([
+        [
+            "PowerActivationFailed",
+            "other",
+            1,
+            "power",
+            "Army 1's powers can only be activated by the client controlling it",
+        ],
+        ["PowerActivationFailed", "other", 0, "power", "Army 0 can only activate a power during its own turn"],
+        ["PowerActivationFailed", "client", 1, "power", "Army 1 has no commander"],
+    ]);
+});
+
+test("the current army can build units, which can't act until the next turn", () => {
+    const { turnManager, map, turnEvents } = createTurnManager(mapPack, [
+        { type: "Infantry", position: { x: 0, y: 0 }, owner: 0 },
+    ]);
+    turnManager.whenControlArmy("client", 1);
+    turnManager.whenControlArmy("other", 0);
+    turnManager.whenBuildUnit("other", { x: 1, y: 0 }, "Infantry");
+    turnManager.whenBuildUnit("client", { x: 0, y: 0 }, "Infantry");
+    turnManager.whenBuildUnit("client", { x: 1, y: 0 }, "Infantry");
+    turnManager.whenBuildUnit("client", { x: 1, y: 0 }, "Infantry");
+    turnManager.whenCapture("client", 1);
+    turnManager.whenAttackUnit("client", 1, 0);
+    expect(turnEvents().slice(-6)).toEqual([
+        [
+            "BuildUnitFailed",
+            "other",
+            { x: 1, y: 0 },
+            "Infantry",
+            "Units can only be built at the request of the client controlling army 1",
+        ],
+        ["BuildUnitFailed", "client", { x: 0, y: 0 }, "Infantry", "Army 1 doesn't own tile (0, 0)"],
+        ["UnitBuilt", 1, 1000],
+        ["BuildUnitFailed", "client", { x: 1, y: 0 }, "Infantry", "Tile (1, 0) is occupied"],
+        ["CaptureFailed", "client", 1, "Unit 1 can't act again until the next turn"],
+        ["AttackFailed", "client", 1, 0, "Unit 1 can't act again until the next turn"],
+    ]);
+    expect(map.getArmy(1).funds).toBe(0);
+    expect(turnManager.frontEndData("client").exhaustedUnits).toEqual([1]);
+
+    turnManager.whenGetBuildMenu("other", { x: 1, y: 0 });
+    turnManager.whenGetBuildMenu("client", { x: 0, y: 0 });
+    expect(turnEvents().slice(-2)).toEqual([
+        ["BuildMenuFound", "other", { x: 1, y: 0 }],
+        ["BuildMenuFailed", "client", { x: 0, y: 0 }, "Tile (0, 0) can't build units"],
+    ]);
+    expect(turnManager.frontEndData("other").buildMenu.units[0]).toEqual({
+        type: "Infantry",
+        cost: 1000,
+        affordable: false,
+    });
+    expect(turnManager.frontEndData("client").buildMenu).toEqual({
+        position: { x: 0, y: 0 },
+        units: null,
+        error: "Tile (0, 0) can't build units",
+    });
+
+    turnManager.whenEndTurn("client");
+    expect(turnManager.frontEndData("client").exhaustedUnits).toEqual([]);
+});
+
+test("clients lose control of their armies when they disconnect", () => {
+    const { turnManager, turnEvents } = createTurnManager();
+    turnManager.whenControlArmy("client", 1);
+    turnManager.whenControlArmy("client", 0);
+    turnManager.onClientDisconnected("other");
+    expect(turnEvents().at(-1)).toEqual(["ArmyControlled", 0]);
+    turnManager.onClientDisconnected("client");
+    expect(turnEvents().slice(-2)).toEqual([
+        ["ArmyReleased", 1],
+        ["ArmyReleased", 0],
+    ]);
+    expect(turnManager.frontEndData("client")).toMatchObject({ controlledArmies: [], armies: [] });
+    turnManager.whenEndTurn("client");
+    expect(turnEvents().at(-1)[0]).toBe("EndTurnFailed");
+    turnManager.whenControlArmy("other", 1);
+    expect(turnManager.frontEndData("other")).toMatchObject({ controlledArmies: [1], armies: [1] });
+});
+
+test("eliminated armies are taken out of the turn order", () => {
+    const { turnManager, turnEvents } = createTurnManager();
+    turnManager.whenControlArmy("client", 1);
+    turnManager.onArmyEliminated(1);
+    expect(turnEvents().at(-1)).toEqual(["TurnStarted", 0, 1]);
+    expect(turnManager.frontEndData("client")).toMatchObject({
+        day: 1,
+        turnOrder: [0],
+        currentArmy: 0,
+        controlledArmies: [],
+        armies: [],
+    });
+});
+
+test("nothing happens until a map is loaded", () => {
+    const events = [];
+    const turnManager = new TurnManager({ event: (name, ...data) => events.push([name, ...data]) });
+    turnManager.whenEndTurn("client");
+    turnManager.whenControlArmy("client", 0);
+    turnManager.whenCapture("client", 0);
+    turnManager.whenAttackUnit("client", 0, 1);
+    turnManager.whenActivatePower("client", 0, "power");
+    turnManager.whenGetBuildMenu("client", { x: 0, y: 0 });
+    turnManager.whenBuildUnit("client", { x: 0, y: 0 }, "Infantry");
+    expect(events.filter(event => event[0] !== "FrontEndDataChange")).toEqual([
+        ["EndTurnFailed", "client", "No map has been loaded"],
+        ["ArmyControlFailed", "client", 0, "No map has been loaded"],
+        ["CaptureFailed", "client", 0, "No map has been loaded"],
+        ["AttackFailed", "client", 0, 1, "No map has been loaded"],
+        ["PowerActivationFailed", "client", 0, "power", "No map has been loaded"],
+        ["BuildMenuFailed", "client", { x: 0, y: 0 }, "No map has been loaded"],
+        ["BuildUnitFailed", "client", { x: 0, y: 0 }, "Infantry", "No map has been loaded"],
+    ]);
+});
@@ -0,0 +1,107 @@
+import {
+    burnFuel,
+    collectIncome,
+    deactivatePower,
+    defaultTurnPhases,
+    repairUnits,
+    tickWeather,
+    turnOrder,
+} from "#src/map/turns.mjs";
+
+import { createTestMap } from "./helpers.mjs";
+
+/**
+ * Creates a 3x1 map with a City owned by the first army, an unowned City, and an Airport owned by the first army.
+ * @param {Array<import("#src/map/map.mjs").UnitData>} [units=[]] The units on the map.
+ * @param {Function | null} [mapOverride=null] The map's own override() function.
+ * @returns {Object} The map, a resolver for it, an emitter, and a list of the events both have emitted so far.
+ */
+function createMap(units = [], mapOverride = null) {
+    return createTestMap(
+        [[{ type: "City", owner: 0 }, "City", { type: "Airport", owner: 0 }]],
+        [
+            { faction: "BlueMoon", team: 0, funds: 1000, commanders: ["Olaf"] },
+            { faction: "OrangeStar", team: 1 },
+            { faction: "GreenEarth", team: 2 },
+        ],
+        units,
+        { mapOverride: mapOverride }
+    );
+}
+
+const turn = { army: 0, day: 2, weathers: ["ClearWeather"] };
+
+test("armies take their turns in their factions' order, which maps can override", () => {
+    expect(turnOrder(createMap().map, createMap().resolver)).toEqual([1, 0, 2]);
+
+    const { map, resolver } = createMap([], (objectTypeName, objectType, context) => {
+        if (objectTypeName === "Faction" && context.army === 2) {
+            objectType.defaultTurnOrder = 0;
+        }
+    });
+    expect(turnOrder(map, resolver)).toEqual([2, 1, 0]);
+});
+
+test("armies collect the income of the tiles they own", () => {
+    const { map, resolver, emitter, events } = createMap();
+    collectIncome(map, resolver, emitter, turn);
+    expect(map.getArmy(0).funds).toBe(3000);
+    collectIncome(map, resolver, emitter, { ...turn, army: 1 });
+    expect(events).toEqual([["FundsChanged", 0, 3000, 1000]]);
+});
+
+test("units on their army's tiles are repaired and resupplied for as long as the army can afford it", () => {
+    const { map, resolver, emitter } = createMap([
+        { type: "Tank", position: { x: 0, y: 0 }, hp: 35, fuel: 10, ammo: [2, 0] },
+        { type: "Infantry", position: { x: 0, y: 0 }, hp: 95, fuel: 10, ammo: [0] },
+        { type: "Infantry", position: { x: 1, y: 0 }, hp: 50, fuel: 10, ammo: [0] },
+        { type: "Infantry", position: { x: 2, y: 0 }, hp: 50, fuel: 10, ammo: [0] },
+    ]);
+    map.setFunds(0, 750);
+    repairUnits(map, resolver, emitter, turn);
+    // The Tank can only afford one of its two HP, leaving just enough for the first Infantry's last half HP.
+    expect(map.getUnit(0)).toMatchObject({ hp: 45, fuel: 70, ammo: [9, 0] });
+    expect(map.getUnit(1)).toMatchObject({ hp: 100, fuel: 99 });
+    expect(map.getUnit(2)).toMatchObject({ hp: 50, fuel: 10 });
+    expect(map.getUnit(3)).toMatchObject({ hp: 50, fuel: 10 });
+    expect(map.getArmy(0).funds).toBe(0);
+
+    map.setFunds(0, 20000);
+    repairUnits(map, resolver, emitter, turn);
+    expect(map.getUnit(0).hp).toBe(65);
+    expect(map.getArmy(0).funds).toBe(20000 - 1400);
+});
+
+test("units burn their daily fuel, and crash once they run out", () => {
+    const { map, resolver, emitter, events } = createMap([
+        { type: "Fighter", position: { x: 1, y: 0 }, fuel: 20 },
+        { type: "Fighter", position: { x: 1, y: 0 }, fuel: 4 },
+        { type: "Infantry", position: { x: 1, y: 0 }, fuel: 20 },
+        { type: "Fighter", position: { x: 1, y: 0 }, owner: 1, fuel: 20 },
+    ]);
+    burnFuel(map, resolver, emitter, turn);
+    expect(map.getUnit(0).fuel).toBe(15);
+    expect(map.hasUnit(1)).toBe(false);
+    expect(map.getUnit(2).fuel).toBe(20);
+    expect(map.getUnit(3).fuel).toBe(20);
+    expect(events.at(-1)).toEqual(["UnitDestroyed", expect.objectContaining({ id: 1, fuel: 0 }), undefined]);
+});
+
+test("powers last until their army's next turn, and so does the weather they bring", () => {
+    const { map, resolver, emitter, events } = createMap();
+    map.setActivePower(0, "power");
+    map.setWeathers(["SnowWeather"]);
+
+    tickWeather(map, resolver, emitter, { ...turn, army: 1 });
+    expect(map.weathers).toEqual(["SnowWeather"]);
+
+    deactivatePower(map, resolver, emitter, turn);
+    tickWeather(map, resolver, emitter, turn);
+    expect(map.getArmy(0).activePower).toBe(undefined);
+    expect(map.weathers).toEqual(["ClearWeather"]);
+    expect(events.slice(-2).map(event => event[0])).toEqual(["ActivePowerChanged", "WeatherChanged"]);
+});
+
+test("the default turn phases run in a fixed order", () => {
+    expect(defaultTurnPhases.map(phase => phase.name)).toEqual(["income", "repairs", "fuelBurn", "powers", "weather"]);
+});
@@ -36,6 +36,10 @@ test("deep freezing", () => {
 
     expect(() => (deepFrozen.object.anotherNest.nested = "No End")).toThrow();
     expect(deepFrozen).toEqual(object);
+
+    const shared = { nested: [1] };
+    const sharing = deepFreeze({ first: shared, second: shared });
+    expect(Object.isFrozen(sharing.second.nested)).toBe(true);
 });
 
 test("getting all property names", () => {